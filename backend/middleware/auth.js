@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,6 +11,12 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens name their session; signing out anywhere revokes it
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session expired. Please sign in again.' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -20,9 +27,18 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated.' });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed. Please sign in again.' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
+    // Access tokens are short-lived, so expiry is routine; clients refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired.' });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid.' });
   }
@@ -0,0 +1,33 @@
+const multer = require('multer');
+const { MAX_RECEIPT_SIZE, RECEIPT_TYPES } = require('../services/receipts');
+
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RECEIPT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!RECEIPT_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('receipt');
+
+// Accept an optional `receipt` file on multipart requests (req.file). JSON
+// requests pass straight through.
+const uploadReceipt = (req, res, next) => {
+  receiptUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Receipt must be smaller than ${MAX_RECEIPT_SIZE / (1024 * 1024)} MB`
+        : 'Receipt must be a single JPEG, PNG, WebP or PDF file';
+      return res.status(400).json({ message });
+    }
+
+    console.error('Receipt upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  });
+};
+
+module.exports = { uploadReceipt };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'wallet', 'investment', 'loan', 'other'];
+
+// Somewhere money is held: a bank account, card, cash wallet, ... The
+// balance is not stored; it is the opening balance plus the account's
+// transactions.
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ACCOUNT_TYPES,
+    required: [true, 'Account type is required']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code'],
+    default: 'INR'
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color'],
+    default: '#3b82f6'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Last statement the account was reconciled against
+  lastReconciled: {
+    date: Date,
+    balance: Number
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
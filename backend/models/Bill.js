@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A bill that comes due on a fixed day of the month, every one, three, six or
+// twelve months. `nextDueDate` is the unpaid occurrence; paying it records an
+// expense and moves it on. Amounts are in the linked account's currency, or
+// the user's base currency without one.
+const billSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payee: {
+    type: String,
+    required: [true, 'Payee is required'],
+    trim: true,
+    maxlength: [100, 'Payee cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // The amount varies from bill to bill; `amount` is a guess
+  isEstimate: {
+    type: Boolean,
+    default: false
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'half_yearly', 'yearly'],
+    default: 'monthly'
+  },
+  // Day of the month, clamped to shorter months
+  dueDay: {
+    type: Number,
+    required: [true, 'Due day is required'],
+    min: [1, 'Due day must be between 1 and 31'],
+    max: [31, 'Due day must be between 1 and 31']
+  },
+  nextDueDate: {
+    type: Date,
+    required: true
+  },
+  // How many days before the due date to send the bill_reminder
+  reminderDays: {
+    type: Number,
+    default: 3,
+    min: [0, 'Reminder days must be between 0 and 30'],
+    max: [30, 'Reminder days must be between 0 and 30']
+  },
+  // Paid automatically; reminders still go out so the money is there
+  autopay: {
+    type: Boolean,
+    default: false
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'bank_transfer', 'upi', 'wallet', 'other'],
+    default: 'other'
+  },
+  // The due date the last reminder was sent for, so each is sent once
+  remindedFor: Date,
+  lastPaidDate: Date,
+  lastTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+billSchema.index({ user: 1, isActive: 1, nextDueDate: 1 });
+billSchema.index({ isActive: 1, nextDueDate: 1 });
+
+module.exports = mongoose.model('Bill', billSchema);
@@ -55,4 +55,26 @@ const categorySchema = new mongoose.Schema({
 // Compound index to ensure unique category names per user and type
 categorySchema.index({ user: 1, name: 1, type: 1 }, { unique: true });
 
+// Starter categories given to every new account
+const DEFAULT_CATEGORIES = [
+  { name: 'Food & Dining', type: 'expense', color: '#ef4444' },
+  { name: 'Transportation', type: 'expense', color: '#f97316' },
+  { name: 'Shopping', type: 'expense', color: '#eab308' },
+  { name: 'Entertainment', type: 'expense', color: '#22c55e' },
+  { name: 'Bills & Utilities', type: 'expense', color: '#3b82f6' },
+  { name: 'Healthcare', type: 'expense', color: '#8b5cf6' },
+  { name: 'Salary', type: 'income', color: '#10b981' },
+  { name: 'Freelance', type: 'income', color: '#06b6d4' },
+  { name: 'Investment', type: 'income', color: '#8b5cf6' }
+];
+
+// Create the default categories for a user
+categorySchema.statics.createDefaults = function(userId) {
+  return this.insertMany(DEFAULT_CATEGORIES.map(category => ({
+    ...category,
+    user: userId,
+    isDefault: true
+  })));
+};
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
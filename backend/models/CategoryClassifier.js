@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Per-user naive Bayes model for category suggestions, built from the user's
+// own transactions. `categories` holds counts per category id:
+//   { <categoryId>: { docs, tokens, words: { <token>: count } } }
+// It is derived data: deleting the document makes it rebuild from history.
+const categoryClassifierSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  documents: {
+    type: Number,
+    default: 0
+  },
+  categories: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Each new transaction is first predicted, then learned from, so these
+  // measure how the suggestions would have done
+  stats: {
+    attempts: { type: Number, default: 0 },
+    predicted: { type: Number, default: 0 },
+    correct: { type: Number, default: 0 }
+  },
+  trainedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('CategoryClassifier', categoryClassifierSchema);
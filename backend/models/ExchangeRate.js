@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// How much one unit of `from` was worth in `to` on a date. Rates are kept per
+// user, entered by hand or imported from a CSV file; the latest rate on or
+// before a transaction's date converts it.
+const exchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  to: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency pair and day
+exchangeRateSchema.index({ user: 1, from: 1, to: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
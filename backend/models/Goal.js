@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A savings goal. Progress is the sum of the contributions recorded against
+// it plus, when linked, the balance of an account or what was put into a
+// category since the goal started. Amounts are in the user's base currency.
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [50, 'Goal name cannot exceed 50 characters']
+  },
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be greater than 0']
+  },
+  targetDate: Date,
+  // Contribution pace is measured from here
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // At most one of these is set
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Money set aside by hand; withdrawals are negative
+  contributions: [{
+    amount: {
+      type: Number,
+      required: [true, 'Contribution amount is required']
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Contribution note cannot exceed 200 characters']
+    }
+  }],
+  color: {
+    type: String,
+    default: '#10b981',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Color must be a valid hex color']
+  },
+  // Set the first time progress reaches the target; the goal_achieved
+  // notification is sent then and only then
+  achievedAt: Date,
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+goalSchema.index({ user: 1, isArchived: 1 });
+goalSchema.index({ user: 1, account: 1 });
+goalSchema.index({ user: 1, category: 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A saved CSV column mapping, usually one per bank export format
+const importMappingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Mapping name is required'],
+    trim: true,
+    maxlength: [50, 'Mapping name cannot exceed 50 characters']
+  },
+  columns: {
+    date: { type: String, required: [true, 'Date column is required'] },
+    description: { type: String, required: [true, 'Description column is required'] },
+    amount: String,
+    debit: String,
+    credit: String,
+    notes: String,
+    reference: String
+  },
+  dateFormat: {
+    type: String,
+    default: 'YYYY-MM-DD'
+  },
+  delimiter: {
+    type: String,
+    default: ','
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  invertAmounts: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+importMappingSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportMapping', importMappingSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// An auto-categorization rule. All conditions that are set must match; the
+// actions then fill in the transaction. Rules run in ascending `priority`.
+const ruleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [50, 'Rule name cannot exceed 50 characters']
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Don't run lower-priority rules after this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  conditions: {
+    // Case-insensitive regular expressions
+    description: {
+      type: String,
+      maxlength: [200, 'Pattern cannot exceed 200 characters']
+    },
+    notes: {
+      type: String,
+      maxlength: [200, 'Pattern cannot exceed 200 characters']
+    },
+    location: {
+      type: String,
+      maxlength: [200, 'Pattern cannot exceed 200 characters']
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense']
+    },
+    amountMin: {
+      type: Number,
+      min: 0
+    },
+    amountMax: {
+      type: Number,
+      min: 0
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'card', 'bank_transfer', 'upi', 'wallet', 'other']
+    },
+    // The transaction must have all of these tags
+    tags: [{
+      type: String,
+      trim: true
+    }]
+  },
+  actions: {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    addTags: [{
+      type: String,
+      trim: true
+    }],
+    notes: {
+      type: String,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date
+}, {
+  timestamps: true
+});
+
+ruleSchema.index({ user: 1, priority: 1 });
+
+module.exports = mongoose.model('Rule', ruleSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so revoking it signs
+// the device out on its next request. The refresh token rotates on every
+// use; only hashes are stored, and presenting an already-used one means it
+// was copied, so the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Recently replaced refresh tokens, newest last, for reuse detection
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  rotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back on every refresh; the document is deleted once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -6,9 +6,11 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // A transfer is stored as two linked legs: money leaving one account
+  // ('out') and arriving in another ('in')
   type: {
     type: String,
-    enum: ['income', 'expense'],
+    enum: ['income', 'expense', 'transfer'],
     required: [true, 'Transaction type is required']
   },
   amount: {
@@ -16,6 +18,17 @@ const transactionSchema = new mongoose.Schema({
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // Currency of `amount`; a transaction in an account uses the account's
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  // `amount` in the user's base currency, for transactions in another
+  // currency. Unset when no exchange rate is known, or no conversion is needed.
+  baseAmount: {
+    type: Number
+  },
   description: {
     type: String,
     required: [true, 'Description is required'],
@@ -25,7 +38,47 @@ const transactionSchema = new mongoose.Schema({
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
-    required: [true, 'Category is required']
+    required: [function () { return this.type !== 'transfer'; }, 'Category is required']
+  },
+  // Lines of a transaction that spans several categories. Their amounts add up
+  // to `amount`, and `category` holds the first line's category.
+  splits: [{
+    _id: false,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Split category is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Split amount is required'],
+      min: [0.01, 'Split amount must be greater than 0']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Split note cannot exceed 200 characters']
+    }
+  }],
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  transfer: {
+    direction: {
+      type: String,
+      enum: ['out', 'in']
+    },
+    // The other leg
+    counterpart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  // Matched against a statement; editing the amount, date or account clears it
+  reconciled: {
+    type: Boolean,
+    default: false
   },
   date: {
     type: Date,
@@ -38,7 +91,14 @@ const transactionSchema = new mongoose.Schema({
   }],
   receipt: {
     url: String,
-    publicId: String
+    // Storage key of the original file
+    publicId: String,
+    // Storage key of the image preview, if any
+    thumbnail: String,
+    contentType: String,
+    size: Number,
+    originalName: String,
+    uploadedAt: Date
   },
   location: {
     type: String,
@@ -59,7 +119,17 @@ const transactionSchema = new mongoose.Schema({
       enum: ['daily', 'weekly', 'monthly', 'yearly']
     },
     nextDate: Date,
-    endDate: Date
+    endDate: Date,
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    skipDates: [Date]
+  },
+  // Series this transaction was generated from, if any
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
   },
   notes: {
     type: String,
@@ -72,6 +142,15 @@ const transactionSchema = new mongoose.Schema({
 // Index for better query performance
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, category: 1 });
+transactionSchema.index({ user: 1, 'splits.category': 1 });
 transactionSchema.index({ user: 1, type: 1 });
+transactionSchema.index({ user: 1, account: 1, date: 1 });
+transactionSchema.index({ isRecurring: 1, 'recurringDetails.nextDate': 1 });
+
+// One generated occurrence per series and date
+transactionSchema.index(
+  { recurringSource: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
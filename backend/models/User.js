@@ -63,8 +63,40 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  // When the last verification email went out, to throttle resends
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
+  // TOTP two-factor authentication. A new secret waits in pendingSecret
+  // until a code from it is confirmed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // The time step of the last code accepted, so each code works once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -80,7 +112,11 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
-  
+
+  // Signs out every existing session. Backdated a second because token
+  // timestamps are in whole seconds, so the next token issued is still valid.
+  if (!this.isNew) this.passwordChangedAt = Date.now() - 1000;
+
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -95,6 +131,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the password changed after a token issued at `issuedAt` (seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Generate email verification token; like reset tokens, only the hash is kept
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = require('crypto').randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = require('crypto')
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 // Generate password reset token
 userSchema.methods.createPasswordResetToken = function() {
   const resetToken = require('crypto').randomBytes(32).toString('hex');
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { getAccountTotals, withBalances, getLedger, reconcileAccount } = require('../services/accounts');
+const { baseCurrencyOf, loadRates } = require('../services/currency');
+
+const router = express.Router();
+
+const accountValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Account name must be between 1 and 50 characters'),
+  body('type')
+    .optional()
+    .isIn(Account.ACCOUNT_TYPES)
+    .withMessage('Invalid account type'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter code'),
+  body('openingBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a number')
+    .toFloat(),
+  body('institution')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Institution cannot exceed 100 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color'),
+  body('isArchived').optional().isBoolean().toBoolean()
+];
+
+const EDITABLE_FIELDS = ['name', 'type', 'currency', 'openingBalance', 'institution', 'color', 'isArchived'];
+
+// Converts balances into the user's base currency
+const conversionFor = async (user) => ({
+  rates: await loadRates(user._id),
+  baseCurrency: baseCurrencyOf(user)
+});
+
+// The account with its current balance, as sent to clients
+const present = async (account, user) => {
+  const [totals, conversion] = await Promise.all([getAccountTotals(account.user), conversionFor(user)]);
+  const [withBalance] = withBalances([account], totals, conversion);
+  return withBalance;
+};
+
+// @route   GET /api/accounts
+// @desc    Get user accounts with their balances, each also converted into
+//          the base currency (`baseBalance`). Archived accounts are included
+//          with ?includeArchived=true. `unassigned` sums the transactions
+//          that have no account.
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+    const [accounts, totals, conversion] = await Promise.all([
+      Account.find(filter).sort({ isArchived: 1, name: 1 }),
+      getAccountTotals(req.user.id),
+      conversionFor(req.user)
+    ]);
+    // Transactions without an account can be in any currency
+    const { baseTotal = 0, count = 0 } = totals.get('unassigned') || {};
+
+    res.json({
+      accounts: withBalances(accounts, totals, conversion),
+      unassigned: { balance: baseTotal, currency: conversion.baseCurrency, transactionCount: count }
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/accounts
+// @desc    Create an account
+// @access  Private
+router.post('/', auth, [
+  body('name').exists({ checkFalsy: true }).withMessage('Account name is required'),
+  body('type').exists({ checkFalsy: true }).withMessage('Account type is required'),
+  ...accountValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, currency, openingBalance, institution, color } = req.body;
+
+    const existingAccount = await Account.findOne({ user: req.user.id, name });
+    if (existingAccount) {
+      return res.status(400).json({ message: 'An account with this name already exists' });
+    }
+
+    const account = new Account({
+      user: req.user.id,
+      name,
+      type,
+      currency: currency || baseCurrencyOf(req.user),
+      openingBalance: openingBalance || 0,
+      institution,
+      color
+    });
+
+    await account.save();
+    const created = await present(account, req.user);
+    publish(req.user.id, 'account.created', created);
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      account: created
+    });
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Update an account (including archiving it)
+// @access  Private
+router.put('/:id', auth, accountValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    if (req.body.name && req.body.name !== account.name) {
+      const existingAccount = await Account.findOne({
+        user: req.user.id,
+        name: req.body.name,
+        _id: { $ne: account._id }
+      });
+      if (existingAccount) {
+        return res.status(400).json({ message: 'An account with this name already exists' });
+      }
+    }
+
+    // Its transactions are recorded in the account's currency
+    if (req.body.currency && req.body.currency !== account.currency &&
+        await Transaction.exists({ user: req.user.id, account: account._id })) {
+      return res.status(400).json({ message: "An account's currency can't change once it has transactions" });
+    }
+
+    EDITABLE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) account[key] = req.body[key];
+    });
+
+    await account.save();
+    const updated = await present(account, req.user);
+    publish(req.user.id, 'account.updated', updated);
+
+    res.json({
+      message: 'Account updated successfully',
+      account: updated
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account, or archive it when transactions use it
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const transactionCount = await Transaction.countDocuments({
+      user: req.user.id,
+      account: account._id
+    });
+
+    if (transactionCount > 0) {
+      account.isArchived = true;
+      await account.save();
+      publish(req.user.id, 'account.deleted', { _id: account._id });
+
+      return res.json({
+        message: 'Account archived successfully (has associated transactions)',
+        account
+      });
+    }
+
+    await Account.findByIdAndDelete(account._id);
+    publish(req.user.id, 'account.deleted', { _id: account._id });
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/accounts/:id/ledger
+// @desc    An account's transactions, newest first, with the running balance
+// @access  Private
+router.get('/:id/ledger', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const { transactions, pagination } = await getLedger(account, { page, limit });
+
+    res.json({
+      account: await present(account, req.user),
+      transactions,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/accounts/:id/reconcile
+// @desc    Reconcile an account against a statement balance on a date
+// @access  Private
+router.post('/:id/reconcile', auth, [
+  body('statementBalance')
+    .isFloat()
+    .withMessage('Statement balance must be a number')
+    .toFloat(),
+  body('statementDate')
+    .isISO8601()
+    .withMessage('Statement date must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { statementBalance, statementDate } = req.body;
+    const result = await reconcileAccount(account, { statementBalance, statementDate });
+
+    if (result.reconciled) {
+      const updated = await present(account, req.user);
+      publish(req.user.id, 'account.updated', updated);
+      if (result.newlyReconciled > 0) {
+        publish(req.user.id, 'sync.required', { reason: 'account.reconcile' });
+      }
+      return res.json({ ...result, account: updated });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Reconcile account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,31 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { sendPasswordReset, sendEmailVerification } = require('../services/accountEmails');
+const { baseCurrencyOf, recalculateBaseAmounts } = require('../services/currency');
+const { recalculateUserBudgets } = require('../services/budgets');
+const {
+  createSession, refreshSession, revokeSession, revokeAllSessions, listSessions
+} = require('../services/sessions');
+const {
+  SECOND_FACTOR_FIELDS, generateSecret, otpauthUrl, verifyTotp, generateRecoveryCodes, consumeSecondFactor
+} = require('../services/twoFactor');
+const {
+  checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockAccount
+} = require('../services/loginGuard');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+// Least time between two verification emails to the same user
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -52,19 +66,28 @@ router.post('/register', [
       email,
       password
     });
+    const verificationToken = user.createEmailVerificationToken();
 
     await user.save();
+    await Category.createDefaults(user._id);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // The account works before the address is confirmed, so a mail problem
+    // shouldn't fail the registration; the user can ask for another email
+    await sendEmailVerification(user, verificationToken)
+      .catch(error => console.error('Verification email error:', error));
+
+    // Access and refresh token for this device
+    const tokens = await createSession(user._id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         preferences: user.preferences
       }
     });
@@ -75,7 +98,8 @@ router.post('/register', [
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user. Repeated failures, per account and per IP, slow down
+//          and then lock further attempts (429 with Retry-After).
 // @access  Public
 router.post('/login', [
   body('email')
@@ -84,7 +108,11 @@ router.post('/login', [
     .withMessage('Please enter a valid email'),
   body('password')
     .exists()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('twoFactorCode')
+    .optional()
+    .isString()
+    .withMessage('Invalid two-factor code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -95,11 +123,18 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
+    const { email, password, twoFactorCode } = req.body;
 
-    // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const blocked = await checkLoginAllowed(email, req.ip);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({ message: blocked.message });
+    }
+
+    // Find user and include password (and 2FA secrets) for comparison
+    const user = await User.findOne({ email }).select(`+password ${SECOND_FACTOR_FIELDS}`);
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
@@ -111,23 +146,43 @@ router.post('/login', [
     // Compare password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip, user);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Second step: the client sends the credentials again with a code from
+    // the authenticator app or a recovery code
+    if (user.twoFactor?.enabled) {
+      if (!twoFactorCode) {
+        return res.json({
+          twoFactorRequired: true,
+          message: 'Enter the code from your authenticator app'
+        });
+      }
+      if (!(await consumeSecondFactor(user, twoFactorCode))) {
+        await recordLoginFailure(email, req.ip, user);
+        return res.status(400).json({ twoFactorRequired: true, message: 'Invalid two-factor code' });
+      }
+    }
+
+    await recordLoginSuccess(email);
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Access and refresh token for this device
+    const tokens = await createSession(user._id, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         preferences: user.preferences,
         lastLogin: user.lastLogin
       }
@@ -149,6 +204,8 @@ router.get('/me', auth, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         preferences: user.preferences,
         avatar: user.avatar,
         lastLogin: user.lastLogin,
@@ -172,7 +229,9 @@ router.put('/profile', auth, [
     .withMessage('Name must be between 2 and 50 characters'),
   body('preferences.currency')
     .optional()
-    .isIn(['INR', 'USD', 'EUR', 'GBP'])
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
     .withMessage('Invalid currency'),
   body('preferences.theme')
     .optional()
@@ -190,6 +249,7 @@ router.put('/profile', auth, [
 
     const updates = req.body;
     const user = await User.findById(req.user.id);
+    const previousBase = baseCurrencyOf(user);
 
     // Update user fields
     if (updates.name) user.name = updates.name;
@@ -199,12 +259,22 @@ router.put('/profile', auth, [
 
     await user.save();
 
+    // Reports and budgets are kept in the base currency
+    const baseCurrency = baseCurrencyOf(user);
+    if (baseCurrency !== previousBase) {
+      await recalculateBaseAmounts(user._id, baseCurrency, { previousBase });
+      await recalculateUserBudgets(user._id);
+      publish(user._id, 'sync.required', { reason: 'baseCurrency' });
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         preferences: user.preferences,
         avatar: user.avatar
       }
@@ -215,11 +285,456 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether
+//          or not the email is registered.
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only confirmed addresses get reset links
+    const user = await User.findOne({ email: req.body.email, isActive: true, isEmailVerified: true });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      // Not awaited: a slow mail server would give away that the address exists
+      sendPasswordReset(user, token).catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({ message: 'If an account exists for that email, a link to reset the password is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password with a reset link's token. Signs out every
+//          existing session.
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() },
+      isActive: true
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email/:token
+// @desc    Confirm the user's email address with the emailed link's token
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    publish(user._id, 'user.updated', { isEmailVerified: true });
+
+    res.json({ message: 'Email address confirmed' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send another verification email, at most one a minute
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Your email address is already confirmed' });
+    }
+
+    const waitMs = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_INTERVAL_MS - Date.now()
+      : 0;
+    if (waitMs > 0) {
+      const seconds = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(seconds));
+      return res.status(429).json({ message: `Please wait ${seconds} seconds before asking for another email` });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendEmailVerification(user, token);
+
+    res.json({ message: `We sent a new link to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/unlock/:token
+// @desc    Lift a sign-in lock with the token from the emailed link
+// @access  Public
+router.post('/unlock/:token', async (req, res) => {
+  try {
+    const email = await unlockAccount(req.params.token);
+    if (!email) {
+      return res.status(400).json({ message: 'This unlock link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Your account is unlocked. You can sign in now.' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token.
+//          Each refresh token works once; reusing one signs the device out.
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    const user = await User.findById(result.userId).select('isActive');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated.' });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the devices signed in to the account, marking this one
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Sign out this device
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every device, this one included
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, 'logout_all');
+    res.json({ message: `Signed out of ${count} device${count === 1 ? '' : 's'}` });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disabling 2FA and replacing recovery codes need the password and a
+// current code. Wrong guesses count towards the same delays and lockout as
+// failed sign-ins. Returns { user }, or { error, status, retryAfter }.
+const reauthenticate = async (req) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user.id).select(`+password ${SECOND_FACTOR_FIELDS}`);
+  if (!user.twoFactor?.enabled) {
+    return { error: 'Two-factor authentication is not turned on', status: 400 };
+  }
+
+  const blocked = await checkLoginAllowed(user.email, req.ip);
+  if (blocked) {
+    return { error: blocked.message, status: 429, retryAfter: blocked.retryAfter };
+  }
+
+  if (!(await user.comparePassword(password))) {
+    await recordLoginFailure(user.email, req.ip, user);
+    return { error: 'Incorrect password', status: 400 };
+  }
+  if (!(await consumeSecondFactor(user, code))) {
+    await recordLoginFailure(user.email, req.ip, user);
+    return { error: 'Invalid two-factor code', status: 400 };
+  }
+
+  await recordLoginSuccess(user.email);
+  return { user };
+};
+
+const reauthValidation = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('A code from your authenticator app or a recovery code is required')
+];
+
+// @route   GET /api/auth/2fa
+// @desc    Get whether 2FA is on and how many recovery codes are left
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+    const twoFactor = user.twoFactor || {};
+    res.json({
+      enabled: !!twoFactor.enabled,
+      enabledAt: twoFactor.enabledAt,
+      recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling: a new secret with its QR code. 2FA is only
+//          turned on once a code from it is confirmed.
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const url = otpauthUrl(user.email, secret);
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and turn 2FA on. The response has
+//          the recovery codes, which are not shown again.
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start the setup again to get a new QR code' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code. Check the time on your device and try again.' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+    publish(user._id, 'user.updated', { twoFactorEnabled: true });
+
+    res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off
+// @access  Private
+router.post('/2fa/disable', auth, reauthValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, error, status, retryAfter } = await reauthenticate(req);
+    if (error) {
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      return res.status(status).json({ message: error });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.enabledAt': ''
+      }
+    });
+    publish(user._id, 'user.updated', { twoFactorEnabled: false });
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', auth, reauthValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, error, status, retryAfter } = await reauthenticate(req);
+    if (error) {
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      return res.status(status).json({ message: error });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.json({ message: 'New recovery codes created', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Bill = require('../models/Bill');
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const {
+  FREQUENCY_MONTHS, firstDueDate, dueDateIn, presentBill, payBill
+} = require('../services/bills');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'payee', 'amount', 'isEstimate', 'category', 'account', 'frequency', 'dueDay',
+  'reminderDays', 'autopay', 'paymentMethod', 'isActive', 'notes'
+];
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'upi', 'wallet', 'other'];
+
+const billValidators = [
+  body('payee')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payee must be between 1 and 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('isEstimate').optional().isBoolean().toBoolean(),
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('account')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid account'),
+  body('frequency')
+    .optional()
+    .isIn(Object.keys(FREQUENCY_MONTHS))
+    .withMessage('Frequency must be monthly, quarterly, half_yearly or yearly'),
+  body('dueDay')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Due day must be between 1 and 31')
+    .toInt(),
+  body('startDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Start date must be valid'),
+  body('reminderDays')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Reminder days must be between 0 and 30')
+    .toInt(),
+  body('autopay').optional().isBoolean().toBoolean(),
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters')
+];
+
+// Return why a bill can't use this category or account, or null
+const checkLinks = async (userId, { category, account }) => {
+  if (category && !(await Category.exists({ _id: category, user: userId, type: 'expense', isActive: true }))) {
+    return 'Bills need an expense category';
+  }
+  if (account && !(await Account.exists({ _id: account, user: userId, isArchived: false }))) {
+    return 'Invalid account';
+  }
+  return null;
+};
+
+const populateBill = (bill) => bill.populate([
+  { path: 'category', select: 'name color type' },
+  { path: 'account', select: 'name currency color' }
+]);
+
+// @route   GET /api/bills
+// @desc    Get user bills, soonest due first. Paused bills with ?includeInactive=true.
+// @access  Private
+router.get('/', auth, [
+  query('includeInactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (!req.query.includeInactive) filter.isActive = true;
+
+    const bills = await Bill.find(filter)
+      .populate('category', 'name color type')
+      .populate('account', 'name currency color')
+      .sort({ isActive: -1, nextDueDate: 1 });
+
+    const now = new Date();
+    res.json({ bills: bills.map(bill => presentBill(bill, now)) });
+  } catch (error) {
+    console.error('Get bills error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/bills/upcoming
+// @desc    Get active bills due in the next `days` days (default 30),
+//          overdue ones included
+// @access  Private
+router.get('/upcoming', auth, [
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const until = new Date(now.getTime() + (req.query.days || 30) * 24 * 60 * 60 * 1000);
+    const bills = await Bill.find({ user: req.user.id, isActive: true, nextDueDate: { $lte: until } })
+      .populate('category', 'name color type')
+      .populate('account', 'name currency color')
+      .sort({ nextDueDate: 1 });
+
+    res.json({ bills: bills.map(bill => presentBill(bill, now)) });
+  } catch (error) {
+    console.error('Get upcoming bills error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bills
+// @desc    Create a bill. It is first due on its due day on or after
+//          `startDate` (default today).
+// @access  Private
+router.post('/', auth, [
+  body('payee')
+    .trim()
+    .notEmpty()
+    .withMessage('Payee is required'),
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required'),
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required'),
+  body('dueDay')
+    .notEmpty()
+    .withMessage('Due day is required'),
+  ...billValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      payee, amount, isEstimate, category, account, frequency, dueDay, startDate,
+      reminderDays, autopay, paymentMethod, notes
+    } = req.body;
+
+    const linkError = await checkLinks(req.user.id, { category, account });
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    const bill = new Bill({
+      user: req.user.id,
+      payee,
+      amount,
+      isEstimate,
+      category,
+      account: account || undefined,
+      frequency,
+      dueDay,
+      nextDueDate: firstDueDate(dueDay, startDate || new Date()),
+      reminderDays,
+      autopay,
+      paymentMethod,
+      notes: notes || ''
+    });
+    await bill.save();
+    await populateBill(bill);
+
+    const presented = presentBill(bill);
+    publish(req.user.id, 'bill.created', presented);
+
+    res.status(201).json({
+      message: 'Bill created successfully',
+      bill: presented
+    });
+  } catch (error) {
+    console.error('Create bill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/bills/:id
+// @desc    Update a bill. A new due day moves the current due date within
+//          its month; `startDate` moves it to the first due day on or after.
+// @access  Private
+router.put('/:id', auth, billValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bill = await Bill.findOne({ _id: req.params.id, user: req.user.id });
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const updates = req.body;
+    const linkError = await checkLinks(req.user.id, { category: updates.category, account: updates.account });
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    const previousDueDate = bill.nextDueDate.getTime();
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] === undefined) return;
+      bill[field] = field === 'account' && !updates[field] ? undefined : updates[field];
+    });
+
+    if (updates.startDate) {
+      bill.nextDueDate = firstDueDate(bill.dueDay, updates.startDate);
+    } else if (updates.dueDay !== undefined) {
+      bill.nextDueDate = dueDateIn(bill.nextDueDate.getUTCFullYear(), bill.nextDueDate.getUTCMonth(), bill.dueDay);
+    }
+    // A new due date gets its own reminder
+    if (bill.nextDueDate.getTime() !== previousDueDate) bill.remindedFor = undefined;
+
+    await bill.save();
+    await populateBill(bill);
+
+    const presented = presentBill(bill);
+    publish(req.user.id, 'bill.updated', presented);
+
+    res.json({
+      message: 'Bill updated successfully',
+      bill: presented
+    });
+  } catch (error) {
+    console.error('Update bill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/bills/:id/pay
+// @desc    Mark the current due date paid: records the expense and moves the
+//          bill to its next due date. Amount, date, account and payment
+//          method default to the bill's.
+// @access  Private
+router.post('/:id/pay', auth, [
+  body('amount')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('date')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Date must be valid'),
+  body('account')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid account'),
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bill = await Bill.findOne({ _id: req.params.id, user: req.user.id });
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    const result = await payBill(req.user, bill, req.body);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    await populateBill(bill);
+    const presented = presentBill(bill);
+    publish(req.user.id, 'bill.updated', presented);
+
+    res.status(201).json({
+      message: 'Bill marked as paid',
+      bill: presented,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    console.error('Pay bill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/bills/:id
+// @desc    Delete a bill. Payments already recorded are kept.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const bill = await Bill.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    publish(req.user.id, 'bill.deleted', { _id: bill._id });
+
+    res.json({ message: 'Bill deleted successfully' });
+  } catch (error) {
+    console.error('Delete bill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
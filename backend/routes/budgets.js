@@ -4,6 +4,8 @@ const Budget = require('../models/Budget');
 const Category = require('../models/Category');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const { recalculateBudget, recalculateUserBudgets, bulkCreateBudgets } = require('../services/budgets');
+const { publish } = require('../services/events');
 
 const router = express.Router();
 
@@ -103,8 +105,9 @@ router.post('/', auth, [
       notes: notes || ''
     });
 
-    await budget.save();
+    await recalculateBudget(budget);
     await budget.populate('category', 'name color type');
+    publish(req.user.id, 'budget.created', budget);
 
     res.status(201).json({
       message: 'Budget created successfully',
@@ -116,6 +119,36 @@ router.post('/', auth, [
   }
 });
 
+// @route   POST /api/budgets/bulk
+// @desc    Create many budgets in one request (imports and migrations)
+// @access  Private
+router.post('/bulk', auth, [
+  body('budgets')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Budgets must be an array of 1 to 100 items')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { created, skipped } = await bulkCreateBudgets(req.user.id, req.body.budgets);
+
+    res.status(201).json({
+      message: `${created.length} budgets created`,
+      created: created.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Bulk create budgets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/budgets/:id
 // @desc    Update a budget
 // @access  Private
@@ -146,13 +179,15 @@ router.put('/:id', auth, [
     const updates = req.body;
     
     Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined && key !== 'category' && key !== 'period') {
+      if (updates[key] !== undefined && !['category', 'period', 'spent', 'user'].includes(key)) {
         budget[key] = updates[key];
       }
     });
 
-    await budget.save();
+    // Spending depends on the date range, so refresh it with the rest
+    await recalculateBudget(budget);
     await budget.populate('category', 'name color type');
+    publish(req.user.id, 'budget.updated', budget);
 
     res.json({
       message: 'Budget updated successfully',
@@ -164,6 +199,27 @@ router.put('/:id', auth, [
   }
 });
 
+// @route   POST /api/budgets/recompute
+// @desc    Recalculate spent for all of the user's budgets
+// @access  Private
+router.post('/recompute', auth, async (req, res) => {
+  try {
+    await recalculateUserBudgets(req.user.id);
+
+    const budgets = await Budget.find({ user: req.user.id })
+      .populate('category', 'name color type')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Budgets recalculated successfully',
+      budgets
+    });
+  } catch (error) {
+    console.error('Recompute budgets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/budgets/:id
 // @desc    Delete a budget
 // @access  Private
@@ -178,6 +234,8 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Budget not found' });
     }
 
+    publish(req.user.id, 'budget.deleted', { _id: budget._id });
+
     res.json({ message: 'Budget deleted successfully' });
   } catch (error) {
     console.error('Delete budget error:', error);
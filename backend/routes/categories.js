@@ -3,6 +3,9 @@ const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { matchCategory, UNWIND_CATEGORY_LINES } = require('../services/splits');
+const { BASE_AMOUNT } = require('../services/currency');
 
 const router = express.Router();
 
@@ -75,6 +78,7 @@ router.post('/', auth, [
     });
 
     await category.save();
+    publish(req.user.id, 'category.created', category);
 
     res.status(201).json({
       message: 'Category created successfully',
@@ -144,6 +148,7 @@ router.put('/:id', auth, [
     });
 
     await category.save();
+    publish(req.user.id, 'category.updated', category);
 
     res.json({
       message: 'Category updated successfully',
@@ -172,13 +177,14 @@ router.delete('/:id', auth, async (req, res) => {
     // Check if category is being used in transactions
     const transactionCount = await Transaction.countDocuments({
       user: req.user.id,
-      category: category._id
+      ...matchCategory(category._id)
     });
 
     if (transactionCount > 0) {
       // Soft delete - mark as inactive
       category.isActive = false;
       await category.save();
+      publish(req.user.id, 'category.deleted', { _id: category._id });
       
       return res.json({ 
         message: 'Category deactivated successfully (has associated transactions)',
@@ -187,6 +193,7 @@ router.delete('/:id', auth, async (req, res) => {
     } else {
       // Hard delete if no transactions
       await Category.findByIdAndDelete(category._id);
+      publish(req.user.id, 'category.deleted', { _id: category._id });
       return res.json({ message: 'Category deleted successfully' });
     }
   } catch (error) {
@@ -209,21 +216,24 @@ router.get('/:id/stats', auth, async (req, res) => {
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    // Split transactions count with the amount of their lines in this category
     const stats = await Transaction.aggregate([
       {
         $match: {
           user: req.user._id,
-          category: category._id
+          ...matchCategory(category._id)
         }
       },
+      ...UNWIND_CATEGORY_LINES,
+      { $match: { category: category._id } },
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           transactionCount: { $sum: 1 },
-          avgAmount: { $avg: '$amount' },
-          minAmount: { $min: '$amount' },
-          maxAmount: { $max: '$amount' }
+          avgAmount: { $avg: BASE_AMOUNT },
+          minAmount: { $min: BASE_AMOUNT },
+          maxAmount: { $max: BASE_AMOUNT }
         }
       }
     ]);
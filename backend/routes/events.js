@@ -0,0 +1,28 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { subscribe } = require('../services/events');
+
+const router = express.Router();
+
+// @route   GET /api/events
+// @desc    Server-sent event stream of changes to the user's data
+// @access  Private
+router.get('/', auth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell the client how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+  res.write(`event: connected\ndata: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
+
+  res.locals.sessionId = req.sessionId;
+  const unsubscribe = subscribe(req.user._id, res);
+  req.on('close', unsubscribe);
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { baseCurrencyOf, recalculateBaseAmounts } = require('../services/currency');
+const { recalculateUserBudgets } = require('../services/budgets');
+const { DATE_FORMATS, parseCsv, detectDelimiter, parseAmount, parseDate } = require('../services/importParsers');
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Header names accepted for each column of a rates file. Files without a
+// header row list the columns in this order.
+const RATE_COLUMNS = {
+  date: ['date', 'day'],
+  from: ['from', 'base', 'source'],
+  to: ['to', 'quote', 'target'],
+  rate: ['rate', 'value', 'price']
+};
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const currencyField = (field) => body(field)
+  .trim()
+  .toUpperCase()
+  .matches(CURRENCY_PATTERN)
+  .withMessage('Currency must be a 3-letter code');
+
+// Rates are kept per day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Bring stored conversions and budgets in line with the user's rates
+const applyRateChanges = async (user) => {
+  await recalculateBaseAmounts(user._id, baseCurrencyOf(user));
+  await recalculateUserBudgets(user._id);
+  publish(user._id, 'sync.required', { reason: 'exchangeRates' });
+};
+
+// Map a header row to column indexes, or null when the row isn't a header
+const headerColumns = (row) => {
+  const names = row.map(cell => cell.trim().toLowerCase());
+  const columns = {};
+  Object.entries(RATE_COLUMNS).forEach(([column, aliases]) => {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[column] = index;
+  });
+  return Object.keys(columns).length === Object.keys(RATE_COLUMNS).length ? columns : null;
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Get the user's exchange rates, newest first
+// @access  Private
+router.get('/', auth, [
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_PATTERN)
+    .withMessage('Currency must be a 3-letter code'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currency, page = 1, limit = 100 } = req.query;
+    const filter = { user: req.user.id };
+    if (currency) filter.$or = [{ from: currency }, { to: currency }];
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(filter)
+        .sort({ date: -1, from: 1, to: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExchangeRate.countDocuments(filter)
+    ]);
+
+    res.json({
+      rates,
+      baseCurrency: baseCurrencyOf(req.user),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Set the rate between two currencies on a day (replaces that
+//          day's rate), then reconvert the user's transactions
+// @access  Private
+router.post('/', auth, [
+  currencyField('from'),
+  currencyField('to')
+    .custom((to, { req }) => {
+      if (to === req.body.from) throw new Error('Choose two different currencies');
+      return true;
+    }),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than 0')
+    .toFloat(),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, rate } = req.body;
+    const date = startOfDay(req.body.date || new Date());
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { user: req.user.id, from, to, date },
+      { $set: { rate, source: 'manual' } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    await applyRateChanges(req.user);
+
+    res.status(201).json({
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate
+    });
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from CSV text with date, from, to and rate columns.
+//          Rates for a pair and day already stored are replaced.
+// @access  Private
+router.post('/import', auth, [
+  body('content')
+    .isString()
+    .notEmpty()
+    .withMessage('File content is required'),
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage('Unsupported date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { content, dateFormat } = req.body;
+    const rows = parseCsv(content, detectDelimiter(content));
+    const header = rows.length > 0 ? headerColumns(rows[0]) : null;
+    const columns = header || { date: 0, from: 1, to: 2, rate: 3 };
+    const dataRows = header ? rows.slice(1) : rows;
+
+    if (dataRows.length === 0) {
+      return res.status(400).json({ message: 'No rates found in the file' });
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Files are limited to ${MAX_IMPORT_ROWS} rates` });
+    }
+
+    const operations = [];
+    const skipped = [];
+    dataRows.forEach((row, index) => {
+      // Line numbers as the user sees them in the file
+      const line = index + (header ? 2 : 1);
+      const date = parseDate(row[columns.date], dateFormat);
+      const from = (row[columns.from] || '').trim().toUpperCase();
+      const to = (row[columns.to] || '').trim().toUpperCase();
+      const rate = parseAmount(row[columns.rate]);
+
+      let reason = null;
+      if (!date) reason = 'Invalid date';
+      else if (!CURRENCY_PATTERN.test(from) || !CURRENCY_PATTERN.test(to)) reason = 'Currency must be a 3-letter code';
+      else if (from === to) reason = 'Choose two different currencies';
+      else if (!(rate > 0)) reason = 'Rate must be greater than 0';
+
+      if (reason) {
+        skipped.push({ line, reason });
+        return;
+      }
+      operations.push({
+        updateOne: {
+          filter: { user: req.user._id, from, to, date: startOfDay(date) },
+          update: { $set: { rate, source: 'import' } },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await ExchangeRate.bulkWrite(operations, { ordered: false });
+      await applyRateChanges(req.user);
+    }
+
+    res.status(201).json({
+      message: `${operations.length} exchange rates imported`,
+      imported: operations.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate, then reconvert the user's transactions
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    await applyRateChanges(req.user);
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
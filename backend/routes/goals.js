@@ -0,0 +1,304 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Goal = require('../models/Goal');
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { presentGoal, goalContext } = require('../services/goals');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'targetAmount', 'targetDate', 'startDate', 'account', 'category', 'color', 'notes', 'isArchived'];
+
+const goalValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Goal name must be between 1 and 50 characters'),
+  body('targetAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Target amount must be greater than 0')
+    .toFloat(),
+  body(['targetDate', 'startDate'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Date must be valid'),
+  body(['account', 'category'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid link'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color'),
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters'),
+  body('isArchived').optional().isBoolean().toBoolean()
+];
+
+const contributionValidators = [
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .toFloat()
+    .custom(amount => {
+      if (amount === 0) throw new Error('Amount cannot be zero');
+      return true;
+    }),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be valid'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Return why a goal can't link to this account or category, or null
+const checkLink = async (userId, { account, category }) => {
+  if (account && category) return 'Link a goal to an account or a category, not both';
+  if (account && !(await Account.exists({ _id: account, user: userId }))) return 'Invalid account';
+  if (category && !(await Category.exists({ _id: category, user: userId, isActive: true }))) return 'Invalid category';
+  return null;
+};
+
+const findGoal = (req) => Goal.findOne({ _id: req.params.id, user: req.user.id });
+
+const populateGoal = (goal) => goal.populate([
+  { path: 'account', select: 'name currency color' },
+  { path: 'category', select: 'name color type' }
+]);
+
+// @route   GET /api/goals
+// @desc    Get user goals with their progress: amount saved, monthly pace,
+//          projected completion date and the monthly saving still needed
+//          to reach the target date. Archived goals with ?includeArchived=true.
+// @access  Private
+router.get('/', auth, [
+  query('includeArchived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (!req.query.includeArchived) filter.isArchived = false;
+
+    const goals = await Goal.find(filter)
+      .populate('account', 'name currency color')
+      .populate('category', 'name color type')
+      .sort({ achievedAt: 1, targetDate: 1, createdAt: -1 });
+
+    const context = await goalContext(req.user);
+    const presented = [];
+    for (const goal of goals) {
+      presented.push(await presentGoal(goal, context));
+    }
+
+    res.json({ goals: presented });
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/goals
+// @desc    Create a savings goal
+// @access  Private
+router.post('/', auth, [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Goal name is required'),
+  body('targetAmount')
+    .notEmpty()
+    .withMessage('Target amount is required'),
+  ...goalValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, targetAmount, targetDate, startDate, account, category, color, notes } = req.body;
+
+    const linkError = await checkLink(req.user.id, { account, category });
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    const goal = new Goal({
+      user: req.user.id,
+      name,
+      targetAmount,
+      targetDate: targetDate ? new Date(targetDate) : undefined,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      account: account || undefined,
+      category: category || undefined,
+      color,
+      notes: notes || ''
+    });
+    await goal.save();
+    await populateGoal(goal);
+
+    const presented = await presentGoal(goal, await goalContext(req.user));
+    publish(req.user.id, 'goal.created', presented);
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: presented
+    });
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal. An empty account, category or targetDate clears it.
+// @access  Private
+router.put('/:id', auth, goalValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await findGoal(req);
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const updates = req.body;
+    const previousTarget = goal.targetAmount;
+    // Linking one replaces the other
+    const link = {
+      account: updates.account !== undefined ? updates.account : (updates.category ? null : goal.account),
+      category: updates.category !== undefined ? updates.category : (updates.account ? null : goal.category)
+    };
+    const linkError = await checkLink(req.user.id, link);
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      // The start date can move but not be cleared
+      if (updates[field] === undefined || (field === 'startDate' && !updates[field])) return;
+      goal[field] = updates[field] === '' || updates[field] === null ? undefined : updates[field];
+    });
+    goal.account = link.account || undefined;
+    goal.category = link.category || undefined;
+
+    // A goal raised above what's saved can be reached again
+    if (goal.targetAmount > previousTarget) goal.achievedAt = undefined;
+
+    await goal.save();
+    await populateGoal(goal);
+
+    const presented = await presentGoal(goal, await goalContext(req.user));
+    publish(req.user.id, 'goal.updated', presented);
+
+    res.json({
+      message: 'Goal updated successfully',
+      goal: presented
+    });
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/goals/:id/contributions
+// @desc    Record money set aside for a goal (negative to take some out)
+// @access  Private
+router.post('/:id/contributions', auth, contributionValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await findGoal(req);
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const { amount, date, note } = req.body;
+    goal.contributions.push({ amount, date: date ? new Date(date) : new Date(), note });
+    await goal.save();
+    await populateGoal(goal);
+
+    const presented = await presentGoal(goal, await goalContext(req.user));
+    publish(req.user.id, 'goal.updated', presented);
+
+    res.status(201).json({
+      message: 'Contribution added successfully',
+      goal: presented
+    });
+  } catch (error) {
+    console.error('Add goal contribution error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @desc    Remove a contribution from a goal
+// @access  Private
+router.delete('/:id/contributions/:contributionId', auth, async (req, res) => {
+  try {
+    const goal = await findGoal(req);
+    const contribution = goal?.contributions.id(req.params.contributionId);
+    if (!contribution) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    goal.contributions.pull(contribution._id);
+    await goal.save();
+    await populateGoal(goal);
+
+    const presented = await presentGoal(goal, await goalContext(req.user));
+    publish(req.user.id, 'goal.updated', presented);
+
+    res.json({
+      message: 'Contribution removed successfully',
+      goal: presented
+    });
+  } catch (error) {
+    console.error('Remove goal contribution error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+    publish(req.user.id, 'goal.deleted', { _id: goal._id });
+
+    res.json({ message: 'Goal deleted successfully' });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
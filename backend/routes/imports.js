@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const ImportMapping = require('../models/ImportMapping');
+const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
+const { bulkInsertTransactions } = require('../services/transactions');
+const { baseCurrencyOf } = require('../services/currency');
+const { createCategorizer } = require('../services/categorize');
+const { createRuleEngine } = require('../services/rules');
+const {
+  DATE_FORMATS,
+  parseCsv,
+  detectDelimiter,
+  mapCsvRows,
+  parseOfx,
+  parseQif
+} = require('../services/importParsers');
+
+const router = express.Router();
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Same day, amount and description (case-insensitive) counts as a duplicate
+const duplicateKey = (date, amount, description) =>
+  `${new Date(date).toISOString().slice(0, 10)}|${Number(amount).toFixed(2)}|${description.trim().toLowerCase()}`;
+
+// Map of duplicate key -> id of an existing transaction in the rows' date range
+const findExistingTransactions = async (userId, rows) => {
+  const times = rows.filter(row => row.date).map(row => row.date.getTime());
+  if (times.length === 0) return new Map();
+
+  const endDate = new Date(Math.max(...times));
+  endDate.setUTCHours(23, 59, 59, 999);
+
+  const existing = await Transaction.find({
+    user: userId,
+    date: { $gte: new Date(Math.min(...times)), $lte: endDate }
+  }).select('date amount description');
+
+  return new Map(existing.map(t => [duplicateKey(t.date, t.amount, t.description), t._id]));
+};
+
+// Flatten a saved or submitted mapping into the shape mapCsvRows expects
+const toParserMapping = ({ columns = {}, dateFormat, hasHeader, invertAmounts }) => ({
+  date: columns.date,
+  description: columns.description,
+  amount: columns.amount,
+  debit: columns.debit,
+  credit: columns.credit,
+  notes: columns.notes,
+  reference: columns.reference,
+  dateFormat,
+  hasHeader,
+  invertAmounts
+});
+
+const mappingValidators = [
+  body('columns.date')
+    .trim()
+    .notEmpty()
+    .withMessage('Date column is required'),
+  body('columns.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description column is required'),
+  body('columns')
+    .custom(columns => !!(columns && (columns.amount || columns.debit || columns.credit)))
+    .withMessage('Map an amount column or debit/credit columns'),
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage('Unsupported date format')
+];
+
+// @route   POST /api/imports/preview
+// @desc    Parse a statement file and preview the transactions it would create
+// @access  Private
+router.post('/preview', auth, [
+  body('format')
+    .isIn(IMPORT_FORMATS)
+    .withMessage('Format must be csv, ofx or qif'),
+  body('content')
+    .isString()
+    .notEmpty()
+    .withMessage('File content is required'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Invalid mapping'),
+  body('mappingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid mapping'),
+  body('dateFormat')
+    .optional()
+    .isIn(DATE_FORMATS)
+    .withMessage('Unsupported date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format, content, mappingId } = req.body;
+    let rows;
+    let columns;
+
+    if (format === 'csv') {
+      let mapping = req.body.mapping;
+      if (mappingId) {
+        mapping = await ImportMapping.findOne({ _id: mappingId, user: req.user.id });
+        if (!mapping) {
+          return res.status(404).json({ message: 'Mapping not found' });
+        }
+      }
+
+      const delimiter = mapping?.delimiter || detectDelimiter(content);
+      const cells = parseCsv(content, delimiter);
+      if (cells.length === 0) {
+        return res.status(400).json({ message: 'The file has no rows' });
+      }
+
+      // Without a mapping, return the columns so the user can pick them
+      if (!mapping) {
+        return res.json({
+          needsMapping: true,
+          delimiter,
+          columns: cells[0],
+          sample: cells.slice(1, 6)
+        });
+      }
+
+      columns = cells[0];
+      rows = mapCsvRows(cells, toParserMapping(mapping));
+    } else if (format === 'ofx') {
+      rows = parseOfx(content);
+    } else {
+      rows = parseQif(content, req.body.dateFormat);
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No transactions found in the file' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Files are limited to ${MAX_IMPORT_ROWS} transactions` });
+    }
+
+    const [rules, categorize, existing] = await Promise.all([
+      createRuleEngine(req.user.id),
+      createCategorizer(req.user.id),
+      findExistingTransactions(req.user.id, rows)
+    ]);
+
+    const preview = rows.map((row, index) => {
+      if (row.error) return { index, ...row };
+      return {
+        index,
+        ...row,
+        // The user's rules come first, then what their history suggests
+        category: rules.evaluate(row).changes.category || categorize(row)?.category || null,
+        duplicateOf: existing.get(duplicateKey(row.date, row.amount, row.description)) || null
+      };
+    });
+
+    res.json({
+      needsMapping: false,
+      columns,
+      rows: preview,
+      summary: {
+        total: preview.length,
+        invalid: preview.filter(row => row.error).length,
+        duplicates: preview.filter(row => row.duplicateOf).length,
+        uncategorized: preview.filter(row => !row.error && !row.category).length
+      }
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/imports/commit
+// @desc    Create the reviewed import rows in one batch
+// @access  Private
+router.post('/commit', auth, [
+  body('rows')
+    .isArray({ min: 1, max: MAX_IMPORT_ROWS })
+    .withMessage(`Rows must be an array of 1 to ${MAX_IMPORT_ROWS} items`),
+  body('account')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid account')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // A statement belongs to one account; rows without their own get it
+    const { rows, account } = req.body;
+    const items = account
+      ? rows.map(row => (row && typeof row === 'object' ? { ...row, account: row.account || account } : row))
+      : rows;
+
+    const { created, skipped } = await bulkInsertTransactions(req.user.id, items, {
+      baseCurrency: baseCurrencyOf(req.user)
+    });
+    if (created.length > 0) publish(req.user.id, 'sync.required', { reason: 'transactions.import' });
+
+    res.status(201).json({
+      message: `${created.length} transactions imported`,
+      created: created.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Import commit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/imports/mappings
+// @desc    Get saved CSV column mappings
+// @access  Private
+router.get('/mappings', auth, async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find({ user: req.user.id }).sort({ name: 1 });
+
+    res.json({ mappings });
+  } catch (error) {
+    console.error('Get import mappings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/imports/mappings
+// @desc    Save a CSV column mapping (replaces one with the same name)
+// @access  Private
+router.post('/mappings', auth, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Mapping name must be between 1 and 50 characters'),
+  ...mappingValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, columns, dateFormat, delimiter, hasHeader, invertAmounts } = req.body;
+
+    const mapping = await ImportMapping.findOneAndUpdate(
+      { user: req.user.id, name },
+      {
+        columns: {
+          date: columns.date,
+          description: columns.description,
+          amount: columns.amount || undefined,
+          debit: columns.debit || undefined,
+          credit: columns.credit || undefined,
+          notes: columns.notes || undefined,
+          reference: columns.reference || undefined
+        },
+        dateFormat: dateFormat || 'YYYY-MM-DD',
+        delimiter: delimiter || ',',
+        hasHeader: hasHeader !== false,
+        invertAmounts: !!invertAmounts
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      message: 'Mapping saved successfully',
+      mapping
+    });
+  } catch (error) {
+    console.error('Save import mapping error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/imports/mappings/:id
+// @desc    Delete a saved CSV column mapping
+// @access  Private
+router.delete('/mappings/:id', auth, async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!mapping) {
+      return res.status(404).json({ message: 'Mapping not found' });
+    }
+
+    res.json({ message: 'Mapping deleted successfully' });
+  } catch (error) {
+    console.error('Delete import mapping error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
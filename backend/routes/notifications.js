@@ -1,6 +1,7 @@
 const express = require('express');
 const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const { publish } = require('../services/events');
 
 const router = express.Router();
 
@@ -40,6 +41,19 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, isRead: false });
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
@@ -55,6 +69,8 @@ router.put('/:id/read', auth, async (req, res) => {
       return res.status(404).json({ message: 'Notification not found' });
     }
 
+    publish(req.user.id, 'notification.read', { _id: notification._id });
+
     res.json({
       message: 'Notification marked as read',
       notification
@@ -75,6 +91,8 @@ router.put('/read-all', auth, async (req, res) => {
       { isRead: true, readAt: new Date() }
     );
 
+    publish(req.user.id, 'notification.read_all');
+
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Mark all notifications read error:', error);
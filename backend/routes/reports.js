@@ -1,19 +1,30 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
 const Budget = require('../models/Budget');
 const auth = require('../middleware/auth');
+const { buildTransactionFilter } = require('../services/transactions');
+const { EXPORT_FORMATS } = require('../services/exporters');
+const { UNWIND_CATEGORY_LINES } = require('../services/splits');
+const { BASE_AMOUNT, baseCurrencyOf, unconvertedFilter } = require('../services/currency');
 
 const router = express.Router();
 
+// Only income and expenses count towards totals; transfers just move money
+// between the user's own accounts
+const REPORTED_TYPES = ['income', 'expense'];
+
 // @route   GET /api/reports/summary
-// @desc    Get financial summary
+// @desc    Get financial summary in the user's base currency. `unconverted`
+//          counts transactions in other currencies that have no exchange rate
+//          yet; they are included at their face value.
 // @access  Private
 router.get('/summary', auth, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    const filter = { user: req.user.id };
+    const filter = { user: req.user._id, type: { $in: REPORTED_TYPES } };
     
     if (startDate || endDate) {
       filter.date = {};
@@ -21,16 +32,20 @@ router.get('/summary', auth, async (req, res) => {
       if (endDate) filter.date.$lte = new Date(endDate);
     }
 
-    const summary = await Transaction.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: '$type',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' }
+    const baseCurrency = baseCurrencyOf(req.user);
+    const [summary, unconverted] = await Promise.all([
+      Transaction.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$type',
+            total: { $sum: BASE_AMOUNT },
+            count: { $sum: 1 },
+            avgAmount: { $avg: BASE_AMOUNT }
+          }
         }
-      }
+      ]),
+      Transaction.countDocuments({ ...filter, ...unconvertedFilter(baseCurrency) })
     ]);
 
     const result = {
@@ -48,6 +63,8 @@ router.get('/summary', auth, async (req, res) => {
 
     result.balance = result.income.total - result.expense.total;
     result.totalTransactions = result.income.count + result.expense.count;
+    result.currency = baseCurrency;
+    result.unconverted = unconverted;
 
     res.json(result);
   } catch (error) {
@@ -57,13 +74,24 @@ router.get('/summary', auth, async (req, res) => {
 });
 
 // @route   GET /api/reports/category-breakdown
-// @desc    Get expense breakdown by category
+// @desc    Get expense breakdown by category. Split transactions count
+//          towards each of their lines' categories.
 // @access  Private
-router.get('/category-breakdown', auth, async (req, res) => {
+router.get('/category-breakdown', auth, [
+  query('type').optional().isIn(REPORTED_TYPES).withMessage('Type must be income or expense')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { startDate, endDate, type = 'expense' } = req.query;
     
-    const filter = { user: req.user.id, type };
+    const filter = { user: req.user._id, type };
     
     if (startDate || endDate) {
       filter.date = {};
@@ -73,6 +101,7 @@ router.get('/category-breakdown', auth, async (req, res) => {
 
     const breakdown = await Transaction.aggregate([
       { $match: filter },
+      ...UNWIND_CATEGORY_LINES,
       {
         $lookup: {
           from: 'categories',
@@ -87,9 +116,9 @@ router.get('/category-breakdown', auth, async (req, res) => {
           _id: '$category',
           name: { $first: '$categoryInfo.name' },
           color: { $first: '$categoryInfo.color' },
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' }
+          avgAmount: { $avg: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -115,7 +144,8 @@ router.get('/monthly-trends', auth, async (req, res) => {
     const trends = await Transaction.aggregate([
       {
         $match: {
-          user: req.user.id,
+          user: req.user._id,
+          type: { $in: REPORTED_TYPES },
           date: { $gte: startDate, $lte: endDate }
         }
       },
@@ -125,7 +155,7 @@ router.get('/monthly-trends', auth, async (req, res) => {
             month: { $month: '$date' },
             type: '$type'
           },
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
@@ -182,4 +212,62 @@ router.get('/monthly-trends', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/export
+// @desc    Download transactions as CSV, JSON, XLSX or a PDF statement.
+//          Takes the same filters as GET /api/transactions.
+// @access  Private
+router.get('/export', auth, [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be csv, json, xlsx or pdf'),
+  query('type').optional().isIn(['income', 'expense', 'transfer']).withMessage('Type must be income, expense or transfer'),
+  query('category').optional().isMongoId().withMessage('Invalid category'),
+  query('account').optional().isMongoId().withMessage('Invalid account'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be valid'),
+  query('endDate').optional().isISO8601().withMessage('End date must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', type, category, account, startDate, endDate, search } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+    const filters = { type, category, account, startDate, endDate, search };
+
+    const cursor = Transaction.find(buildTransactionFilter(req.user.id, filters))
+      .populate('category', 'name type')
+      .populate('splits.category', 'name')
+      .populate('account', 'name')
+      .sort({ date: -1, createdAt: -1 })
+      .cursor();
+
+    const day = (value) => new Date(value).toISOString().slice(0, 10);
+    const periodLabel = startDate || endDate
+      ? `${startDate ? day(startDate) : 'start'} to ${endDate ? day(endDate) : 'today'}`
+      : 'All transactions';
+    const fileName = `transactions-${startDate ? day(startDate) : 'all'}${endDate ? `-to-${day(endDate)}` : ''}.${exporter.extension}`;
+
+    res.set({
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    await exporter.write(res, cursor, {
+      filters,
+      periodLabel,
+      userName: req.user.name,
+      currency: baseCurrencyOf(req.user)
+    });
+  } catch (error) {
+    console.error('Export transactions error:', error);
+    // Once the file has started there is no way to report a clean error
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
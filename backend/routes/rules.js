@@ -0,0 +1,324 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Rule = require('../models/Rule');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { validatePattern, compileRule, evaluateRules } = require('../services/rules');
+
+const router = express.Router();
+
+// How much history a dry run looks at, and how many matches it returns
+const TEST_HISTORY_LIMIT = 5000;
+const TEST_SAMPLE_SIZE = 20;
+
+const PATTERN_FIELDS = ['description', 'notes', 'location'];
+
+const ruleValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Rule name must be between 1 and 50 characters'),
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Priority must be a whole number between 0 and 10000')
+    .toInt(),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('stopProcessing').optional().isBoolean().toBoolean(),
+  ...PATTERN_FIELDS.map(field =>
+    body(`conditions.${field}`)
+      .optional({ checkFalsy: true })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Pattern cannot exceed 200 characters')
+      .custom(pattern => {
+        const problem = validatePattern(pattern);
+        if (problem) throw new Error(problem);
+        return true;
+      })
+  ),
+  body('conditions.type')
+    .optional({ checkFalsy: true })
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be income or expense'),
+  body('conditions.amountMin')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a positive number')
+    .toFloat(),
+  body('conditions.amountMax')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a positive number')
+    .toFloat()
+    .custom((max, { req }) => {
+      const min = req.body.conditions?.amountMin;
+      if (min !== undefined && min !== null && min > max) {
+        throw new Error('Maximum amount must not be less than the minimum');
+      }
+      return true;
+    }),
+  body('conditions.paymentMethod')
+    .optional({ checkFalsy: true })
+    .isIn(['cash', 'card', 'bank_transfer', 'upi', 'wallet', 'other'])
+    .withMessage('Invalid payment method'),
+  body('conditions.tags').optional().isArray().withMessage('Tags must be a list'),
+  body('actions.category')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid category'),
+  body('actions.addTags').optional().isArray().withMessage('Tags must be a list'),
+  body('actions.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const cleanTags = (tags) => (tags || []).map(tag => String(tag).trim()).filter(Boolean);
+
+// Pick the editable parts of a rule out of a request body, dropping empty values
+const toRuleFields = ({ conditions = {}, actions = {} }) => {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  return {
+    conditions: {
+      ...Object.fromEntries(PATTERN_FIELDS.filter(field => isSet(conditions[field])).map(field => [field, conditions[field]])),
+      type: conditions.type || undefined,
+      amountMin: isSet(conditions.amountMin) ? conditions.amountMin : undefined,
+      amountMax: isSet(conditions.amountMax) ? conditions.amountMax : undefined,
+      paymentMethod: conditions.paymentMethod || undefined,
+      tags: cleanTags(conditions.tags)
+    },
+    actions: {
+      category: actions.category || undefined,
+      addTags: cleanTags(actions.addTags),
+      notes: actions.notes ? actions.notes.trim() : undefined
+    }
+  };
+};
+
+// Return why a rule can't be saved, or null when it is usable
+const checkRule = async (userId, { conditions, actions }) => {
+  const hasCondition = PATTERN_FIELDS.some(field => conditions[field]) ||
+    conditions.type || conditions.paymentMethod || conditions.tags.length > 0 ||
+    conditions.amountMin !== undefined || conditions.amountMax !== undefined;
+  if (!hasCondition) return 'A rule needs at least one condition';
+
+  if (!actions.category && actions.addTags.length === 0 && !actions.notes) {
+    return 'A rule needs at least one action';
+  }
+
+  if (actions.category) {
+    const category = await Category.findOne({ _id: actions.category, user: userId, isActive: true });
+    if (!category) return 'Category not found';
+    if (conditions.type && category.type !== conditions.type) {
+      return `Category must be a ${conditions.type} category`;
+    }
+  }
+
+  return null;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @route   GET /api/rules
+// @desc    Get user rules in the order they run
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await Rule.find({ user: req.user.id })
+      .populate('actions.category', 'name color icon type')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rules
+// @desc    Create a rule
+// @access  Private
+router.post('/', auth, [
+  body('name').exists({ checkFalsy: true }).withMessage('Rule name is required'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const fields = toRuleFields(req.body);
+    const problem = await checkRule(req.user.id, fields);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const { name, priority, isActive, stopProcessing } = req.body;
+    const rule = new Rule({
+      user: req.user.id,
+      name,
+      priority,
+      isActive,
+      stopProcessing,
+      ...fields
+    });
+
+    await rule.save();
+    await rule.populate('actions.category', 'name color icon type');
+
+    res.status(201).json({
+      message: 'Rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/rules/:id
+// @desc    Update a rule
+// @access  Private
+router.put('/:id', auth, ruleValidators, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    // Conditions and actions are replaced as a whole when either is sent
+    if (req.body.conditions || req.body.actions) {
+      const current = rule.toObject();
+      const fields = toRuleFields({
+        conditions: req.body.conditions || current.conditions,
+        actions: req.body.actions || current.actions
+      });
+      const problem = await checkRule(req.user.id, fields);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+      rule.conditions = fields.conditions;
+      rule.actions = fields.actions;
+    }
+
+    ['name', 'priority', 'isActive', 'stopProcessing'].forEach(key => {
+      if (req.body[key] !== undefined) rule[key] = req.body[key];
+    });
+
+    await rule.save();
+    await rule.populate('actions.category', 'name color icon type');
+
+    res.json({
+      message: 'Rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/rules/:id
+// @desc    Delete a rule
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await Rule.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rules/test
+// @desc    Dry-run a rule (saved via ruleId, or unsaved conditions/actions)
+//          against past transactions without changing anything
+// @access  Private
+router.post('/test', auth, [
+  body('ruleId').optional().isMongoId().withMessage('Invalid rule'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    let fields;
+    if (req.body.ruleId) {
+      const rule = await Rule.findOne({ _id: req.body.ruleId, user: req.user.id }).lean();
+      if (!rule) {
+        return res.status(404).json({ message: 'Rule not found' });
+      }
+      fields = toRuleFields(rule);
+    } else {
+      fields = toRuleFields(req.body);
+      const problem = await checkRule(req.user.id, fields);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+    }
+
+    const compiled = [compileRule({ _id: new mongoose.Types.ObjectId(), ...fields })];
+    const categories = await Category.find({ user: req.user.id, isActive: true }).select('name color icon type');
+    const categoryTypes = new Map(categories.map(c => [c._id.toString(), c.type]));
+
+    const transactions = await Transaction.find({ user: req.user.id })
+      .populate('category', 'name color icon type')
+      .sort({ date: -1 })
+      .limit(TEST_HISTORY_LIMIT)
+      .lean();
+
+    const matches = [];
+    transactions.forEach(transaction => {
+      // Ignore the current category so the preview shows which category the
+      // rule would pick, even where one is already set
+      const { changes, matchedRules } = evaluateRules(
+        compiled,
+        { ...transaction, category: null },
+        categoryTypes
+      );
+      if (matchedRules.length > 0) matches.push({ transaction, changes });
+    });
+
+    res.json({
+      matched: matches.length,
+      tested: transactions.length,
+      sample: matches.slice(0, TEST_SAMPLE_SIZE).map(({ transaction, changes }) => ({
+        transaction,
+        changes: {
+          ...changes,
+          category: changes.category ? categories.find(c => c._id.toString() === changes.category) : undefined
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Test rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,69 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
+const Account = require('../models/Account');
 const auth = require('../middleware/auth');
+const { uploadReceipt } = require('../middleware/upload');
+const { nextOccurrence, upcomingOccurrences } = require('../services/recurring');
+const { syncBudgetsForTransactions } = require('../services/budgets');
+const { syncGoalsForTransactions } = require('../services/goals');
+const { bulkInsertTransactions, buildTransactionFilter } = require('../services/transactions');
+const { publish } = require('../services/events');
+const { validateReceipt, storeReceipt, removeReceipt, detectReceiptType } = require('../services/receipts');
+const { getStorage } = require('../services/storage');
+const { recognize } = require('../services/ocr');
+const { parseReceipt } = require('../services/receiptParser');
+const { createCategorizer } = require('../services/categorize');
+const { createRuleEngine } = require('../services/rules');
+const { suggestCategory, learn, unlearn, getAccuracy } = require('../services/suggestions');
+const { checkAccounts, createTransfer, updateTransfer, deleteTransfer } = require('../services/transfers');
+const { hasSplits, checkSplits } = require('../services/splits');
+const { BASE_AMOUNT, baseCurrencyOf, loadRates, baseAmountFor } = require('../services/currency');
 
 const router = express.Router();
 
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const currencyValidator = body('currency')
+  .optional({ checkFalsy: true })
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage('Currency must be a 3-letter code');
+
+// A transaction spread over several categories: [{ category, amount, note }]
+const splitsValidator = body('splits')
+  .optional({ nullable: true })
+  .isArray()
+  .withMessage('Splits must be a list');
+
+// Validators shared by create and update for the recurring fields
+const recurringValidators = [
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean')
+    .toBoolean(),
+  body('recurringDetails.frequency')
+    .optional()
+    .isIn(RECURRING_FREQUENCIES)
+    .withMessage('Frequency must be daily, weekly, monthly, or yearly'),
+  body('recurringDetails.endDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('End date must be valid')
+];
+
 // @route   GET /api/transactions
 // @desc    Get user transactions with filtering and pagination
 // @access  Private
 router.get('/', auth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  query('type').optional().isIn(['income', 'expense', 'transfer']).withMessage('Type must be income, expense or transfer'),
+  query('account').optional().isMongoId().withMessage('Invalid account'),
   query('startDate').optional().isISO8601().withMessage('Start date must be valid'),
   query('endDate').optional().isISO8601().withMessage('End date must be valid')
 ], async (req, res) => {
@@ -30,29 +81,13 @@ router.get('/', auth, [
       limit = 20,
       type,
       category,
+      account,
       startDate,
       endDate,
       search
     } = req.query;
 
-    // Build filter object
-    const filter = { user: req.user.id };
-    
-    if (type) filter.type = type;
-    if (category) filter.category = category;
-    
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
-    }
-    
-    if (search) {
-      filter.$or = [
-        { description: { $regex: search, $options: 'i' } },
-        { notes: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = buildTransactionFilter(req.user.id, { type, category, account, startDate, endDate, search });
 
     const skip = (page - 1) * limit;
 
@@ -82,9 +117,9 @@ router.get('/', auth, [
 });
 
 // @route   POST /api/transactions
-// @desc    Create a new transaction
+// @desc    Create a new transaction (JSON, or multipart with a `receipt` file)
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, uploadReceipt, [
   body('type')
     .isIn(['income', 'expense'])
     .withMessage('Type must be income or expense'),
@@ -96,13 +131,22 @@ router.post('/', auth, [
     .isLength({ min: 1, max: 200 })
     .withMessage('Description must be between 1 and 200 characters'),
   body('category')
+    .optional({ checkFalsy: true })
     .isMongoId()
     .withMessage('Valid category ID is required'),
+  body('account')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid account'),
   body('date')
     .optional()
     .isISO8601()
-    .withMessage('Date must be valid')
+    .withMessage('Date must be valid'),
+  currencyValidator,
+  splitsValidator,
+  ...recurringValidators
 ], async (req, res) => {
+  let storedReceipt;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -112,7 +156,40 @@ router.post('/', auth, [
       });
     }
 
-    const { type, amount, description, category, date, tags, paymentMethod, notes } = req.body;
+    const { date, account, isRecurring, recurringDetails } = req.body;
+
+    if (isRecurring && !recurringDetails?.frequency) {
+      return res.status(400).json({ message: 'Frequency is required for recurring transactions' });
+    }
+
+    // A split transaction takes its category from its first line
+    let splits;
+    if (Array.isArray(req.body.splits) && req.body.splits.length > 0) {
+      const checked = await checkSplits(req.user.id, req.body.splits, { type: req.body.type, amount: req.body.amount });
+      if (checked.error) {
+        return res.status(400).json({ message: checked.error });
+      }
+      splits = checked.splits;
+    }
+
+    // Rules fill in what the user left out: category, tags, notes
+    const rules = await createRuleEngine(req.user.id);
+    const {
+      type, amount, description, category, tags, paymentMethod, notes, location
+    } = rules.apply({
+      type: req.body.type,
+      amount: req.body.amount,
+      description: req.body.description,
+      category: splits ? splits[0].category : req.body.category || undefined,
+      tags: Array.isArray(req.body.tags) ? req.body.tags : [],
+      paymentMethod: req.body.paymentMethod,
+      notes: req.body.notes,
+      location: req.body.location
+    });
+
+    if (!category) {
+      return res.status(400).json({ message: 'Please choose a category; none of your rules matched' });
+    }
 
     // Verify category belongs to user and matches transaction type
     const categoryDoc = await Category.findOne({ 
@@ -126,39 +203,275 @@ router.post('/', auth, [
       return res.status(400).json({ message: 'Invalid category for this transaction type' });
     }
 
+    const accountDoc = account
+      ? await Account.findOne({ _id: account, user: req.user.id, isArchived: false }).select('currency')
+      : null;
+    if (account && !accountDoc) {
+      return res.status(400).json({ message: 'Invalid account' });
+    }
+
+    // A transaction in an account is in the account's currency
+    if (accountDoc && req.body.currency && req.body.currency !== accountDoc.currency) {
+      return res.status(400).json({ message: `Transactions in this account must be in ${accountDoc.currency}` });
+    }
+    const baseCurrency = baseCurrencyOf(req.user);
+    const currency = accountDoc ? accountDoc.currency : req.body.currency || baseCurrency;
+
+    const receiptError = req.file && validateReceipt(req.file);
+    if (receiptError) {
+      return res.status(400).json({ message: receiptError });
+    }
+
     const transaction = new Transaction({
       user: req.user.id,
       type,
       amount: parseFloat(amount),
+      currency,
       description,
       category,
+      splits,
+      account: account || undefined,
       date: date ? new Date(date) : new Date(),
-      tags: tags || [],
+      tags,
       paymentMethod: paymentMethod || 'other',
+      location,
       notes: notes || ''
     });
 
+    transaction.baseAmount = baseAmountFor(await loadRates(req.user.id), transaction, baseCurrency);
+
+    // The transaction itself is the first occurrence of the series; the
+    // scheduler creates the rest, catching up if the date is in the past
+    if (isRecurring) {
+      transaction.isRecurring = true;
+      transaction.recurringDetails = {
+        frequency: recurringDetails.frequency,
+        endDate: recurringDetails.endDate ? new Date(recurringDetails.endDate) : undefined,
+        nextDate: nextOccurrence(transaction.date, recurringDetails.frequency, transaction.date)
+      };
+    }
+
+    if (req.file) {
+      storedReceipt = await storeReceipt(req.user.id, req.file);
+      transaction.receipt = { ...storedReceipt, url: `/api/transactions/${transaction._id}/receipt` };
+    }
+
     await transaction.save();
+    storedReceipt = null;
+    await rules.recordMatches().catch(error => console.error('Record rule matches error:', error));
+    await learn(req.user.id, [transaction], { score: true })
+      .catch(error => console.error('Learn categories error:', error));
+    await syncBudgetsForTransactions(req.user.id, [transaction]);
+    await syncGoalsForTransactions(req.user.id, [transaction]);
     await transaction.populate('category', 'name color type');
+    publish(req.user.id, 'transaction.created', transaction);
 
     res.status(201).json({
       message: 'Transaction created successfully',
       transaction
     });
   } catch (error) {
+    // Don't leave an orphaned file behind
+    await removeReceipt(storedReceipt);
     console.error('Create transaction error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/transactions/bulk
+// @desc    Create many transactions in one request (imports and migrations)
+// @access  Private
+router.post('/bulk', auth, [
+  body('transactions')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Transactions must be an array of 1 to 1000 items')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { created, skipped } = await bulkInsertTransactions(req.user.id, req.body.transactions, {
+      baseCurrency: baseCurrencyOf(req.user)
+    });
+    if (created.length > 0) publish(req.user.id, 'sync.required', { reason: 'transactions.bulk' });
+
+    res.status(201).json({
+      message: `${created.length} transactions created`,
+      created: created.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Bulk create transactions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// IllegalOperation: multi-document transactions need a replica set
+const sendTransferError = (res, error, action) => {
+  if (error.code === 20) {
+    return res.status(500).json({ message: 'Transfers require MongoDB to run as a replica set' });
+  }
+  console.error(`${action} transfer error:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// What arrives in the destination account, in its currency, when the two
+// accounts of a transfer use different currencies
+const toAmountValidator = body('toAmount')
+  .optional()
+  .isFloat({ min: 0.01 })
+  .withMessage('Received amount must be greater than 0')
+  .toFloat();
+
+// @route   POST /api/transactions/transfers
+// @desc    Move money between two of the user's accounts. Creates an
+//          outgoing and an incoming leg, linked to each other. Between
+//          accounts in different currencies, `toAmount` is what arrives.
+// @access  Private
+router.post('/transfers', auth, [
+  body('fromAccount')
+    .isMongoId()
+    .withMessage('Source account is required'),
+  body('toAccount')
+    .isMongoId()
+    .withMessage('Destination account is required'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  toAmountValidator,
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fromAccount, toAccount, amount, toAmount, date, description, notes } = req.body;
+
+    const { error: accountError, from, to } = await checkAccounts(req.user.id, fromAccount, toAccount);
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+    const sameCurrency = from.currency === to.currency;
+    if (!sameCurrency && toAmount === undefined) {
+      return res.status(400).json({ message: `Enter the amount that arrives in ${to.currency}` });
+    }
+
+    const transactions = await createTransfer(req.user.id, {
+      from,
+      to,
+      amount,
+      toAmount: sameCurrency ? amount : toAmount,
+      date,
+      description,
+      notes,
+      baseCurrency: baseCurrencyOf(req.user)
+    });
+    await syncGoalsForTransactions(req.user.id, transactions);
+    transactions.forEach(transaction => publish(req.user.id, 'transaction.created', transaction));
+
+    res.status(201).json({
+      message: 'Transfer created successfully',
+      transactions
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Create');
+  }
+});
+
+// Fields a generic update must not overwrite
+const PROTECTED_FIELDS = [
+  '_id', 'user', 'recurringSource', 'recurringDetails', 'receipt', 'reconciled', 'transfer', 'splits', 'baseAmount',
+  'createdAt', 'updatedAt'
+];
+
+// Update both legs of a transfer from a PUT on either one
+const updateTransferLegs = async (req, res, leg) => {
+  if (req.file) {
+    return res.status(400).json({ message: 'Receipts cannot be attached to transfers' });
+  }
+
+  // `account` and `amount` on a leg mean that leg's side of the transfer
+  const { date, description, notes, account } = req.body;
+  const isOut = leg.transfer.direction === 'out';
+  const fromAccount = req.body.fromAccount || (isOut ? account : undefined) || undefined;
+  const toAccount = req.body.toAccount || (isOut ? undefined : account) || undefined;
+  const parse = (value) => (value !== undefined && value !== '' ? parseFloat(value) : undefined);
+  const amount = parse(isOut || req.body.toAmount !== undefined ? req.body.amount : undefined);
+  let toAmount = parse(req.body.toAmount !== undefined ? req.body.toAmount : isOut ? undefined : req.body.amount);
+
+  try {
+    const other = await Transaction.findOne({ _id: leg.transfer.counterpart, user: req.user.id }).select('account');
+    const accountsChanged = Boolean(fromAccount || toAccount);
+    const { error: accountError, from, to } = await checkAccounts(
+      req.user.id,
+      fromAccount || (isOut ? leg.account : other?.account),
+      toAccount || (isOut ? other?.account : leg.account),
+      { includeArchived: !accountsChanged }
+    );
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+
+    if (from.currency === to.currency) {
+      // Both legs move the same amount
+      toAmount = amount !== undefined ? amount : toAmount;
+    } else if (accountsChanged && toAmount === undefined) {
+      return res.status(400).json({ message: `Enter the amount that arrives in ${to.currency}` });
+    }
+
+    const transactions = await updateTransfer(req.user.id, leg._id, {
+      amount: from.currency === to.currency && amount === undefined ? toAmount : amount,
+      toAmount,
+      date: date ? new Date(date) : undefined,
+      description,
+      notes,
+      from: fromAccount ? from : undefined,
+      to: toAccount ? to : undefined,
+      baseCurrency: baseCurrencyOf(req.user)
+    });
+
+    if (!transactions) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    await syncGoalsForTransactions(req.user.id, transactions);
+    transactions.forEach(transaction => publish(req.user.id, 'transaction.updated', transaction));
+
+    res.json({
+      message: 'Transfer updated successfully',
+      transaction: transactions.find(transaction => transaction._id.equals(leg._id)),
+      transactions
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Update');
+  }
+};
+
 // @route   PUT /api/transactions/:id
-// @desc    Update a transaction
+// @desc    Update a transaction. Multipart requests may replace the receipt;
+//          `removeReceipt: true` detaches it.
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, uploadReceipt, [
   body('type')
     .optional()
-    .isIn(['income', 'expense'])
-    .withMessage('Type must be income or expense'),
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
   body('amount')
     .optional()
     .isFloat({ min: 0.01 })
@@ -167,8 +480,21 @@ router.put('/:id', auth, [
     .optional()
     .trim()
     .isLength({ min: 1, max: 200 })
-    .withMessage('Description must be between 1 and 200 characters')
+    .withMessage('Description must be between 1 and 200 characters'),
+  body('account')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid account'),
+  body(['fromAccount', 'toAccount'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account'),
+  toAmountValidator,
+  currencyValidator,
+  splitsValidator,
+  ...recurringValidators
 ], async (req, res) => {
+  let storedReceipt;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -187,7 +513,23 @@ router.put('/:id', auth, [
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
-    const updates = req.body;
+    // A transfer stays a transfer, and both of its legs change together
+    if ((transaction.type === 'transfer') !== ((req.body.type || transaction.type) === 'transfer')) {
+      return res.status(400).json({ message: 'Transfers cannot be turned into income or expenses, or back' });
+    }
+    if (transaction.type === 'transfer') {
+      return updateTransferLegs(req, res, transaction);
+    }
+
+    const { removeReceipt: detachReceipt, ...updates } = req.body;
+    const previous = {
+      type: transaction.type,
+      category: transaction.category,
+      date: transaction.date,
+      description: transaction.description,
+      splits: transaction.toObject().splits,
+      recurringSource: transaction.recurringSource
+    };
     
     // If category is being updated, verify it
     if (updates.category) {
@@ -203,30 +545,286 @@ router.put('/:id', auth, [
       }
     }
 
+    // An empty account moves the transaction out of any account
+    if (updates.account === '' || updates.account === 'null') updates.account = null;
+    if (!updates.currency) delete updates.currency;
+    if (updates.account && updates.account.toString() !== transaction.account?.toString() &&
+        !(await Account.exists({ _id: updates.account, user: req.user.id, isArchived: false }))) {
+      return res.status(400).json({ message: 'Invalid account' });
+    }
+
+    // Splits must still add up after the amount or type changes; an empty
+    // list turns a split transaction back into a plain one
+    let splits = hasSplits(transaction) ? transaction.toObject().splits : [];
+    if (updates.splits !== undefined) splits = Array.isArray(updates.splits) ? updates.splits : [];
+    if (splits.length > 0 && (updates.splits !== undefined || updates.amount !== undefined || updates.type !== undefined)) {
+      const checked = await checkSplits(req.user.id, splits, {
+        type: updates.type || transaction.type,
+        amount: updates.amount !== undefined ? updates.amount : transaction.amount
+      });
+      if (checked.error) {
+        return res.status(400).json({ message: checked.error });
+      }
+      splits = checked.splits;
+    }
+
+    const receiptError = req.file && validateReceipt(req.file);
+    if (receiptError) {
+      return res.status(400).json({ message: receiptError });
+    }
+
     Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined) {
+      if (updates[key] !== undefined && !PROTECTED_FIELDS.includes(key)) {
         transaction[key] = updates[key];
       }
     });
 
+    transaction.splits = splits;
+    if (splits.length > 0) transaction.category = splits[0].category;
+
+    // A transaction in an account is in the account's currency
+    if (transaction.isModified('account') || updates.currency !== undefined) {
+      const accountDoc = transaction.account
+        ? await Account.findOne({ _id: transaction.account, user: req.user.id }).select('currency')
+        : null;
+      if (accountDoc && updates.currency && updates.currency !== accountDoc.currency) {
+        return res.status(400).json({ message: `Transactions in this account must be in ${accountDoc.currency}` });
+      }
+      transaction.currency = accountDoc ? accountDoc.currency : updates.currency || transaction.currency;
+    }
+    if (['amount', 'currency', 'date'].some(field => transaction.isModified(field))) {
+      transaction.baseAmount = baseAmountFor(await loadRates(req.user.id), transaction, baseCurrencyOf(req.user));
+    }
+
+    // A reconciled transaction no longer matches its statement once these change
+    if (['amount', 'type', 'date', 'account'].some(field => transaction.isModified(field))) {
+      transaction.reconciled = false;
+    }
+
+    if (updates.recurringDetails) {
+      const { frequency, endDate } = updates.recurringDetails;
+      if (frequency !== undefined) transaction.recurringDetails.frequency = frequency;
+      if (endDate !== undefined) transaction.recurringDetails.endDate = endDate ? new Date(endDate) : undefined;
+    }
+
+    if (transaction.isRecurring) {
+      if (!transaction.recurringDetails.frequency) {
+        return res.status(400).json({ message: 'Frequency is required for recurring transactions' });
+      }
+
+      // Reschedule from today so an edit never back-fills past occurrences
+      if (transaction.isModified('isRecurring') || transaction.isModified('date') ||
+          transaction.isModified('recurringDetails.frequency')) {
+        const from = new Date(Math.max(transaction.date, Date.now()));
+        transaction.recurringDetails.nextDate = nextOccurrence(
+          transaction.date,
+          transaction.recurringDetails.frequency,
+          from
+        );
+      }
+    }
+
+    // The old files are removed only once the new state is saved
+    const replacedReceipt = (req.file || detachReceipt === true || detachReceipt === 'true') && transaction.receipt?.publicId
+      ? transaction.toObject().receipt
+      : null;
+    if (req.file) {
+      storedReceipt = await storeReceipt(req.user.id, req.file);
+      transaction.receipt = { ...storedReceipt, url: `/api/transactions/${transaction._id}/receipt` };
+    } else if (replacedReceipt) {
+      transaction.receipt = undefined;
+    }
+
     await transaction.save();
+    storedReceipt = null;
+    await removeReceipt(replacedReceipt);
+    // Corrections retrain the suggestions
+    if (previous.description !== transaction.description ||
+        previous.category?.toString() !== transaction.category?.toString()) {
+      await unlearn(req.user.id, [previous])
+        .then(() => learn(req.user.id, [transaction]))
+        .catch(error => console.error('Learn categories error:', error));
+    }
+    await syncBudgetsForTransactions(req.user.id, [previous, transaction]);
+    await syncGoalsForTransactions(req.user.id, [transaction]);
     await transaction.populate('category', 'name color type');
+    publish(req.user.id, 'transaction.updated', transaction);
 
     res.json({
       message: 'Transaction updated successfully',
       transaction
     });
   } catch (error) {
+    await removeReceipt(storedReceipt);
     console.error('Update transaction error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/transactions/recurring/upcoming
+// @desc    List upcoming occurrences of the user's recurring transactions
+// @access  Private
+router.get('/recurring/upcoming', auth, [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const series = await Transaction.find({ user: req.user.id, isRecurring: true })
+      .populate('category', 'name color type');
+
+    const occurrences = series
+      .flatMap(transaction => upcomingOccurrences(transaction, until).map(date => ({
+        date,
+        transaction
+      })))
+      .sort((a, b) => a.date - b.date);
+
+    res.json({ occurrences });
+  } catch (error) {
+    console.error('Get upcoming recurring error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/transactions/:id/skip
+// @desc    Skip one upcoming occurrence of a recurring transaction
+// @access  Private
+router.put('/:id/skip', auth, [
+  body('date').optional().isISO8601().withMessage('Date must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isRecurring: true
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    // Defaults to the next occurrence; any other date must be one the series produces
+    const { nextDate, frequency } = transaction.recurringDetails;
+    const date = req.body.date ? new Date(req.body.date) : nextDate;
+    const isOccurrence = nextDate && date && date >= nextDate && (
+      date.getTime() === nextDate.getTime() ||
+      nextOccurrence(transaction.date, frequency, new Date(date.getTime() - 1)).getTime() === date.getTime()
+    );
+
+    if (!isOccurrence) {
+      return res.status(400).json({ message: 'Date is not an upcoming occurrence' });
+    }
+
+    transaction.recurringDetails.skipDates.addToSet(date);
+    await transaction.save();
+    await transaction.populate('category', 'name color type');
+    publish(req.user.id, 'transaction.updated', transaction);
+
+    res.json({
+      message: 'Occurrence skipped',
+      transaction
+    });
+  } catch (error) {
+    console.error('Skip recurring error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/transactions/:id/pause
+// @desc    Pause or resume a recurring transaction
+// @access  Private
+router.put('/:id/pause', auth, [
+  body('paused').isBoolean().withMessage('Paused must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isRecurring: true
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    const paused = req.body.paused === true || req.body.paused === 'true';
+    const { frequency, nextDate } = transaction.recurringDetails;
+
+    // Occurrences that fell inside the pause are dropped, not back-filled
+    if (!paused && transaction.recurringDetails.isPaused && nextDate && nextDate < new Date()) {
+      transaction.recurringDetails.nextDate = nextOccurrence(transaction.date, frequency, new Date());
+    }
+    transaction.recurringDetails.isPaused = paused;
+
+    await transaction.save();
+    await transaction.populate('category', 'name color type');
+    publish(req.user.id, 'transaction.updated', transaction);
+
+    res.json({
+      message: paused ? 'Recurring transaction paused' : 'Recurring transaction resumed',
+      transaction
+    });
+  } catch (error) {
+    console.error('Pause recurring error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete both legs of a transfer from a DELETE on either one
+const deleteTransferLegs = async (req, res, leg) => {
+  try {
+    const legs = await deleteTransfer(req.user.id, leg._id);
+    if (!legs) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    legs.forEach(({ _id }) => publish(req.user.id, 'transaction.deleted', { _id }));
+
+    res.json({
+      message: 'Transfer deleted successfully',
+      deleted: legs.map(({ _id }) => _id)
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Delete');
+  }
+};
+
 // @route   DELETE /api/transactions/:id
-// @desc    Delete a transaction
+// @desc    Delete a transaction. Deleting either leg of a transfer deletes both.
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
+    const leg = await Transaction.findOne({ _id: req.params.id, user: req.user.id, type: 'transfer' })
+      .select('_id');
+    if (leg) {
+      return deleteTransferLegs(req, res, leg);
+    }
+
     const transaction = await Transaction.findOneAndDelete({
       _id: req.params.id,
       user: req.user.id
@@ -236,6 +834,11 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    await removeReceipt(transaction.receipt);
+    await unlearn(req.user.id, [transaction]).catch(error => console.error('Learn categories error:', error));
+    await syncBudgetsForTransactions(req.user.id, [transaction]);
+    publish(req.user.id, 'transaction.deleted', { _id: transaction._id });
+
     res.json({ message: 'Transaction deleted successfully' });
   } catch (error) {
     console.error('Delete transaction error:', error);
@@ -243,6 +846,181 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/transactions/suggest-category
+// @desc    Suggest a category for a description, learned from the user's
+//          own history
+// @access  Private
+router.get('/suggest-category', auth, [
+  query('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters'),
+  query('type')
+    .optional()
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be income or expense')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { description, type = 'expense' } = req.query;
+    const { suggestion, alternatives } = await suggestCategory(req.user.id, description, type);
+
+    res.json({ suggestion, alternatives });
+  } catch (error) {
+    console.error('Suggest category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/transactions/suggest-category/accuracy
+// @desc    How often category suggestions matched the category finally saved
+// @access  Private
+router.get('/suggest-category/accuracy', auth, async (req, res) => {
+  try {
+    const accuracy = await getAccuracy(req.user.id);
+    res.json({ accuracy });
+  } catch (error) {
+    console.error('Suggestion accuracy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/transactions/scan-receipt
+// @desc    Read a receipt image or PDF (multipart `receipt`) on this server
+//          and return a draft expense with a confidence (0-1) per field.
+//          Nothing is saved.
+// @access  Private
+router.post('/scan-receipt', auth, uploadReceipt, async (req, res) => {
+  try {
+    const receiptError = validateReceipt(req.file);
+    if (receiptError) {
+      return res.status(400).json({ message: req.file ? receiptError : 'Receipt file is required' });
+    }
+
+    const { lines } = await recognize(req.file.buffer, detectReceiptType(req.file.buffer));
+    const fields = parseReceipt(lines, { dateFormat: req.user.preferences?.dateFormat });
+
+    const categorize = await createCategorizer(req.user.id);
+    const suggestion = fields.merchant.value
+      ? categorize({ description: fields.merchant.value, type: 'expense' })
+      : null;
+
+    res.json({
+      draft: {
+        type: 'expense',
+        description: fields.merchant.value,
+        amount: fields.total.value,
+        date: fields.date.value ? fields.date.value.toISOString().slice(0, 10) : null,
+        category: suggestion?.category || null,
+        tax: fields.tax.value
+      },
+      confidence: {
+        description: fields.merchant.confidence,
+        amount: fields.total.confidence,
+        date: fields.date.confidence,
+        category: suggestion?.confidence || 0,
+        tax: fields.tax.confidence
+      },
+      textFound: lines.length > 0
+    });
+  } catch (error) {
+    console.error('Scan receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream one of a transaction's receipt files to its owner
+const sendReceiptFile = (variant) => async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('receipt');
+
+    const receipt = transaction?.receipt;
+    const key = variant === 'thumbnail' ? receipt?.thumbnail : receipt?.publicId;
+    if (!key) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().read(key);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ message: 'Receipt not found' });
+      }
+      throw error;
+    }
+
+    const fileName = (receipt.originalName || 'receipt').replace(/[^\w.\- ]/g, '_');
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/webp' : receipt.contentType,
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    stream.on('error', (error) => {
+      console.error('Read receipt error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/transactions/:id/receipt
+// @desc    Download the receipt attached to a transaction
+// @access  Private
+router.get('/:id/receipt', auth, sendReceiptFile('original'));
+
+// @route   GET /api/transactions/:id/receipt/thumbnail
+// @desc    Download the preview image of a transaction's receipt
+// @access  Private
+router.get('/:id/receipt/thumbnail', auth, sendReceiptFile('thumbnail'));
+
+// @route   DELETE /api/transactions/:id/receipt
+// @desc    Remove the receipt from a transaction
+// @access  Private
+router.delete('/:id/receipt', auth, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    if (!transaction.receipt?.publicId) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    const { receipt } = transaction.toObject();
+    transaction.receipt = undefined;
+    await transaction.save();
+    await removeReceipt(receipt);
+    await transaction.populate('category', 'name color type');
+    publish(req.user.id, 'transaction.updated', transaction);
+
+    res.json({
+      message: 'Receipt removed successfully',
+      transaction
+    });
+  } catch (error) {
+    console.error('Delete receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/transactions/stats
 // @desc    Get transaction statistics
 // @access  Private
@@ -253,7 +1031,8 @@ router.get('/stats', auth, [
   try {
     const { startDate, endDate } = req.query;
     
-    const filter = { user: req.user.id };
+    // Transfers only move money between accounts
+    const filter = { user: req.user._id, type: { $in: ['income', 'expense'] } };
     
     if (startDate || endDate) {
       filter.date = {};
@@ -266,9 +1045,9 @@ router.get('/stats', auth, [
       {
         $group: {
           _id: '$type',
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
-          avgAmount: { $avg: '$amount' }
+          avgAmount: { $avg: BASE_AMOUNT }
         }
       }
     ]);
@@ -296,4 +1075,27 @@ router.get('/stats', auth, [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/transactions/:id
+// @desc    Get one transaction, e.g. one a notification links to
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user.id })
+      .populate('category', 'name color type');
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    res.json({ transaction });
+  } catch (error) {
+    console.error('Get transaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
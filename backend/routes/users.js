@@ -1,6 +1,12 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { createBackup, validateBackup, restoreBackup } = require('../services/backup');
+const { recalculateUserBudgets } = require('../services/budgets');
+const { baseCurrencyOf, recalculateBaseAmounts } = require('../services/currency');
+const { resetClassifier } = require('../services/suggestions');
+const { publish } = require('../services/events');
 
 const router = express.Router();
 
@@ -17,4 +23,77 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/users/backup
+// @desc    Download a versioned JSON archive of everything the user owns
+// @access  Private
+router.get('/backup', auth, async (req, res) => {
+  try {
+    const archive = await createBackup(req.user.id);
+
+    res.set({
+      'Content-Disposition': `attachment; filename="finance-backup-${archive.exportedAt.slice(0, 10)}.json"`,
+      'Cache-Control': 'no-store'
+    });
+    res.json(archive);
+  } catch (error) {
+    console.error('Create backup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/restore
+// @desc    Restore a backup archive by merging it into or replacing the account's data
+// @access  Private
+router.post('/restore', auth, [
+  body('mode')
+    .isIn(['merge', 'replace'])
+    .withMessage('Mode must be merge or replace'),
+  body('backup')
+    .isObject()
+    .withMessage('Backup archive is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mode, backup } = req.body;
+
+    const problem = validateBackup(backup);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const summary = await restoreBackup(req.user.id, backup, mode);
+
+    // Conversions follow the restored rates (and, when replacing, the
+    // restored base currency); budgets carry old totals
+    const user = await User.findById(req.user.id);
+    await recalculateBaseAmounts(user._id, baseCurrencyOf(user));
+    await recalculateUserBudgets(req.user.id);
+    // Category suggestions are rebuilt from the restored history
+    await resetClassifier(req.user.id);
+    publish(req.user.id, 'sync.required', { reason: 'backup.restore' });
+
+    res.json({
+      message: 'Backup restored successfully',
+      summary
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: `Backup contains invalid data: ${error.message}` });
+    }
+    console.error('Restore backup error:', error);
+    // IllegalOperation: transactions need a replica set
+    if (error.code === 20) {
+      return res.status(500).json({ message: 'Restoring backups requires MongoDB to run as a replica set' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
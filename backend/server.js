@@ -13,6 +13,16 @@ const budgetRoutes = require('./routes/budgets');
 const categoryRoutes = require('./routes/categories');
 const notificationRoutes = require('./routes/notifications');
 const reportRoutes = require('./routes/reports');
+const eventRoutes = require('./routes/events');
+const importRoutes = require('./routes/imports');
+const ruleRoutes = require('./routes/rules');
+const accountRoutes = require('./routes/accounts');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const goalRoutes = require('./routes/goals');
+const billRoutes = require('./routes/bills');
+const { startRecurringScheduler } = require('./services/recurring');
+const { startBillReminderScheduler } = require('./services/bills');
+const { verifyAccessToken } = require('./services/sessions');
 
 const app = express();
 
@@ -23,14 +33,32 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting. Signed-in clients page through data and reload on live
+// updates, so requests with a valid access token are counted per user
+// against a higher limit; everything else is counted per IP.
+const tokenUser = (req) => {
+  if (req.rateLimitUser === undefined) {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    req.rateLimitUser = (token && verifyAccessToken(token)?.id) || null;
+  }
+  return req.rateLimitUser;
+};
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_ANONYMOUS) || 100, // per IP
+  skip: (req) => !!tokenUser(req)
+});
+const userLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_USER) || 2000, // per signed-in user
+  skip: (req) => !tokenUser(req),
+  keyGenerator: (req) => `user:${tokenUser(req)}`
 });
-app.use('/api/', limiter);
+app.use('/api/', limiter, userLimiter);
 
-// Body parsing middleware
+// Body parsing middleware (backups can be much larger than normal requests)
+app.use('/api/users/restore', express.json({ limit: process.env.BACKUP_MAX_SIZE || '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -42,7 +70,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-t
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startRecurringScheduler();
+  startBillReminderScheduler();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -53,6 +85,13 @@ app.use('/api/budgets', budgetRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/bills', billRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
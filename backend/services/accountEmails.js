@@ -0,0 +1,85 @@
+const { getMailer } = require('./mailer');
+
+// Links in emails open the web app
+const clientUrl = (path) => `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${path}`;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+// Email a password reset link. `token` is the unhashed token from
+// user.createPasswordResetToken().
+const sendPasswordReset = async (user, token) => {
+  const url = clientUrl(`/reset-password?token=${token}`);
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your Finance Tracker password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your Finance Tracker account.',
+      `Choose a new password here within the next 10 minutes: ${url}`,
+      '',
+      'If it wasn\'t you, ignore this email; your password stays the same.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password for your Finance Tracker account.</p>
+<p><a href="${url}">Choose a new password</a> within the next 10 minutes.</p>
+<p>If it wasn't you, ignore this email; your password stays the same.</p>`
+  });
+};
+
+// Email a link that confirms the address belongs to the user. `token` is the
+// unhashed token from user.createEmailVerificationToken().
+const sendEmailVerification = async (user, token) => {
+  const url = clientUrl(`/verify-email?token=${token}`);
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Confirm your Finance Tracker email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm this is your email address so we can send you alerts',
+      `and password reset links. The link works for 24 hours: ${url}`,
+      '',
+      'If you didn\'t create a Finance Tracker account, ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm this is your email address so we can send you alerts and password reset links.</p>
+<p><a href="${url}">Confirm my email address</a> (the link works for 24 hours).</p>
+<p>If you didn't create a Finance Tracker account, ignore this email.</p>`
+  });
+};
+
+// Email the owner of an account locked after repeated failed sign-ins, with
+// a link that lifts the lock. `token` is the unhashed unlock token.
+const sendAccountLocked = async (user, token, { ip, minutes }) => {
+  const url = clientUrl(`/unlock-account?token=${token}`);
+  const source = ip ? ` from ${ip}` : '';
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Sign-in to your Finance Tracker account is locked',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Someone failed to sign in to your Finance Tracker account several times${source},`,
+      `so sign-in is locked for ${minutes} minutes.`,
+      `If it was you, unlock it now: ${url}`,
+      '',
+      'If it wasn\'t you, change your password and consider turning on two-factor authentication.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone failed to sign in to your Finance Tracker account several times${escapeHtml(source)}, so sign-in is locked for ${minutes} minutes.</p>
+<p>If it was you, <a href="${url}">unlock your account now</a>.</p>
+<p>If it wasn't you, change your password and consider turning on two-factor authentication.</p>`
+  });
+};
+
+module.exports = {
+  sendPasswordReset,
+  sendEmailVerification,
+  sendAccountLocked
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { BASE_AMOUNT } = require('./currency');
+
+// Differences below half a cent are rounding, not a mismatch
+const BALANCE_TOLERANCE = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Income and incoming transfers add to an account; expenses and outgoing
+// transfers take from it
+const isCredit = (transaction) =>
+  transaction.type === 'income' || (transaction.type === 'transfer' && transaction.transfer?.direction === 'in');
+
+const signedAmount = (transaction) =>
+  isCredit(transaction) ? transaction.amount : -transaction.amount;
+
+// An aggregation expression for `amount` with the sign it has on an account
+const signed = (amount) => ({
+  $cond: [
+    { $or: [{ $eq: ['$type', 'income'] }, { $eq: ['$transfer.direction', 'in'] }] },
+    amount,
+    { $multiply: [amount, -1] }
+  ]
+});
+const SIGNED_AMOUNT = signed('$amount');
+
+/**
+ * Transaction totals per account for a user, as a Map of account id (or
+ * 'unassigned' for transactions without one) -> { total, baseTotal, count,
+ * unreconciled }. `total` is in the account's currency, `baseTotal` in the
+ * user's base currency.
+ */
+const getAccountTotals = async (userId) => {
+  const rows = await Transaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $group: {
+        _id: '$account',
+        total: { $sum: SIGNED_AMOUNT },
+        baseTotal: { $sum: signed(BASE_AMOUNT) },
+        count: { $sum: 1 },
+        unreconciled: { $sum: { $cond: ['$reconciled', 0, 1] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(({ _id, total, baseTotal, count, unreconciled }) => [
+    _id ? _id.toString() : 'unassigned',
+    { total: round(total), baseTotal: round(baseTotal), count, unreconciled }
+  ]));
+};
+
+// Accounts (documents or plain objects) with `balance` and counts added.
+// Given `conversion` ({ rates, baseCurrency }), `baseBalance` is the balance
+// in the base currency at today's rate, or null when no rate is known.
+const withBalances = (accounts, totals, conversion) => accounts.map(account => {
+  const { total = 0, count = 0, unreconciled = 0 } = totals.get(account._id.toString()) || {};
+  const plain = account.toObject ? account.toObject() : account;
+  const balance = round((account.openingBalance || 0) + total);
+  return {
+    ...plain,
+    balance,
+    baseBalance: conversion
+      ? conversion.rates.convert(balance, account.currency, conversion.baseCurrency, new Date())
+      : undefined,
+    transactionCount: count,
+    unreconciledCount: unreconciled
+  };
+});
+
+/**
+ * One page of an account's transactions, newest first, each with the
+ * running `balance` after it. Returns { transactions, pagination }.
+ */
+const getLedger = async (account, { page = 1, limit = 50 } = {}) => {
+  const history = await Transaction.find({ user: account.user, account: account._id })
+    .sort({ date: 1, createdAt: 1 })
+    .select('type amount transfer.direction')
+    .lean();
+
+  let running = account.openingBalance || 0;
+  const balances = new Map(history.map(transaction => {
+    running += signedAmount(transaction);
+    return [transaction._id.toString(), round(running)];
+  }));
+
+  const pageIds = history
+    .slice()
+    .reverse()
+    .slice((page - 1) * limit, page * limit)
+    .map(transaction => transaction._id);
+
+  const docs = await Transaction.find({ _id: { $in: pageIds } })
+    .populate('category', 'name color type');
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  return {
+    transactions: pageIds
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(doc => ({ ...doc.toObject(), balance: balances.get(doc._id.toString()) })),
+    pagination: {
+      current: page,
+      pages: Math.ceil(history.length / limit),
+      total: history.length,
+      hasNext: page * limit < history.length,
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Compare an account with a bank statement. The recorded balance up to
+ * `statementDate` must equal `statementBalance`; when it does, every
+ * transaction up to that date is marked reconciled. Otherwise nothing
+ * changes and the not-yet-reconciled transactions in that period are
+ * returned to help find the difference.
+ */
+const reconcileAccount = async (account, { statementBalance, statementDate }) => {
+  const endOfDay = new Date(statementDate);
+  endOfDay.setUTCHours(23, 59, 59, 999);
+  const period = { user: account.user, account: account._id, date: { $lte: endOfDay } };
+
+  const [result] = await Transaction.aggregate([
+    { $match: period },
+    { $group: { _id: null, total: { $sum: SIGNED_AMOUNT } } }
+  ]);
+  const recordedBalance = round((account.openingBalance || 0) + (result?.total || 0));
+  const difference = round(statementBalance - recordedBalance);
+
+  if (Math.abs(difference) >= BALANCE_TOLERANCE) {
+    const unreconciled = await Transaction.find({ ...period, reconciled: { $ne: true } })
+      .populate('category', 'name color type')
+      .sort({ date: -1 })
+      .limit(100);
+    return { reconciled: false, recordedBalance, difference, unreconciled };
+  }
+
+  const { modifiedCount } = await Transaction.updateMany(
+    { ...period, reconciled: { $ne: true } },
+    { $set: { reconciled: true } }
+  );
+  account.lastReconciled = { date: endOfDay, balance: round(statementBalance) };
+  await account.save();
+
+  return { reconciled: true, recordedBalance, difference: 0, newlyReconciled: modifiedCount };
+};
+
+module.exports = {
+  signedAmount,
+  signed,
+  getAccountTotals,
+  withBalances,
+  getLedger,
+  reconcileAccount
+};
@@ -0,0 +1,348 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const ImportMapping = require('../models/ImportMapping');
+const Rule = require('../models/Rule');
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+const Goal = require('../models/Goal');
+const Bill = require('../models/Bill');
+const { ownsReceiptKey, removeReceipt } = require('./receipts');
+
+// Account archives. Bump BACKUP_VERSION when the archive layout changes and
+// teach restoreBackup to read the older versions it still accepts.
+const BACKUP_FORMAT = 'finance-tracker-backup';
+const BACKUP_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const COLLECTIONS = {
+  accounts: Account,
+  categories: Category,
+  transactions: Transaction,
+  budgets: Budget,
+  notifications: Notification,
+  importMappings: ImportMapping,
+  rules: Rule,
+  exchangeRates: ExchangeRate,
+  goals: Goal,
+  bills: Bill
+};
+
+// Drop the owner and internal fields; ids stay so references can be remapped
+const strip = ({ user, __v, ...doc }) => doc;
+
+// Build the archive of everything a user owns
+const createBackup = async (userId) => {
+  const user = await User.findById(userId).select('name email preferences').lean();
+
+  const entries = await Promise.all(
+    Object.entries(COLLECTIONS).map(async ([key, Model]) => [
+      key,
+      (await Model.find({ user: userId }).lean()).map(strip)
+    ])
+  );
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: { name: user.name, email: user.email, preferences: user.preferences },
+    ...Object.fromEntries(entries)
+  };
+};
+
+// Return why an archive can't be restored, or null when it looks usable
+const validateBackup = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return 'This file is not a Finance Tracker backup';
+  }
+  if (!SUPPORTED_VERSIONS.includes(archive.version)) {
+    return `Backup version ${archive.version} is not supported by this server`;
+  }
+
+  const invalid = Object.keys(COLLECTIONS).find(key =>
+    archive[key] !== undefined && !Array.isArray(archive[key])
+  );
+  if (invalid) return `Backup section "${invalid}" must be a list`;
+
+  const missingId = Object.keys(COLLECTIONS).find(key =>
+    (archive[key] || []).some(doc => !doc || !mongoose.isValidObjectId(doc._id))
+  );
+  if (missingId) return `Backup section "${missingId}" has entries without a valid _id`;
+
+  return null;
+};
+
+const sameDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Restore an archive into a user's account inside one database transaction.
+ * Every document gets a new _id and references between documents are
+ * rewritten to match. `mode` is 'replace' (delete the account's data first
+ * and restore preferences) or 'merge' (keep existing data and skip what
+ * already exists). Requires MongoDB running as a replica set.
+ */
+const restoreBackup = async (userId, archive, mode = 'merge') => {
+  const counts = () => Object.fromEntries(Object.keys(COLLECTIONS).map(key => [key, 0]));
+  let summary;
+  let replacedReceipts;
+  let keptReceiptKeys;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction may retry, so every attempt starts a fresh summary
+      summary = { mode, created: counts(), skipped: counts() };
+      replacedReceipts = [];
+      keptReceiptKeys = new Set();
+
+      if (mode === 'replace') {
+        replacedReceipts = (await Transaction.find({ user: userId, 'receipt.publicId': { $exists: true } })
+          .select('receipt').session(session)).map(t => t.toObject().receipt);
+
+        for (const Model of Object.values(COLLECTIONS)) {
+          await Model.deleteMany({ user: userId }, { session });
+        }
+        if (archive.user?.preferences) {
+          await User.updateOne(
+            { _id: userId },
+            { $set: { preferences: archive.user.preferences } },
+            { session, runValidators: true }
+          );
+        }
+      }
+
+      // old id -> new id, across all collections
+      const ids = new Map();
+      const remap = (id) => (id ? ids.get(id.toString()) : undefined);
+
+      // Categories: reuse an existing one with the same name and type
+      const existingCategories = await Category.find({ user: userId }).session(session);
+      const categoryKey = (c) => `${c.type}:${String(c.name).trim().toLowerCase()}`;
+      const categoriesByKey = new Map(existingCategories.map(c => [categoryKey(c), c._id]));
+      const newCategories = [];
+
+      (archive.categories || []).forEach(category => {
+        const existingId = categoriesByKey.get(categoryKey(category));
+        if (existingId) {
+          ids.set(category._id.toString(), existingId);
+          summary.skipped.categories += 1;
+          return;
+        }
+        const _id = new mongoose.Types.ObjectId();
+        ids.set(category._id.toString(), _id);
+        categoriesByKey.set(categoryKey(category), _id);
+        newCategories.push({ ...strip(category), _id, user: userId });
+      });
+
+      // Accounts: reuse an existing one with the same name
+      const existingAccounts = new Map(
+        (await Account.find({ user: userId }).session(session)).map(a => [a.name, a._id])
+      );
+      const newAccounts = [];
+      (archive.accounts || []).forEach(account => {
+        const existingId = existingAccounts.get(account.name);
+        if (existingId) {
+          ids.set(account._id.toString(), existingId);
+          summary.skipped.accounts += 1;
+          return;
+        }
+        const _id = new mongoose.Types.ObjectId();
+        ids.set(account._id.toString(), _id);
+        existingAccounts.set(account.name, _id);
+        newAccounts.push({ ...strip(account), _id, user: userId });
+      });
+
+      // Transactions: skip ones already in the account (same day, type,
+      // amount and description; for transfers, also the same leg)
+      const transactionKey = (t) => `${sameDay(t.date)}|${t.type}|${t.transfer?.direction || ''}|${Number(t.amount).toFixed(2)}|${String(t.description).trim().toLowerCase()}`;
+      const existingTransactions = new Map(
+        (await Transaction.find({ user: userId }).select('date type transfer.direction amount description').session(session))
+          .map(t => [transactionKey(t), t._id])
+      );
+      const transactions = (archive.transactions || []).filter(transaction => {
+        const existingId = existingTransactions.get(transactionKey(transaction));
+        if (existingId) {
+          ids.set(transaction._id.toString(), existingId);
+          summary.skipped.transactions += 1;
+          return false;
+        }
+        ids.set(transaction._id.toString(), new mongoose.Types.ObjectId());
+        return true;
+      });
+      // Receipt files stay where they are; only keep links to this user's own
+      // files so an archive can't point at someone else's
+      const newTransactions = transactions.map(transaction => {
+        const { receipt } = transaction;
+        const _id = remap(transaction._id);
+        return {
+          ...strip(transaction),
+          _id,
+          user: userId,
+          category: remap(transaction.category),
+          splits: (transaction.splits || []).map(split => ({ ...split, category: remap(split.category) })),
+          account: remap(transaction.account),
+          recurringSource: remap(transaction.recurringSource),
+          transfer: transaction.transfer
+            ? { ...transaction.transfer, counterpart: remap(transaction.transfer.counterpart) }
+            : undefined,
+          receipt: ownsReceiptKey(userId, receipt?.publicId) && (!receipt.thumbnail || ownsReceiptKey(userId, receipt.thumbnail))
+            ? { ...receipt, url: `/api/transactions/${_id}/receipt` }
+            : undefined
+        };
+      });
+
+      // Budgets: skip ones covering the same category and period
+      const budgetKey = (b) => `${b.category}|${b.period}|${sameDay(b.startDate)}`;
+      const existingBudgets = new Map(
+        (await Budget.find({ user: userId }).session(session)).map(b => [budgetKey(b), b._id])
+      );
+      const newBudgets = [];
+      (archive.budgets || []).forEach(budget => {
+        const restored = { ...strip(budget), _id: new mongoose.Types.ObjectId(), user: userId, category: remap(budget.category) };
+        const existingId = existingBudgets.get(budgetKey(restored));
+        if (existingId) {
+          ids.set(budget._id.toString(), existingId);
+          summary.skipped.budgets += 1;
+          return;
+        }
+        ids.set(budget._id.toString(), restored._id);
+        newBudgets.push(restored);
+      });
+
+      // Goals: skip ones with a name already in use
+      const existingGoals = new Set(
+        (await Goal.find({ user: userId }).session(session)).map(g => g.name)
+      );
+      const newGoals = (archive.goals || [])
+        .filter(goal => {
+          if (!existingGoals.has(goal.name)) return true;
+          summary.skipped.goals += 1;
+          return false;
+        })
+        .map(goal => {
+          const _id = new mongoose.Types.ObjectId();
+          ids.set(goal._id.toString(), _id);
+          return {
+            ...strip(goal),
+            _id,
+            user: userId,
+            account: remap(goal.account),
+            category: remap(goal.category)
+          };
+        });
+
+      // Bills: skip payees already in use
+      const existingBills = new Set(
+        (await Bill.find({ user: userId }).session(session)).map(b => b.payee)
+      );
+      const newBills = (archive.bills || [])
+        .filter(bill => {
+          if (!existingBills.has(bill.payee)) return true;
+          summary.skipped.bills += 1;
+          return false;
+        })
+        .map(bill => {
+          const _id = new mongoose.Types.ObjectId();
+          ids.set(bill._id.toString(), _id);
+          return {
+            ...strip(bill),
+            _id,
+            user: userId,
+            category: remap(bill.category),
+            account: remap(bill.account),
+            lastTransaction: remap(bill.lastTransaction)
+          };
+        });
+
+      // Notifications point at other documents through `data`
+      const newNotifications = (archive.notifications || []).map(notification => {
+        const data = { ...(notification.data || {}) };
+        ['budgetId', 'categoryId', 'transactionId', 'goalId', 'billId'].forEach(field => {
+          if (data[field]) data[field] = remap(data[field]) || data[field];
+        });
+        return { ...strip(notification), _id: new mongoose.Types.ObjectId(), user: userId, data };
+      });
+
+      const existingMappings = new Set(
+        (await ImportMapping.find({ user: userId }).session(session)).map(m => m.name)
+      );
+      const newMappings = (archive.importMappings || [])
+        .filter(mapping => {
+          if (!existingMappings.has(mapping.name)) return true;
+          summary.skipped.importMappings += 1;
+          return false;
+        })
+        .map(mapping => ({ ...strip(mapping), _id: new mongoose.Types.ObjectId(), user: userId }));
+
+      // Rules: skip ones with a name already in use
+      const existingRules = new Set(
+        (await Rule.find({ user: userId }).session(session)).map(r => r.name)
+      );
+      const newRules = (archive.rules || [])
+        .filter(rule => {
+          if (!existingRules.has(rule.name)) return true;
+          summary.skipped.rules += 1;
+          return false;
+        })
+        .map(rule => ({
+          ...strip(rule),
+          _id: new mongoose.Types.ObjectId(),
+          user: userId,
+          actions: { ...(rule.actions || {}), category: remap(rule.actions?.category) }
+        }));
+
+      // Exchange rates: skip pairs that already have a rate that day
+      const rateKey = (r) => `${r.from}|${r.to}|${sameDay(r.date)}`;
+      const existingRates = new Set(
+        (await ExchangeRate.find({ user: userId }).session(session)).map(rateKey)
+      );
+      const newRates = (archive.exchangeRates || [])
+        .filter(rate => {
+          if (!existingRates.has(rateKey(rate))) return true;
+          summary.skipped.exchangeRates += 1;
+          return false;
+        })
+        .map(rate => ({ ...strip(rate), _id: new mongoose.Types.ObjectId(), user: userId }));
+
+      const inserts = [
+        ['accounts', Account, newAccounts],
+        ['categories', Category, newCategories],
+        ['transactions', Transaction, newTransactions],
+        ['budgets', Budget, newBudgets],
+        ['notifications', Notification, newNotifications],
+        ['importMappings', ImportMapping, newMappings],
+        ['rules', Rule, newRules],
+        ['exchangeRates', ExchangeRate, newRates],
+        ['goals', Goal, newGoals],
+        ['bills', Bill, newBills]
+      ];
+      newTransactions.forEach(t => t.receipt && keptReceiptKeys.add(t.receipt.publicId));
+
+      for (const [key, Model, docs] of inserts) {
+        if (docs.length === 0) continue;
+        await Model.insertMany(docs, { session });
+        summary.created[key] = docs.length;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Files of replaced transactions that the archive doesn't link to again
+  await Promise.all(replacedReceipts
+    .filter(receipt => !keptReceiptKeys.has(receipt.publicId))
+    .map(removeReceipt));
+
+  return summary;
+};
+
+module.exports = {
+  BACKUP_VERSION,
+  createBackup,
+  validateBackup,
+  restoreBackup
+};
@@ -0,0 +1,228 @@
+const Bill = require('../models/Bill');
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { createNotification, wantsEmail } = require('./notifications');
+const { publish } = require('./events');
+const { syncBudgetsForTransactions } = require('./budgets');
+const { syncGoalsForTransactions } = require('./goals');
+const { baseCurrencyOf, loadRates, baseAmountFor } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many months each bill frequency covers
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The due date in a month (which may be out of range, e.g. 12 or -1), with
+// the due day clamped to short months
+const dueDateIn = (year, month, dueDay) => {
+  const normalized = new Date(Date.UTC(year, month, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+  return new Date(Date.UTC(y, m, Math.min(dueDay, daysInMonth(y, m))));
+};
+
+// The first due date on or after `from`
+const firstDueDate = (dueDay, from = new Date()) => {
+  const day = startOfDay(from);
+  const thisMonth = dueDateIn(day.getUTCFullYear(), day.getUTCMonth(), dueDay);
+  return thisMonth >= day
+    ? thisMonth
+    : dueDateIn(day.getUTCFullYear(), day.getUTCMonth() + 1, dueDay);
+};
+
+// The due date after the bill's current one. Always computed from the due
+// day, so a bill due on the 31st comes back to the 31st after February.
+const followingDueDate = (bill) => {
+  const current = new Date(bill.nextDueDate);
+  return dueDateIn(
+    current.getUTCFullYear(),
+    current.getUTCMonth() + FREQUENCY_MONTHS[bill.frequency],
+    bill.dueDay
+  );
+};
+
+const daysUntilDue = (bill, now = new Date()) =>
+  Math.round((startOfDay(bill.nextDueDate) - startOfDay(now)) / DAY_MS);
+
+// 'overdue', 'due_soon' (inside the reminder window) or 'upcoming'
+const billStatus = (bill, now = new Date()) => {
+  const days = daysUntilDue(bill, now);
+  if (days < 0) return 'overdue';
+  if (days <= bill.reminderDays) return 'due_soon';
+  return 'upcoming';
+};
+
+// A bill as sent to clients
+const presentBill = (bill, now = new Date()) => ({
+  ...(bill.toObject ? bill.toObject() : bill),
+  daysUntilDue: daysUntilDue(bill, now),
+  status: billStatus(bill, now)
+});
+
+const reminderText = (bill, currency, now) => {
+  const days = daysUntilDue(bill, now);
+  const amount = `${bill.isEstimate ? 'about ' : ''}${bill.amount.toFixed(2)} ${currency}`;
+  const due = bill.nextDueDate.toISOString().split('T')[0];
+  const autopay = bill.autopay ? ' It will be paid automatically.' : '';
+
+  if (days < 0) {
+    return {
+      title: `Bill overdue: ${bill.payee}`,
+      message: `${bill.payee} (${amount}) was due on ${due}.${autopay}`
+    };
+  }
+  return {
+    title: days === 0 ? `Bill due today: ${bill.payee}` : `Bill due soon: ${bill.payee}`,
+    message: days === 0
+      ? `${bill.payee} (${amount}) is due today.${autopay}`
+      : `${bill.payee} (${amount}) is due on ${due}, in ${days} day${days === 1 ? '' : 's'}.${autopay}`
+  };
+};
+
+// Send the reminder for a bill's current due date. `user` needs its
+// preferences and isEmailVerified.
+const remindBill = async (bill, user, now = new Date()) => {
+  const currency = bill.account?.currency || baseCurrencyOf(user);
+
+  const notification = await createNotification({
+    user: bill.user,
+    type: 'bill_reminder',
+    priority: daysUntilDue(bill, now) <= 0 ? 'high' : 'medium',
+    ...reminderText(bill, currency, now),
+    data: {
+      billId: bill._id,
+      dueDate: bill.nextDueDate,
+      amount: bill.amount,
+      autopay: bill.autopay
+    },
+    channels: { email: wantsEmail(user) }
+  });
+
+  bill.remindedFor = bill.nextDueDate;
+  await bill.save();
+  return notification;
+};
+
+// Send every reminder that is due, across all users. A bill is reminded once
+// per due date, once inside its reminder window (or late, after downtime).
+const processBillReminders = async (now = new Date()) => {
+  const bills = await Bill.find({
+    isActive: true,
+    nextDueDate: { $lte: new Date(startOfDay(now).getTime() + 31 * DAY_MS) }
+  }).populate('account', 'currency');
+
+  const due = bills.filter(bill =>
+    daysUntilDue(bill, now) <= bill.reminderDays &&
+    !(bill.remindedFor && bill.remindedFor >= bill.nextDueDate)
+  );
+  if (due.length === 0) return 0;
+
+  const users = new Map(
+    (await User.find({ _id: { $in: due.map(bill => bill.user) } }).select('preferences isEmailVerified'))
+      .map(user => [user._id.toString(), user])
+  );
+
+  let sent = 0;
+  for (const bill of due) {
+    const user = users.get(bill.user.toString());
+    if (!user || !user.preferences?.notifications?.billReminders) continue;
+    try {
+      await remindBill(bill, user, now);
+      sent += 1;
+    } catch (error) {
+      console.error(`Bill reminder ${bill._id} error:`, error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Record a payment of a bill's current due date: creates the expense (in
+ * the bill's category, and its account unless another is given) and moves
+ * the bill on to its next due date. Returns { bill, transaction }, or
+ * { error } when the category or account can't be used.
+ */
+const payBill = async (user, bill, { amount, date, account, paymentMethod } = {}) => {
+  const accountId = account !== undefined ? account || null : bill.account;
+  const accountDoc = accountId
+    ? await Account.findOne({ _id: accountId, user: user._id, isArchived: false }).select('currency')
+    : null;
+  if (accountId && !accountDoc) {
+    return { error: 'Invalid account' };
+  }
+
+  const category = await Category.exists({ _id: bill.category, user: user._id, type: 'expense', isActive: true });
+  if (!category) {
+    return { error: 'This bill\'s category is no longer available; choose another one' };
+  }
+
+  const baseCurrency = baseCurrencyOf(user);
+  const transaction = new Transaction({
+    user: user._id,
+    type: 'expense',
+    amount: amount || bill.amount,
+    currency: accountDoc ? accountDoc.currency : baseCurrency,
+    description: bill.payee,
+    category: bill.category,
+    account: accountDoc ? accountDoc._id : undefined,
+    date: date ? new Date(date) : new Date(),
+    paymentMethod: paymentMethod || bill.paymentMethod,
+    notes: bill.notes || ''
+  });
+  transaction.baseAmount = baseAmountFor(await loadRates(user._id), transaction, baseCurrency);
+  await transaction.save();
+
+  bill.lastPaidDate = transaction.date;
+  bill.lastTransaction = transaction._id;
+  bill.nextDueDate = followingDueDate(bill);
+  bill.remindedFor = undefined;
+  await bill.save();
+
+  await syncBudgetsForTransactions(user._id, [transaction]);
+  await syncGoalsForTransactions(user._id, [transaction]);
+  await transaction.populate('category', 'name color type');
+  publish(user._id, 'transaction.created', transaction);
+
+  return { bill, transaction };
+};
+
+let timer = null;
+
+// Send due reminders now and then on a fixed interval
+const startBillReminderScheduler = (intervalMinutes = parseInt(process.env.BILL_REMINDER_INTERVAL_MINUTES) || 60) => {
+  if (timer) return timer;
+
+  const run = () => processBillReminders()
+    .then(count => count > 0 && console.log(`Sent ${count} bill reminders`))
+    .catch(error => console.error('Bill reminder scheduler error:', error));
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+module.exports = {
+  FREQUENCY_MONTHS,
+  firstDueDate,
+  followingDueDate,
+  dueDateIn,
+  presentBill,
+  processBillReminders,
+  payBill,
+  startBillReminderScheduler
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { notifyBudgetThresholds } = require('./notifications');
+const { publish } = require('./events');
+const { categoryLines, matchCategory, UNWIND_CATEGORY_LINES } = require('./splits');
+const { BASE_AMOUNT } = require('./currency');
+
+// Sum the expenses that fall in a budget's category and date range, in the
+// user's base currency. Only the matching lines of split transactions count.
+const calculateSpent = async (budget) => {
+  const category = new mongoose.Types.ObjectId(budget.category._id || budget.category);
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(budget.user),
+        ...matchCategory(category),
+        type: 'expense',
+        date: { $gte: budget.startDate, $lte: budget.endDate }
+      }
+    },
+    ...UNWIND_CATEGORY_LINES,
+    { $match: { category } },
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+  ]);
+
+  return result ? Math.round(result.total * 100) / 100 : 0;
+};
+
+// Recalculate and store `spent` for one budget, alerting the user if that
+// pushed it across a threshold; returns the budget
+const recalculateBudget = async (budget) => {
+  budget.spent = await calculateSpent(budget);
+  await budget.save();
+  await notifyBudgetThresholds(budget);
+
+  if (!budget.populated('category')) {
+    await budget.populate('category', 'name color type');
+  }
+  publish(budget.user, 'budget.updated', budget);
+  return budget;
+};
+
+// Recalculate every budget touched by the given transactions. Pass both the
+// old and new version of an edited transaction so a category or date move
+// updates the budget it left as well as the one it joined. Failures are
+// logged rather than thrown: the transaction itself is already saved and the
+// recompute endpoint can repair any drift.
+const syncBudgetsForTransactions = async (userId, transactions) => {
+  const lines = transactions
+    .filter(t => t && t.type === 'expense' && t.date)
+    .flatMap(t => categoryLines(t).map(line => ({ category: line.category, date: t.date })))
+    .filter(line => line.category);
+  if (lines.length === 0) return [];
+
+  try {
+    const budgets = await Budget.find({
+      user: userId,
+      $or: lines.map(line => ({
+        category: line.category._id || line.category,
+        startDate: { $lte: line.date },
+        endDate: { $gte: line.date }
+      }))
+    });
+
+    return await Promise.all(budgets.map(recalculateBudget));
+  } catch (error) {
+    console.error('Budget sync error:', error);
+    return [];
+  }
+};
+
+// Recalculate all of a user's budgets (repairs drift)
+const recalculateUserBudgets = async (userId) => {
+  const budgets = await Budget.find({ user: userId });
+  return Promise.all(budgets.map(recalculateBudget));
+};
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly'];
+
+// Return why a bulk budget can't be created, or null when it's valid.
+// `expenseCategories` holds the ids of the user's active expense categories.
+const validateBulkBudget = (item, expenseCategories) => {
+  if (!item || typeof item !== 'object') return 'Invalid budget';
+  if (!expenseCategories.has(String(item.category))) return 'Invalid expense category';
+  if (!(parseFloat(item.amount) >= 0.01)) return 'Budget amount must be greater than 0';
+  if (!BUDGET_PERIODS.includes(item.period)) return 'Period must be weekly, monthly, or yearly';
+  if (isNaN(new Date(item.startDate).getTime())) return 'Start date must be valid';
+  if (isNaN(new Date(item.endDate).getTime())) return 'End date must be valid';
+  return null;
+};
+
+// Budgets for the same category and period may not cover the same dates
+const overlaps = (a, b) =>
+  String(a.category) === String(b.category) && a.period === b.period &&
+  a.startDate <= b.endDate && a.endDate >= b.startDate;
+
+// Create many budgets for a user in one write (imports), with their spending
+// worked out. Invalid items, and ones overlapping an active budget or an
+// earlier item, are reported by index in `skipped`.
+const bulkCreateBudgets = async (userId, items) => {
+  const [categories, existing] = await Promise.all([
+    Category.find({ user: userId, type: 'expense', isActive: true }).select('_id'),
+    Budget.find({ user: userId, isActive: true }).select('category period startDate endDate')
+  ]);
+  const expenseCategories = new Set(categories.map(c => c._id.toString()));
+  const taken = [...existing];
+
+  const docs = [];
+  const skipped = [];
+
+  items.forEach((item, index) => {
+    const reason = validateBulkBudget(item, expenseCategories);
+    if (reason) {
+      skipped.push({ index, reason });
+      return;
+    }
+
+    const doc = {
+      user: userId,
+      category: String(item.category),
+      amount: parseFloat(item.amount),
+      period: item.period,
+      startDate: new Date(item.startDate),
+      endDate: new Date(item.endDate),
+      alertThresholds: item.alertThresholds || { warning: 80, critical: 95 },
+      notes: item.notes || ''
+    };
+    if (taken.some(budget => overlaps(budget, doc))) {
+      skipped.push({ index, reason: 'Budget already exists for this category and period' });
+      return;
+    }
+    taken.push(doc);
+    docs.push(doc);
+  });
+
+  const inserted = docs.length > 0 ? await Budget.insertMany(docs) : [];
+  const created = await Promise.all(inserted.map(recalculateBudget));
+
+  return { created, skipped };
+};
+
+module.exports = {
+  calculateSpent,
+  recalculateBudget,
+  syncBudgetsForTransactions,
+  recalculateUserBudgets,
+  validateBulkBudget,
+  bulkCreateBudgets
+};
@@ -0,0 +1,60 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+
+const HISTORY_LIMIT = 2000;
+
+// Reduce a description to the part that identifies the payee: lowercase,
+// without card numbers, dates and reference codes
+const normalizeDescription = (description) =>
+  String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z\s&]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Build a function that suggests a category for a new transaction
+ * ({ description, type, sourceCategory }) from the user's own history:
+ * the category last used for the same payee, otherwise a category whose
+ * name matches the category given in the source file. Returns
+ * { category, confidence (0-1), source } or null when nothing fits.
+ */
+const createCategorizer = async (userId) => {
+  const [categories, history] = await Promise.all([
+    Category.find({ user: userId, isActive: true }),
+    Transaction.find({ user: userId })
+      .sort({ date: -1 })
+      .limit(HISTORY_LIMIT)
+      .select('description type category')
+  ]);
+
+  const activeIds = new Set(categories.map(c => c._id.toString()));
+  const byPayee = new Map();
+  history.forEach(transaction => {
+    const key = `${transaction.type}:${normalizeDescription(transaction.description)}`;
+    const categoryId = transaction.category?.toString();
+    // History is newest first, so keep the first category seen
+    if (!byPayee.has(key) && activeIds.has(categoryId)) byPayee.set(key, categoryId);
+  });
+
+  const byName = new Map(categories.map(c => [`${c.type}:${c.name.toLowerCase()}`, c._id.toString()]));
+
+  return ({ description, type, sourceCategory }) => {
+    const fromHistory = byPayee.get(`${type}:${normalizeDescription(description)}`);
+    if (fromHistory) return { category: fromHistory, confidence: 0.8, source: 'history' };
+
+    if (sourceCategory) {
+      // QIF categories may be "Parent:Child"; try the most specific part first
+      const names = String(sourceCategory).toLowerCase().split(':').reverse();
+      const match = names.map(name => byName.get(`${type}:${name.trim()}`)).find(Boolean);
+      if (match) return { category: match, confidence: 0.9, source: 'file' };
+    }
+
+    return null;
+  };
+};
+
+module.exports = {
+  normalizeDescription,
+  createCategorizer
+};
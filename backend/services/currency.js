@@ -0,0 +1,135 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_CURRENCY = 'INR';
+const BATCH_SIZE = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// A transaction's amount in the user's base currency, for aggregations
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+const baseCurrencyOf = (user) => user?.preferences?.currency || DEFAULT_CURRENCY;
+
+// Transactions in another currency that no rate could convert
+const unconvertedFilter = (baseCurrency) => ({
+  currency: { $exists: true, $ne: baseCurrency },
+  baseAmount: { $exists: false }
+});
+
+/**
+ * Load a user's exchange rates. Returns { rateFor(from, to, date), convert(amount, from, to, date) },
+ * both null when no rate between the two currencies is known. The latest
+ * rate on or before the date is used; dates before the first known rate use
+ * the earliest one. A rate also converts the other way round.
+ */
+const loadRates = async (userId) => {
+  const rates = await ExchangeRate.find({ user: userId })
+    .sort({ date: 1 })
+    .select('from to rate date')
+    .lean();
+
+  const byPair = new Map();
+  const add = (from, to, rate, date) => {
+    const key = `${from}:${to}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push({ rate, time: date.getTime() });
+  };
+  rates.forEach(({ from, to, rate, date }) => {
+    add(from, to, rate, date);
+    add(to, from, 1 / rate, date);
+  });
+
+  const rateFor = (from, to, date) => {
+    if (from === to) return 1;
+    const list = byPair.get(`${from}:${to}`);
+    if (!list) return null;
+
+    // Last rate on or before the date
+    const time = new Date(date).getTime();
+    let low = 0;
+    let high = list.length - 1;
+    let found = 0;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (list[middle].time <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return list[found].rate;
+  };
+
+  const convert = (amount, from, to, date) => {
+    const rate = rateFor(from, to, date);
+    return rate === null ? null : round(amount * rate);
+  };
+
+  return { rateFor, convert };
+};
+
+// The baseAmount to store for a transaction: undefined when it is already in
+// the base currency or no rate is known
+const baseAmountFor = (rates, transaction, baseCurrency) => {
+  const currency = transaction.currency || baseCurrency;
+  if (currency === baseCurrency) return undefined;
+  const converted = rates.convert(transaction.amount, currency, baseCurrency, transaction.date);
+  return converted === null ? undefined : converted;
+};
+
+/**
+ * Recompute the base amounts of all a user's transactions, after their rates
+ * or base currency changed. Transactions saved without a currency are in the
+ * base currency; pass the old one as `previousBase` when it changes so they
+ * keep it. Returns the number of transactions updated.
+ */
+const recalculateBaseAmounts = async (userId, baseCurrency, { previousBase } = {}) => {
+  if (previousBase && previousBase !== baseCurrency) {
+    await Transaction.updateMany(
+      { user: userId, currency: { $exists: false } },
+      { $set: { currency: previousBase } }
+    );
+  }
+
+  const rates = await loadRates(userId);
+  const cursor = Transaction.find({ user: userId, currency: { $exists: true } })
+    .select('amount currency date baseAmount')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Transaction.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const transaction of cursor) {
+    const baseAmount = baseAmountFor(rates, transaction, baseCurrency);
+    if (baseAmount === transaction.baseAmount) continue;
+    operations.push({
+      updateOne: {
+        filter: { _id: transaction._id },
+        update: baseAmount === undefined ? { $unset: { baseAmount: 1 } } : { $set: { baseAmount } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  BASE_AMOUNT,
+  baseCurrencyOf,
+  unconvertedFilter,
+  loadRates,
+  baseAmountFor,
+  recalculateBaseAmounts
+};
@@ -0,0 +1,62 @@
+// In-process fan-out of change events to every open event stream of a user.
+// Streams live in this process only, so run a single API instance (or put a
+// shared pub/sub in front of publish) when scaling out.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// userId -> Set of open responses
+const streams = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Register an SSE response for a user; returns a function that removes it
+const subscribe = (userId, res) => {
+  const key = userId.toString();
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  return () => {
+    clearInterval(heartbeat);
+    const userStreams = streams.get(key);
+    if (!userStreams) return;
+    userStreams.delete(res);
+    if (userStreams.size === 0) streams.delete(key);
+  };
+};
+
+// Send an event to all of a user's sessions. Payloads go through JSON, so
+// pass plain objects or documents with a toJSON.
+const publish = (userId, event, data = {}) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+
+  userStreams.forEach(res => {
+    try {
+      write(res, event, data);
+    } catch (error) {
+      console.error('Event stream write error:', error);
+    }
+  });
+};
+
+// End a user's open streams, or only those of one session (streams record
+// theirs in res.locals.sessionId), e.g. once it is revoked. Clients
+// reconnect and have to authenticate again.
+const closeStreams = (userId, { sessionId } = {}) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+  userStreams.forEach(res => {
+    if (!sessionId || String(res.locals.sessionId) === String(sessionId)) res.end();
+  });
+};
+
+module.exports = {
+  subscribe,
+  publish,
+  closeStreams
+};
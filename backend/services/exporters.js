@@ -0,0 +1,251 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Writers for GET /api/reports/export. Each one reads transactions from a
+// Mongoose cursor (with `category` and `splits.category` populated) and
+// streams the file into the
+// response, so large exports never sit in memory. Totals are in the user's
+// base currency (`meta.currency`).
+
+const COLUMNS = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Type', key: 'type', width: 10 },
+  { header: 'Category', key: 'category', width: 20 },
+  { header: 'Account', key: 'account', width: 20 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Base Amount', key: 'baseAmount', width: 14 },
+  { header: 'Payment Method', key: 'paymentMethod', width: 16 },
+  { header: 'Tags', key: 'tags', width: 20 },
+  { header: 'Notes', key: 'notes', width: 40 },
+  { header: 'Location', key: 'location', width: 20 }
+];
+
+const categoryName = (category) => category?.name || 'Uncategorized';
+
+// Split lines as plain values; undefined for transactions that aren't split
+const toSplits = (transaction) => (transaction.splits?.length
+  ? transaction.splits.map(({ category, amount, note }) => ({ category: categoryName(category), amount, note: note || '' }))
+  : undefined);
+
+// The amount in the base currency, or null when no rate converted it
+const baseAmountOf = (transaction, baseCurrency) => {
+  if (transaction.baseAmount !== undefined && transaction.baseAmount !== null) return transaction.baseAmount;
+  return !transaction.currency || transaction.currency === baseCurrency ? transaction.amount : null;
+};
+
+const toRecord = (transaction, baseCurrency) => ({
+  date: transaction.date.toISOString().slice(0, 10),
+  type: transaction.type,
+  category: transaction.type === 'transfer'
+    ? `Transfer ${transaction.transfer?.direction === 'out' ? 'out' : 'in'}`
+    : transaction.splits?.length
+      ? toSplits(transaction).map(split => `${split.category} ${split.amount.toFixed(2)}`).join('; ')
+      : categoryName(transaction.category),
+  splits: toSplits(transaction),
+  account: transaction.account?.name || '',
+  description: transaction.description,
+  amount: transaction.amount,
+  currency: transaction.currency || baseCurrency,
+  baseAmount: baseAmountOf(transaction, baseCurrency),
+  paymentMethod: transaction.paymentMethod || '',
+  tags: (transaction.tags || []).join('; '),
+  notes: transaction.notes || '',
+  location: transaction.location || ''
+});
+
+// Running income/expense totals in the base currency, overall and per
+// category. Transactions no rate could convert are left out.
+const createTotals = () => {
+  const totals = { income: 0, expense: 0, categories: new Map() };
+
+  totals.add = (record) => {
+    // Transfers move money between accounts; they aren't income or spending
+    if (record.type === 'transfer' || record.baseAmount === null) return;
+    totals[record.type] += record.baseAmount;
+    const scale = record.baseAmount / record.amount;
+    // Split transactions count towards each of their lines' categories
+    (record.splits || [record]).forEach(({ category, amount }) => {
+      const key = `${record.type}:${category}`;
+      const entry = totals.categories.get(key) || { type: record.type, category, total: 0, count: 0 };
+      entry.total += amount * scale;
+      entry.count += 1;
+      totals.categories.set(key, entry);
+    });
+  };
+
+  // Expenses first, largest first within each type
+  totals.byCategory = () =>
+    [...totals.categories.values()].sort((a, b) =>
+      a.type === b.type ? b.total - a.total : a.type === 'expense' ? -1 : 1
+    );
+
+  return totals;
+};
+
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+// Quote fields that need it, and stop spreadsheets from running text that
+// starts like a formula
+const escapeCsv = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (res, cursor, meta) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  await writeChunk(res, `\uFEFF${COLUMNS.map(c => escapeCsv(c.header)).join(',')}\r\n`);
+
+  for await (const transaction of cursor) {
+    const record = toRecord(transaction, meta.currency);
+    await writeChunk(res, `${COLUMNS.map(c => escapeCsv(record[c.key])).join(',')}\r\n`);
+  }
+  res.end();
+};
+
+const writeJson = async (res, cursor, meta) => {
+  await writeChunk(res, `{"exportedAt":${JSON.stringify(new Date())},"filters":${JSON.stringify(meta.filters)},"transactions":[`);
+
+  let first = true;
+  for await (const transaction of cursor) {
+    await writeChunk(res, `${first ? '' : ','}\n${JSON.stringify(toRecord(transaction, meta.currency))}`);
+    first = false;
+  }
+  res.end('\n]}\n');
+};
+
+const writeXlsx = async (res, cursor, meta) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const totals = createTotals();
+
+  const sheet = workbook.addWorksheet('Transactions');
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('amount').numFmt = '#,##0.00';
+  sheet.getColumn('baseAmount').numFmt = '#,##0.00';
+
+  for await (const transaction of cursor) {
+    const record = toRecord(transaction, meta.currency);
+    totals.add(record);
+    sheet.addRow(record).commit();
+  }
+  sheet.commit();
+
+  const summary = workbook.addWorksheet('By Category');
+  summary.columns = [
+    { header: 'Type', key: 'type', width: 10 },
+    { header: 'Category', key: 'category', width: 24 },
+    { header: 'Transactions', key: 'count', width: 14 },
+    { header: `Total (${meta.currency})`, key: 'total', width: 14 }
+  ];
+  summary.getRow(1).font = { bold: true };
+  summary.getColumn('total').numFmt = '#,##0.00';
+  totals.byCategory().forEach(entry => summary.addRow(entry).commit());
+  summary.addRow({ category: 'Total income', total: totals.income }).commit();
+  summary.addRow({ category: 'Total expenses', total: totals.expense }).commit();
+  summary.addRow({ category: 'Net', total: totals.income - totals.expense }).commit();
+  summary.commit();
+
+  await workbook.commit();
+};
+
+// A printable statement: transaction list followed by totals per category
+const writePdf = async (res, cursor, meta) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  const money = (amount, currency = meta.currency) => `${amount.toFixed(2)} ${currency}`;
+  const pageBottom = doc.page.height - doc.page.margins.bottom - 20;
+  const columns = [
+    { key: 'date', x: 40, width: 65 },
+    { key: 'description', x: 110, width: 200 },
+    { key: 'category', x: 315, width: 110 },
+    { key: 'amount', x: 430, width: 125, align: 'right' }
+  ];
+
+  const tableHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(9);
+    const y = doc.y;
+    ['Date', 'Description', 'Category', 'Amount'].forEach((label, i) => {
+      const { x, width, align } = columns[i];
+      doc.text(label, x, y, { width, align });
+    });
+    doc.moveTo(40, doc.y + 2).lineTo(555, doc.y + 2).stroke();
+    doc.moveDown(0.5).font('Helvetica');
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Transaction Statement');
+  doc.font('Helvetica').fontSize(10)
+    .text(meta.userName)
+    .text(`Period: ${meta.periodLabel}`)
+    .text(`Generated: ${new Date().toISOString().slice(0, 10)}`)
+    .moveDown();
+  tableHeader();
+
+  const totals = createTotals();
+  for await (const transaction of cursor) {
+    const record = toRecord(transaction, meta.currency);
+    totals.add(record);
+
+    if (doc.y > pageBottom) {
+      doc.addPage();
+      tableHeader();
+    }
+
+    const y = doc.y;
+    const outgoing = record.type === 'expense' || record.category === 'Transfer out';
+    const values = { ...record, amount: money(outgoing ? -record.amount : record.amount, record.currency) };
+    const colors = { expense: '#b91c1c', income: '#15803d', transfer: '#4b5563' };
+    doc.fontSize(9).fillColor(colors[record.type]);
+    columns.forEach(({ key, x, width, align }) => {
+      doc.text(values[key], x, y, { width, align, lineBreak: false, ellipsis: true });
+    });
+    doc.fillColor('black');
+    doc.x = 40;
+    doc.y = y + 14;
+  }
+
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(14).text('Totals by Category').moveDown(0.5);
+  doc.fontSize(10);
+  totals.byCategory().forEach(entry => {
+    const y = doc.y;
+    doc.font('Helvetica').text(`${entry.category} (${entry.type}, ${entry.count})`, 40, y, { width: 350 });
+    doc.text(money(entry.total), 400, y, { width: 155, align: 'right' });
+  });
+
+  doc.moveDown();
+  [
+    ['Total income', totals.income],
+    ['Total expenses', totals.expense],
+    ['Net', totals.income - totals.expense]
+  ].forEach(([label, amount]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, 40, y, { width: 350 });
+    doc.text(money(amount), 400, y, { width: 155, align: 'right' });
+  });
+
+  doc.end();
+  await once(res, 'finish');
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsv },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', write: writeJson },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: writeXlsx
+  },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', write: writePdf }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCsv
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { createNotification, wantsEmail } = require('./notifications');
+const { publish } = require('./events');
+const { getAccountTotals, withBalances, signed } = require('./accounts');
+const { matchCategory, UNWIND_CATEGORY_LINES } = require('./splits');
+const { BASE_AMOUNT, baseCurrencyOf, loadRates } = require('./currency');
+
+// Average month length, for turning a pace into dates and back
+const MONTH_MS = 30.4375 * 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Sum of the base amounts matched by an aggregation pipeline
+const sumBase = async (pipeline) => {
+  const [result] = await Transaction.aggregate([
+    ...pipeline,
+    { $group: { _id: null, total: { $sum: '$value' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+/**
+ * What a goal's link contributes: { saved, flow }. A linked account counts
+ * its whole balance as saved, and the money that moved in or out since the
+ * goal started as flow. A linked category counts what was recorded in it
+ * since the goal started as both.
+ */
+const linkedProgress = async (goal, { rates, baseCurrency, now }) => {
+  const user = new mongoose.Types.ObjectId(String(goal.user));
+  const since = { $gte: goal.startDate, $lte: now };
+
+  if (goal.account) {
+    const accountId = goal.account._id || goal.account;
+    const [account, totals, flow] = await Promise.all([
+      Account.findOne({ _id: accountId, user }).lean(),
+      getAccountTotals(user),
+      sumBase([
+        { $match: { user, account: new mongoose.Types.ObjectId(String(accountId)), date: since } },
+        { $project: { value: signed(BASE_AMOUNT) } }
+      ])
+    ]);
+    if (!account) return { saved: 0, flow: 0 };
+    const [{ baseBalance }] = withBalances([account], totals, { rates, baseCurrency });
+    return { saved: baseBalance ?? 0, flow };
+  }
+
+  if (goal.category) {
+    const category = new mongoose.Types.ObjectId(String(goal.category._id || goal.category));
+    const total = await sumBase([
+      { $match: { user, ...matchCategory(category), date: since } },
+      ...UNWIND_CATEGORY_LINES,
+      { $match: { category } },
+      { $project: { value: BASE_AMOUNT } }
+    ]);
+    return { saved: total, flow: total };
+  }
+
+  return { saved: 0, flow: 0 };
+};
+
+/**
+ * Where a goal stands: saved so far, the monthly pace since it started, the
+ * date that pace reaches the target, and the monthly saving still needed to
+ * reach it by the target date. `status` is 'achieved', 'on_track',
+ * 'behind', 'overdue' (target date passed) or 'not_started' (no pace yet).
+ */
+const goalProgress = async (goal, { rates, baseCurrency, now = new Date() }) => {
+  const contributed = (goal.contributions || []).reduce((sum, c) => sum + c.amount, 0);
+  const linked = await linkedProgress(goal, { rates, baseCurrency, now });
+
+  const saved = round(contributed + linked.saved);
+  const remaining = round(Math.max(0, goal.targetAmount - saved));
+  const percentage = Math.min(100, Math.round((saved / goal.targetAmount) * 1000) / 10);
+
+  // A young goal is measured over at least a month so one early payment
+  // doesn't promise an absurdly close date
+  const monthsElapsed = Math.max(1, (now - goal.startDate) / MONTH_MS);
+  const monthlyPace = round((contributed + linked.flow) / monthsElapsed);
+
+  const projectedDate = remaining > 0 && monthlyPace > 0
+    ? new Date(now.getTime() + (remaining / monthlyPace) * MONTH_MS)
+    : null;
+
+  const monthsLeft = goal.targetDate ? (goal.targetDate - now) / MONTH_MS : null;
+  const requiredMonthly = remaining > 0 && monthsLeft !== null && monthsLeft > 0
+    ? round(remaining / Math.max(1, monthsLeft))
+    : null;
+
+  let status;
+  if (remaining === 0) status = 'achieved';
+  else if (monthsLeft !== null && monthsLeft <= 0) status = 'overdue';
+  else if (!projectedDate) status = 'not_started';
+  else if (goal.targetDate && projectedDate > goal.targetDate) status = 'behind';
+  else status = 'on_track';
+
+  return {
+    saved,
+    remaining,
+    percentage,
+    monthlyPace,
+    projectedDate,
+    requiredMonthly,
+    status,
+    currency: baseCurrency
+  };
+};
+
+const notifyGoalAchieved = async (goal, progress) => {
+  const user = await User.findById(goal.user).select('preferences isEmailVerified');
+  const amount = (value) => `${value.toFixed(2)} ${progress.currency}`;
+
+  return createNotification({
+    user: goal.user,
+    type: 'goal_achieved',
+    priority: 'high',
+    title: `Goal reached: ${goal.name}`,
+    message: `You have saved ${amount(progress.saved)} towards your ${amount(goal.targetAmount)} target.`,
+    data: { goalId: goal._id, saved: progress.saved, targetAmount: goal.targetAmount },
+    channels: { email: wantsEmail(user) }
+  });
+};
+
+/**
+ * A goal with its `progress`, as sent to clients. Marks the goal achieved
+ * (and notifies the user) the first time progress reaches the target.
+ * `context` is { rates, baseCurrency }, loaded once per request.
+ */
+const presentGoal = async (goal, context) => {
+  const progress = await goalProgress(goal, context);
+
+  if (progress.status === 'achieved' && !goal.achievedAt) {
+    goal.achievedAt = new Date();
+    await goal.save();
+    await notifyGoalAchieved(goal, progress);
+  }
+
+  return { ...goal.toObject(), progress };
+};
+
+const goalContext = async (user) => ({
+  rates: await loadRates(user._id),
+  baseCurrency: baseCurrencyOf(user)
+});
+
+// Re-check the goals linked to the accounts or categories of the given
+// transactions, so reaching one is noticed without opening the goals list.
+// Failures are logged rather than thrown, as for budgets.
+const syncGoalsForTransactions = async (userId, transactions) => {
+  const ids = (field) => transactions
+    .flatMap(t => [t?.[field], ...(field === 'category' ? (t?.splits || []).map(s => s.category) : [])])
+    .filter(Boolean)
+    .map(id => id._id || id);
+  const accounts = ids('account');
+  const categories = ids('category');
+  if (accounts.length === 0 && categories.length === 0) return [];
+
+  try {
+    const goals = await Goal.find({
+      user: userId,
+      isArchived: false,
+      achievedAt: { $exists: false },
+      $or: [{ account: { $in: accounts } }, { category: { $in: categories } }]
+    });
+    if (goals.length === 0) return [];
+
+    const user = await User.findById(userId).select('preferences');
+    const context = await goalContext(user);
+    const presented = [];
+    for (const goal of goals) {
+      const result = await presentGoal(goal, context);
+      publish(userId, 'goal.updated', result);
+      presented.push(result);
+    }
+    return presented;
+  } catch (error) {
+    console.error('Sync goals error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  goalProgress,
+  presentGoal,
+  goalContext,
+  syncGoalsForTransactions
+};
@@ -0,0 +1,259 @@
+// Parsers for bank statement files. Each one returns normalized rows:
+// { date: Date, description, amount (always positive), type, notes, reference }
+// Rows that can't be read carry an `error` instead of being dropped, so the
+// preview can show them.
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY'];
+
+// Split CSV text into rows of cells (RFC 4180: quoted fields, "" escapes,
+// newlines inside quotes)
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Guess the delimiter from the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t', '|'].map(d => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+};
+
+// "1,234.56", "(12.00)", "-₹ 50", "12.50 CR" -> signed number
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (!text) return NaN;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bDR\b/i.test(text)) sign = -1;
+  if (text.includes('-')) sign = -sign;
+
+  // A comma followed by exactly two digits at the end is a decimal comma
+  let cleaned = text.replace(/[^\d.,]/g, '');
+  if (/,\d{2}$/.test(cleaned) && !/\.\d{2}$/.test(cleaned)) {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  const number = parseFloat(cleaned);
+  return isNaN(number) ? NaN : sign * number;
+};
+
+// Parse a date string in one of DATE_FORMATS (UTC midnight)
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) {
+    const fallback = new Date(value);
+    return isNaN(fallback.getTime()) ? null : fallback;
+  }
+
+  let year;
+  let month;
+  let day;
+  switch (format) {
+    case 'DD/MM/YYYY':
+    case 'DD-MM-YYYY':
+    case 'DD.MM.YYYY':
+      [day, month, year] = parts;
+      break;
+    case 'MM/DD/YYYY':
+    case 'MM-DD-YYYY':
+      [month, day, year] = parts;
+      break;
+    default:
+      [year, month, day] = parts;
+  }
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? date : null;
+};
+
+// Build a normalized row from a signed amount
+const toRow = ({ date, description, amount, notes, reference, category }) => {
+  const row = {
+    date,
+    description: (description || '').trim().slice(0, 200),
+    amount: Math.abs(amount),
+    type: amount < 0 ? 'expense' : 'income',
+    notes: (notes || '').trim().slice(0, 500),
+    reference: reference || undefined,
+    sourceCategory: category || undefined
+  };
+
+  if (!date) row.error = 'Unreadable date';
+  else if (isNaN(amount) || amount === 0) row.error = 'Unreadable amount';
+  else if (!row.description) row.error = 'Missing description';
+
+  return row;
+};
+
+/**
+ * Apply a column mapping to parsed CSV rows. The mapping names columns by
+ * header text (or index when there is no header):
+ *   { date, description, amount } or { date, description, debit, credit },
+ *   plus optional notes, reference and dateFormat, hasHeader, invertAmounts.
+ */
+const mapCsvRows = (cells, mapping) => {
+  const hasHeader = mapping.hasHeader !== false;
+  const headers = hasHeader ? cells[0].map(h => h.trim()) : cells[0].map((_, i) => String(i));
+  const body = hasHeader ? cells.slice(1) : cells;
+
+  const column = (name) => {
+    if (mapping[name] === undefined || mapping[name] === '') return -1;
+    return headers.indexOf(String(mapping[name]));
+  };
+
+  const columns = {
+    date: column('date'),
+    description: column('description'),
+    amount: column('amount'),
+    debit: column('debit'),
+    credit: column('credit'),
+    notes: column('notes'),
+    reference: column('reference')
+  };
+  const get = (cellsRow, index) => (index >= 0 ? cellsRow[index] : undefined);
+
+  return body.map(cellsRow => {
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmount(get(cellsRow, columns.amount));
+      if (mapping.invertAmounts) amount = -amount;
+    } else {
+      const debit = parseAmount(get(cellsRow, columns.debit));
+      const credit = parseAmount(get(cellsRow, columns.credit));
+      amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+    }
+
+    return toRow({
+      date: parseDate(get(cellsRow, columns.date), mapping.dateFormat),
+      description: get(cellsRow, columns.description),
+      amount,
+      notes: get(cellsRow, columns.notes),
+      reference: get(cellsRow, columns.reference)
+    });
+  });
+};
+
+// Read one tag from an OFX block; handles SGML (no closing tags) and XML
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+// OFX/QFX statement transactions
+const parseOfx = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map(block => {
+    const posted = ofxValue(block, 'DTPOSTED') || '';
+    const date = /^\d{8}/.test(posted)
+      ? parseDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`)
+      : null;
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return toRow({
+      date,
+      description: name || memo,
+      amount: parseAmount(ofxValue(block, 'TRNAMT')),
+      notes: name && memo ? memo : '',
+      reference: ofxValue(block, 'FITID')
+    });
+  });
+};
+
+// QIF records: D date, T/U amount, P payee, M memo, L category, N number, ^ end
+const parseQif = (text, dateFormat = 'MM/DD/YYYY') => {
+  const rows = [];
+  let record = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case 'D': record.date = value.replace(/'/g, '/'); break;
+      case 'T':
+      case 'U': record.amount = value; break;
+      case 'P': record.payee = value; break;
+      case 'M': record.memo = value; break;
+      case 'L': record.category = value; break;
+      case 'N': record.number = value; break;
+      case '^':
+        if (record.date || record.amount) {
+          rows.push(toRow({
+            date: parseDate(record.date, dateFormat),
+            description: record.payee || record.memo,
+            amount: parseAmount(record.amount),
+            notes: record.payee && record.memo ? record.memo : '',
+            reference: record.number,
+            category: record.category
+          }));
+        }
+        record = {};
+        break;
+      default:
+        break;
+    }
+  });
+
+  return rows;
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseCsv,
+  detectDelimiter,
+  parseAmount,
+  parseDate,
+  mapCsvRows,
+  parseOfx,
+  parseQif
+};
@@ -0,0 +1,129 @@
+// Short-lived sign-in state (failure counts, delays, lockouts, unlock
+// tokens) behind a small adapter interface, so it can live in this process
+// or in Redis, shared by every server (any Redis-compatible server works
+// locally, e.g. Valkey or redis in Docker):
+//   increment(key, ttlMs) -> Promise<number>  the count after adding one; the key
+//                                             expires ttlMs after its first increment
+//   get(key)              -> Promise<string|null>
+//   set(key, value, ttlMs) -> Promise
+//   remove(...keys)       -> Promise
+
+// Keeps everything in a Map; state is lost on restart and not shared
+// between processes
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries now and then, as most keys are never read again
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, ttlMs) => {
+      const entry = live(key);
+      if (entry) {
+        entry.value = String(Number(entry.value) + 1);
+        return Number(entry.value);
+      }
+      entries.set(key, { value: '1', expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+
+    get: async (key) => live(key)?.value ?? null,
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+    },
+
+    remove: async (...keys) => {
+      keys.forEach(key => entries.delete(key));
+    }
+  };
+};
+
+// Rejects with a timeout error if `promise` hasn't settled after `ms`
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`no connection after ${ms}ms`)), ms);
+  promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+// Operations wait for the first connection; if Redis can't be reached within
+// connectTimeoutMs the state is kept in this process instead, so sign-in keeps
+// working (without being shared) rather than hanging
+const createRedisStore = ({ url, connectTimeoutMs = 5000 }) => {
+  const { createClient } = require('redis');
+
+  const client = createClient({ url, socket: { connectTimeout: connectTimeoutMs } });
+  client.on('error', (error) => console.error('Login attempt store error:', error));
+
+  const redisStore = {
+    increment: async (key, ttlMs) => {
+      const count = await client.incr(key);
+      if (count === 1) await client.pExpire(key, ttlMs);
+      return count;
+    },
+
+    get: (key) => client.get(key),
+
+    set: async (key, value, ttlMs) => {
+      await client.set(key, String(value), { PX: ttlMs });
+    },
+
+    remove: async (...keys) => {
+      if (keys.length > 0) await client.del(keys);
+    }
+  };
+
+  const ready = withTimeout(client.connect(), connectTimeoutMs)
+    .then(() => redisStore)
+    .catch((error) => {
+      console.warn(`Login attempt store: Redis unavailable (${error.message}), falling back to memory`);
+      // Stop the client retrying in the background
+      Promise.resolve().then(() => client.disconnect()).catch(() => {});
+      return createMemoryStore();
+    });
+
+  return {
+    increment: async (key, ttlMs) => (await ready).increment(key, ttlMs),
+    get: async (key) => (await ready).get(key),
+    set: async (key, value, ttlMs) => (await ready).set(key, value, ttlMs),
+    remove: async (...keys) => (await ready).remove(...keys)
+  };
+};
+
+let store;
+
+// The adapter configured by LOGIN_STORE_DRIVER ('memory' by default, or 'redis')
+const getLoginAttemptStore = () => {
+  if (store) return store;
+
+  if (process.env.LOGIN_STORE_DRIVER === 'redis') {
+    store = createRedisStore({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      connectTimeoutMs: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS, 10) || 5000
+    });
+  } else {
+    store = createMemoryStore();
+  }
+
+  return store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  getLoginAttemptStore
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { getLoginAttemptStore } = require('./loginAttemptStore');
+const { createNotification } = require('./notifications');
+const { sendAccountLocked } = require('./accountEmails');
+
+// Failed sign-ins are counted per account (by email, registered or not) and
+// per IP address over a sliding window. Past `delayAfter` failures each new
+// one makes the next attempt wait twice as long; at `lockAfter` sign-in is
+// locked for LOCK_MS. The owner of a locked account is notified and emailed
+// a link that lifts the lock.
+const LIMITS = {
+  account: {
+    delayAfter: parseInt(process.env.LOGIN_ACCOUNT_DELAY_AFTER) || 3,
+    lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10
+  },
+  ip: {
+    delayAfter: parseInt(process.env.LOGIN_IP_DELAY_AFTER) || 10,
+    lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER) || 50
+  }
+};
+
+const WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCK_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_MS = (parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30) * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const keysFor = (scope, id) => ({
+  failures: `login:failures:${scope}:${id}`,
+  wait: `login:wait:${scope}:${id}`,
+  lock: `login:lock:${scope}:${id}`
+});
+
+const scopesFor = (email, ip) => [
+  ['account', String(email).toLowerCase()],
+  ['ip', ip]
+];
+
+// How long to wait before the next attempt after `failures` failures
+const delayFor = (failures, delayAfter) =>
+  Math.min(1000 * 2 ** (failures - delayAfter), MAX_DELAY_MS);
+
+const secondsUntil = (until, now) => Math.max(1, Math.ceil((until - now) / 1000));
+
+/**
+ * Whether a sign-in attempt may go ahead. Returns null, or { message,
+ * retryAfter } with retryAfter in seconds. The answer is the same for
+ * registered and unknown emails.
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const store = getLoginAttemptStore();
+  const now = Date.now();
+  const states = await Promise.all(scopesFor(email, ip).map(async ([scope, id]) => {
+    const keys = keysFor(scope, id);
+    const [lockedUntil, waitUntil] = await Promise.all([store.get(keys.lock), store.get(keys.wait)]);
+    return { scope, lockedUntil: Number(lockedUntil), waitUntil: Number(waitUntil) };
+  }));
+
+  const locked = states.find(state => state.lockedUntil > now);
+  if (locked) {
+    const minutes = Math.ceil((locked.lockedUntil - now) / 60000);
+    return {
+      retryAfter: secondsUntil(locked.lockedUntil, now),
+      message: locked.scope === 'account'
+        ? `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or use the unlock link sent to the account's email address.`
+        : `Too many failed sign-in attempts from your network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    };
+  }
+
+  const waiting = states.find(state => state.waitUntil > now);
+  if (waiting) {
+    const seconds = secondsUntil(waiting.waitUntil, now);
+    return {
+      retryAfter: seconds,
+      message: `Too many failed sign-in attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`
+    };
+  }
+
+  return null;
+};
+
+// Tell the owner of a just-locked account, with a link to lift the lock.
+// `user` needs name, email and isEmailVerified.
+const notifyAccountLocked = async (user, ip) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await getLoginAttemptStore().set(`login:unlock:${hashToken(token)}`, user.email, LOCK_MS);
+
+  const minutes = Math.round(LOCK_MS / 60000);
+  await createNotification({
+    user: user._id,
+    type: 'system',
+    priority: 'high',
+    title: 'Suspicious sign-in attempts',
+    message: `Someone failed to sign in to your account ${LIMITS.account.lockAfter} times${ip ? ` from ${ip}` : ''}, so sign-in is locked for ${minutes} minutes. If it wasn't you, change your password and consider turning on two-factor authentication.`,
+    data: { reason: 'login_locked', ip, lockedUntil: new Date(Date.now() + LOCK_MS) },
+    channels: { email: !!user.isEmailVerified }
+  });
+
+  // Only confirmed addresses get account emails
+  if (user.isEmailVerified) {
+    await sendAccountLocked(user, token, { ip, minutes });
+  }
+};
+
+/**
+ * Count a failed sign-in, setting the delay or lock it earns. Pass `user`
+ * when the email belongs to an account, so its owner hears about a lock.
+ */
+const recordLoginFailure = async (email, ip, user = null) => {
+  const store = getLoginAttemptStore();
+  const now = Date.now();
+  let accountLocked = false;
+
+  for (const [scope, id] of scopesFor(email, ip)) {
+    const keys = keysFor(scope, id);
+    const { delayAfter, lockAfter } = LIMITS[scope];
+    const failures = await store.increment(keys.failures, WINDOW_MS);
+
+    if (failures >= lockAfter) {
+      await store.set(keys.lock, now + LOCK_MS, LOCK_MS);
+      await store.remove(keys.failures, keys.wait);
+      if (scope === 'account') accountLocked = true;
+    } else if (failures >= delayAfter) {
+      const delay = delayFor(failures, delayAfter);
+      await store.set(keys.wait, now + delay, delay);
+    }
+  }
+
+  if (accountLocked && user) {
+    await notifyAccountLocked(user, ip)
+      .catch(error => console.error('Account locked notification error:', error));
+  }
+};
+
+// A successful sign-in clears the account's failures. The IP's count is
+// kept, or signing in to one's own account would reset it.
+const recordLoginSuccess = async (email) => {
+  const keys = keysFor('account', String(email).toLowerCase());
+  await getLoginAttemptStore().remove(keys.failures, keys.wait);
+};
+
+// Lift an account's lock with the token from the emailed link. Returns the
+// account's email, or null when the token is unknown or has expired.
+const unlockAccount = async (token) => {
+  const store = getLoginAttemptStore();
+  const unlockKey = `login:unlock:${hashToken(token)}`;
+  const email = await store.get(unlockKey);
+  if (!email) return null;
+
+  const keys = keysFor('account', email.toLowerCase());
+  await store.remove(unlockKey, keys.failures, keys.wait, keys.lock);
+  return email;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
@@ -0,0 +1,58 @@
+// Outgoing email behind a small adapter interface, so mail can go through
+// any SMTP server (a local catcher such as Mailpit or MailHog in development)
+// or just be logged:
+//   send({ to, subject, text, html }) -> Promise
+
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+  const nodemailer = require('nodemailer');
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    // Local catchers accept mail without credentials
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    send: async ({ to, subject, text, html }) => {
+      await transport.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+// Writes messages to the console instead of sending them
+const createConsoleMailer = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`Email to ${to}: ${subject}\n${text}`);
+  }
+});
+
+let mailer;
+
+// The adapter configured by MAIL_DRIVER ('smtp' by default, or 'console')
+const getMailer = () => {
+  if (mailer) return mailer;
+
+  if (process.env.MAIL_DRIVER === 'console') {
+    mailer = createConsoleMailer();
+  } else {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    mailer = createSmtpMailer({
+      host: process.env.EMAIL_HOST || 'localhost',
+      port,
+      secure: port === 465,
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+      from: process.env.EMAIL_FROM || 'Finance Tracker <no-reply@localhost>'
+    });
+  }
+
+  return mailer;
+};
+
+module.exports = {
+  createSmtpMailer,
+  createConsoleMailer,
+  getMailer
+};
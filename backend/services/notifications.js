@@ -0,0 +1,111 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { publish } = require('./events');
+
+// Create a notification for a user. All notifications should go through here.
+const createNotification = async ({ user, type, title, message, data = {}, priority = 'medium', channels = {} }) => {
+  const notification = new Notification({
+    user,
+    type,
+    title: title.slice(0, 100),
+    message: message.slice(0, 500),
+    data,
+    priority,
+    channels: { inApp: true, ...channels },
+    sentAt: new Date()
+  });
+
+  await notification.save();
+  publish(user, 'notification.created', notification);
+  return notification;
+};
+
+// Whether a notification should also go out by email: the user wants email
+// and has confirmed the address. `user` needs preferences and isEmailVerified.
+const wantsEmail = (user) => !!(user?.isEmailVerified && user.preferences?.notifications?.email);
+
+// Alert levels from most to least severe
+const BUDGET_ALERT_LEVELS = [
+  { level: 'exceeded', type: 'budget_exceeded', priority: 'urgent', field: 'lastExceededAlert' },
+  { level: 'critical', type: 'budget_warning', priority: 'high', field: 'lastCriticalAlert' },
+  { level: 'warning', type: 'budget_warning', priority: 'medium', field: 'lastWarningAlert' }
+];
+
+const budgetAlertText = (level, categoryName, percentage, budget) => {
+  const used = `${percentage.toFixed(0)}% of your ${budget.period} ${categoryName} budget`;
+  switch (level) {
+    case 'exceeded':
+      return {
+        title: `Budget exceeded: ${categoryName}`,
+        message: `You have spent ${budget.spent.toFixed(2)} of ${budget.amount.toFixed(2)} (${used}).`
+      };
+    case 'critical':
+      return {
+        title: `Budget almost used: ${categoryName}`,
+        message: `You have used ${used}. Only ${budget.remaining.toFixed(2)} is left.`
+      };
+    default:
+      return {
+        title: `Budget warning: ${categoryName}`,
+        message: `You have used ${used}. ${budget.remaining.toFixed(2)} is left.`
+      };
+  }
+};
+
+// Notify the user when a budget has crossed a threshold. Each level fires at
+// most once per budget period, tracked by the notifications.last*Alert dates.
+// Call after `spent` has been updated and saved.
+const notifyBudgetThresholds = async (budget) => {
+  if (!budget.notifications?.enabled) return null;
+
+  const percentage = budget.percentageUsed;
+  const reached = BUDGET_ALERT_LEVELS.find(({ level }) =>
+    level === 'exceeded'
+      ? percentage >= 100
+      : percentage >= budget.alertThresholds[level]
+  );
+  if (!reached) return null;
+
+  const lastAlert = budget.notifications[reached.field];
+  if (lastAlert && lastAlert >= budget.startDate) return null;
+
+  const user = await User.findById(budget.user).select('preferences isEmailVerified');
+  if (!user || !user.preferences?.notifications?.budgetAlerts) return null;
+
+  if (!budget.populated('category')) {
+    await budget.populate('category', 'name color type');
+  }
+  const categoryName = budget.category?.name || 'Unknown';
+
+  const notification = await createNotification({
+    user: budget.user,
+    type: reached.type,
+    priority: reached.priority,
+    ...budgetAlertText(reached.level, categoryName, percentage, budget),
+    data: {
+      budgetId: budget._id,
+      categoryId: budget.category?._id || budget.category,
+      level: reached.level,
+      percentage: Math.round(percentage * 10) / 10,
+      spent: budget.spent,
+      amount: budget.amount
+    },
+    channels: { email: wantsEmail(user) }
+  });
+
+  // Reaching a higher level also covers the lower ones for this period
+  const now = new Date();
+  const index = BUDGET_ALERT_LEVELS.indexOf(reached);
+  BUDGET_ALERT_LEVELS.slice(index).forEach(({ field }) => {
+    budget.notifications[field] = now;
+  });
+  await budget.save();
+
+  return notification;
+};
+
+module.exports = {
+  createNotification,
+  wantsEmail,
+  notifyBudgetThresholds
+};
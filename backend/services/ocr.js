@@ -0,0 +1,63 @@
+// Text extraction for receipts, entirely on this machine. Images go through
+// Tesseract (WebAssembly, with language data read from disk, never
+// downloaded); PDFs use their embedded text layer.
+//
+// recognize(buffer, contentType) -> { lines: [{ text, confidence }], confidence }
+// Confidence values are 0-1.
+
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+
+let workerPromise = null;
+
+// One shared worker; loading the language model is the slow part
+const getWorker = () => {
+  if (!workerPromise) {
+    const { createWorker } = require('tesseract.js');
+    const langPath = process.env.OCR_LANG_PATH || require('@tesseract.js-data/eng').langPath;
+
+    workerPromise = createWorker(OCR_LANGUAGE, 1, {
+      langPath,
+      gzip: !process.env.OCR_LANG_PATH || process.env.OCR_LANG_GZIP === 'true',
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+const recognizeImage = async (buffer) => {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer);
+
+  const lines = (data.lines || [])
+    .map(line => ({ text: line.text.trim(), confidence: line.confidence / 100 }))
+    .filter(line => line.text);
+
+  // Older engines only report the text and one overall score
+  if (lines.length === 0 && data.text) {
+    data.text.split('\n').map(text => text.trim()).filter(Boolean)
+      .forEach(text => lines.push({ text, confidence: data.confidence / 100 }));
+  }
+
+  return { lines, confidence: (data.confidence || 0) / 100 };
+};
+
+const recognizePdf = async (buffer) => {
+  const pdfParse = require('pdf-parse');
+  const { text } = await pdfParse(buffer, { max: 2 });
+
+  // Embedded text is exact; scanned PDFs have none
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean)
+    .map(line => ({ text: line, confidence: 1 }));
+
+  return { lines, confidence: lines.length > 0 ? 1 : 0 };
+};
+
+const recognize = (buffer, contentType) =>
+  contentType === 'application/pdf' ? recognizePdf(buffer) : recognizeImage(buffer);
+
+module.exports = {
+  recognize
+};
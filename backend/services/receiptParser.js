@@ -0,0 +1,159 @@
+const { parseAmount, parseDate } = require('./importParsers');
+
+// Pull merchant, date, total and tax out of OCR'd receipt lines. Every field
+// comes back as { value, confidence } with confidence 0-1: the OCR
+// confidence of the line it came from, scaled by how sure the heuristic is.
+// Missing fields have value null and confidence 0.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NOT_MERCHANT = /receipt|invoice|bill\b|tax|gst|vat|tel|phone|www|http|@|date|time|welcome|order|cashier|table|\d{5,}/i;
+const TOTAL_STRONG = /grand\s*total|amount\s*due|balance\s*due|total\s*(amount|payable|due)|net\s*(amount|total)|amount\s*paid/i;
+const TOTAL_WEAK = /\btotal\b/i;
+const SUBTOTAL = /sub\s*-?\s*total/i;
+const TAX = /\b(tax|vat|gst|cgst|sgst|igst|hst|pst)\b/i;
+const NOT_TAX = /gstin|tax\s*invoice|incl|excl|reg(istration)?\s*no|before\s*tax|\bid\b/i;
+
+const missing = () => ({ value: null, confidence: 0 });
+const round = (value) => Math.round(value * 100) / 100;
+
+// Money amounts on a line, ignoring percentages ("GST 18%") and long numbers
+const amountsIn = (text) => {
+  const cleaned = text.replace(/\d+(?:[.,]\d+)?\s*%/g, ' ');
+  const matches = cleaned.match(/-?\d{1,3}(?:[,\s]\d{3})*[.,]\d{2}(?!\d)|-?\d+[.,]\d{2}(?!\d)/g) || [];
+  return matches.map(parseAmount).filter(amount => !isNaN(amount) && Math.abs(amount) < 1e7);
+};
+
+const extractMerchant = (lines) => {
+  const index = lines.slice(0, 6).findIndex(({ text }) => {
+    const letters = (text.match(/[a-z]/gi) || []).length;
+    return letters >= 3 && letters / text.length > 0.5 && !NOT_MERCHANT.test(text);
+  });
+  if (index === -1) return missing();
+
+  const { text, confidence } = lines[index];
+  return {
+    value: text.replace(/^[^\w]+|[^\w.)]+$/g, '').slice(0, 200),
+    // The first line is usually the store name; later ones are more of a guess
+    confidence: round(confidence * (index === 0 ? 0.85 : 0.65))
+  };
+};
+
+// Find a date on a line; `dateFormat` (the user's preference) settles
+// whether 03/04 is March or April
+const dateIn = (text, dateFormat) => {
+  const iso = text.match(/\b(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})\b/);
+  if (iso) return { date: parseDate(iso[0], 'YYYY-MM-DD'), certain: true };
+
+  const numeric = text.match(/\b(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2,4})\b/);
+  if (numeric) {
+    const [, first, second] = numeric.map(Number);
+    const monthFirst = first > 12 ? false : second > 12 ? true : dateFormat.startsWith('MM');
+    return {
+      date: parseDate(numeric[0], monthFirst ? 'MM/DD/YYYY' : 'DD/MM/YYYY'),
+      certain: first > 12 || second > 12 || first === second
+    };
+  }
+
+  const month = `(${MONTHS.join('|')})[a-z]*\\.?`;
+  const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s*${month},?\\s*(\\d{2,4})\\b`, 'i'));
+  const monthFirstText = text.match(new RegExp(`\\b${month}\\s*(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(\\d{2,4})\\b`, 'i'));
+  const [day, monthName, year] = dayFirst
+    ? [dayFirst[1], dayFirst[2], dayFirst[3]]
+    : monthFirstText ? [monthFirstText[2], monthFirstText[1], monthFirstText[3]] : [];
+  if (!day) return null;
+
+  const monthNumber = MONTHS.indexOf(monthName.toLowerCase().slice(0, 3)) + 1;
+  return { date: parseDate(`${year}-${monthNumber}-${day}`, 'YYYY-MM-DD'), certain: true };
+};
+
+const extractDate = (lines, dateFormat) => {
+  const now = Date.now();
+  for (const { text, confidence } of lines) {
+    const found = dateIn(text, dateFormat);
+    if (!found || !found.date) continue;
+
+    // Receipts are from the recent past
+    const age = now - found.date.getTime();
+    const plausible = age > -24 * 60 * 60 * 1000 && age < 366 * 24 * 60 * 60 * 1000;
+    return {
+      value: found.date,
+      confidence: round(confidence * (found.certain ? 0.95 : 0.7) * (plausible ? 1 : 0.5))
+    };
+  }
+  return missing();
+};
+
+// The amount on a labelled line, or on the next line when the receipt puts
+// labels and figures in separate columns
+const amountNear = (lines, index) => {
+  const own = amountsIn(lines[index].text);
+  if (own.length > 0) return { amount: own[own.length - 1], confidence: lines[index].confidence };
+
+  const next = lines[index + 1];
+  const following = next ? amountsIn(next.text) : [];
+  if (following.length > 0) return { amount: following[following.length - 1], confidence: next.confidence * 0.8 };
+
+  return null;
+};
+
+const extractTotal = (lines) => {
+  const candidates = [];
+  lines.forEach(({ text }, index) => {
+    if (SUBTOTAL.test(text) || TAX.test(text)) return;
+    const weight = TOTAL_STRONG.test(text) ? 0.95 : TOTAL_WEAK.test(text) ? 0.85 : 0;
+    if (!weight) return;
+
+    const found = amountNear(lines, index);
+    if (found && found.amount > 0) candidates.push({ ...found, weight, index });
+  });
+
+  if (candidates.length > 0) {
+    // Prefer the strongest label, then the one furthest down the receipt
+    candidates.sort((a, b) => b.weight - a.weight || b.index - a.index);
+    const best = candidates[0];
+    return { value: round(best.amount), confidence: round(best.confidence * best.weight) };
+  }
+
+  // No label: the largest amount is often the total
+  const all = lines.flatMap(({ text, confidence }) => amountsIn(text).map(amount => ({ amount, confidence })));
+  if (all.length === 0) return missing();
+  const largest = all.reduce((max, item) => (item.amount > max.amount ? item : max));
+  return { value: round(largest.amount), confidence: round(largest.confidence * 0.4) };
+};
+
+const extractTax = (lines, total) => {
+  const found = lines
+    .map((line, index) => ({ ...line, index }))
+    .filter(({ text }) => TAX.test(text) && !NOT_TAX.test(text))
+    .map(({ index }) => amountNear(lines, index))
+    .filter(item => item && item.amount > 0);
+  if (found.length === 0) return missing();
+
+  // Split taxes (CGST + SGST) add up; otherwise use the last tax line
+  const split = found.length === 2 && lines.some(({ text }) => /cgst/i.test(text)) && lines.some(({ text }) => /sgst/i.test(text));
+  const amount = split ? found[0].amount + found[1].amount : found[found.length - 1].amount;
+  const confidence = Math.min(...found.map(item => item.confidence)) * (split ? 0.75 : 0.8);
+
+  // Tax larger than the total means one of them is wrong
+  const sane = !total.value || amount < total.value;
+  return { value: round(amount), confidence: round(confidence * (sane ? 1 : 0.3)) };
+};
+
+/**
+ * Read receipt fields from OCR lines ([{ text, confidence }]).
+ * `dateFormat` is the user's preferred format, used for ambiguous dates.
+ */
+const parseReceipt = (lines, { dateFormat = 'DD/MM/YYYY' } = {}) => {
+  const total = extractTotal(lines);
+  return {
+    merchant: extractMerchant(lines),
+    date: extractDate(lines, dateFormat),
+    total,
+    tax: extractTax(lines, total)
+  };
+};
+
+module.exports = {
+  parseReceipt
+};
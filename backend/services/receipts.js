@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Receipt files attached to transactions. The original and, for images, a
+// small WebP thumbnail are kept in the configured storage under
+// receipts/<userId>/.
+
+const MAX_RECEIPT_SIZE = (parseFloat(process.env.MAX_RECEIPT_SIZE_MB) || 5) * 1024 * 1024;
+const THUMBNAIL_SIZE = 240;
+
+// Accepted types and the leading bytes that identify them. The type the
+// browser claims isn't trusted; the content has to match.
+const RECEIPT_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  'application/pdf': { extension: 'pdf', matches: (b) => b.toString('ascii', 0, 5) === '%PDF-' }
+};
+
+const detectReceiptType = (buffer) =>
+  Object.keys(RECEIPT_TYPES).find(type => RECEIPT_TYPES[type].matches(buffer)) || null;
+
+// Return why an uploaded file can't be used as a receipt, or null
+const validateReceipt = (file) => {
+  if (!file || !file.buffer || file.size === 0) return 'Receipt file is empty';
+  if (file.size > MAX_RECEIPT_SIZE) {
+    return `Receipt must be smaller than ${MAX_RECEIPT_SIZE / (1024 * 1024)} MB`;
+  }
+  if (!detectReceiptType(file.buffer)) return 'Receipt must be a JPEG, PNG, WebP or PDF file';
+  return null;
+};
+
+const createThumbnail = async (buffer) => {
+  const sharp = require('sharp');
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+};
+
+/**
+ * Store a validated upload (a multer file) for a user and return the
+ * `receipt` fields to save on the transaction. `url` is filled in by the
+ * caller once the transaction id is known.
+ */
+const storeReceipt = async (userId, file) => {
+  const storage = getStorage();
+  const contentType = detectReceiptType(file.buffer);
+  const baseKey = `receipts/${userId}/${crypto.randomBytes(16).toString('hex')}`;
+  const key = `${baseKey}.${RECEIPT_TYPES[contentType].extension}`;
+
+  await storage.save(key, file.buffer, contentType);
+
+  let thumbnail;
+  if (contentType.startsWith('image/')) {
+    try {
+      thumbnail = `${baseKey}-thumb.webp`;
+      await storage.save(thumbnail, await createThumbnail(file.buffer), 'image/webp');
+    } catch (error) {
+      // The receipt is still usable without a preview
+      console.error('Receipt thumbnail error:', error);
+      thumbnail = undefined;
+    }
+  }
+
+  return {
+    publicId: key,
+    thumbnail,
+    contentType,
+    size: file.size,
+    originalName: (file.originalname || '').slice(0, 200),
+    uploadedAt: new Date()
+  };
+};
+
+// Delete a receipt's files. Errors are logged, not thrown, so a storage
+// problem never blocks deleting or updating the transaction.
+const removeReceipt = async (receipt) => {
+  if (!receipt?.publicId) return;
+
+  const storage = getStorage();
+  await Promise.all([receipt.publicId, receipt.thumbnail].filter(Boolean).map(key =>
+    storage.remove(key).catch(error => console.error('Remove receipt error:', error))
+  ));
+};
+
+// Whether a storage key belongs to the user's receipt folder
+const ownsReceiptKey = (userId, key) =>
+  typeof key === 'string' && key.startsWith(`receipts/${userId}/`) && !key.includes('..');
+
+module.exports = {
+  MAX_RECEIPT_SIZE,
+  RECEIPT_TYPES,
+  detectReceiptType,
+  validateReceipt,
+  storeReceipt,
+  removeReceipt,
+  ownsReceiptKey
+};
@@ -0,0 +1,187 @@
+const Transaction = require('../models/Transaction');
+const { syncBudgetsForTransactions } = require('./budgets');
+const { syncGoalsForTransactions } = require('./goals');
+const { publish } = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The nth occurrence of a series that started on `start`. Monthly and yearly
+// series keep the start day and clamp it to short months, so a series that
+// starts on Jan 31 runs Feb 28/29, Mar 31, Apr 30...
+const occurrenceDate = (start, frequency, n) => {
+  const base = new Date(start);
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(base.getTime() + n * DAY_MS);
+    case 'weekly':
+      return new Date(base.getTime() + n * 7 * DAY_MS);
+    case 'monthly':
+    case 'yearly': {
+      const months = frequency === 'monthly' ? n : n * 12;
+      const totalMonths = base.getUTCMonth() + months;
+      const year = base.getUTCFullYear() + Math.floor(totalMonths / 12);
+      const month = ((totalMonths % 12) + 12) % 12;
+      const day = Math.min(base.getUTCDate(), daysInMonth(year, month));
+      const date = new Date(base);
+      date.setUTCFullYear(year, month, day);
+      return date;
+    }
+    default:
+      throw new Error(`Unknown recurring frequency: ${frequency}`);
+  }
+};
+
+// Rough number of periods between two dates, used as a starting guess
+const periodsBetween = (start, date, frequency) => {
+  const diffDays = (new Date(date) - new Date(start)) / DAY_MS;
+  switch (frequency) {
+    case 'daily': return Math.floor(diffDays);
+    case 'weekly': return Math.floor(diffDays / 7);
+    case 'monthly': return Math.floor(diffDays / 31);
+    default: return Math.floor(diffDays / 366);
+  }
+};
+
+// First occurrence of the series strictly after `after`
+const nextOccurrence = (start, frequency, after) => {
+  let n = Math.max(1, periodsBetween(start, after, frequency));
+  while (n > 1 && occurrenceDate(start, frequency, n - 1) > after) n -= 1;
+  while (occurrenceDate(start, frequency, n) <= after) n += 1;
+  return occurrenceDate(start, frequency, n);
+};
+
+const sameDay = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+const isSkipped = (template, date) =>
+  (template.recurringDetails.skipDates || []).some(skip => sameDay(skip, date));
+
+const isPastEnd = (template, date) =>
+  template.recurringDetails.endDate && date > template.recurringDetails.endDate;
+
+// Occurrences of a series between its nextDate and `until`, skips excluded
+const upcomingOccurrences = (template, until) => {
+  const { frequency, nextDate, isPaused } = template.recurringDetails;
+  const dates = [];
+  if (isPaused || !nextDate) return dates;
+
+  let date = nextDate;
+  while (date <= until && !isPastEnd(template, date)) {
+    if (!isSkipped(template, date)) dates.push(date);
+    date = nextOccurrence(template.date, frequency, date);
+  }
+  return dates;
+};
+
+// Create every occurrence of one series that is due by `now`. Occurrences are
+// upserted on (recurringSource, date) so running twice never duplicates them.
+const materializeSeries = async (template, now = new Date()) => {
+  const { frequency } = template.recurringDetails;
+  const created = [];
+
+  while (template.recurringDetails.nextDate && template.recurringDetails.nextDate <= now) {
+    const date = template.recurringDetails.nextDate;
+
+    if (isPastEnd(template, date)) {
+      template.recurringDetails.nextDate = undefined;
+      break;
+    }
+
+    if (!isSkipped(template, date)) {
+      const result = await Transaction.updateOne(
+        { recurringSource: template._id, date },
+        {
+          $setOnInsert: {
+            user: template.user,
+            type: template.type,
+            amount: template.amount,
+            // Converted at the template's rate until rates are next recalculated
+            currency: template.currency,
+            baseAmount: template.baseAmount,
+            description: template.description,
+            category: template.category,
+            splits: template.splits,
+            account: template.account,
+            date,
+            tags: template.tags,
+            location: template.location,
+            paymentMethod: template.paymentMethod,
+            notes: template.notes,
+            recurringSource: template._id
+          }
+        },
+        { upsert: true }
+      );
+      if (result.upsertedId) created.push({ _id: result.upsertedId, date });
+    }
+
+    template.recurringDetails.nextDate = nextOccurrence(template.date, frequency, date);
+  }
+
+  // Skip dates that have been passed are no longer needed
+  template.recurringDetails.skipDates = (template.recurringDetails.skipDates || [])
+    .filter(skip => skip > now);
+
+  await template.save();
+
+  if (created.length > 0) {
+    await syncBudgetsForTransactions(template.user, created.map(occurrence => ({
+      type: template.type,
+      category: template.category,
+      // Every line of a split series counts towards its own budget
+      splits: template.splits,
+      date: occurrence.date
+    })));
+    await syncGoalsForTransactions(template.user, [template]);
+
+    const occurrences = await Transaction.find({ _id: { $in: created.map(o => o._id) } })
+      .populate('category', 'name color type');
+    occurrences.forEach(occurrence => publish(template.user, 'transaction.created', occurrence));
+  }
+  return created;
+};
+
+// Materialize all due occurrences across every user
+const processDueRecurring = async (now = new Date()) => {
+  const templates = await Transaction.find({
+    isRecurring: true,
+    'recurringDetails.isPaused': { $ne: true },
+    'recurringDetails.nextDate': { $lte: now }
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      created += (await materializeSeries(template, now)).length;
+    } catch (error) {
+      console.error(`Recurring transaction ${template._id} error:`, error);
+    }
+  }
+  return created;
+};
+
+let timer = null;
+
+// Run the scheduler now and then on a fixed interval (catches up after downtime)
+const startRecurringScheduler = (intervalMinutes = parseInt(process.env.RECURRING_INTERVAL_MINUTES) || 60) => {
+  if (timer) return timer;
+
+  const run = () => processDueRecurring()
+    .then(count => count > 0 && console.log(`Created ${count} recurring transactions`))
+    .catch(error => console.error('Recurring scheduler error:', error));
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+module.exports = {
+  occurrenceDate,
+  nextOccurrence,
+  upcomingOccurrences,
+  materializeSeries,
+  processDueRecurring,
+  startRecurringScheduler
+};
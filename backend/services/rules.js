@@ -0,0 +1,140 @@
+const Rule = require('../models/Rule');
+const Category = require('../models/Category');
+const safeRegex = require('safe-regex2');
+
+// Return why a pattern can't be used, or null when it compiles
+const validatePattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+  // Nested quantifiers such as (a+)+ can backtrack for long enough to
+  // block the event loop for every user
+  if (!safeRegex(pattern)) {
+    return 'Pattern is too complex: avoid repeating a group that already repeats';
+  }
+  return null;
+};
+
+const toRegExp = (pattern) => {
+  if (!pattern) return null;
+  // Saved patterns are validated, so this only guards old or restored data
+  if (validatePattern(pattern)) return /$^/;
+  return new RegExp(pattern, 'i');
+};
+
+// Turn a rule document (or plain object) into a matcher
+const compileRule = (rule) => {
+  const conditions = rule.conditions || {};
+  const patterns = {
+    description: toRegExp(conditions.description),
+    notes: toRegExp(conditions.notes),
+    location: toRegExp(conditions.location)
+  };
+  const requiredTags = (conditions.tags || []).map(tag => tag.toLowerCase());
+
+  const matches = (transaction) => {
+    if (conditions.type && transaction.type !== conditions.type) return false;
+
+    const amount = parseFloat(transaction.amount);
+    if (conditions.amountMin !== undefined && conditions.amountMin !== null && !(amount >= conditions.amountMin)) return false;
+    if (conditions.amountMax !== undefined && conditions.amountMax !== null && !(amount <= conditions.amountMax)) return false;
+
+    if (conditions.paymentMethod && (transaction.paymentMethod || 'other') !== conditions.paymentMethod) return false;
+
+    const hasPattern = Object.entries(patterns).every(([field, pattern]) =>
+      !pattern || pattern.test(transaction[field] || '')
+    );
+    if (!hasPattern) return false;
+
+    const tags = (transaction.tags || []).map(tag => String(tag).toLowerCase());
+    return requiredTags.every(tag => tags.includes(tag));
+  };
+
+  return { rule, matches };
+};
+
+/**
+ * Work out what a list of rules (already sorted by priority) would change on
+ * a transaction. Fields the transaction already has win: the first matching
+ * rule with a category fills an empty category (of the same type), notes
+ * fill empty notes, and tags from every matching rule are added.
+ * `categoryTypes` maps category id -> type.
+ * Returns { changes, matchedRules } where changes holds only changed fields.
+ */
+const evaluateRules = (compiledRules, transaction, categoryTypes) => {
+  const changes = {};
+  const matchedRules = [];
+  const tags = [...(transaction.tags || [])];
+
+  for (const { rule, matches } of compiledRules) {
+    if (!matches(transaction)) continue;
+    matchedRules.push(rule._id);
+
+    const { category, addTags, notes } = rule.actions || {};
+    const categoryId = category?.toString();
+    if (categoryId && !transaction.category && !changes.category &&
+        categoryTypes.get(categoryId) === transaction.type) {
+      changes.category = categoryId;
+    }
+
+    (addTags || []).forEach(tag => {
+      if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    });
+
+    if (notes && !transaction.notes && changes.notes === undefined) changes.notes = notes;
+
+    if (rule.stopProcessing) break;
+  }
+
+  if (tags.length !== (transaction.tags || []).length) changes.tags = tags;
+
+  return { changes, matchedRules };
+};
+
+/**
+ * Load a user's active rules and categories once and return a rule engine:
+ *   evaluate(transaction) -> { changes, matchedRules }
+ *   apply(transaction)    -> the transaction with the changes merged in
+ *   recordMatches()       -> saves match counts for everything applied so far
+ */
+const createRuleEngine = async (userId) => {
+  const [rules, categories] = await Promise.all([
+    Rule.find({ user: userId, isActive: true }).sort({ priority: 1, createdAt: 1 }),
+    Category.find({ user: userId, isActive: true }).select('type')
+  ]);
+
+  const compiled = rules.map(compileRule);
+  const categoryTypes = new Map(categories.map(c => [c._id.toString(), c.type]));
+  const counts = new Map();
+
+  const evaluate = (transaction) => evaluateRules(compiled, transaction, categoryTypes);
+
+  const apply = (transaction) => {
+    const { changes, matchedRules } = evaluate(transaction);
+    matchedRules.forEach(id => counts.set(id.toString(), (counts.get(id.toString()) || 0) + 1));
+    return { ...transaction, ...changes };
+  };
+
+  const recordMatches = async () => {
+    if (counts.size === 0) return;
+    const now = new Date();
+    await Rule.bulkWrite([...counts].map(([id, count]) => ({
+      updateOne: {
+        filter: { _id: id, user: userId },
+        update: { $inc: { matchCount: count }, $set: { lastMatchedAt: now } }
+      }
+    })));
+    counts.clear();
+  };
+
+  return { rules, evaluate, apply, recordMatches };
+};
+
+module.exports = {
+  validatePattern,
+  compileRule,
+  evaluateRules,
+  createRuleEngine
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { closeStreams } = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens last this long without use
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How many replaced refresh tokens are remembered for reuse detection
+const MAX_PREVIOUS_TOKENS = 10;
+
+// Two tabs of one browser can refresh with the same token at once. The one
+// that loses gets a plain refusal rather than having the session revoked.
+const REFRESH_RACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS);
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+// Short-lived access token naming the user and their session
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '15m' }
+);
+
+// The payload of a valid, unexpired access token, or null. Doesn't check
+// that the session is still active; the auth middleware does that.
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>"
+const tokensFor = (session, secret) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a user who just signed in. Returns { token, refreshToken }.
+const createSession = async (userId, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return tokensFor(session, secret);
+};
+
+// Revoke the active sessions matching `filter` and end their event streams.
+// Returns how many were revoked.
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: { $exists: false } }).select('user');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  sessions.forEach(session => closeStreams(session.user, { sessionId: session._id }));
+  return sessions.length;
+};
+
+const revokeSession = (userId, sessionId, reason = 'revoked') =>
+  revokeSessions({ _id: sessionId, user: userId }, reason);
+
+const revokeAllSessions = (userId, reason = 'logout_all') =>
+  revokeSessions({ user: userId }, reason);
+
+/**
+ * Swap a refresh token for a new access and refresh token. The old refresh
+ * token stops working; presenting it again later revokes the session.
+ * Returns { token, refreshToken, userId } or { error }.
+ */
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const hash = hashToken(secret);
+  const now = new Date();
+  const next = newSecret();
+
+  // Rotating only when the presented token is the current one makes two
+  // concurrent refreshes with the same token succeed at most once
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(next),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+  if (session) {
+    return { ...tokensFor(session, next), userId: session.user };
+  }
+
+  const existing = await Session.findById(sessionId);
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    return { error: 'Session expired. Please sign in again.' };
+  }
+
+  const index = existing.previousTokenHashes.indexOf(hash);
+  if (index === -1) {
+    return { error: 'Invalid refresh token' };
+  }
+  if (index === existing.previousTokenHashes.length - 1 && now - existing.rotatedAt < REFRESH_RACE_MS) {
+    return { error: 'Session was refreshed elsewhere' };
+  }
+
+  // An old token came back: someone else has a copy
+  await revokeSessions({ _id: existing._id }, 'reuse');
+  return { error: 'Session expired. Please sign in again.' };
+};
+
+const isSessionActive = async (sessionId) => !!(await Session.exists({
+  _id: sessionId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+}));
+
+// The user's signed-in devices, most recently used first
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+})
+  .select('userAgent ip createdAt lastUsedAt')
+  .sort({ lastUsedAt: -1 })
+  .lean();
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+  verifyAccessToken
+};
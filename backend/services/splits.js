@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+// Differences below half a cent are rounding
+const SPLIT_TOLERANCE = 0.005;
+const MAX_SPLITS = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hasSplits = (transaction) => Array.isArray(transaction.splits) && transaction.splits.length > 0;
+
+/**
+ * The category lines of a transaction as [{ category, amount }]: its splits,
+ * or the whole amount in its one category.
+ */
+const categoryLines = (transaction) => (hasSplits(transaction)
+  ? transaction.splits.map(({ category, amount }) => ({ category, amount }))
+  : [{ category: transaction.category, amount: transaction.amount }]);
+
+// Transactions with any line in `categoryId`
+const matchCategory = (categoryId) => ({
+  $or: [{ category: categoryId }, { 'splits.category': categoryId }]
+});
+
+// Aggregation stages that turn each transaction into one document per
+// category line, with `category` and `amount` taken from the line. A
+// converted `baseAmount` is shared out in proportion.
+const UNWIND_CATEGORY_LINES = [
+  {
+    $addFields: {
+      lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ category: '$category', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$lines' },
+  {
+    $addFields: {
+      category: '$lines.category',
+      amount: '$lines.amount',
+      baseAmount: {
+        $cond: [
+          { $gt: ['$baseAmount', null] },
+          { $multiply: ['$lines.amount', { $divide: ['$baseAmount', '$amount'] }] },
+          '$$REMOVE'
+        ]
+      }
+    }
+  },
+  { $project: { lines: 0, splits: 0 } }
+];
+
+/**
+ * Check split lines for a transaction of `type` and `amount`. Returns
+ * { error } or { splits } with the lines cleaned up.
+ */
+const checkSplits = async (userId, splits, { type, amount }) => {
+  if (!Array.isArray(splits)) return { error: 'Splits must be a list' };
+  if (type === 'transfer') return { error: 'Transfers cannot be split' };
+  if (splits.length < 2) return { error: 'A split needs at least two lines' };
+  if (splits.length > MAX_SPLITS) return { error: `A transaction can have at most ${MAX_SPLITS} splits` };
+
+  const lines = [];
+  for (const split of splits) {
+    const lineAmount = parseFloat(split?.amount);
+    if (!split || !mongoose.Types.ObjectId.isValid(split.category)) return { error: 'Each split needs a category' };
+    if (!(lineAmount > 0)) return { error: 'Each split amount must be greater than 0' };
+    const note = typeof split.note === 'string' ? split.note.trim() : '';
+    if (note.length > 200) return { error: 'Split note cannot exceed 200 characters' };
+    lines.push({ category: split.category, amount: round(lineAmount), note: note || undefined });
+  }
+
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total - parseFloat(amount)) >= SPLIT_TOLERANCE) {
+    return { error: `Splits add up to ${round(total).toFixed(2)}, not the total of ${parseFloat(amount).toFixed(2)}` };
+  }
+
+  const categoryIds = [...new Set(lines.map(line => line.category.toString()))];
+  const count = await Category.countDocuments({
+    _id: { $in: categoryIds },
+    user: userId,
+    type,
+    isActive: true
+  });
+  if (count !== categoryIds.length) return { error: 'Invalid category for this transaction type' };
+
+  return { splits: lines };
+};
+
+module.exports = {
+  hasSplits,
+  categoryLines,
+  matchCategory,
+  checkSplits,
+  UNWIND_CATEGORY_LINES
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage behind a small adapter interface, so uploads can live on the
+// local disk or in any S3-compatible bucket (AWS, MinIO, ...):
+//   save(key, buffer, contentType)  -> Promise
+//   read(key)                       -> Promise<Readable>, rejects with code 'ENOENT' when missing
+//   remove(key)                     -> Promise, resolves when the file is already gone
+// Keys are slash-separated paths such as "receipts/<userId>/<name>.jpg".
+
+const notFound = (key) => Object.assign(new Error(`File not found: ${key}`), { code: 'ENOENT' });
+
+const createLocalStorage = ({ root }) => {
+  // Resolve a key inside root, refusing anything that would escape it
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    read: async (key) => {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath).catch(() => { throw notFound(key); });
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // Local stand-ins such as MinIO don't support bucket subdomains
+    forcePathStyle: !!endpoint,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    save: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    read: async (key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) throw notFound(key);
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+let storage;
+
+// The adapter configured by STORAGE_DRIVER ('local' by default, or 's3')
+const getStorage = () => {
+  if (storage) return storage;
+
+  if (process.env.STORAGE_DRIVER === 's3') {
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  } else {
+    storage = createLocalStorage({
+      root: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads')
+    });
+  }
+
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage
+};
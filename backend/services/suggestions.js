@@ -0,0 +1,206 @@
+const CategoryClassifier = require('../models/CategoryClassifier');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { normalizeDescription } = require('./categorize');
+
+// Bump when tokenize() changes so stored models are rebuilt
+const MODEL_VERSION = 1;
+const MAX_ALTERNATIVES = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'payment', 'paid', 'purchase', 'txn', 'ref', 'pos', 'upi'
+]);
+
+// Distinct words of a description. Each word counts once per transaction,
+// which suits short, repetitive text like payee names.
+const tokenize = (description) => [...new Set(
+  normalizeDescription(description)
+    .split(' ')
+    .filter(token => /^[a-z]{2,}$/.test(token) && !STOP_WORDS.has(token))
+)];
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Recurring occurrences copy their template, so only the template is learned
+const learnable = (transaction) =>
+  transaction.category && !transaction.recurringSource && tokenize(transaction.description).length > 0;
+
+// The $inc update that adds (sign 1) or removes (sign -1) transactions
+const countUpdates = (transactions, sign) => {
+  const inc = {};
+  const add = (path, amount) => { inc[path] = (inc[path] || 0) + amount; };
+
+  transactions.filter(learnable).forEach(transaction => {
+    const category = transaction.category._id || transaction.category;
+    const tokens = tokenize(transaction.description);
+    add('documents', sign);
+    add(`categories.${category}.docs`, sign);
+    add(`categories.${category}.tokens`, sign * tokens.length);
+    tokens.forEach(token => add(`categories.${category}.words.${token}`, sign));
+  });
+
+  return inc;
+};
+
+/**
+ * Most likely categories (of `type`, among `candidates`) for a description.
+ * Multinomial naive Bayes with add-one smoothing; words the model has never
+ * seen are ignored. Returns [{ category, confidence }] best first, or [] when
+ * no word of the description is known.
+ */
+const predict = (model, description, type, candidates) => {
+  const counts = model?.categories || {};
+  const options = candidates
+    .filter(category => category.type === type && has(counts, category._id.toString()))
+    .map(category => ({ category, counts: counts[category._id.toString()] }))
+    .filter(option => option.counts.docs > 0);
+  if (options.length === 0) return [];
+
+  const vocabulary = new Set();
+  Object.values(counts).forEach(({ words = {} }) =>
+    Object.entries(words).forEach(([token, count]) => count > 0 && vocabulary.add(token))
+  );
+  const tokens = tokenize(description).filter(token => vocabulary.has(token));
+  if (tokens.length === 0) return [];
+
+  const totalDocs = options.reduce((sum, option) => sum + option.counts.docs, 0);
+  const scores = options.map(({ category, counts: { docs, tokens: tokenCount = 0, words = {} } }) => {
+    let score = Math.log((docs + 1) / (totalDocs + options.length));
+    tokens.forEach(token => {
+      const count = has(words, token) ? Math.max(words[token], 0) : 0;
+      score += Math.log((count + 1) / (Math.max(tokenCount, 0) + vocabulary.size));
+    });
+    return { category, score };
+  });
+
+  // Turn log scores into probabilities
+  const best = Math.max(...scores.map(s => s.score));
+  const weights = scores.map(s => ({ category: s.category, weight: Math.exp(s.score - best) }));
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+
+  return weights
+    .map(({ category, weight }) => ({ category, confidence: Math.round((weight / total) * 1000) / 1000 }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Build a user's model from their whole history
+const train = async (userId) => {
+  const categories = {};
+  let documents = 0;
+
+  const cursor = Transaction.find({ user: userId, recurringSource: { $exists: false } })
+    .select('description category')
+    .lean()
+    .cursor();
+
+  for await (const transaction of cursor) {
+    if (!learnable(transaction)) continue;
+    const id = transaction.category.toString();
+    const tokens = tokenize(transaction.description);
+    const entry = categories[id] || (categories[id] = { docs: 0, tokens: 0, words: {} });
+    entry.docs += 1;
+    entry.tokens += tokens.length;
+    tokens.forEach(token => { entry.words[token] = (has(entry.words, token) ? entry.words[token] : 0) + 1; });
+    documents += 1;
+  }
+
+  return CategoryClassifier.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: { version: MODEL_VERSION, categories, documents, trainedAt: new Date() },
+      $setOnInsert: { stats: { attempts: 0, predicted: 0, correct: 0 } }
+    },
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+// The user's model, trained from history the first time it is needed
+const getClassifier = async (userId) => {
+  const model = await CategoryClassifier.findOne({ user: userId }).lean();
+  if (model && model.version === MODEL_VERSION) return model;
+  return train(userId);
+};
+
+/**
+ * Suggest a category for a description. Returns
+ * { suggestion: { category, confidence } | null, alternatives: [...] }
+ * with populated active categories.
+ */
+const suggestCategory = async (userId, description, type) => {
+  const [model, categories] = await Promise.all([
+    getClassifier(userId),
+    Category.find({ user: userId, isActive: true }).select('name color icon type').lean()
+  ]);
+
+  const ranked = predict(model, description, type, categories);
+  return {
+    suggestion: ranked[0] || null,
+    alternatives: ranked.slice(1, MAX_ALTERNATIVES + 1)
+  };
+};
+
+/**
+ * Update the model with newly saved transactions. With `score`, each one is
+ * first predicted so the stored stats track suggestion accuracy. Models that
+ * don't exist yet are left alone; they are built from history when needed.
+ */
+const learn = async (userId, transactions, { score = false } = {}) => {
+  const items = transactions.filter(learnable);
+  if (items.length === 0) return;
+
+  const model = await CategoryClassifier.findOne({ user: userId, version: MODEL_VERSION }).lean();
+  if (!model) return;
+
+  const inc = countUpdates(items, 1);
+  if (score) {
+    const categories = await Category.find({ user: userId, isActive: true }).select('type').lean();
+    items.forEach(transaction => {
+      const [best] = predict(model, transaction.description, transaction.type, categories);
+      inc['stats.attempts'] = (inc['stats.attempts'] || 0) + 1;
+      if (!best) return;
+      inc['stats.predicted'] = (inc['stats.predicted'] || 0) + 1;
+      const actual = (transaction.category._id || transaction.category).toString();
+      if (best.category._id.toString() === actual) inc['stats.correct'] = (inc['stats.correct'] || 0) + 1;
+    });
+  }
+
+  await CategoryClassifier.updateOne({ _id: model._id }, { $inc: inc });
+};
+
+// Take transactions (as they were learned) back out of the model
+const unlearn = async (userId, transactions) => {
+  const inc = countUpdates(transactions, -1);
+  if (Object.keys(inc).length === 0) return;
+  await CategoryClassifier.updateOne({ user: userId, version: MODEL_VERSION }, { $inc: inc });
+};
+
+// Throw the model away; it is rebuilt on the next suggestion
+const resetClassifier = (userId) => CategoryClassifier.deleteOne({ user: userId });
+
+// How the suggestions have done on transactions saved since the model was built
+const getAccuracy = async (userId) => {
+  const model = await getClassifier(userId);
+  const { attempts, predicted, correct } = model.stats || {};
+  return {
+    trainedOn: model.documents,
+    trainedAt: model.trainedAt,
+    attempts: attempts || 0,
+    predicted: predicted || 0,
+    correct: correct || 0,
+    // Share of suggestions that were right, and of transactions that got one
+    accuracy: predicted ? Math.round((correct / predicted) * 1000) / 1000 : null,
+    coverage: attempts ? Math.round((predicted / attempts) * 1000) / 1000 : null
+  };
+};
+
+module.exports = {
+  tokenize,
+  predict,
+  train,
+  suggestCategory,
+  learn,
+  unlearn,
+  resetClassifier,
+  getAccuracy
+};
@@ -0,0 +1,140 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const { syncBudgetsForTransactions } = require('./budgets');
+const { syncGoalsForTransactions } = require('./goals');
+const { createRuleEngine } = require('./rules');
+const { learn } = require('./suggestions');
+const { DEFAULT_CURRENCY, loadRates, baseAmountFor } = require('./currency');
+const { matchCategory } = require('./splits');
+
+// Build the Transaction query for the list filters shared by
+// GET /api/transactions and the report exports
+const buildTransactionFilter = (userId, { type, category, account, startDate, endDate, search } = {}) => {
+  const filter = { user: userId };
+
+  if (type) filter.type = type;
+  if (account) filter.account = account;
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  // The category (which may be on any split line) and the search are both
+  // $or conditions, so together they go under $and
+  const conditions = [];
+  if (category) conditions.push(matchCategory(category));
+  if (search) {
+    conditions.push({
+      $or: [
+        { description: { $regex: search, $options: 'i' } },
+        { notes: { $regex: search, $options: 'i' } }
+      ]
+    });
+  }
+  if (conditions.length === 1) Object.assign(filter, conditions[0]);
+  if (conditions.length > 1) filter.$and = conditions;
+
+  return filter;
+};
+
+// Return why a bulk item can't be inserted, or null when it's valid.
+// `accountCurrencies` maps the usable account ids to their currencies.
+const validateBulkItem = (item, categoryTypes, accountCurrencies) => {
+  if (!item || typeof item !== 'object') return 'Invalid transaction';
+  if (!['income', 'expense'].includes(item.type)) return 'Type must be income or expense';
+
+  const amount = parseFloat(item.amount);
+  if (!(amount >= 0.01)) return 'Amount must be greater than 0';
+
+  const description = typeof item.description === 'string' ? item.description.trim() : '';
+  if (description.length < 1 || description.length > 200) {
+    return 'Description must be between 1 and 200 characters';
+  }
+
+  if (categoryTypes.get(String(item.category)) !== item.type) {
+    return 'Invalid category for this transaction type';
+  }
+
+  if (item.account && !accountCurrencies.has(String(item.account))) return 'Invalid account';
+
+  if (item.currency !== undefined && item.currency !== null && item.currency !== '') {
+    const currency = String(item.currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return 'Currency must be a 3-letter code';
+    if (item.account && accountCurrencies.get(String(item.account)) !== currency) {
+      return `Transactions in this account must be in ${accountCurrencies.get(String(item.account))}`;
+    }
+  }
+
+  if (item.date && isNaN(new Date(item.date).getTime())) return 'Date must be valid';
+
+  return null;
+};
+
+// Validate and insert many transactions for a user in one write, then bring
+// the affected budgets up to date. Invalid items are reported by index in
+// `skipped` instead of failing the whole batch. Items without a currency use
+// their account's, or `baseCurrency`.
+const bulkInsertTransactions = async (userId, items, { baseCurrency = DEFAULT_CURRENCY } = {}) => {
+  const [categories, accounts, rates] = await Promise.all([
+    Category.find({ user: userId, isActive: true }),
+    Account.find({ user: userId, isArchived: false }).select('currency'),
+    loadRates(userId)
+  ]);
+  const categoryTypes = new Map(categories.map(c => [c._id.toString(), c.type]));
+  const accountCurrencies = new Map(accounts.map(a => [a._id.toString(), a.currency]));
+
+  const rules = await createRuleEngine(userId);
+
+  const docs = [];
+  const skipped = [];
+
+  items.forEach((rawItem, index) => {
+    // Rules may supply a missing category, tags or notes
+    const item = rawItem && typeof rawItem === 'object'
+      ? rules.apply({ ...rawItem, category: rawItem.category || undefined })
+      : rawItem;
+    const reason = validateBulkItem(item, categoryTypes, accountCurrencies);
+    if (reason) {
+      skipped.push({ index, reason });
+      return;
+    }
+
+    const doc = {
+      user: userId,
+      type: item.type,
+      amount: parseFloat(item.amount),
+      currency: item.account
+        ? accountCurrencies.get(String(item.account))
+        : (item.currency ? String(item.currency).toUpperCase() : baseCurrency),
+      description: item.description.trim(),
+      category: item.category,
+      account: item.account || undefined,
+      date: item.date ? new Date(item.date) : new Date(),
+      tags: Array.isArray(item.tags) ? item.tags : [],
+      paymentMethod: item.paymentMethod || 'other',
+      location: item.location,
+      notes: item.notes || ''
+    };
+    doc.baseAmount = baseAmountFor(rates, doc, baseCurrency);
+    docs.push(doc);
+  });
+
+  const created = docs.length > 0
+    ? await Transaction.insertMany(docs, { ordered: false })
+    : [];
+  await rules.recordMatches().catch(error => console.error('Record rule matches error:', error));
+  await learn(userId, created, { score: true }).catch(error => console.error('Learn categories error:', error));
+  await syncBudgetsForTransactions(userId, created);
+  await syncGoalsForTransactions(userId, created);
+
+  return { created, skipped };
+};
+
+module.exports = {
+  buildTransactionFilter,
+  validateBulkItem,
+  bulkInsertTransactions
+};
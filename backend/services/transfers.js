@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { loadRates, baseAmountFor } = require('./currency');
+
+// Fields both legs of a transfer always share. The amounts differ when the
+// accounts are in different currencies.
+const SHARED_FIELDS = ['date', 'description', 'notes'];
+
+// Both legs are written together or not at all. Needs MongoDB running as
+// a replica set, like backup restores.
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Load the two accounts of a transfer. Returns { from, to } (with their
+ * currencies), or { error } when they can't be used. Archived accounts only
+ * count with `includeArchived`, for transfers that already use them.
+ */
+const checkAccounts = async (userId, fromAccount, toAccount, { includeArchived = false } = {}) => {
+  if (!fromAccount || !toAccount) return { error: 'A transfer needs a source and a destination account' };
+  if (fromAccount.toString() === toAccount.toString()) return { error: 'Choose two different accounts' };
+
+  const filter = { _id: { $in: [fromAccount, toAccount] }, user: userId };
+  if (!includeArchived) filter.isArchived = false;
+  const accounts = await Account.find(filter).select('currency');
+  const find = (id) => accounts.find(account => account._id.toString() === id.toString());
+
+  const from = find(fromAccount);
+  const to = find(toAccount);
+  return from && to ? { from, to } : { error: 'Invalid account' };
+};
+
+const populateLegs = (ids) =>
+  Transaction.find({ _id: { $in: ids } })
+    .populate('category', 'name color type')
+    .sort({ 'transfer.direction': -1 });
+
+/**
+ * Create a transfer between two accounts (as loaded by checkAccounts).
+ * `toAmount` is what arrives, in the destination account's currency; it
+ * defaults to `amount`. Returns both legs, [out, in].
+ */
+const createTransfer = async (userId, { from, to, amount, toAmount, date, description, notes, baseCurrency }) => {
+  const outId = new mongoose.Types.ObjectId();
+  const inId = new mongoose.Types.ObjectId();
+  const shared = {
+    user: userId,
+    type: 'transfer',
+    date: date ? new Date(date) : new Date(),
+    description,
+    notes: notes || '',
+    paymentMethod: 'bank_transfer'
+  };
+  const legs = [
+    {
+      ...shared,
+      _id: outId,
+      amount: parseFloat(amount),
+      currency: from.currency,
+      account: from._id,
+      transfer: { direction: 'out', counterpart: inId }
+    },
+    {
+      ...shared,
+      _id: inId,
+      amount: parseFloat(toAmount !== undefined ? toAmount : amount),
+      currency: to.currency,
+      account: to._id,
+      transfer: { direction: 'in', counterpart: outId }
+    }
+  ];
+  const rates = await loadRates(userId);
+  legs.forEach(leg => { leg.baseAmount = baseAmountFor(rates, leg, baseCurrency); });
+
+  await inTransaction(session => Transaction.insertMany(legs, { session }));
+
+  return populateLegs([outId, inId]);
+};
+
+// Load both legs from the id of either one. Returns null when not found.
+const findLegs = async (userId, id, session) => {
+  const leg = await Transaction.findOne({ _id: id, user: userId, type: 'transfer' }).session(session || null);
+  if (!leg) return null;
+  const other = await Transaction.findOne({ _id: leg.transfer.counterpart, user: userId }).session(session || null);
+  if (!other) return null;
+  return leg.transfer.direction === 'out' ? [leg, other] : [other, leg];
+};
+
+/**
+ * Update a transfer through either leg. `updates` may hold the shared
+ * fields, `amount` (sent), `toAmount` (received) and the accounts `from` /
+ * `to` as loaded by checkAccounts. Returns both legs, [out, in], or null
+ * when the transfer doesn't exist.
+ */
+const updateTransfer = async (userId, id, { baseCurrency, ...updates }) => {
+  const rates = await loadRates(userId);
+  const result = await inTransaction(async (session) => {
+    const legs = await findLegs(userId, id, session);
+    if (!legs) return null;
+    const [outLeg, inLeg] = legs;
+
+    legs.forEach(leg => {
+      SHARED_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) leg[field] = updates[field];
+      });
+    });
+    if (updates.amount !== undefined) outLeg.amount = updates.amount;
+    if (updates.toAmount !== undefined) inLeg.amount = updates.toAmount;
+    if (updates.from) {
+      outLeg.account = updates.from._id;
+      outLeg.currency = updates.from.currency;
+    }
+    if (updates.to) {
+      inLeg.account = updates.to._id;
+      inLeg.currency = updates.to.currency;
+    }
+
+    legs.forEach(leg => {
+      if (['amount', 'currency', 'date'].some(field => leg.isModified(field))) {
+        leg.baseAmount = baseAmountFor(rates, leg, baseCurrency);
+      }
+      // A changed leg no longer matches the statement it was reconciled against
+      if (['amount', 'date', 'account'].some(field => leg.isModified(field))) leg.reconciled = false;
+    });
+
+    await outLeg.save({ session });
+    await inLeg.save({ session });
+    return [outLeg._id, inLeg._id];
+  });
+
+  return result ? populateLegs(result) : null;
+};
+
+/**
+ * Delete both legs of a transfer through either one. Returns the deleted
+ * legs, or null when the transfer doesn't exist.
+ */
+const deleteTransfer = (userId, id) => inTransaction(async (session) => {
+  const legs = await findLegs(userId, id, session);
+  if (!legs) return null;
+  await Transaction.deleteMany({ _id: { $in: legs.map(leg => leg._id) } }, { session });
+  return legs;
+});
+
+module.exports = {
+  checkAccounts,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer
+};
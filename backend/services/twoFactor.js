@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// What authenticator apps assume when the otpauth URL doesn't say otherwise
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from one step either side of now are accepted, for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const ISSUER = process.env.TOTP_ISSUER || 'Personal Finance Tracker';
+
+// The fields needed to check a code; they are not selected by default
+const SECOND_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+// Ignores case, spaces and padding, as secrets are often typed in by hand
+const base32Decode = (text) => {
+  const cleaned = String(text).toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character "${char}"`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226): the code for a counter value, with a raw key
+const hotp = (key, counter, { digits = TOTP_DIGITS, algorithm = 'sha1' } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const timeStep = (time = Date.now(), step = TOTP_STEP_SECONDS) => Math.floor(time / 1000 / step);
+
+/**
+ * TOTP (RFC 6238): the code at `time` (ms). The defaults are the ones the app
+ * uses; the options are there to check against the RFC's test vectors, e.g.
+ * totp(Buffer.from('12345678901234567890'), { time: 59000, digits: 8 })
+ * is '94287082'.
+ */
+const totp = (key, { time = Date.now(), step = TOTP_STEP_SECONDS, digits = TOTP_DIGITS, algorithm = 'sha1' } = {}) =>
+  hotp(key, timeStep(time, step), { digits, algorithm });
+
+/**
+ * Check a code against a base32 secret. Returns the time step it matched,
+ * or null. Steps at or before `afterStep` are refused, so a code that was
+ * already accepted can't be used again.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), afterStep = -1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (step <= afterStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+// A new 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The link an authenticator app reads from the enrollment QR code
+const otpauthUrl = (email, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = { secret, issuer: ISSUER, algorithm: 'SHA1', digits: TOTP_DIGITS, period: TOTP_STEP_SECONDS };
+  const query = Object.entries(params)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+// Recovery codes are 80 random bits, so a plain hash is enough to store them.
+// Zero and one aren't in the alphabet, so they are read as O and I.
+const normalizeRecoveryCode = (code) => String(code || '')
+  .toUpperCase()
+  .replace(/0/g, 'O')
+  .replace(/1/g, 'I')
+  .replace(/[^A-Z2-7]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// New one-time recovery codes, e.g. "ABCD-EFGH-IJKL-MNOP". Only the hashes
+// are stored; the codes are shown to the user once.
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () =>
+    base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join('-')
+  );
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Accept a code from the authenticator app or an unused recovery code for a
+ * user with 2FA on (loaded with SECOND_FACTOR_FIELDS). Each code works once,
+ * even if two requests present it together. Returns { method } with
+ * 'totp' or 'recovery', or null when the code is not accepted.
+ */
+const consumeSecondFactor = async (user, code) => {
+  const twoFactor = user.twoFactor || {};
+  if (!twoFactor.enabled || !twoFactor.secret) return null;
+
+  const step = verifyTotp(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? { method: 'totp' } : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (!normalizeRecoveryCode(code) || !(twoFactor.recoveryCodes || []).includes(hash)) return null;
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1 ? { method: 'recovery' } : null;
+};
+
+module.exports = {
+  SECOND_FACTOR_FIELDS,
+  base32Encode,
+  base32Decode,
+  hotp,
+  totp,
+  verifyTotp,
+  generateSecret,
+  otpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeSecondFactor
+};
@@ -0,0 +1,71 @@
+const { dueDateIn, firstDueDate, followingDueDate, presentBill } = require('../services/bills');
+
+const day = (text) => new Date(`${text}T00:00:00.000Z`);
+const iso = (date) => date.toISOString().split('T')[0];
+
+describe('dueDateIn', () => {
+  it('clamps the due day to short months', () => {
+    expect(iso(dueDateIn(2024, 1, 31))).toBe('2024-02-29');
+    expect(iso(dueDateIn(2023, 1, 31))).toBe('2023-02-28');
+    expect(iso(dueDateIn(2024, 3, 31))).toBe('2024-04-30');
+    expect(iso(dueDateIn(2024, 0, 15))).toBe('2024-01-15');
+  });
+
+  it('rolls months past either end of the year', () => {
+    expect(iso(dueDateIn(2024, 12, 5))).toBe('2025-01-05');
+    expect(iso(dueDateIn(2024, -1, 31))).toBe('2023-12-31');
+    expect(iso(dueDateIn(2024, 13, 30))).toBe('2025-02-28');
+  });
+});
+
+describe('firstDueDate', () => {
+  it('uses this month when the due day is today or later', () => {
+    expect(iso(firstDueDate(20, new Date('2024-03-20T18:30:00Z')))).toBe('2024-03-20');
+    expect(iso(firstDueDate(31, day('2024-04-10')))).toBe('2024-04-30');
+  });
+
+  it('moves to next month once the due day has passed', () => {
+    expect(iso(firstDueDate(5, day('2024-03-20')))).toBe('2024-04-05');
+    expect(iso(firstDueDate(31, day('2024-12-31')))).toBe('2024-12-31');
+    expect(iso(firstDueDate(1, day('2024-12-31')))).toBe('2025-01-01');
+  });
+});
+
+describe('followingDueDate', () => {
+  it('steps by the bill frequency', () => {
+    const bill = { nextDueDate: day('2024-01-15'), dueDay: 15 };
+    expect(iso(followingDueDate({ ...bill, frequency: 'monthly' }))).toBe('2024-02-15');
+    expect(iso(followingDueDate({ ...bill, frequency: 'quarterly' }))).toBe('2024-04-15');
+    expect(iso(followingDueDate({ ...bill, frequency: 'half_yearly' }))).toBe('2024-07-15');
+    expect(iso(followingDueDate({ ...bill, frequency: 'yearly' }))).toBe('2025-01-15');
+  });
+
+  it('comes back to the due day after a short month', () => {
+    let bill = { nextDueDate: day('2024-01-31'), dueDay: 31, frequency: 'monthly' };
+    const dates = [];
+    for (let i = 0; i < 3; i++) {
+      bill = { ...bill, nextDueDate: followingDueDate(bill) };
+      dates.push(iso(bill.nextDueDate));
+    }
+    expect(dates).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  it('handles a yearly bill due on a leap day', () => {
+    const bill = { nextDueDate: day('2024-02-29'), dueDay: 29, frequency: 'yearly' };
+    expect(iso(followingDueDate(bill))).toBe('2025-02-28');
+  });
+});
+
+describe('presentBill', () => {
+  const now = new Date('2024-03-10T15:00:00Z');
+
+  it.each([
+    ['2024-03-09', -1, 'overdue'],
+    ['2024-03-10', 0, 'due_soon'],
+    ['2024-03-13', 3, 'due_soon'],
+    ['2024-03-14', 4, 'upcoming']
+  ])('reports a bill due %s as %i days away and %s', (due, daysUntilDue, status) => {
+    const bill = { payee: 'Rent', nextDueDate: day(due), reminderDays: 3 };
+    expect(presentBill(bill, now)).toEqual({ ...bill, daysUntilDue, status });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../services/notifications', () => ({ notifyBudgetThresholds: jest.fn() }));
+jest.mock('../services/events', () => ({ publish: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { validateBulkBudget, bulkCreateBudgets } = require('../services/budgets');
+
+const userId = new mongoose.Types.ObjectId();
+const food = new mongoose.Types.ObjectId();
+const rent = new mongoose.Types.ObjectId();
+const expenseCategories = new Set([food.toString(), rent.toString()]);
+
+const budget = (fields = {}) => ({
+  category: food.toString(),
+  amount: 300,
+  period: 'monthly',
+  startDate: '2024-05-01T00:00:00.000Z',
+  endDate: '2024-05-31T23:59:59.999Z',
+  ...fields
+});
+
+const resolvesTo = (value) => ({ select: () => Promise.resolve(value) });
+
+describe('validateBulkBudget', () => {
+  it.each([
+    ['a non-object', null, 'Invalid budget'],
+    ['an unknown category', budget({ category: new mongoose.Types.ObjectId().toString() }), 'Invalid expense category'],
+    ['a zero amount', budget({ amount: 0 }), 'Budget amount must be greater than 0'],
+    ['an unknown period', budget({ period: 'daily' }), 'Period must be weekly, monthly, or yearly'],
+    ['a bad start date', budget({ startDate: 'soon' }), 'Start date must be valid'],
+    ['a missing end date', budget({ endDate: undefined }), 'End date must be valid']
+  ])('rejects %s', (_, item, reason) => {
+    expect(validateBulkBudget(item, expenseCategories)).toBe(reason);
+  });
+
+  it('accepts a valid budget', () => {
+    expect(validateBulkBudget(budget({ amount: '12.50' }), expenseCategories)).toBeNull();
+  });
+});
+
+describe('bulkCreateBudgets', () => {
+  let insertMany;
+
+  beforeEach(() => {
+    jest.spyOn(Category, 'find').mockReturnValue(resolvesTo([{ _id: food }, { _id: rent }]));
+    jest.spyOn(Budget, 'find').mockReturnValue(resolvesTo([
+      { category: rent, period: 'monthly', startDate: new Date('2024-05-01'), endDate: new Date('2024-05-31') }
+    ]));
+    insertMany = jest.spyOn(Budget, 'insertMany').mockImplementation(async (docs) => docs.map(doc => new Budget(doc)));
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ total: 42.5 }]);
+    jest.spyOn(Budget.prototype, 'save').mockImplementation(function save() { return Promise.resolve(this); });
+    jest.spyOn(Budget.prototype, 'populate').mockImplementation(function populate() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates the valid budgets with their spending and reports the rest by index', async () => {
+    const { created, skipped } = await bulkCreateBudgets(userId, [
+      budget(),
+      budget({ category: rent.toString() }),
+      budget({ amount: -1 }),
+      budget({ startDate: '2024-05-15T00:00:00.000Z' }),
+      budget({ period: 'yearly', startDate: '2024-01-01T00:00:00.000Z', endDate: '2024-12-31T23:59:59.999Z' })
+    ]);
+
+    expect(skipped).toEqual([
+      { index: 1, reason: 'Budget already exists for this category and period' },
+      { index: 2, reason: 'Budget amount must be greater than 0' },
+      { index: 3, reason: 'Budget already exists for this category and period' }
+    ]);
+    expect(insertMany).toHaveBeenCalledTimes(1);
+    expect(created.map(b => b.period)).toEqual(['monthly', 'yearly']);
+    expect(created.every(b => b.spent === 42.5)).toBe(true);
+    expect(created[0].alertThresholds.toObject()).toEqual({ warning: 80, critical: 95 });
+  });
+
+  it('writes nothing when every item is skipped', async () => {
+    const { created, skipped } = await bulkCreateBudgets(userId, [budget({ category: 'nope' })]);
+    expect(created).toEqual([]);
+    expect(skipped).toHaveLength(1);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+});
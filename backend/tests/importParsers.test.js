@@ -0,0 +1,161 @@
+const {
+  parseCsv,
+  detectDelimiter,
+  parseAmount,
+  parseDate,
+  mapCsvRows,
+  parseOfx,
+  parseQif
+} = require('../services/importParsers');
+
+const day = (date) => date.toISOString().split('T')[0];
+
+describe('parseAmount', () => {
+  it.each([
+    ['1,234.56', 1234.56],
+    ['(12.00)', -12],
+    ['-₹ 50', -50],
+    ['12.50 CR', 12.5],
+    ['12.50 DR', -12.5],
+    ['1.234,56', 1234.56],
+    ['-0,99', -0.99],
+    [42, 42]
+  ])('reads %p as %p', (value, expected) => {
+    expect(parseAmount(value)).toBeCloseTo(expected);
+  });
+
+  it.each([[''], [null], [undefined], ['n/a']])('returns NaN for %p', (value) => {
+    expect(parseAmount(value)).toBeNaN();
+  });
+});
+
+describe('parseDate', () => {
+  it('reads each supported format as UTC midnight', () => {
+    expect(day(parseDate('2024-03-05'))).toBe('2024-03-05');
+    expect(day(parseDate('05/03/2024', 'DD/MM/YYYY'))).toBe('2024-03-05');
+    expect(day(parseDate('03/05/2024', 'MM/DD/YYYY'))).toBe('2024-03-05');
+    expect(day(parseDate('05.03.24', 'DD.MM.YYYY'))).toBe('2024-03-05');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+    expect(parseDate('not a date')).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and newlines inside quotes', () => {
+    const text = 'Date,Description,Amount\r\n2024-01-02,"Coffee, ""large""",-3.50\n2024-01-03,"Two\nlines",10\n';
+    expect(parseCsv(text)).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['2024-01-02', 'Coffee, "large"', '-3.50'],
+      ['2024-01-03', 'Two\nlines', '10']
+    ]);
+  });
+
+  it('detects the delimiter from the first line', () => {
+    expect(detectDelimiter('Date;Description;Amount\n1;2;3')).toBe(';');
+    expect(detectDelimiter('Date\tDescription\tAmount')).toBe('\t');
+    expect(detectDelimiter('Date')).toBe(',');
+  });
+});
+
+describe('mapCsvRows', () => {
+  it('maps a signed amount column by header', () => {
+    const cells = parseCsv('When,What,Value\n02/01/2024,Rent,"-1,200.00"\n03/01/2024,Salary,3000');
+    const rows = mapCsvRows(cells, { date: 'When', description: 'What', amount: 'Value', dateFormat: 'DD/MM/YYYY' });
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ description: 'Rent', amount: 1200, type: 'expense' });
+    expect(day(rows[0].date)).toBe('2024-01-02');
+    expect(rows[1]).toMatchObject({ description: 'Salary', amount: 3000, type: 'income' });
+  });
+
+  it('maps debit and credit columns, and columns by index without a header', () => {
+    const cells = parseCsv('2024-01-02,Groceries,45.10,\n2024-01-03,Refund,,12');
+    const rows = mapCsvRows(cells, { hasHeader: false, date: '0', description: '1', debit: '2', credit: '3' });
+
+    expect(rows[0]).toMatchObject({ amount: 45.1, type: 'expense' });
+    expect(rows[1]).toMatchObject({ amount: 12, type: 'income' });
+  });
+
+  it('keeps unreadable rows with an error', () => {
+    const cells = parseCsv('Date,Description,Amount\nsoon,Thing,5\n2024-01-02,,5\n2024-01-02,Thing,abc');
+    const rows = mapCsvRows(cells, { date: 'Date', description: 'Description', amount: 'Amount' });
+    expect(rows.map(row => row.error)).toEqual(['Unreadable date', 'Missing description', 'Unreadable amount']);
+  });
+});
+
+describe('parseOfx', () => {
+  it('reads SGML statement transactions', () => {
+    const text = [
+      'OFXHEADER:100',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN>',
+      '<TRNTYPE>DEBIT',
+      '<DTPOSTED>20240115120000[-5:EST]',
+      '<TRNAMT>-25.40',
+      '<FITID>abc123',
+      '<NAME>GROCERY MART',
+      '<MEMO>Card 1234',
+      '<STMTTRN>',
+      '<TRNTYPE>CREDIT',
+      '<DTPOSTED>20240116',
+      '<TRNAMT>1000.00',
+      '<FITID>abc124',
+      '<MEMO>Payroll',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+
+    const rows = parseOfx(text);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      description: 'GROCERY MART', notes: 'Card 1234', amount: 25.4, type: 'expense', reference: 'abc123'
+    });
+    expect(day(rows[0].date)).toBe('2024-01-15');
+    expect(rows[1]).toMatchObject({ description: 'Payroll', notes: '', amount: 1000, type: 'income' });
+  });
+
+  it('reads XML statement transactions', () => {
+    const text = '<BANKTRANLIST><STMTTRN><DTPOSTED>20240201</DTPOSTED><TRNAMT>-9.99</TRNAMT>'
+      + '<FITID>x1</FITID><NAME>Streaming</NAME></STMTTRN></BANKTRANLIST>';
+    expect(parseOfx(text)).toEqual([expect.objectContaining({ description: 'Streaming', amount: 9.99, reference: 'x1' })]);
+  });
+});
+
+describe('parseQif', () => {
+  it('reads records with payee, memo, category and number', () => {
+    const text = [
+      '!Type:Bank',
+      "D1/15'24",
+      'T-45.00',
+      'PElectric Co',
+      'MJanuary bill',
+      'LUtilities',
+      'N1001',
+      '^',
+      'D01/20/2024',
+      'U2,500.00',
+      'PEmployer',
+      '^'
+    ].join('\n');
+
+    const rows = parseQif(text);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      description: 'Electric Co',
+      notes: 'January bill',
+      amount: 45,
+      type: 'expense',
+      reference: '1001',
+      sourceCategory: 'Utilities'
+    });
+    expect(day(rows[0].date)).toBe('2024-01-15');
+    expect(rows[1]).toMatchObject({ description: 'Employer', amount: 2500, type: 'income' });
+  });
+
+  it('uses the given date format', () => {
+    const rows = parseQif('D15/01/2024\nT-1\nPShop\n^', 'DD/MM/YYYY');
+    expect(day(rows[0].date)).toBe('2024-01-15');
+  });
+});
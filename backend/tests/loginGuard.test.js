@@ -0,0 +1,157 @@
+jest.mock('../services/notifications', () => ({ createNotification: jest.fn() }));
+jest.mock('../services/accountEmails', () => ({ sendAccountLocked: jest.fn() }));
+jest.mock('redis', () => ({ createClient: jest.fn() }));
+
+const { createMemoryStore, createRedisStore } = require('../services/loginAttemptStore');
+
+const START = new Date('2024-05-01T09:00:00Z').getTime();
+const user = { _id: 'user-1', email: 'sam@example.com', name: 'Sam', isEmailVerified: true };
+
+// Fresh modules per test, so each starts with an empty memory store
+let guard;
+let createNotification;
+let sendAccountLocked;
+beforeEach(() => {
+  jest.useFakeTimers({ now: START });
+  jest.resetModules();
+  ({ createNotification } = require('../services/notifications'));
+  ({ sendAccountLocked } = require('../services/accountEmails'));
+  createNotification.mockResolvedValue({});
+  sendAccountLocked.mockResolvedValue();
+  guard = require('../services/loginGuard');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const fail = async (times, email = user.email, ip = '10.0.0.1') => {
+  for (let i = 0; i < times; i++) await guard.recordLoginFailure(email, ip, user);
+};
+
+describe('createMemoryStore', () => {
+  it('counts, stores and expires keys', async () => {
+    const store = createMemoryStore();
+    expect(await store.increment('a', 1000)).toBe(1);
+    expect(await store.increment('a', 1000)).toBe(2);
+    await store.set('b', 42, 500);
+    expect(await store.get('b')).toBe('42');
+
+    jest.advanceTimersByTime(600);
+    expect(await store.get('b')).toBeNull();
+    jest.advanceTimersByTime(400);
+    expect(await store.increment('a', 1000)).toBe(1);
+
+    await store.remove('a');
+    expect(await store.get('a')).toBeNull();
+  });
+});
+
+describe('createRedisStore', () => {
+  it('falls back to memory when Redis does not connect in time', async () => {
+    const client = {
+      on: jest.fn(),
+      connect: jest.fn(() => new Promise(() => {})),
+      disconnect: jest.fn().mockResolvedValue(),
+      incr: jest.fn()
+    };
+    require('redis').createClient.mockReturnValue(client);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = createRedisStore({ url: 'redis://localhost:6379', connectTimeoutMs: 1000 });
+    const first = store.increment('a', 60000);
+    jest.advanceTimersByTime(1000);
+    expect(await first).toBe(1);
+    expect(await store.increment('a', 60000)).toBe(2);
+
+    expect(client.incr).not.toHaveBeenCalled();
+    expect(client.disconnect).toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back to memory'));
+    warn.mockRestore();
+  });
+});
+
+describe('loginGuard', () => {
+  it('allows the first failures without a delay', async () => {
+    await fail(2);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.1')).toBeNull();
+  });
+
+  it('doubles the wait after each failure past the delay threshold', async () => {
+    await fail(3);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.1'))
+      .toEqual({ retryAfter: 1, message: expect.stringMatching(/wait 1 second before/) });
+
+    await fail(2);
+    expect((await guard.checkLoginAllowed(user.email, '10.0.0.1')).retryAfter).toBe(4);
+
+    jest.advanceTimersByTime(4000);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.1')).toBeNull();
+  });
+
+  it('counts the account whatever the email case or network', async () => {
+    await fail(3, 'SAM@example.com', '10.0.0.9');
+    expect(await guard.checkLoginAllowed('sam@EXAMPLE.com', '192.168.1.1')).not.toBeNull();
+  });
+
+  it('locks the account and tells its owner, once', async () => {
+    await fail(10);
+    const blocked = await guard.checkLoginAllowed(user.email, '10.0.0.2');
+    expect(blocked.retryAfter).toBe(15 * 60);
+    expect(blocked.message).toMatch(/Try again in 15 minutes, or use the unlock link/);
+
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      user: user._id,
+      type: 'system',
+      data: expect.objectContaining({ reason: 'login_locked', ip: '10.0.0.1' }),
+      channels: { email: true }
+    }));
+    expect(sendAccountLocked).toHaveBeenCalledWith(user, expect.any(String), { ip: '10.0.0.1', minutes: 15 });
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.2')).toBeNull();
+  });
+
+  it('does not email an unconfirmed address', async () => {
+    const unverified = { ...user, isEmailVerified: false };
+    for (let i = 0; i < 10; i++) await guard.recordLoginFailure(user.email, '10.0.0.1', unverified);
+    expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ channels: { email: false } }));
+    expect(sendAccountLocked).not.toHaveBeenCalled();
+  });
+
+  it('lifts the lock with the emailed token, once', async () => {
+    await fail(10);
+    const token = sendAccountLocked.mock.calls[0][1];
+
+    expect(await guard.unlockAccount('not-the-token')).toBeNull();
+    expect(await guard.unlockAccount(token)).toBe(user.email);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.2')).toBeNull();
+    expect(await guard.unlockAccount(token)).toBeNull();
+  });
+
+  it('clears the account on success but keeps the network count', async () => {
+    await fail(9, 'a@example.com');
+    await guard.recordLoginSuccess('a@example.com');
+    expect(await guard.checkLoginAllowed('a@example.com', '10.0.0.3')).toBeNull();
+
+    // The tenth failure from 10.0.0.1 starts delaying that network
+    await fail(1, 'b@example.com');
+    expect(await guard.checkLoginAllowed('c@example.com', '10.0.0.1'))
+      .toEqual(expect.objectContaining({ retryAfter: 1 }));
+  });
+
+  it('locks a network that fails across many accounts', async () => {
+    for (let i = 0; i < 50; i++) await guard.recordLoginFailure(`user${i}@example.com`, '10.0.0.7');
+    const blocked = await guard.checkLoginAllowed('new@example.com', '10.0.0.7');
+    expect(blocked.message).toMatch(/from your network/);
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it('forgets failures after the window', async () => {
+    await fail(2);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    await fail(2);
+    expect(await guard.checkLoginAllowed(user.email, '10.0.0.1')).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const { parseReceipt } = require('../services/receiptParser');
+
+const lines = (...texts) => texts.map(text => ({ text, confidence: 1 }));
+
+// A date this year, so the plausibility check doesn't lower confidence
+const recent = new Date();
+recent.setUTCDate(recent.getUTCDate() - 3);
+const year = recent.getUTCFullYear();
+const month = String(recent.getUTCMonth() + 1).padStart(2, '0');
+const dayOfMonth = String(recent.getUTCDate()).padStart(2, '0');
+
+describe('parseReceipt', () => {
+  it('reads merchant, date, total and tax from a typical receipt', () => {
+    const receipt = parseReceipt(lines(
+      'FRESH MART',
+      '12 Market Road',
+      `Date: ${year}-${month}-${dayOfMonth} 14:05`,
+      'Milk 2.50',
+      'Bread 3.20',
+      'Subtotal 5.70',
+      'VAT 20% 1.14',
+      'TOTAL 6.84'
+    ));
+
+    expect(receipt.merchant).toEqual({ value: 'FRESH MART', confidence: 0.85 });
+    expect(receipt.date.value.toISOString().split('T')[0]).toBe(`${year}-${month}-${dayOfMonth}`);
+    expect(receipt.date.confidence).toBe(0.95);
+    expect(receipt.total).toEqual({ value: 6.84, confidence: 0.85 });
+    expect(receipt.tax.value).toBe(1.14);
+  });
+
+  it('prefers a strong total label over a weak one and reads the figure from the next line', () => {
+    const receipt = parseReceipt(lines(
+      'Cafe Luna',
+      'Total items 3',
+      'Grand Total',
+      '18.40'
+    ));
+    expect(receipt.total.value).toBe(18.4);
+    expect(receipt.total.confidence).toBeCloseTo(0.76);
+  });
+
+  it('adds CGST and SGST together', () => {
+    const receipt = parseReceipt(lines(
+      'Spice Kitchen',
+      'GSTIN 29ABCDE1234F1Z5',
+      'CGST 2.5% 12.50',
+      'SGST 2.5% 12.50',
+      'Amount Payable 525.00'
+    ));
+    expect(receipt.total.value).toBe(525);
+    expect(receipt.tax.value).toBe(25);
+  });
+
+  it('uses the date format preference only for ambiguous dates', () => {
+    const ambiguous = lines('Shop', '03/04/24');
+    expect(parseReceipt(ambiguous, { dateFormat: 'DD/MM/YYYY' }).date.value.toISOString()).toMatch(/^2024-04-03/);
+    expect(parseReceipt(ambiguous, { dateFormat: 'MM/DD/YYYY' }).date.value.toISOString()).toMatch(/^2024-03-04/);
+    expect(parseReceipt(lines('Shop', '25/04/24'), { dateFormat: 'MM/DD/YYYY' }).date.value.toISOString())
+      .toMatch(/^2024-04-25/);
+  });
+
+  it('reads dates with month names', () => {
+    expect(parseReceipt(lines('Shop', '5th Mar 2024')).date.value.toISOString()).toMatch(/^2024-03-05/);
+    expect(parseReceipt(lines('Shop', 'March 5, 2024')).date.value.toISOString()).toMatch(/^2024-03-05/);
+  });
+
+  it('falls back to the largest amount with low confidence when nothing is labelled', () => {
+    const receipt = parseReceipt(lines('Kiosk', '4.00', '12.00', '8.00'));
+    expect(receipt.total).toEqual({ value: 12, confidence: 0.4 });
+  });
+
+  it('returns missing fields as null with zero confidence', () => {
+    const receipt = parseReceipt(lines('1234567', '*****'));
+    expect(receipt.merchant).toEqual({ value: null, confidence: 0 });
+    expect(receipt.date).toEqual({ value: null, confidence: 0 });
+    expect(receipt.total).toEqual({ value: null, confidence: 0 });
+    expect(receipt.tax).toEqual({ value: null, confidence: 0 });
+  });
+});
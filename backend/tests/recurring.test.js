@@ -0,0 +1,109 @@
+jest.mock('../services/budgets', () => ({ syncBudgetsForTransactions: jest.fn() }));
+jest.mock('../services/goals', () => ({ syncGoalsForTransactions: jest.fn() }));
+jest.mock('../services/events', () => ({ publish: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const budgets = require('../services/budgets');
+const goals = require('../services/goals');
+const { occurrenceDate, nextOccurrence, upcomingOccurrences, materializeSeries } = require('../services/recurring');
+
+const utc = (text) => new Date(`${text}T00:00:00.000Z`);
+const day = (date) => date.toISOString().split('T')[0];
+
+describe('occurrenceDate', () => {
+  it('clamps a month-end start to short months and goes back to the 31st', () => {
+    const start = utc('2024-01-31');
+    const dates = [1, 2, 3, 4, 13].map(n => day(occurrenceDate(start, 'monthly', n)));
+    expect(dates).toEqual(['2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31', '2025-02-28']);
+  });
+
+  it('moves a Feb 29 yearly series to Feb 28 outside leap years', () => {
+    const start = utc('2024-02-29');
+    expect(day(occurrenceDate(start, 'yearly', 1))).toBe('2025-02-28');
+    expect(day(occurrenceDate(start, 'yearly', 4))).toBe('2028-02-29');
+  });
+
+  it('steps daily and weekly series by whole days', () => {
+    const start = utc('2024-12-30');
+    expect(day(occurrenceDate(start, 'daily', 3))).toBe('2025-01-02');
+    expect(day(occurrenceDate(start, 'weekly', 2))).toBe('2025-01-13');
+  });
+
+  it('keeps the time of day of the start', () => {
+    const start = new Date('2024-01-31T09:30:00.000Z');
+    expect(occurrenceDate(start, 'monthly', 1).toISOString()).toBe('2024-02-29T09:30:00.000Z');
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(() => occurrenceDate(utc('2024-01-01'), 'hourly', 1)).toThrow('Unknown recurring frequency');
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('returns the first occurrence strictly after the date', () => {
+    const start = utc('2024-01-31');
+    expect(day(nextOccurrence(start, 'monthly', utc('2024-02-29')))).toBe('2024-03-31');
+    expect(day(nextOccurrence(start, 'monthly', utc('2024-03-01')))).toBe('2024-03-31');
+    expect(day(nextOccurrence(start, 'monthly', utc('2026-06-15')))).toBe('2026-06-30');
+  });
+});
+
+describe('upcomingOccurrences', () => {
+  const template = (details) => ({
+    date: utc('2024-01-31'),
+    recurringDetails: { frequency: 'monthly', nextDate: utc('2024-02-29'), ...details }
+  });
+
+  it('lists occurrences up to the date, leaving out skipped ones', () => {
+    const dates = upcomingOccurrences(template({ skipDates: [utc('2024-03-31')] }), utc('2024-05-31'));
+    expect(dates.map(day)).toEqual(['2024-02-29', '2024-04-30', '2024-05-31']);
+  });
+
+  it('stops at the end date and returns nothing while paused', () => {
+    expect(upcomingOccurrences(template({ endDate: utc('2024-04-15') }), utc('2024-12-31')).map(day))
+      .toEqual(['2024-02-29', '2024-03-31']);
+    expect(upcomingOccurrences(template({ isPaused: true }), utc('2024-12-31'))).toEqual([]);
+  });
+});
+
+describe('materializeSeries', () => {
+  const food = new mongoose.Types.ObjectId();
+  const home = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    let id = 0;
+    jest.spyOn(Transaction, 'updateOne').mockImplementation(async () => ({ upsertedId: `occurrence-${++id}` }));
+    jest.spyOn(Transaction, 'find').mockReturnValue({ populate: () => Promise.resolve([]) });
+    budgets.syncBudgetsForTransactions.mockResolvedValue([]);
+    goals.syncGoalsForTransactions.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resyncs the budgets of every split line for new occurrences', async () => {
+    const splits = [{ category: food, amount: 60 }, { category: home, amount: 40 }];
+    const template = {
+      _id: 'template',
+      user: 'user',
+      type: 'expense',
+      amount: 100,
+      category: food,
+      splits,
+      date: utc('2024-01-15'),
+      recurringDetails: { frequency: 'monthly', nextDate: utc('2024-02-15') },
+      save: jest.fn()
+    };
+
+    const created = await materializeSeries(template, utc('2024-03-20'));
+
+    expect(created.map(o => day(o.date))).toEqual(['2024-02-15', '2024-03-15']);
+    expect(budgets.syncBudgetsForTransactions).toHaveBeenCalledWith('user', [
+      { type: 'expense', category: food, splits, date: utc('2024-02-15') },
+      { type: 'expense', category: food, splits, date: utc('2024-03-15') }
+    ]);
+    expect(day(template.recurringDetails.nextDate)).toBe('2024-04-15');
+  });
+});
@@ -0,0 +1,126 @@
+const { validatePattern, compileRule, evaluateRules } = require('../services/rules');
+
+const groceries = 'cat-groceries';
+const salary = 'cat-salary';
+const categoryTypes = new Map([[groceries, 'expense'], [salary, 'income']]);
+
+let nextId = 1;
+const rule = (conditions, actions, extra = {}) => compileRule({
+  _id: `rule-${nextId++}`,
+  conditions,
+  actions,
+  ...extra
+});
+
+const expense = (fields = {}) => ({
+  type: 'expense',
+  amount: 42.5,
+  description: 'TESCO STORES 1234',
+  paymentMethod: 'card',
+  tags: [],
+  ...fields
+});
+
+describe('validatePattern', () => {
+  it('accepts a valid pattern and explains an invalid one', () => {
+    expect(validatePattern('^tesco')).toBeNull();
+    expect(validatePattern('(tesco')).toMatch(/^Invalid pattern: /);
+  });
+
+  it('rejects patterns with nested quantifiers', () => {
+    expect(validatePattern('(a+)+$')).toMatch(/^Pattern is too complex/);
+    expect(validatePattern('(tesco|asda) express')).toBeNull();
+  });
+});
+
+describe('compileRule', () => {
+  it('matches description patterns case-insensitively', () => {
+    const { matches } = rule({ description: 'tesco' });
+    expect(matches(expense())).toBe(true);
+    expect(matches(expense({ description: 'Sainsbury' }))).toBe(false);
+  });
+
+  it('never matches a stored pattern that could backtrack catastrophically', () => {
+    const { matches } = rule({ description: '(a+)+$' });
+    expect(matches(expense({ description: `${'a'.repeat(40)}!` }))).toBe(false);
+    expect(matches(expense({ description: 'aaa' }))).toBe(false);
+  });
+
+  it('checks type, amount range and payment method', () => {
+    const { matches } = rule({ type: 'expense', amountMin: 10, amountMax: 50, paymentMethod: 'card' });
+    expect(matches(expense())).toBe(true);
+    expect(matches(expense({ type: 'income' }))).toBe(false);
+    expect(matches(expense({ amount: 9.99 }))).toBe(false);
+    expect(matches(expense({ amount: '50.01' }))).toBe(false);
+    expect(matches(expense({ paymentMethod: 'cash' }))).toBe(false);
+  });
+
+  it('treats a missing payment method as other', () => {
+    expect(rule({ paymentMethod: 'other' }).matches(expense({ paymentMethod: undefined }))).toBe(true);
+  });
+
+  it('requires every tag, ignoring case', () => {
+    const { matches } = rule({ tags: ['Work', 'travel'] });
+    expect(matches(expense({ tags: ['work', 'TRAVEL', 'extra'] }))).toBe(true);
+    expect(matches(expense({ tags: ['work'] }))).toBe(false);
+  });
+
+  it('never matches on a stored pattern that no longer compiles', () => {
+    expect(rule({ description: '(tesco' }).matches(expense())).toBe(false);
+  });
+});
+
+describe('evaluateRules', () => {
+  it('fills an empty category from the first matching rule', () => {
+    const rules = [
+      rule({ description: 'tesco' }, { category: groceries }),
+      rule({ description: 'stores' }, { category: 'cat-other' })
+    ];
+    const { changes, matchedRules } = evaluateRules(rules, expense(), categoryTypes);
+    expect(changes).toEqual({ category: groceries });
+    expect(matchedRules).toEqual([rules[0].rule._id, rules[1].rule._id]);
+  });
+
+  it('keeps a category the transaction already has', () => {
+    const rules = [rule({ description: 'tesco' }, { category: groceries })];
+    expect(evaluateRules(rules, expense({ category: 'cat-mine' }), categoryTypes).changes).toEqual({});
+  });
+
+  it('skips a category of the wrong type and uses the next one', () => {
+    const rules = [
+      rule({}, { category: salary }),
+      rule({}, { category: groceries })
+    ];
+    expect(evaluateRules(rules, expense(), categoryTypes).changes).toEqual({ category: groceries });
+  });
+
+  it('adds tags from every matching rule without duplicates', () => {
+    const rules = [
+      rule({ description: 'tesco' }, { addTags: ['Food', 'weekly'] }),
+      rule({ amountMin: 40 }, { addTags: ['food', 'large'] })
+    ];
+    const { changes } = evaluateRules(rules, expense({ tags: ['Weekly'] }), categoryTypes);
+    expect(changes).toEqual({ tags: ['Weekly', 'Food', 'large'] });
+  });
+
+  it('fills empty notes only', () => {
+    const rules = [rule({}, { notes: 'Groceries run' }), rule({}, { notes: 'Second' })];
+    expect(evaluateRules(rules, expense(), categoryTypes).changes).toEqual({ notes: 'Groceries run' });
+    expect(evaluateRules(rules, expense({ notes: 'Mine' }), categoryTypes).changes).toEqual({});
+  });
+
+  it('stops after a rule that says so', () => {
+    const rules = [
+      rule({ description: 'tesco' }, { addTags: ['first'] }, { stopProcessing: true }),
+      rule({}, { addTags: ['second'] })
+    ];
+    const { changes, matchedRules } = evaluateRules(rules, expense(), categoryTypes);
+    expect(changes).toEqual({ tags: ['first'] });
+    expect(matchedRules).toEqual([rules[0].rule._id]);
+  });
+
+  it('returns no changes when nothing matches', () => {
+    const rules = [rule({ description: 'amazon' }, { category: groceries, addTags: ['shop'] })];
+    expect(evaluateRules(rules, expense(), categoryTypes)).toEqual({ changes: {}, matchedRules: [] });
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const { checkSplits, categoryLines, matchCategory } = require('../services/splits');
+
+const userId = new mongoose.Types.ObjectId();
+const food = new mongoose.Types.ObjectId().toString();
+const home = new mongoose.Types.ObjectId().toString();
+
+describe('checkSplits', () => {
+  let countDocuments;
+
+  beforeEach(() => {
+    countDocuments = jest.spyOn(Category, 'countDocuments').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    countDocuments.mockRestore();
+  });
+
+  it('accepts lines that add up to the total and cleans them up', async () => {
+    const result = await checkSplits(userId, [
+      { category: food, amount: '30.004', note: ' groceries ' },
+      { category: home, amount: 19.996, note: '' }
+    ], { type: 'expense', amount: 50 });
+
+    expect(result).toEqual({
+      splits: [
+        { category: food, amount: 30, note: 'groceries' },
+        { category: home, amount: 20, note: undefined }
+      ]
+    });
+    expect(countDocuments).toHaveBeenCalledWith({
+      _id: { $in: [food, home] },
+      user: userId,
+      type: 'expense',
+      isActive: true
+    });
+  });
+
+  it('rejects lines that do not add up to the total', async () => {
+    const result = await checkSplits(userId, [
+      { category: food, amount: 30 },
+      { category: home, amount: 19.99 }
+    ], { type: 'expense', amount: 50 });
+    expect(result).toEqual({ error: 'Splits add up to 49.99, not the total of 50.00' });
+  });
+
+  it.each([
+    ['a non-list', 'nope', 'Splits must be a list'],
+    ['one line', [{ category: food, amount: 50 }], 'A split needs at least two lines'],
+    ['a missing category', [{ amount: 25 }, { category: home, amount: 25 }], 'Each split needs a category'],
+    ['a zero amount', [{ category: food, amount: 0 }, { category: home, amount: 50 }], 'Each split amount must be greater than 0'],
+    ['a long note', [{ category: food, amount: 25, note: 'x'.repeat(201) }, { category: home, amount: 25 }], 'Split note cannot exceed 200 characters'],
+    ['too many lines', Array.from({ length: 21 }, () => ({ category: food, amount: 1 })), 'A transaction can have at most 20 splits']
+  ])('rejects %s', async (_, splits, error) => {
+    await expect(checkSplits(userId, splits, { type: 'expense', amount: 50 })).resolves.toEqual({ error });
+    expect(countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('rejects splitting a transfer', async () => {
+    const splits = [{ category: food, amount: 25 }, { category: home, amount: 25 }];
+    await expect(checkSplits(userId, splits, { type: 'transfer', amount: 50 }))
+      .resolves.toEqual({ error: 'Transfers cannot be split' });
+  });
+
+  it('rejects categories that are not the user\'s active ones of that type', async () => {
+    countDocuments.mockResolvedValue(1);
+    const splits = [{ category: food, amount: 25 }, { category: home, amount: 25 }];
+    await expect(checkSplits(userId, splits, { type: 'income', amount: 50 }))
+      .resolves.toEqual({ error: 'Invalid category for this transaction type' });
+  });
+});
+
+describe('categoryLines', () => {
+  it('returns the splits, or the whole amount in the one category', () => {
+    expect(categoryLines({ category: food, amount: 10, splits: [] })).toEqual([{ category: food, amount: 10 }]);
+    expect(categoryLines({ category: food, amount: 10, splits: [{ category: home, amount: 10, note: 'x' }] }))
+      .toEqual([{ category: home, amount: 10 }]);
+  });
+});
+
+describe('matchCategory', () => {
+  it('matches the category or any split line', () => {
+    expect(matchCategory(food)).toEqual({ $or: [{ category: food }, { 'splits.category': food }] });
+  });
+});
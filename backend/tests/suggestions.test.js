@@ -0,0 +1,62 @@
+const { tokenize, predict } = require('../services/suggestions');
+
+const groceries = { _id: 'cat-groceries', type: 'expense' };
+const transport = { _id: 'cat-transport', type: 'expense' };
+const salary = { _id: 'cat-salary', type: 'income' };
+const categories = [groceries, transport, salary];
+
+const model = {
+  documents: 7,
+  categories: {
+    'cat-groceries': { docs: 4, tokens: 8, words: { tesco: 3, stores: 2, lidl: 2, express: 1 } },
+    'cat-transport': { docs: 2, tokens: 4, words: { uber: 2, trip: 1, express: 1 } },
+    'cat-salary': { docs: 1, tokens: 2, words: { acme: 1, salary: 1 } }
+  }
+};
+
+describe('tokenize', () => {
+  it('keeps distinct words, dropping numbers, stop words and single letters', () => {
+    expect(tokenize('POS 1234 TESCO Stores, London - the TESCO x')).toEqual(['tesco', 'stores', 'london']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('predict', () => {
+  it('ranks categories of the type best first with confidences that add up to 1', () => {
+    const ranked = predict(model, 'TESCO STORES 1234', 'expense', categories);
+    expect(ranked.map(r => r.category)).toEqual([groceries, transport]);
+    expect(ranked[0].confidence).toBeGreaterThan(0.9);
+    expect(ranked[0].confidence + ranked[1].confidence).toBeCloseTo(1, 2);
+  });
+
+  it('follows the words that tell categories apart', () => {
+    expect(predict(model, 'Uber trip', 'expense', categories)[0].category).toBe(transport);
+  });
+
+  it('ignores words the model has never seen', () => {
+    expect(predict(model, 'tesco somewhere new', 'expense', categories))
+      .toEqual(predict(model, 'tesco', 'expense', categories));
+  });
+
+  it('returns nothing when no word is known', () => {
+    expect(predict(model, 'Completely unknown payee', 'expense', categories)).toEqual([]);
+  });
+
+  it('only suggests candidates of the transaction type', () => {
+    const ranked = predict(model, 'ACME salary', 'income', categories);
+    expect(ranked).toEqual([{ category: salary, confidence: 1 }]);
+  });
+
+  it('skips categories that are not candidates or have no documents', () => {
+    const emptied = {
+      categories: { ...model.categories, 'cat-transport': { docs: 0, tokens: 0, words: { uber: 0 } } }
+    };
+    expect(predict(emptied, 'uber tesco', 'expense', categories).map(r => r.category)).toEqual([groceries]);
+    expect(predict(model, 'tesco', 'expense', [transport]).map(r => r.category)).toEqual([transport]);
+  });
+
+  it('returns nothing without a model', () => {
+    expect(predict(null, 'tesco', 'expense', categories)).toEqual([]);
+    expect(predict({ categories: {} }, 'tesco', 'expense', categories)).toEqual([]);
+  });
+});
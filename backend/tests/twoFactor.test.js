@@ -0,0 +1,126 @@
+jest.mock('../models/User', () => ({ updateOne: jest.fn() }));
+
+const User = require('../models/User');
+const {
+  base32Encode,
+  base32Decode,
+  totp,
+  verifyTotp,
+  generateSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeSecondFactor
+} = require('../services/twoFactor');
+
+// RFC 6238 Appendix B: the seed for each algorithm is "1234567890" repeated
+// to the hash length, and codes have 8 digits
+const SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+const VECTORS = [
+  [59, { sha1: '94287082', sha256: '46119246', sha512: '90693936' }],
+  [1111111109, { sha1: '07081804', sha256: '68084774', sha512: '25091201' }],
+  [1111111111, { sha1: '14050471', sha256: '67062674', sha512: '99943326' }],
+  [1234567890, { sha1: '89005924', sha256: '91819424', sha512: '93441116' }],
+  [2000000000, { sha1: '69279037', sha256: '90698825', sha512: '38618901' }],
+  [20000000000, { sha1: '65353130', sha256: '77737706', sha512: '47863826' }]
+];
+
+describe('totp', () => {
+  VECTORS.forEach(([seconds, codes]) => {
+    Object.entries(codes).forEach(([algorithm, code]) => {
+      it(`matches the RFC 6238 vector for ${algorithm.toUpperCase()} at T=${seconds}`, () => {
+        expect(totp(SEEDS[algorithm], { time: seconds * 1000, digits: 8, algorithm })).toBe(code);
+      });
+    });
+  });
+});
+
+describe('base32', () => {
+  it('round-trips secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('decodes the RFC 4648 example ignoring case, spaces and padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+});
+
+describe('verifyTotp', () => {
+  const secret = base32Encode(SEEDS.sha1);
+  const time = 59000;
+  const step = 1;
+
+  it('accepts the current code and the ones either side', () => {
+    expect(verifyTotp(secret, totp(SEEDS.sha1, { time }), { time })).toBe(step);
+    expect(verifyTotp(secret, totp(SEEDS.sha1, { time: time - 30000 }), { time })).toBe(step - 1);
+    expect(verifyTotp(secret, totp(SEEDS.sha1, { time: time + 30000 }), { time })).toBe(step + 1);
+  });
+
+  it('refuses codes from further away, malformed codes and used steps', () => {
+    expect(verifyTotp(secret, totp(SEEDS.sha1, { time: time + 90000 }), { time })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+    expect(verifyTotp(secret, totp(SEEDS.sha1, { time }), { time, afterStep: step })).toBeNull();
+  });
+});
+
+describe('recovery codes', () => {
+  it('stores only hashes of the codes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/));
+    expect(hashes).toEqual(codes.map(hashRecoveryCode));
+    hashes.forEach((hash, i) => expect(hash).not.toContain(codes[i].replace(/-/g, '')));
+  });
+
+  it('hashes codes the same however they are typed', () => {
+    const hash = hashRecoveryCode('ABCD-EFGH-IJKL-MNOP');
+    expect(hashRecoveryCode('abcdefghijklmnop')).toBe(hash);
+    expect(hashRecoveryCode(' abcd efgh 1jkl mn0p ')).toBe(hash);
+  });
+});
+
+describe('consumeSecondFactor', () => {
+  const secret = generateSecret();
+  const { codes, hashes } = generateRecoveryCodes(2);
+  const user = {
+    _id: 'user-1',
+    twoFactor: { enabled: true, secret, recoveryCodes: hashes, lastUsedStep: -1 }
+  };
+
+  beforeEach(() => {
+    User.updateOne.mockReset();
+  });
+
+  it('accepts a current code once', async () => {
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    await expect(consumeSecondFactor(user, totp(base32Decode(secret)))).resolves.toEqual({ method: 'totp' });
+
+    // Another request already recorded the step
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    await expect(consumeSecondFactor(user, totp(base32Decode(secret)))).resolves.toBeNull();
+  });
+
+  it('accepts an unused recovery code and removes it', async () => {
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    await expect(consumeSecondFactor(user, codes[0].toLowerCase())).resolves.toEqual({ method: 'recovery' });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user-1', 'twoFactor.recoveryCodes': hashes[0] },
+      { $pull: { 'twoFactor.recoveryCodes': hashes[0] } }
+    );
+  });
+
+  it('refuses unknown codes without touching the user', async () => {
+    await expect(consumeSecondFactor(user, 'AAAA-AAAA-AAAA-AAAA')).resolves.toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses everything when 2FA is off', async () => {
+    await expect(consumeSecondFactor({ twoFactor: { enabled: false } }, codes[1])).resolves.toBeNull();
+  });
+});
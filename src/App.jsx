@@ -1,138 +1,177 @@
-import React, { useState, useEffect } from 'react';
-import { PlusCircle, TrendingUp, TrendingDown, DollarSign, PieChart, Calendar, Settings, LogOut, User } from 'lucide-react';
+import React, { useCallback, useState } from 'react';
+import { PlusCircle, TrendingUp, TrendingDown, DollarSign, PieChart, Calendar, Settings, LogOut, User, Upload, DatabaseBackup, Wand2, Wallet, Coins, PiggyBank, Receipt, ShieldCheck } from 'lucide-react';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { RealtimeProvider, useRealtimeEvent } from './contexts/RealtimeContext';
+import { FinanceProvider, useFinance } from './contexts/FinanceContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 import AuthPage from './components/auth/AuthPage';
+import VerifyEmailPage from './components/auth/VerifyEmailPage';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import Dashboard from './components/Dashboard';
 import TransactionForm from './components/TransactionForm';
 import BudgetManager from './components/BudgetManager';
 import Reports from './components/Reports';
 import CategoryManager from './components/CategoryManager';
 import LoadingSpinner from './components/LoadingSpinner';
+import LocalDataImport from './components/LocalDataImport';
+import NotificationCenter from './components/NotificationCenter';
+import ImportWizard from './components/ImportWizard';
+import BackupRestore from './components/BackupRestore';
+import RuleManager from './components/RuleManager';
+import AccountManager from './components/AccountManager';
+import ExchangeRateManager from './components/ExchangeRateManager';
+import GoalManager from './components/GoalManager';
+import BillManager from './components/BillManager';
+import SecuritySettings from './components/SecuritySettings';
+import { DEFAULT_CURRENCY } from './utils/currency';
 
 const TABS = {
   DASHBOARD: 'dashboard',
   ADD_TRANSACTION: 'add-transaction',
+  ACCOUNTS: 'accounts',
+  IMPORT: 'import',
   BUDGETS: 'budgets',
+  GOALS: 'goals',
+  BILLS: 'bills',
   REPORTS: 'reports',
-  CATEGORIES: 'categories'
+  CATEGORIES: 'categories',
+  RULES: 'rules',
+  CURRENCIES: 'currencies',
+  BACKUP: 'backup',
+  SECURITY: 'security'
 };
 
-function AppContent() {
-  const { user, logout, loading } = useAuth();
-  const [activeTab, setActiveTab] = useState(TABS.DASHBOARD);
-  const [transactions, setTransactions] = useState([]);
-  const [budgets, setBudgets] = useState([]);
-  const [categories, setCategories] = useState([
-    { id: 1, name: 'Food & Dining', type: 'expense', color: '#ef4444' },
-    { id: 2, name: 'Transportation', type: 'expense', color: '#f97316' },
-    { id: 3, name: 'Shopping', type: 'expense', color: '#eab308' },
-    { id: 4, name: 'Entertainment', type: 'expense', color: '#22c55e' },
-    { id: 5, name: 'Bills & Utilities', type: 'expense', color: '#3b82f6' },
-    { id: 6, name: 'Healthcare', type: 'expense', color: '#8b5cf6' },
-    { id: 7, name: 'Salary', type: 'income', color: '#10b981' },
-    { id: 8, name: 'Freelance', type: 'income', color: '#06b6d4' },
-    { id: 9, name: 'Investment', type: 'income', color: '#8b5cf6' }
-  ]);
+// Verification emails link to /verify-email?token=...
+const verifyTokenFromUrl = () => (
+  window.location.pathname === '/verify-email'
+    ? new URLSearchParams(window.location.search).get('token')
+    : null
+);
 
-  // Load data from localStorage on component mount
-  useEffect(() => {
-    const savedTransactions = localStorage.getItem('financeTracker_transactions');
-    const savedBudgets = localStorage.getItem('financeTracker_budgets');
-    const savedCategories = localStorage.getItem('financeTracker_categories');
+// Password reset and unlock emails link to /reset-password?token=... and
+// /unlock-account?token=...; AuthPage shows their pages
+const AUTH_LINK_PATHS = ['/reset-password', '/unlock-account'];
 
-    if (savedTransactions) {
-      setTransactions(JSON.parse(savedTransactions));
-    }
-    if (savedBudgets) {
-      setBudgets(JSON.parse(savedBudgets));
-    }
-    if (savedCategories) {
-      setCategories(JSON.parse(savedCategories));
-    }
-  }, []);
-
-  // Save data to localStorage whenever state changes
-  useEffect(() => {
-    localStorage.setItem('financeTracker_transactions', JSON.stringify(transactions));
-  }, [transactions]);
+const authLinkFromUrl = () => {
+  const { pathname, search } = window.location;
+  const token = new URLSearchParams(search).get('token');
+  return AUTH_LINK_PATHS.includes(pathname) && token ? { path: pathname, token } : null;
+};
 
-  useEffect(() => {
-    localStorage.setItem('financeTracker_budgets', JSON.stringify(budgets));
-  }, [budgets]);
+function AppContent() {
+  const { user, logout, loading, mergeUser } = useAuth();
+  const [activeTab, setActiveTab] = useState(TABS.DASHBOARD);
+  const [verifyToken, setVerifyToken] = useState(verifyTokenFromUrl);
+  const [authLink, setAuthLink] = useState(authLinkFromUrl);
+  // The item a notification links to, { type, id }, until its tab has shown it
+  const [linked, setLinked] = useState(null);
+  const clearLinked = useCallback(() => setLinked(null), []);
+  const {
+    transactions,
+    budgets,
+    categories,
+    accounts,
+    unassigned,
+    loading: dataLoading,
+    error: dataError,
+    clearError,
+    refresh,
+    loadTransactionsFrom,
+    addTransaction,
+    addTransfer,
+    updateTransaction,
+    deleteTransaction,
+    addBudget,
+    updateBudget,
+    deleteBudget,
+    recomputeBudgets,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    reloadAccounts
+  } = useFinance();
 
-  useEffect(() => {
-    localStorage.setItem('financeTracker_categories', JSON.stringify(categories));
-  }, [categories]);
+  // Profile changes made in the user's other sessions
+  useRealtimeEvent('user.updated', (data) => mergeUser(data));
 
-  if (loading) {
-    return <LoadingSpinner />;
+  if (verifyToken) {
+    return (
+      <VerifyEmailPage
+        token={verifyToken}
+        onVerified={() => mergeUser({ isEmailVerified: true })}
+        onContinue={() => {
+          window.history.replaceState(null, '', '/');
+          setVerifyToken(null);
+        }}
+      />
+    );
   }
 
-  if (!user) {
-    return <AuthPage />;
+  if (loading && !authLink) {
+    return <LoadingSpinner />;
   }
 
-  const addTransaction = (transaction) => {
-    const newTransaction = {
-      ...transaction,
-      id: Date.now(),
-      date: new Date(transaction.date).toISOString()
-    };
-    setTransactions(prev => [...prev, newTransaction]);
-  };
-
-  const updateTransaction = (id, updatedTransaction) => {
-    setTransactions(prev => 
-      prev.map(t => t.id === id ? { ...updatedTransaction, id } : t)
+  // Emailed links open over the app too, e.g. a reset link followed while
+  // still signed in
+  if (!user || authLink) {
+    return (
+      <AuthPage
+        link={authLink}
+        onLeaveLink={() => {
+          window.history.replaceState(null, '', '/');
+          setAuthLink(null);
+        }}
+      />
     );
-  };
-
-  const deleteTransaction = (id) => {
-    setTransactions(prev => prev.filter(t => t.id !== id));
-  };
-
-  const addBudget = (budget) => {
-    const newBudget = {
-      ...budget,
-      id: Date.now()
-    };
-    setBudgets(prev => [...prev, newBudget]);
-  };
-
-  const updateBudget = (id, updatedBudget) => {
-    setBudgets(prev => 
-      prev.map(b => b.id === id ? { ...updatedBudget, id } : b)
-    );
-  };
+  }
 
-  const deleteBudget = (id) => {
-    setBudgets(prev => prev.filter(b => b.id !== id));
-  };
+  // Reports, budgets and totals are in this currency
+  const baseCurrency = user.preferences?.currency || DEFAULT_CURRENCY;
 
-  const addCategory = (category) => {
-    const newCategory = {
-      ...category,
-      id: Date.now()
-    };
-    setCategories(prev => [...prev, newCategory]);
-  };
-
-  const updateCategory = (id, updatedCategory) => {
-    setCategories(prev => 
-      prev.map(c => c.id === id ? { ...updatedCategory, id } : c)
-    );
-  };
+  const linkedId = (type) => (linked?.type === type ? linked.id : null);
 
-  const deleteCategory = (id) => {
-    setCategories(prev => prev.filter(c => c.id !== id));
+  // Open the tab that shows whatever a notification links to; the tab
+  // scrolls to the item itself
+  const handleNotificationNavigate = (link) => {
+    setLinked(link.id ? link : null);
+    switch (link.type) {
+      case 'budget':
+        setActiveTab(TABS.BUDGETS);
+        break;
+      case 'transaction':
+        setActiveTab(TABS.DASHBOARD);
+        break;
+      case 'goal':
+        setActiveTab(TABS.GOALS);
+        break;
+      case 'bill':
+        setActiveTab(TABS.BILLS);
+        break;
+      case 'security':
+        setActiveTab(TABS.SECURITY);
+        break;
+      default:
+        break;
+    }
   };
 
   const navItems = [
     { id: TABS.DASHBOARD, label: 'Dashboard', icon: TrendingUp },
     { id: TABS.ADD_TRANSACTION, label: 'Add Transaction', icon: PlusCircle },
+    { id: TABS.ACCOUNTS, label: 'Accounts', icon: Wallet },
+    { id: TABS.IMPORT, label: 'Import', icon: Upload },
     { id: TABS.BUDGETS, label: 'Budgets', icon: DollarSign },
+    { id: TABS.GOALS, label: 'Goals', icon: PiggyBank },
+    { id: TABS.BILLS, label: 'Bills', icon: Receipt },
     { id: TABS.REPORTS, label: 'Reports', icon: PieChart },
-    { id: TABS.CATEGORIES, label: 'Categories', icon: Settings }
+    { id: TABS.CATEGORIES, label: 'Categories', icon: Settings },
+    { id: TABS.RULES, label: 'Rules', icon: Wand2 },
+    { id: TABS.CURRENCIES, label: 'Currencies', icon: Coins },
+    { id: TABS.BACKUP, label: 'Backup', icon: DatabaseBackup },
+    { id: TABS.SECURITY, label: 'Security', icon: ShieldCheck }
   ];
 
   const renderContent = () => {
@@ -143,27 +182,78 @@ function AppContent() {
             transactions={transactions}
             budgets={budgets}
             categories={categories}
+            accounts={accounts}
+            currency={baseCurrency}
             onEditTransaction={updateTransaction}
             onDeleteTransaction={deleteTransaction}
+            onLoadTransactionsFrom={loadTransactionsFrom}
+            highlightTransactionId={linkedId('transaction')}
+            onHighlighted={clearLinked}
           />
         );
       case TABS.ADD_TRANSACTION:
         return (
           <TransactionForm
             categories={categories}
+            accounts={accounts}
+            currency={baseCurrency}
             onAddTransaction={addTransaction}
+            onAddTransfer={addTransfer}
             onBack={() => setActiveTab(TABS.DASHBOARD)}
           />
         );
+      case TABS.ACCOUNTS:
+        return (
+          <AccountManager
+            accounts={accounts}
+            unassigned={unassigned}
+            defaultCurrency={baseCurrency}
+            onAddAccount={addAccount}
+            onUpdateAccount={updateAccount}
+            onDeleteAccount={deleteAccount}
+            onAccountsChanged={reloadAccounts}
+          />
+        );
+      case TABS.IMPORT:
+        return (
+          <ImportWizard
+            categories={categories}
+            accounts={accounts}
+            onImported={() => refresh({ background: true })}
+          />
+        );
       case TABS.BUDGETS:
         return (
           <BudgetManager
             budgets={budgets}
             categories={categories}
-            transactions={transactions}
+            currency={baseCurrency}
             onAddBudget={addBudget}
             onUpdateBudget={updateBudget}
             onDeleteBudget={deleteBudget}
+            onRecomputeBudgets={recomputeBudgets}
+            highlightId={linkedId('budget')}
+            onHighlighted={clearLinked}
+          />
+        );
+      case TABS.GOALS:
+        return (
+          <GoalManager
+            accounts={accounts}
+            categories={categories}
+            currency={baseCurrency}
+            highlightId={linkedId('goal')}
+            onHighlighted={clearLinked}
+          />
+        );
+      case TABS.BILLS:
+        return (
+          <BillManager
+            categories={categories}
+            accounts={accounts}
+            currency={baseCurrency}
+            highlightId={linkedId('bill')}
+            onHighlighted={clearLinked}
           />
         );
       case TABS.REPORTS:
@@ -172,6 +262,8 @@ function AppContent() {
             transactions={transactions}
             categories={categories}
             budgets={budgets}
+            currency={baseCurrency}
+            onLoadTransactionsFrom={loadTransactionsFrom}
           />
         );
       case TABS.CATEGORIES:
@@ -183,6 +275,22 @@ function AppContent() {
             onDeleteCategory={deleteCategory}
           />
         );
+      case TABS.RULES:
+        return (
+          <RuleManager categories={categories} />
+        );
+      case TABS.CURRENCIES:
+        return (
+          <ExchangeRateManager onRatesChanged={() => refresh({ background: true })} />
+        );
+      case TABS.BACKUP:
+        return (
+          <BackupRestore onRestored={() => refresh({ background: true })} />
+        );
+      case TABS.SECURITY:
+        return (
+          <SecuritySettings />
+        );
       default:
         return null;
     }
@@ -205,6 +313,7 @@ function AppContent() {
             </div>
             
             <div className="flex items-center space-x-4">
+              <NotificationCenter onNavigate={handleNotificationNavigate} />
               <div className="flex items-center space-x-2">
                 <User className="h-5 w-5 text-gray-400" />
                 <span className="text-sm text-gray-700">Welcome, {user.name}</span>
@@ -248,7 +357,23 @@ function AppContent() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {renderContent()}
+        {dataError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6 flex justify-between items-center">
+            <span>{dataError}</span>
+            <button onClick={clearError} className="text-sm font-medium hover:text-red-900">
+              Dismiss
+            </button>
+          </div>
+        )}
+        <EmailVerificationBanner />
+        <LocalDataImport />
+        {dataLoading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          renderContent()
+        )}
       </main>
     </div>
   );
@@ -257,7 +382,13 @@ function AppContent() {
 function App() {
   return (
     <AuthProvider>
-      <AppContent />
+      <RealtimeProvider>
+        <FinanceProvider>
+          <NotificationProvider>
+            <AppContent />
+          </NotificationProvider>
+        </FinanceProvider>
+      </RealtimeProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,617 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Edit2, Archive, Wallet, CheckCircle, AlertCircle, ArrowLeft, ArchiveRestore, Scale } from 'lucide-react';
+import { accountsApi, getErrorMessage } from '../services/api';
+import { amountColor, amountSign, categoryLabel } from '../utils/transactions';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+
+const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'wallet', label: 'Wallet' },
+  { value: 'investment', label: 'Investment' },
+  { value: 'loan', label: 'Loan' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'checking',
+  currency: DEFAULT_CURRENCY,
+  openingBalance: '0',
+  institution: '',
+  color: '#3b82f6'
+};
+
+const typeLabel = (type) => ACCOUNT_TYPES.find(t => t.value === type)?.label || type;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Running balances and statement reconciliation for one account
+const AccountLedger = ({ account, onBack, onReconciled }) => {
+  const [ledger, setLedger] = useState(null);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState('');
+  const [statement, setStatement] = useState({ date: today(), balance: '' });
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    setError('');
+    accountsApi.ledger(account._id, { page, limit: 50 })
+      .then(setLedger)
+      .catch(err => setError(getErrorMessage(err, 'Could not load transactions')));
+  }, [account._id, page, result]);
+
+  const handleReconcile = async (e) => {
+    e.preventDefault();
+    if (statement.balance === '' || isNaN(parseFloat(statement.balance))) {
+      setResult({ error: 'Enter the closing balance from your statement' });
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const data = await accountsApi.reconcile(account._id, {
+        statementBalance: parseFloat(statement.balance),
+        statementDate: statement.date
+      });
+      setResult(data);
+      if (data.reconciled) onReconciled(data.account);
+    } catch (err) {
+      setResult({ error: getErrorMessage(err, 'Could not reconcile the account') });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const current = ledger?.account || account;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={onBack}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <div>
+            <h2 className="text-3xl font-bold text-gray-900">{current.name}</h2>
+            <p className="text-gray-600">
+              {typeLabel(current.type)}{current.institution && ` · ${current.institution}`}
+            </p>
+          </div>
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-600">Balance</p>
+          <p className={`text-2xl font-bold ${current.balance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatMoney(current.balance, current.currency)}
+          </p>
+        </div>
+      </div>
+
+      {/* Reconcile */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Reconcile with a statement</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {current.lastReconciled?.date
+            ? `Last reconciled to ${formatMoney(current.lastReconciled.balance, current.currency)} on ${new Date(current.lastReconciled.date).toLocaleDateString()}.`
+            : 'Not reconciled yet.'}
+          {' '}{current.unreconciledCount} transaction{current.unreconciledCount === 1 ? '' : 's'} not reconciled.
+        </p>
+        <form onSubmit={handleReconcile} className="flex flex-col sm:flex-row sm:items-end gap-4">
+          <div>
+            <label htmlFor="statementDate" className="block text-sm font-medium text-gray-700 mb-2">
+              Statement date
+            </label>
+            <input
+              type="date"
+              id="statementDate"
+              value={statement.date}
+              onChange={(e) => setStatement(prev => ({ ...prev, date: e.target.value }))}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label htmlFor="statementBalance" className="block text-sm font-medium text-gray-700 mb-2">
+              Closing balance
+            </label>
+            <input
+              type="number"
+              id="statementBalance"
+              step="0.01"
+              value={statement.balance}
+              onChange={(e) => setStatement(prev => ({ ...prev, balance: e.target.value }))}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Scale className="h-4 w-4" />
+            <span>Reconcile</span>
+          </button>
+        </form>
+
+        {result?.error && <p className="mt-4 text-sm text-red-600">{result.error}</p>}
+        {result?.reconciled && (
+          <div className="mt-4 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm flex items-center space-x-2">
+            <CheckCircle className="h-4 w-4" />
+            <span>Balances match. {result.newlyReconciled} transaction{result.newlyReconciled === 1 ? '' : 's'} marked as reconciled.</span>
+          </div>
+        )}
+        {result && result.reconciled === false && (
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+            <div className="flex items-center space-x-2 font-semibold mb-1">
+              <AlertCircle className="h-4 w-4" />
+              <span>Off by {formatMoney(result.difference, current.currency)}</span>
+            </div>
+            <p>
+              Your records show {formatMoney(result.recordedBalance, current.currency)} on that date.
+              Check the {result.unreconciled.length} unreconciled transaction{result.unreconciled.length === 1 ? '' : 's'} below
+              for missing or mistyped entries.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Ledger */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Transactions</h3>
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+        {ledger && ledger.transactions.length > 0 ? (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4 font-medium">Date</th>
+                    <th className="py-2 pr-4 font-medium">Description</th>
+                    <th className="py-2 pr-4 font-medium">Category</th>
+                    <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                    <th className="py-2 pr-4 font-medium text-right">Balance</th>
+                    <th className="py-2 font-medium text-center">Reconciled</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.transactions.map(transaction => (
+                    <tr key={transaction._id} className="border-b last:border-0">
+                      <td className="py-2 pr-4 whitespace-nowrap">{new Date(transaction.date).toLocaleDateString()}</td>
+                      <td className="py-2 pr-4">{transaction.description}</td>
+                      <td className="py-2 pr-4">{categoryLabel(transaction)}</td>
+                      <td className={`py-2 pr-4 text-right whitespace-nowrap ${amountColor(transaction)}`}>
+                        {amountSign(transaction)}{formatMoney(transaction.amount, current.currency)}
+                      </td>
+                      <td className="py-2 pr-4 text-right whitespace-nowrap">{formatMoney(transaction.balance, current.currency)}</td>
+                      <td className="py-2 text-center">
+                        {transaction.reconciled && <CheckCircle className="h-4 w-4 text-green-600 inline" />}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {ledger.pagination.pages > 1 && (
+              <div className="flex justify-between items-center mt-4 text-sm">
+                <button
+                  onClick={() => setPage(p => p - 1)}
+                  disabled={!ledger.pagination.hasPrev}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Newer
+                </button>
+                <span className="text-gray-600">Page {ledger.pagination.current} of {ledger.pagination.pages}</span>
+                <button
+                  onClick={() => setPage(p => p + 1)}
+                  disabled={!ledger.pagination.hasNext}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Older
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="text-gray-500 text-center py-8">{ledger ? 'No transactions in this account yet' : 'Loading...'}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AccountManager = ({ accounts, unassigned, defaultCurrency, onAddAccount, onUpdateAccount, onDeleteAccount, onAccountsChanged }) => {
+  const baseCurrency = defaultCurrency || DEFAULT_CURRENCY;
+  const [showForm, setShowForm] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [formData, setFormData] = useState({ ...EMPTY_FORM, currency: baseCurrency });
+  const [errors, setErrors] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [archived, setArchived] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Account name is required';
+    } else if (accounts.some(a =>
+      a.name.toLowerCase() === formData.name.trim().toLowerCase() &&
+      (!editingAccount || a._id !== editingAccount._id)
+    )) {
+      newErrors.name = 'An account with this name already exists';
+    }
+
+    if (!/^[A-Za-z]{3}$/.test(formData.currency.trim())) {
+      newErrors.currency = 'Use a 3-letter code such as INR or USD';
+    }
+
+    if (formData.openingBalance === '' || isNaN(parseFloat(formData.openingBalance))) {
+      newErrors.openingBalance = 'Enter a number (negative for money owed)';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const accountData = {
+      ...formData,
+      name: formData.name.trim(),
+      currency: formData.currency.trim().toUpperCase(),
+      institution: formData.institution.trim(),
+      openingBalance: parseFloat(formData.openingBalance)
+    };
+
+    const result = editingAccount
+      ? await onUpdateAccount(editingAccount._id, accountData)
+      : await onAddAccount(accountData);
+
+    if (!result.success) {
+      setErrors({ submit: result.error });
+      return;
+    }
+
+    handleCancel();
+  };
+
+  const handleEdit = (account) => {
+    setEditingAccount(account);
+    setFormData({
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      openingBalance: String(account.openingBalance),
+      institution: account.institution || '',
+      color: account.color
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setFormData({ ...EMPTY_FORM, currency: baseCurrency });
+    setShowForm(false);
+    setEditingAccount(null);
+    setErrors({});
+  };
+
+  const handleArchive = async (account) => {
+    const message = account.transactionCount > 0
+      ? `Archive "${account.name}"? Its transactions are kept.`
+      : `Delete "${account.name}"?`;
+    if (!window.confirm(message)) return;
+    await onDeleteAccount(account._id);
+    if (archived) loadArchived();
+  };
+
+  const loadArchived = async () => {
+    try {
+      const { accounts: all } = await accountsApi.list({ includeArchived: true });
+      setArchived(all.filter(a => a.isArchived));
+    } catch (err) {
+      console.error('Load archived accounts error:', err);
+    }
+  };
+
+  const handleRestore = async (account) => {
+    const result = await onUpdateAccount(account._id, { isArchived: false });
+    if (result.success) setArchived(prev => prev.filter(a => a._id !== account._id));
+  };
+
+  const selectedAccount = accounts.find(a => a._id === selectedId);
+  if (selectedAccount) {
+    return (
+      <AccountLedger
+        account={selectedAccount}
+        onBack={() => setSelectedId(null)}
+        onReconciled={onAccountsChanged}
+      />
+    );
+  }
+
+  // Balances in other currencies count at today's rate; ones without a rate
+  // are left out of the total
+  const total = accounts.reduce((sum, account) => sum + (account.baseBalance ?? 0), 0);
+  const unconverted = accounts.filter(account => account.baseBalance === null);
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Accounts</h2>
+          <p className="text-gray-600">Bank accounts, cards and wallets your money moves through</p>
+        </div>
+
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Account</span>
+          </button>
+        )}
+      </div>
+
+      {/* Account Form */}
+      {showForm && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingAccount ? 'Edit Account' : 'Create New Account'}
+          </h3>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
+                  Account Name *
+                </label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="e.g., Salary account"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.name ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-2">
+                  Type *
+                </label>
+                <select
+                  id="type"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {ACCOUNT_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="institution" className="block text-sm font-medium text-gray-700 mb-2">
+                  Institution
+                </label>
+                <input
+                  type="text"
+                  id="institution"
+                  name="institution"
+                  value={formData.institution}
+                  onChange={handleChange}
+                  placeholder="e.g., HDFC Bank"
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-2">
+                  Currency *
+                </label>
+                <input
+                  type="text"
+                  id="currency"
+                  name="currency"
+                  maxLength={3}
+                  value={formData.currency}
+                  onChange={handleChange}
+                  className={`block w-full px-3 py-2 border rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.currency ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.currency && <p className="mt-1 text-sm text-red-600">{errors.currency}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="openingBalance" className="block text-sm font-medium text-gray-700 mb-2">
+                  Opening Balance *
+                </label>
+                <input
+                  type="number"
+                  id="openingBalance"
+                  name="openingBalance"
+                  step="0.01"
+                  value={formData.openingBalance}
+                  onChange={handleChange}
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.openingBalance ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.openingBalance && <p className="mt-1 text-sm text-red-600">{errors.openingBalance}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="color" className="block text-sm font-medium text-gray-700 mb-2">
+                  Color
+                </label>
+                <input
+                  type="color"
+                  id="color"
+                  name="color"
+                  value={formData.color}
+                  onChange={handleChange}
+                  className="w-12 h-10 rounded-lg border border-gray-300 cursor-pointer"
+                />
+              </div>
+            </div>
+
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
+            <div className="flex space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+              >
+                <Wallet className="h-4 w-4" />
+                <span>{editingAccount ? 'Update Account' : 'Create Account'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Totals */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <p className="text-sm font-medium text-gray-600">Total across accounts</p>
+        <p className={`text-3xl font-bold ${total >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          {formatMoney(total, baseCurrency)}
+        </p>
+        {unassigned.transactionCount > 0 && (
+          <p className="text-sm text-gray-500 mt-1">
+            {unassigned.transactionCount} transaction{unassigned.transactionCount === 1 ? ' is' : 's are'} not
+            in any account ({formatMoney(unassigned.balance, baseCurrency)}).
+          </p>
+        )}
+        {unconverted.length > 0 && (
+          <p className="text-sm text-amber-600 mt-1">
+            Not included: {unconverted.map(account => account.name).join(', ')}. Add an exchange rate
+            from {[...new Set(unconverted.map(account => account.currency))].join(', ')} to {baseCurrency}.
+          </p>
+        )}
+      </div>
+
+      {/* Accounts */}
+      {accounts.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {accounts.map(account => (
+            <div key={account._id} className="bg-white p-6 rounded-xl shadow-sm border">
+              <div className="flex items-start justify-between">
+                <button onClick={() => setSelectedId(account._id)} className="text-left flex items-center space-x-3">
+                  <div className="w-3 h-10 rounded-full" style={{ backgroundColor: account.color }} />
+                  <div>
+                    <p className="font-semibold text-gray-900 hover:text-blue-600">{account.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {typeLabel(account.type)}{account.institution && ` · ${account.institution}`}
+                    </p>
+                  </div>
+                </button>
+                <div className="flex space-x-1">
+                  <button
+                    onClick={() => handleEdit(account)}
+                    className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                  >
+                    <Edit2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleArchive(account)}
+                    title={account.transactionCount > 0 ? 'Archive' : 'Delete'}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <Archive className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+              <p className={`text-2xl font-bold mt-4 ${account.balance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatMoney(account.balance, account.currency)}
+              </p>
+              {account.currency !== baseCurrency && account.baseBalance != null && (
+                <p className="text-sm text-gray-500">≈ {formatMoney(account.baseBalance, baseCurrency)}</p>
+              )}
+              <p className="text-xs text-gray-500 mt-1">
+                {account.transactionCount} transaction{account.transactionCount === 1 ? '' : 's'}
+                {account.unreconciledCount > 0 && `, ${account.unreconciledCount} not reconciled`}
+              </p>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="bg-white p-6 rounded-xl shadow-sm border text-center py-12">
+          <Wallet className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-500">No accounts yet. Add one to track its balance.</p>
+        </div>
+      )}
+
+      {/* Archived */}
+      <div>
+        {archived === null ? (
+          <button onClick={loadArchived} className="text-sm text-gray-600 hover:text-gray-900">
+            Show archived accounts
+          </button>
+        ) : (
+          <div className="bg-white p-6 rounded-xl shadow-sm border">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Archived Accounts</h3>
+            {archived.length > 0 ? (
+              <div className="space-y-3">
+                {archived.map(account => (
+                  <div key={account._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <span className="font-medium text-gray-900">{account.name}</span>
+                      <span className="text-sm text-gray-600 ml-2">{formatMoney(account.balance, account.currency)}</span>
+                    </div>
+                    <button
+                      onClick={() => handleRestore(account)}
+                      className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                      title="Restore"
+                    >
+                      <ArchiveRestore className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-500 text-center py-4">No archived accounts</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountManager;
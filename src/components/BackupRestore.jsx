@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { DatabaseBackup, Download, Upload, CheckCircle, AlertCircle } from 'lucide-react';
+import { usersApi, getErrorMessage } from '../services/api';
+
+const SECTION_LABELS = {
+  accounts: 'Accounts',
+  categories: 'Categories',
+  transactions: 'Transactions',
+  budgets: 'Budgets',
+  notifications: 'Notifications',
+  importMappings: 'Import mappings',
+  rules: 'Rules',
+  exchangeRates: 'Exchange rates',
+  goals: 'Goals',
+  bills: 'Bills'
+};
+
+const BackupRestore = ({ onRestored }) => {
+  const [downloading, setDownloading] = useState(false);
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [restoring, setRestoring] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError('');
+    try {
+      const blob = await usersApi.backup();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `finance-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not create the backup'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Choose a backup file');
+      return;
+    }
+    if (mode === 'replace' && !window.confirm('Replace all of your current data with this backup? This cannot be undone.')) {
+      return;
+    }
+
+    setRestoring(true);
+    setError('');
+    setSummary(null);
+    try {
+      let backup;
+      try {
+        backup = JSON.parse(await file.text());
+      } catch {
+        throw new Error('The file is not valid JSON');
+      }
+
+      setSummary(await usersApi.restore(backup, mode));
+      onRestored();
+    } catch (err) {
+      setError(err.response ? getErrorMessage(err, 'Restore failed') : err.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h2 className="text-3xl font-bold text-gray-900">Backup & Restore</h2>
+        <p className="text-gray-600">Keep a copy of your data or move it to another server</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center space-x-2">
+          <AlertCircle className="h-5 w-5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <div className="flex items-center space-x-2">
+            <div className="bg-blue-100 p-2 rounded-lg">
+              <DatabaseBackup className="h-5 w-5 text-blue-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Download Backup</h3>
+          </div>
+          <p className="text-sm text-gray-600">
+            A JSON file with your preferences, categories, transactions, budgets and notifications.
+          </p>
+          <button
+            onClick={handleDownload}
+            disabled={downloading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Download className="h-4 w-4" />
+            <span>{downloading ? 'Preparing...' : 'Download Backup'}</span>
+          </button>
+        </div>
+
+        <form onSubmit={handleRestore} className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <div className="flex items-center space-x-2">
+            <div className="bg-green-100 p-2 rounded-lg">
+              <Upload className="h-5 w-5 text-green-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Restore Backup</h3>
+          </div>
+
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+
+          <div className="space-y-2 text-sm text-gray-700">
+            <label className="flex items-start space-x-2">
+              <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} className="mt-1" />
+              <span><span className="font-medium">Merge</span> — add what's missing and keep your current data</span>
+            </label>
+            <label className="flex items-start space-x-2">
+              <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1" />
+              <span><span className="font-medium">Replace</span> — delete your current data and restore the backup</span>
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            disabled={restoring}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" />
+            <span>{restoring ? 'Restoring...' : 'Restore'}</span>
+          </button>
+
+          {summary && (
+            <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">
+              <div className="flex items-center space-x-2 font-semibold mb-1">
+                <CheckCircle className="h-4 w-4" />
+                <span>Backup restored</span>
+              </div>
+              {Object.entries(SECTION_LABELS).map(([key, label]) => (
+                <p key={key}>
+                  {label}: {summary.created[key]} restored
+                  {summary.skipped[key] > 0 && `, ${summary.skipped[key]} already present`}
+                </p>
+              ))}
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BackupRestore;
@@ -0,0 +1,438 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { Plus, Edit2, Trash2, Receipt, CheckCircle, Pause, Play } from 'lucide-react';
+import { billsApi, getErrorMessage } from '../services/api';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+import { HIGHLIGHT_CLASSES, highlightElementId, useHighlight } from '../utils/highlight';
+import { BILL_FREQUENCIES, BILL_STATUS_STYLES, askPayment, billAmount, dueLabel } from '../utils/bills';
+
+const EMPTY_FORM = {
+  payee: '',
+  amount: '',
+  isEstimate: false,
+  category: '',
+  account: '',
+  frequency: 'monthly',
+  dueDay: '1',
+  startDate: '',
+  reminderDays: '3',
+  autopay: false,
+  notes: ''
+};
+
+const toForm = (bill) => ({
+  payee: bill.payee,
+  amount: String(bill.amount),
+  isEstimate: bill.isEstimate,
+  category: bill.category?._id || '',
+  account: bill.account?._id || '',
+  frequency: bill.frequency,
+  dueDay: String(bill.dueDay),
+  startDate: '',
+  reminderDays: String(bill.reminderDays),
+  autopay: bill.autopay,
+  notes: bill.notes || ''
+});
+
+// Recurring bills: when they are due, reminders, and marking them paid
+// `highlightId` is a bill to scroll to, e.g. from a reminder
+const BillManager = ({ categories, accounts, currency = DEFAULT_CURRENCY, highlightId, onHighlighted }) => {
+  const [bills, setBills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingBill, setEditingBill] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [payingId, setPayingId] = useState(null);
+  const highlighted = useHighlight('bill', highlightId, !loading, onHighlighted);
+
+  const expenseCategories = useMemo(() => categories.filter(c => c.type === 'expense'), [categories]);
+
+  const loadBills = () => billsApi.list({ includeInactive: true })
+    .then(setBills)
+    .catch(err => setError(getErrorMessage(err, 'Could not load bills')))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadBills();
+  }, []);
+
+  useRealtimeEvent(['bill.created', 'bill.updated', 'bill.deleted', 'sync.required'], () => {
+    loadBills();
+  });
+
+  const replaceBill = (bill) => setBills(prev => prev.map(b => (b._id === bill._id ? bill : b)));
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.payee.trim()) newErrors.payee = 'Payee is required';
+    if (!(parseFloat(formData.amount) > 0)) newErrors.amount = 'Please enter a valid amount';
+    if (!formData.category) newErrors.category = 'Please select a category';
+    const dueDay = parseInt(formData.dueDay, 10);
+    if (!(dueDay >= 1 && dueDay <= 31)) newErrors.dueDay = 'Due day must be between 1 and 31';
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const bill = {
+      payee: formData.payee.trim(),
+      amount: parseFloat(formData.amount),
+      isEstimate: formData.isEstimate,
+      category: formData.category,
+      account: formData.account,
+      frequency: formData.frequency,
+      dueDay: parseInt(formData.dueDay, 10),
+      reminderDays: parseInt(formData.reminderDays, 10) || 0,
+      autopay: formData.autopay,
+      notes: formData.notes
+    };
+    if (formData.startDate) bill.startDate = formData.startDate;
+
+    try {
+      if (editingBill) {
+        replaceBill(await billsApi.update(editingBill._id, bill));
+      } else {
+        const created = await billsApi.create(bill);
+        setBills(prev => [...prev, created]);
+      }
+      handleCancel();
+    } catch (err) {
+      setErrors({ submit: getErrorMessage(err, 'Could not save the bill') });
+    }
+  };
+
+  const handleEdit = (bill) => {
+    setEditingBill(bill);
+    setFormData(toForm(bill));
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingBill(null);
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleToggleActive = async (bill) => {
+    try {
+      replaceBill(await billsApi.update(bill._id, { isActive: !bill.isActive }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not update the bill'));
+    }
+  };
+
+  const handleDelete = async (bill) => {
+    if (!window.confirm(`Delete the bill for ${bill.payee}? Payments already recorded are kept.`)) return;
+    try {
+      await billsApi.remove(bill._id);
+      setBills(prev => prev.filter(b => b._id !== bill._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete the bill'));
+    }
+  };
+
+  const handlePay = async (bill) => {
+    const payment = askPayment(bill);
+    if (!payment) return;
+
+    setPayingId(bill._id);
+    try {
+      const result = await billsApi.pay(bill._id, payment);
+      replaceBill(result.bill);
+      setError('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not mark the bill paid'));
+    } finally {
+      setPayingId(null);
+    }
+  };
+
+  const frequencyLabel = (value) => BILL_FREQUENCIES.find(f => f.value === value)?.label || value;
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Bills</h2>
+          <p className="text-gray-600">Get reminded before payments are due</p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Bill</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      {showForm && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingBill ? 'Edit Bill' : 'Create New Bill'}
+          </h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="payee" className="block text-sm font-medium text-gray-700 mb-2">Payee *</label>
+                <input
+                  type="text"
+                  id="payee"
+                  name="payee"
+                  value={formData.payee}
+                  onChange={handleChange}
+                  maxLength={100}
+                  placeholder="e.g. Electricity"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.payee ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.payee && <p className="mt-1 text-sm text-red-600">{errors.payee}</p>}
+              </div>
+              <div>
+                <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+                <input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.amount ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.amount && <p className="mt-1 text-sm text-red-600">{errors.amount}</p>}
+                <label className="mt-2 flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" name="isEstimate" checked={formData.isEstimate} onChange={handleChange} />
+                  <span>The amount varies; this is an estimate</span>
+                </label>
+              </div>
+              <div>
+                <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">Category *</label>
+                <select
+                  id="category"
+                  name="category"
+                  value={formData.category}
+                  onChange={handleChange}
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.category ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                >
+                  <option value="">Select a category</option>
+                  {expenseCategories.map(category => (
+                    <option key={category._id} value={category._id}>{category.name}</option>
+                  ))}
+                </select>
+                {errors.category && <p className="mt-1 text-sm text-red-600">{errors.category}</p>}
+              </div>
+              <div>
+                <label htmlFor="account" className="block text-sm font-medium text-gray-700 mb-2">Paid From</label>
+                <select
+                  id="account"
+                  name="account"
+                  value={formData.account}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">No account ({currency})</option>
+                  {accounts.map(account => (
+                    <option key={account._id} value={account._id}>{account.name} ({account.currency})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-2">Frequency</label>
+                <select
+                  id="frequency"
+                  name="frequency"
+                  value={formData.frequency}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {BILL_FREQUENCIES.map(frequency => (
+                    <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="dueDay" className="block text-sm font-medium text-gray-700 mb-2">Due Day of Month *</label>
+                <input
+                  type="number"
+                  id="dueDay"
+                  name="dueDay"
+                  value={formData.dueDay}
+                  onChange={handleChange}
+                  min="1"
+                  max="31"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.dueDay ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.dueDay && <p className="mt-1 text-sm text-red-600">{errors.dueDay}</p>}
+              </div>
+              <div>
+                <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-2">
+                  {editingBill ? 'Move Next Due Date To On Or After' : 'First Due On Or After'}
+                </label>
+                <input
+                  type="date"
+                  id="startDate"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="reminderDays" className="block text-sm font-medium text-gray-700 mb-2">Remind Me (days before)</label>
+                <input
+                  type="number"
+                  id="reminderDays"
+                  name="reminderDays"
+                  value={formData.reminderDays}
+                  onChange={handleChange}
+                  min="0"
+                  max="30"
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <label className="mt-2 flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" name="autopay" checked={formData.autopay} onChange={handleChange} />
+                  <span>Paid automatically (autopay)</span>
+                </label>
+              </div>
+            </div>
+
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
+            <div className="flex space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+              >
+                <Receipt className="h-4 w-4" />
+                <span>{editingBill ? 'Update Bill' : 'Create Bill'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : bills.length > 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border divide-y">
+          {bills.map(bill => (
+            <div
+              key={bill._id}
+              id={highlightElementId('bill', bill._id)}
+              className={`p-4 flex items-center justify-between ${bill.isActive ? '' : 'opacity-60'} ${highlighted === bill._id ? HIGHLIGHT_CLASSES : ''}`}
+            >
+              <div className="flex items-center space-x-3">
+                <div
+                  className="w-3 h-10 rounded-full"
+                  style={{ backgroundColor: bill.category?.color || '#64748b' }}
+                />
+                <div>
+                  <p className="font-medium text-gray-900">{bill.payee}</p>
+                  <p className="text-sm text-gray-600">
+                    {bill.category?.name || 'Unknown'} • {frequencyLabel(bill.frequency)} on day {bill.dueDay}
+                    {bill.account && ` • ${bill.account.name}`}
+                    {bill.autopay && ' • Autopay'}
+                  </p>
+                  {bill.lastPaidDate && (
+                    <p className="text-xs text-gray-500">Last paid {format(new Date(bill.lastPaidDate), 'MMM dd, yyyy')}</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-4">
+                <div className="text-right">
+                  <p className="font-semibold text-gray-900">{billAmount(bill, currency)}</p>
+                  {bill.isActive ? (
+                    <p className="text-sm">
+                      <span className="text-gray-600">{format(new Date(bill.nextDueDate), 'MMM dd, yyyy')} </span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BILL_STATUS_STYLES[bill.status]}`}>
+                        {dueLabel(bill)}
+                      </span>
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-500">Paused</p>
+                  )}
+                </div>
+                <div className="flex space-x-1">
+                  {bill.isActive && (
+                    <button
+                      onClick={() => handlePay(bill)}
+                      disabled={payingId === bill._id}
+                      className="p-2 text-gray-400 hover:text-green-600 disabled:opacity-50 transition-colors"
+                      title="Mark paid"
+                    >
+                      <CheckCircle className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleToggleActive(bill)}
+                    className="p-2 text-gray-400 hover:text-yellow-600 transition-colors"
+                    title={bill.isActive ? 'Pause' : 'Resume'}
+                  >
+                    {bill.isActive ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                  </button>
+                  <button
+                    onClick={() => handleEdit(bill)}
+                    className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                    title="Edit"
+                  >
+                    <Edit2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(bill)}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="bg-white p-12 rounded-xl shadow-sm border text-center">
+          <Receipt className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No bills yet</h3>
+          <p className="text-gray-600">Add the bills you pay regularly to be reminded before they are due.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BillManager;
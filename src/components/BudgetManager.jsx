@@ -1,44 +1,26 @@
 import React, { useState } from 'react';
-import { Plus, Edit2, Trash2, Target, AlertCircle, CheckCircle } from 'lucide-react';
-import { format, startOfMonth, endOfMonth, isWithinInterval } from 'date-fns';
+import { Plus, Edit2, Trash2, Target, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
+import { format } from 'date-fns';
+import { getPeriodRange } from '../utils/dates';
+import { summarizeBudget } from '../utils/budgets';
+import { DEFAULT_CURRENCY, currencySymbol, formatMoney } from '../utils/currency';
+import { HIGHLIGHT_CLASSES, highlightElementId, useHighlight } from '../utils/highlight';
 
-const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdateBudget, onDeleteBudget }) => {
+// Budgets are set and tracked in the user's base currency (`currency`).
+// `highlightId` is a budget to scroll to, e.g. from a notification.
+const BudgetManager = ({ budgets, categories, currency = DEFAULT_CURRENCY, onAddBudget, onUpdateBudget, onDeleteBudget, onRecomputeBudgets, highlightId, onHighlighted }) => {
   const [showForm, setShowForm] = useState(false);
   const [editingBudget, setEditingBudget] = useState(null);
   const [formData, setFormData] = useState({
-    categoryId: '',
+    category: '',
     amount: '',
     period: 'monthly'
   });
   const [errors, setErrors] = useState({});
+  const [recomputing, setRecomputing] = useState(false);
+  const highlighted = useHighlight('budget', highlightId, true, onHighlighted);
 
-  const currentMonth = new Date();
-  const monthStart = startOfMonth(currentMonth);
-  const monthEnd = endOfMonth(currentMonth);
-
-  const currentMonthTransactions = transactions.filter(transaction => {
-    const transactionDate = new Date(transaction.date);
-    return isWithinInterval(transactionDate, { start: monthStart, end: monthEnd });
-  });
-
-  const budgetStatus = budgets.map(budget => {
-    const spent = currentMonthTransactions
-      .filter(t => t.type === 'expense' && t.categoryId === budget.categoryId)
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    const category = categories.find(c => c.id === budget.categoryId);
-    const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
-    
-    return {
-      ...budget,
-      spent,
-      remaining: budget.amount - spent,
-      percentage,
-      categoryName: category?.name || 'Unknown',
-      categoryColor: category?.color || '#64748b',
-      status: percentage > 100 ? 'over' : percentage > 80 ? 'warning' : 'good'
-    };
-  });
+  const budgetStatus = budgets.map(budget => summarizeBudget(budget, categories));
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -58,8 +40,8 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
   const validateForm = () => {
     const newErrors = {};
 
-    if (!formData.categoryId) {
-      newErrors.categoryId = 'Please select a category';
+    if (!formData.category) {
+      newErrors.category = 'Please select a category';
     }
 
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
@@ -68,36 +50,40 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
 
     // Check if budget already exists for this category
     const existingBudget = budgets.find(b => 
-      b.categoryId === parseInt(formData.categoryId) && 
-      (!editingBudget || b.id !== editingBudget.id)
+      b.category?._id === formData.category && 
+      (!editingBudget || b._id !== editingBudget._id)
     );
     
     if (existingBudget) {
-      newErrors.categoryId = 'Budget already exists for this category';
+      newErrors.category = 'Budget already exists for this category';
     }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (validateForm()) {
-      const budgetData = {
-        ...formData,
-        amount: parseFloat(formData.amount),
-        categoryId: parseInt(formData.categoryId)
-      };
+      const amount = parseFloat(formData.amount);
+
+      // Category and period are fixed once a budget exists
+      const result = editingBudget
+        ? await onUpdateBudget(editingBudget._id, { amount })
+        : await onAddBudget({
+          ...formData,
+          amount,
+          ...getPeriodRange(formData.period)
+        });
 
-      if (editingBudget) {
-        onUpdateBudget(editingBudget.id, budgetData);
-      } else {
-        onAddBudget(budgetData);
+      if (!result.success) {
+        setErrors({ submit: result.error });
+        return;
       }
 
       setFormData({
-        categoryId: '',
+        category: '',
         amount: '',
         period: 'monthly'
       });
@@ -106,10 +92,16 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
     }
   };
 
+  const handleRecompute = async () => {
+    setRecomputing(true);
+    await onRecomputeBudgets();
+    setRecomputing(false);
+  };
+
   const handleEdit = (budget) => {
     setEditingBudget(budget);
     setFormData({
-      categoryId: budget.categoryId.toString(),
+      category: budget.category?._id || '',
       amount: budget.amount.toString(),
       period: budget.period || 'monthly'
     });
@@ -118,7 +110,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
 
   const handleCancel = () => {
     setFormData({
-      categoryId: '',
+      category: '',
       amount: '',
       period: 'monthly'
     });
@@ -129,7 +121,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
 
   const expenseCategories = categories.filter(cat => cat.type === 'expense');
   const availableCategories = expenseCategories.filter(cat => 
-    !budgets.some(b => b.categoryId === cat.id && (!editingBudget || b.id !== editingBudget.id))
+    !budgets.some(b => b.category?._id === cat._id && (!editingBudget || b._id !== editingBudget._id))
   );
 
   return (
@@ -137,17 +129,28 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
         <div>
           <h2 className="text-3xl font-bold text-gray-900">Budget Manager</h2>
-          <p className="text-gray-600">Set and track your spending limits for {format(currentMonth, 'MMMM yyyy')}</p>
+          <p className="text-gray-600">Set and track your spending limits</p>
         </div>
         
         {!showForm && (
-          <button
-            onClick={() => setShowForm(true)}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
-          >
-            <Plus className="h-4 w-4" />
-            <span>Add Budget</span>
-          </button>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleRecompute}
+              disabled={recomputing}
+              title="Recalculate spending from your transactions"
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center space-x-2 disabled:opacity-50"
+            >
+              <RefreshCw className={`h-4 w-4 ${recomputing ? 'animate-spin' : ''}`} />
+              <span>Recalculate</span>
+            </button>
+            <button
+              onClick={() => setShowForm(true)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+            >
+              <Plus className="h-4 w-4" />
+              <span>Add Budget</span>
+            </button>
+          </div>
         )}
       </div>
 
@@ -161,31 +164,32 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label htmlFor="categoryId" className="block text-sm font-medium text-gray-700 mb-2">
+                <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
                   Category *
                 </label>
                 <select
-                  id="categoryId"
-                  name="categoryId"
-                  value={formData.categoryId}
+                  id="category"
+                  name="category"
+                  value={formData.category}
                   onChange={handleChange}
+                  disabled={!!editingBudget}
                   className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.categoryId ? 'border-red-500' : 'border-gray-300'
+                    errors.category ? 'border-red-500' : 'border-gray-300'
                   }`}
                 >
                   <option value="">Select a category</option>
                   {availableCategories.map(category => (
-                    <option key={category.id} value={category.id}>
+                    <option key={category._id} value={category._id}>
                       {category.name}
                     </option>
                   ))}
                   {editingBudget && (
-                    <option value={editingBudget.categoryId}>
-                      {categories.find(c => c.id === editingBudget.categoryId)?.name}
+                    <option value={editingBudget.category?._id}>
+                      {editingBudget.category?.name}
                     </option>
                   )}
                 </select>
-                {errors.categoryId && <p className="mt-1 text-sm text-red-600">{errors.categoryId}</p>}
+                {errors.category && <p className="mt-1 text-sm text-red-600">{errors.category}</p>}
               </div>
 
               <div>
@@ -194,7 +198,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
                 </label>
                 <div className="relative">
                   <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <span className="text-gray-500">₹</span>
+                    <span className="text-gray-500">{currencySymbol(currency)}</span>
                   </div>
                   <input
                     type="number"
@@ -214,6 +218,8 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
               </div>
             </div>
 
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
             <div className="flex space-x-3 pt-4">
               <button
                 type="button"
@@ -238,7 +244,11 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
       <div className="space-y-4">
         {budgetStatus.length > 0 ? (
           budgetStatus.map((budget) => (
-            <div key={budget.id} className="bg-white p-6 rounded-xl shadow-sm border">
+            <div
+              key={budget._id}
+              id={highlightElementId('budget', budget._id)}
+              className={`bg-white p-6 rounded-xl shadow-sm border transition-shadow ${highlighted === budget._id ? HIGHLIGHT_CLASSES : ''}`}
+            >
               <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
                 <div className="flex items-center space-x-3">
                   <div 
@@ -247,7 +257,9 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
                   />
                   <div>
                     <h3 className="text-lg font-semibold text-gray-900">{budget.categoryName}</h3>
-                    <p className="text-sm text-gray-600">Monthly Budget</p>
+                    <p className="text-sm text-gray-600 capitalize">
+                      {budget.period} budget · {format(new Date(budget.startDate), 'MMM d')} – {format(new Date(budget.endDate), 'MMM d, yyyy')}
+                    </p>
                   </div>
                 </div>
                 
@@ -260,7 +272,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
                     budget.status === 'over' ? 'text-red-600' : 
                     budget.status === 'warning' ? 'text-yellow-600' : 'text-green-600'
                   }`}>
-                    ₹{budget.spent.toFixed(2)} / ₹{budget.amount.toFixed(2)}
+                    {formatMoney(budget.spent, currency)} / {formatMoney(budget.amount, currency)}
                   </span>
                   
                   <div className="flex space-x-1">
@@ -271,7 +283,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
                       <Edit2 className="h-4 w-4" />
                     </button>
                     <button
-                      onClick={() => onDeleteBudget(budget.id)}
+                      onClick={() => onDeleteBudget(budget._id)}
                       className="p-2 text-gray-400 hover:text-red-600 transition-colors"
                     >
                       <Trash2 className="h-4 w-4" />
@@ -297,7 +309,7 @@ const BudgetManager = ({ budgets, categories, transactions, onAddBudget, onUpdat
                   {budget.percentage.toFixed(1)}% used
                 </span>
                 <span className={`font-medium ${budget.remaining >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                  ₹{Math.abs(budget.remaining).toFixed(2)} {budget.remaining >= 0 ? 'remaining' : 'over budget'}
+                  {formatMoney(Math.abs(budget.remaining), currency)} {budget.remaining >= 0 ? 'remaining' : 'over budget'}
                 </span>
               </div>
             </div>
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
-import { Plus, Edit2, Trash2, Tag, Palette } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Plus, Edit2, Trash2, Tag, Palette, Sparkles } from 'lucide-react';
+import { transactionsApi } from '../services/api';
 
 const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDeleteCategory }) => {
   const [showForm, setShowForm] = useState(false);
@@ -10,6 +11,13 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
     color: '#3b82f6'
   });
   const [errors, setErrors] = useState({});
+  const [accuracy, setAccuracy] = useState(null);
+
+  useEffect(() => {
+    transactionsApi.suggestionAccuracy()
+      .then(setAccuracy)
+      .catch(err => console.error('Load suggestion accuracy error:', err));
+  }, []);
 
   const predefinedColors = [
     '#ef4444', '#f97316', '#eab308', '#22c55e', '#10b981', '#06b6d4',
@@ -45,7 +53,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
     const existingCategory = categories.find(c => 
       c.name.toLowerCase() === formData.name.trim().toLowerCase() && 
       c.type === formData.type &&
-      (!editingCategory || c.id !== editingCategory.id)
+      (!editingCategory || c._id !== editingCategory._id)
     );
     
     if (existingCategory) {
@@ -56,7 +64,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (validateForm()) {
@@ -65,10 +73,13 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
         name: formData.name.trim()
       };
 
-      if (editingCategory) {
-        onUpdateCategory(editingCategory.id, categoryData);
-      } else {
-        onAddCategory(categoryData);
+      const result = editingCategory
+        ? await onUpdateCategory(editingCategory._id, categoryData)
+        : await onAddCategory(categoryData);
+
+      if (!result.success) {
+        setErrors({ submit: result.error });
+        return;
       }
 
       setFormData({
@@ -198,6 +209,8 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
               </div>
             </div>
 
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
             <div className="flex space-x-3 pt-4">
               <button
                 type="button"
@@ -235,7 +248,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
           <div className="space-y-3">
             {expenseCategories.length > 0 ? (
               expenseCategories.map((category) => (
-                <div key={category.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
+                <div key={category._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
                   <div className="flex items-center space-x-3">
                     <div 
                       className="w-4 h-4 rounded-full"
@@ -252,7 +265,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
                       <Edit2 className="h-4 w-4" />
                     </button>
                     <button
-                      onClick={() => onDeleteCategory(category.id)}
+                      onClick={() => onDeleteCategory(category._id)}
                       className="p-2 text-gray-400 hover:text-red-600 transition-colors"
                     >
                       <Trash2 className="h-4 w-4" />
@@ -281,7 +294,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
           <div className="space-y-3">
             {incomeCategories.length > 0 ? (
               incomeCategories.map((category) => (
-                <div key={category.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
+                <div key={category._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
                   <div className="flex items-center space-x-3">
                     <div 
                       className="w-4 h-4 rounded-full"
@@ -298,7 +311,7 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
                       <Edit2 className="h-4 w-4" />
                     </button>
                     <button
-                      onClick={() => onDeleteCategory(category.id)}
+                      onClick={() => onDeleteCategory(category._id)}
                       className="p-2 text-gray-400 hover:text-red-600 transition-colors"
                     >
                       <Trash2 className="h-4 w-4" />
@@ -336,6 +349,18 @@ const CategoryManager = ({ categories, onAddCategory, onUpdateCategory, onDelete
             <div className="text-sm text-gray-600">Unique Colors</div>
           </div>
         </div>
+
+        {accuracy && (
+          <div className="mt-6 pt-4 border-t flex items-start space-x-3 text-sm text-gray-600">
+            <Sparkles className="h-5 w-5 text-blue-600 flex-shrink-0" />
+            <p>
+              Category suggestions are learned from {accuracy.trainedOn} of your transactions.{' '}
+              {accuracy.predicted > 0
+                ? `Since then they were right for ${accuracy.correct} of ${accuracy.predicted} new transactions (${Math.round(accuracy.accuracy * 100)}%), and had a guess for ${Math.round(accuracy.coverage * 100)}% of them.`
+                : 'Accuracy shows up once you add transactions with descriptions it has seen before.'}
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,10 +1,63 @@
-import React, { useState, useMemo } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { format, startOfMonth, endOfMonth, isWithinInterval } from 'date-fns';
-import { TrendingUp, TrendingDown, DollarSign, Target, Edit2, Trash2, Calendar } from 'lucide-react';
+import { TrendingUp, TrendingDown, DollarSign, Target, Edit2, Trash2, Calendar, Paperclip, X } from 'lucide-react';
 import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { summarizeBudget } from '../utils/budgets';
+import { amountColor, amountSign, categoryLabel, categoryLines } from '../utils/transactions';
+import { DEFAULT_CURRENCY, baseAmountOf, formatMoney, isForeign } from '../utils/currency';
+import { transactionsApi, getErrorMessage } from '../services/api';
+import { HIGHLIGHT_CLASSES } from '../utils/highlight';
+import UpcomingBills from './UpcomingBills';
 
-const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDeleteTransaction }) => {
+// `highlightTransactionId` is a transaction to open, e.g. from a notification.
+// `onLoadTransactionsFrom(date)` loads older transactions for past months.
+const Dashboard = ({ transactions, budgets, categories, accounts = [], currency = DEFAULT_CURRENCY, onEditTransaction, onDeleteTransaction, onLoadTransactionsFrom, highlightTransactionId, onHighlighted }) => {
   const [selectedMonth, setSelectedMonth] = useState(new Date());
+  const [linked, setLinked] = useState(null);
+  const [linkError, setLinkError] = useState('');
+  const linkedRef = useRef(null);
+
+  // A linked transaction may be older than the ones loaded, so fetch it
+  // when it isn't in the list, and show its month
+  useEffect(() => {
+    if (!highlightTransactionId) return;
+    onHighlighted?.();
+    setLinkError('');
+
+    const loaded = transactions.find(t => t._id === highlightTransactionId);
+    (loaded ? Promise.resolve(loaded) : transactionsApi.get(highlightTransactionId))
+      .then(transaction => {
+        setLinked(transaction);
+        setSelectedMonth(new Date(transaction.date));
+      })
+      .catch(error => setLinkError(getErrorMessage(error, 'Could not open the transaction')));
+  }, [highlightTransactionId, transactions, onHighlighted]);
+
+  useEffect(() => {
+    onLoadTransactionsFrom?.(startOfMonth(selectedMonth));
+  }, [selectedMonth, onLoadTransactionsFrom]);
+
+  useEffect(() => {
+    if (linked || linkError) linkedRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [linked, linkError]);
+
+  // Keep the linked transaction current as the list changes
+  const linkedTransaction = linked && (transactions.find(t => t._id === linked._id) || linked);
+
+  // Receipts need the auth header, so fetch the file and open it from memory.
+  // The tab is opened first so popup blockers allow it.
+  const openReceipt = async (transactionId) => {
+    const receiptWindow = window.open('', '_blank');
+    try {
+      const blob = await transactionsApi.getReceipt(transactionId);
+      const url = URL.createObjectURL(blob);
+      receiptWindow.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+      console.error('Open receipt error:', error);
+      receiptWindow.close();
+    }
+  };
 
   const currentMonth = useMemo(() => {
     const start = startOfMonth(selectedMonth);
@@ -19,26 +72,38 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
   const stats = useMemo(() => {
     const totalIncome = currentMonth
       .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .reduce((sum, t) => sum + baseAmountOf(t), 0);
     
     const totalExpenses = currentMonth
       .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .reduce((sum, t) => sum + baseAmountOf(t), 0);
     
     const balance = totalIncome - totalExpenses;
     
     return { totalIncome, totalExpenses, balance };
   }, [currentMonth]);
 
+  // What the user holds right now, in the base currency; without accounts,
+  // fall back to the month's net
+  const balanceCard = useMemo(() => (
+    accounts.length > 0
+      ? {
+        label: 'Total Balance',
+        amount: accounts.reduce((sum, account) => sum + (account.baseBalance ?? 0), 0),
+        detail: `Across ${accounts.length} account${accounts.length === 1 ? '' : 's'}`
+      }
+      : { label: 'Net Balance', amount: stats.balance, detail: null }
+  ), [accounts, stats.balance]);
+
   const categoryData = useMemo(() => {
     const expensesByCategory = currentMonth
       .filter(t => t.type === 'expense')
-      .reduce((acc, t) => {
-        const category = categories.find(c => c.id === t.categoryId);
+      .flatMap(categoryLines)
+      .reduce((acc, line) => {
+        const category = categories.find(c => c._id === line.categoryId);
         const categoryName = category?.name || 'Uncategorized';
-        const categoryColor = category?.color || '#64748b';
         
-        acc[categoryName] = (acc[categoryName] || 0) + t.amount;
+        acc[categoryName] = (acc[categoryName] || 0) + line.amount;
         return acc;
       }, {});
 
@@ -68,11 +133,11 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
       
       const income = monthTransactions
         .filter(t => t.type === 'income')
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => sum + baseAmountOf(t), 0);
       
       const expenses = monthTransactions
         .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => sum + baseAmountOf(t), 0);
       
       last6Months.push({
         month: format(monthDate, 'MMM yyyy'),
@@ -86,25 +151,8 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
   }, [transactions]);
 
   const budgetStatus = useMemo(() => {
-    return budgets.map(budget => {
-      const spent = currentMonth
-        .filter(t => t.type === 'expense' && t.categoryId === budget.categoryId)
-        .reduce((sum, t) => sum + t.amount, 0);
-      
-      const category = categories.find(c => c.id === budget.categoryId);
-      const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
-      
-      return {
-        ...budget,
-        spent,
-        remaining: budget.amount - spent,
-        percentage,
-        categoryName: category?.name || 'Unknown',
-        categoryColor: category?.color || '#64748b',
-        status: percentage > 100 ? 'over' : percentage > 80 ? 'warning' : 'good'
-      };
-    });
-  }, [budgets, currentMonth, categories]);
+    return budgets.map(budget => summarizeBudget(budget, categories));
+  }, [budgets, categories]);
 
   const recentTransactions = useMemo(() => {
     return [...transactions]
@@ -112,6 +160,59 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
       .slice(0, 10);
   }, [transactions]);
 
+  const renderTransaction = (transaction) => {
+    const category = categories.find(c => c._id === transaction.category?._id);
+    return (
+      <div key={transaction._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
+        <div className="flex items-center space-x-3">
+          <div 
+            className="w-3 h-3 rounded-full"
+            style={{ backgroundColor: category?.color || '#64748b' }}
+          />
+          <div>
+            <p className="font-medium text-gray-900">{transaction.description}</p>
+            <p className="text-sm text-gray-600">
+              {categoryLabel(transaction, category)} • {format(new Date(transaction.date), 'MMM dd, yyyy')}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="text-right">
+            <span className={`font-semibold ${amountColor(transaction)}`}>
+              {amountSign(transaction)}{formatMoney(transaction.amount, transaction.currency || currency)}
+            </span>
+            {isForeign(transaction, currency) && transaction.baseAmount != null && (
+              <p className="text-xs text-gray-500">≈ {formatMoney(baseAmountOf(transaction), currency)}</p>
+            )}
+          </div>
+          <div className="flex space-x-1">
+            {transaction.receipt?.publicId && (
+              <button
+                onClick={() => openReceipt(transaction._id)}
+                className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                title="View receipt"
+              >
+                <Paperclip className="h-4 w-4" />
+              </button>
+            )}
+            <button
+              onClick={() => onEditTransaction(transaction._id, transaction)}
+              className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+            >
+              <Edit2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onDeleteTransaction(transaction._id)}
+              className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-8">
       {/* Header with Month Selector */}
@@ -132,13 +233,46 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
         </div>
       </div>
 
+      {(linkedTransaction || linkError) && (
+        <div ref={linkedRef} className={`bg-white p-6 rounded-xl shadow-sm border ${HIGHLIGHT_CLASSES}`}>
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Linked Transaction</h3>
+            <button
+              onClick={() => {
+                setLinked(null);
+                setLinkError('');
+              }}
+              className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+              title="Close"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          {linkError ? (
+            <p className="text-red-600">{linkError}</p>
+          ) : (
+            <>
+              {renderTransaction(linkedTransaction)}
+              {linkedTransaction.notes && <p className="text-sm text-gray-600 mt-3">{linkedTransaction.notes}</p>}
+              {linkedTransaction.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {linkedTransaction.tags.map(tag => (
+                    <span key={tag} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs">{tag}</span>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <div className="bg-white p-6 rounded-xl shadow-sm border">
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Income</p>
-              <p className="text-2xl font-bold text-green-600">₹{stats.totalIncome.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-green-600">{formatMoney(stats.totalIncome, currency)}</p>
             </div>
             <div className="bg-green-100 p-3 rounded-full">
               <TrendingUp className="h-6 w-6 text-green-600" />
@@ -150,7 +284,7 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Expenses</p>
-              <p className="text-2xl font-bold text-red-600">₹{stats.totalExpenses.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-red-600">{formatMoney(stats.totalExpenses, currency)}</p>
             </div>
             <div className="bg-red-100 p-3 rounded-full">
               <TrendingDown className="h-6 w-6 text-red-600" />
@@ -161,13 +295,14 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
         <div className="bg-white p-6 rounded-xl shadow-sm border">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm font-medium text-gray-600">Net Balance</p>
-              <p className={`text-2xl font-bold ${stats.balance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                ₹{stats.balance.toFixed(2)}
+              <p className="text-sm font-medium text-gray-600">{balanceCard.label}</p>
+              <p className={`text-2xl font-bold ${balanceCard.amount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatMoney(balanceCard.amount, currency)}
               </p>
+              {balanceCard.detail && <p className="text-xs text-gray-500">{balanceCard.detail}</p>}
             </div>
-            <div className={`p-3 rounded-full ${stats.balance >= 0 ? 'bg-green-100' : 'bg-red-100'}`}>
-              <DollarSign className={`h-6 w-6 ${stats.balance >= 0 ? 'text-green-600' : 'text-red-600'}`} />
+            <div className={`p-3 rounded-full ${balanceCard.amount >= 0 ? 'bg-green-100' : 'bg-red-100'}`}>
+              <DollarSign className={`h-6 w-6 ${balanceCard.amount >= 0 ? 'text-green-600' : 'text-red-600'}`} />
             </div>
           </div>
         </div>
@@ -185,6 +320,8 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
         </div>
       </div>
 
+      <UpcomingBills currency={currency} />
+
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Expenses by Category */}
@@ -208,7 +345,7 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
                     ))}
                   </Pie>
                   <Tooltip formatter={(value) => `$${value.toFixed(2)}`} />
-                  <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+                  <Tooltip formatter={(value) => formatMoney(value, currency)} />
                 </PieChart>
               </ResponsiveContainer>
             </div>
@@ -229,7 +366,7 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
                 <XAxis dataKey="month" />
                 <YAxis />
                 <Tooltip formatter={(value) => `$${value.toFixed(2)}`} />
-                <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+                <Tooltip formatter={(value) => formatMoney(value, currency)} />
                 <Legend />
                 <Bar dataKey="income" fill="#10b981" name="Income" />
                 <Bar dataKey="expenses" fill="#ef4444" name="Expenses" />
@@ -247,14 +384,14 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
           <div className="space-y-4">
             {budgetStatus.length > 0 ? (
               budgetStatus.map((budget) => (
-                <div key={budget.id} className="border border-gray-200 rounded-lg p-4">
+                <div key={budget._id} className="border border-gray-200 rounded-lg p-4">
                   <div className="flex justify-between items-center mb-2">
                     <span className="font-medium text-gray-900">{budget.categoryName}</span>
                     <span className={`text-sm font-medium ${
                       budget.status === 'over' ? 'text-red-600' : 
                       budget.status === 'warning' ? 'text-yellow-600' : 'text-green-600'
                     }`}>
-                      ₹{budget.spent.toFixed(2)} / ₹{budget.amount.toFixed(2)}
+                      {formatMoney(budget.spent, currency)} / {formatMoney(budget.amount, currency)}
                     </span>
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-2">
@@ -268,7 +405,7 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
                   </div>
                   <div className="flex justify-between text-xs text-gray-600 mt-1">
                     <span>{budget.percentage.toFixed(1)}% used</span>
-                    <span>₹{budget.remaining.toFixed(2)} remaining</span>
+                    <span>{formatMoney(budget.remaining, currency)} remaining</span>
                   </div>
                 </div>
               ))
@@ -283,46 +420,7 @@ const Dashboard = ({ transactions, budgets, categories, onEditTransaction, onDel
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Transactions</h3>
           <div className="space-y-3">
             {recentTransactions.length > 0 ? (
-              recentTransactions.map((transaction) => {
-                const category = categories.find(c => c.id === transaction.categoryId);
-                return (
-                  <div key={transaction.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors">
-                    <div className="flex items-center space-x-3">
-                      <div 
-                        className="w-3 h-3 rounded-full"
-                        style={{ backgroundColor: category?.color || '#64748b' }}
-                      />
-                      <div>
-                        <p className="font-medium text-gray-900">{transaction.description}</p>
-                        <p className="text-sm text-gray-600">
-                          {category?.name || 'Uncategorized'} • {format(new Date(transaction.date), 'MMM dd, yyyy')}
-                        </p>
-                      </div>
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <span className={`font-semibold ${
-                        transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
-                      }`}>
-                        {transaction.type === 'income' ? '+' : '-'}₹{transaction.amount.toFixed(2)}
-                      </span>
-                      <div className="flex space-x-1">
-                        <button
-                          onClick={() => onEditTransaction(transaction.id, transaction)}
-                          className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
-                        >
-                          <Edit2 className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => onDeleteTransaction(transaction.id)}
-                          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      </div>
-                    </div>
-                  </div>
-                );
-              })
+              recentTransactions.map(renderTransaction)
             ) : (
               <p className="text-gray-500 text-center py-8">No transactions yet</p>
             )}
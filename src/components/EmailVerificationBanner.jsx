@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authApi, getErrorMessage } from '../services/api';
+
+// Shown until the user confirms their email address
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null);
+
+  if (!user || user.isEmailVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      setResult({ success: true, message: await authApi.resendVerification() });
+    } catch (error) {
+      setResult({ success: false, message: getErrorMessage(error, 'Could not send the email') });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-start space-x-3">
+          <MailWarning className="h-5 w-5 mt-0.5" />
+          <div className="text-sm">
+            <p className="font-semibold">Please confirm your email address</p>
+            <p>
+              Open the link we sent to {user.email}. Until then we can't email you alerts or password reset links.
+            </p>
+            {result && (
+              <p className={result.success ? 'text-green-700 mt-1' : 'text-red-700 mt-1'}>{result.message}</p>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="px-3 py-2 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700 disabled:opacity-50 transition-colors whitespace-nowrap"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,360 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Coins, Plus, Trash2, Upload } from 'lucide-react';
+import { ratesApi, getErrorMessage } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/currency';
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+
+// The base currency reports and budgets are kept in, and the exchange rates
+// that convert other currencies into it
+const ExchangeRateManager = ({ onRatesChanged }) => {
+  const { user, updateProfile } = useAuth();
+  const baseCurrency = user.preferences?.currency || DEFAULT_CURRENCY;
+
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filter, setFilter] = useState('');
+  const [formData, setFormData] = useState({ from: 'USD', to: baseCurrency, rate: '', date: today() });
+  const [errors, setErrors] = useState({});
+  const [working, setWorking] = useState(false);
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [importResult, setImportResult] = useState(null);
+  const [newBase, setNewBase] = useState(baseCurrency);
+
+  const loadRates = useCallback(() => {
+    setError('');
+    return ratesApi.list(filter ? { currency: filter } : {})
+      .then(data => setRates(data.rates))
+      .catch(err => setError(getErrorMessage(err, 'Could not load exchange rates')))
+      .finally(() => setLoading(false));
+  }, [filter]);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  useEffect(() => {
+    setNewBase(baseCurrency);
+  }, [baseCurrency]);
+
+  // Rates change stored conversions, so transactions and budgets are re-read
+  const afterChange = async () => {
+    await loadRates();
+    if (onRatesChanged) onRatesChanged();
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!CURRENCY_PATTERN.test(formData.from.trim())) newErrors.from = 'Use a 3-letter code';
+    if (!CURRENCY_PATTERN.test(formData.to.trim())) newErrors.to = 'Use a 3-letter code';
+    else if (formData.to.trim().toUpperCase() === formData.from.trim().toUpperCase()) {
+      newErrors.to = 'Choose two different currencies';
+    }
+    if (!(parseFloat(formData.rate) > 0)) newErrors.rate = 'Enter a rate greater than 0';
+    if (!formData.date) newErrors.date = 'Please select a date';
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setWorking(true);
+    try {
+      await ratesApi.save({
+        from: formData.from.trim().toUpperCase(),
+        to: formData.to.trim().toUpperCase(),
+        rate: parseFloat(formData.rate),
+        date: formData.date
+      });
+      setFormData(prev => ({ ...prev, rate: '' }));
+      await afterChange();
+    } catch (err) {
+      setErrors({ submit: getErrorMessage(err, 'Could not save the rate') });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    setWorking(true);
+    try {
+      await ratesApi.remove(rate._id);
+      await afterChange();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete the rate'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setWorking(true);
+    setImportResult(null);
+    try {
+      const content = await file.text();
+      setImportResult(await ratesApi.importCsv(content, dateFormat));
+      await afterChange();
+    } catch (err) {
+      setImportResult({ error: getErrorMessage(err, 'Could not import the file') });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleBaseChange = async () => {
+    setWorking(true);
+    const result = await updateProfile({ preferences: { currency: newBase } });
+    setWorking(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    if (onRatesChanged) onRatesChanged();
+  };
+
+  const currencyOptions = [...new Set([baseCurrency, ...CURRENCIES])];
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h2 className="text-3xl font-bold text-gray-900">Currencies</h2>
+        <p className="text-gray-600">Exchange rates used to convert transactions into {baseCurrency}</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      {/* Base currency */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Base Currency</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Reports, budgets and totals are shown in this currency. Changing it converts existing
+          transactions again with your rates.
+        </p>
+        <div className="flex items-center space-x-3">
+          <select
+            value={newBase}
+            onChange={(e) => setNewBase(e.target.value)}
+            aria-label="Base currency"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {currencyOptions.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <button
+            onClick={handleBaseChange}
+            disabled={working || newBase === baseCurrency}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            Change
+          </button>
+        </div>
+      </div>
+
+      {/* Add a rate */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Add a Rate</h3>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-start">
+          <div>
+            <label htmlFor="from" className="block text-sm font-medium text-gray-700 mb-2">1 unit of</label>
+            <input
+              type="text"
+              id="from"
+              name="from"
+              value={formData.from}
+              onChange={handleChange}
+              maxLength={3}
+              list="currency-codes"
+              className={`block w-full px-3 py-2 border rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                errors.from ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors.from && <p className="mt-1 text-sm text-red-600">{errors.from}</p>}
+          </div>
+          <div>
+            <label htmlFor="rate" className="block text-sm font-medium text-gray-700 mb-2">is worth</label>
+            <input
+              type="number"
+              id="rate"
+              name="rate"
+              value={formData.rate}
+              onChange={handleChange}
+              step="any"
+              min="0"
+              placeholder="0.00"
+              className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                errors.rate ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors.rate && <p className="mt-1 text-sm text-red-600">{errors.rate}</p>}
+          </div>
+          <div>
+            <label htmlFor="to" className="block text-sm font-medium text-gray-700 mb-2">in</label>
+            <input
+              type="text"
+              id="to"
+              name="to"
+              value={formData.to}
+              onChange={handleChange}
+              maxLength={3}
+              list="currency-codes"
+              className={`block w-full px-3 py-2 border rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                errors.to ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors.to && <p className="mt-1 text-sm text-red-600">{errors.to}</p>}
+          </div>
+          <div>
+            <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-2">on</label>
+            <input
+              type="date"
+              id="date"
+              name="date"
+              value={formData.date}
+              onChange={handleChange}
+              className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                errors.date ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors.date && <p className="mt-1 text-sm text-red-600">{errors.date}</p>}
+          </div>
+          <div className="md:pt-7">
+            <button
+              type="submit"
+              disabled={working}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center justify-center space-x-2"
+            >
+              <Plus className="h-4 w-4" />
+              <span>Save Rate</span>
+            </button>
+          </div>
+          <datalist id="currency-codes">
+            {currencyOptions.map(code => <option key={code} value={code} />)}
+          </datalist>
+        </form>
+        {errors.submit && <p className="mt-3 text-sm text-red-600">{errors.submit}</p>}
+        <p className="mt-3 text-xs text-gray-500">
+          A transaction uses the latest rate on or before its date. A rate also converts the other way round.
+        </p>
+      </div>
+
+      {/* Import */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Import Rates</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          A CSV file with date, from, to and rate columns, in that order or named in a header row.
+          Rates already saved for the same currencies and day are replaced.
+        </p>
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <select
+            value={dateFormat}
+            onChange={(e) => setDateFormat(e.target.value)}
+            aria-label="Date format"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+          </select>
+          <label className={`inline-flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors ${
+            working ? 'opacity-50 pointer-events-none' : 'cursor-pointer'
+          }`}
+          >
+            <Upload className="h-4 w-4" />
+            <span>Choose CSV file</span>
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+        {importResult?.error && <p className="mt-3 text-sm text-red-600">{importResult.error}</p>}
+        {importResult && !importResult.error && (
+          <div className="mt-3 text-sm text-gray-700">
+            <p>{importResult.imported} rate{importResult.imported === 1 ? '' : 's'} imported.</p>
+            {importResult.skipped.length > 0 && (
+              <ul className="mt-1 text-yellow-700 list-disc list-inside">
+                {importResult.skipped.slice(0, 10).map(({ line, reason }) => (
+                  <li key={line}>Line {line}: {reason}</li>
+                ))}
+                {importResult.skipped.length > 10 && <li>and {importResult.skipped.length - 10} more</li>}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Rates */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Saved Rates</h3>
+          <select
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            aria-label="Filter by currency"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All currencies</option>
+            {currencyOptions.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+        </div>
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : rates.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-4 font-medium">Date</th>
+                  <th className="py-2 pr-4 font-medium">Rate</th>
+                  <th className="py-2 pr-4 font-medium">Source</th>
+                  <th className="py-2 font-medium" />
+                </tr>
+              </thead>
+              <tbody>
+                {rates.map(rate => (
+                  <tr key={rate._id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(rate.date).toLocaleDateString()}</td>
+                    <td className="py-2 pr-4">1 {rate.from} = {rate.rate} {rate.to}</td>
+                    <td className="py-2 pr-4 text-gray-600">{rate.source === 'import' ? 'Imported' : 'Manual'}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDelete(rate)}
+                        disabled={working}
+                        className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8">
+            <Coins className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-500">No exchange rates yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRateManager;
@@ -0,0 +1,513 @@
+import React, { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { Plus, Edit2, Trash2, PiggyBank, Trophy, X } from 'lucide-react';
+import { goalsApi, getErrorMessage } from '../services/api';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/currency';
+import { HIGHLIGHT_CLASSES, highlightElementId, useHighlight } from '../utils/highlight';
+
+const EMPTY_FORM = {
+  name: '',
+  targetAmount: '',
+  targetDate: '',
+  link: 'none',
+  account: '',
+  category: '',
+  color: '#10b981'
+};
+
+const STATUS_STYLES = {
+  achieved: { label: 'Achieved', className: 'bg-green-100 text-green-700' },
+  on_track: { label: 'On track', className: 'bg-blue-100 text-blue-700' },
+  behind: { label: 'Behind', className: 'bg-yellow-100 text-yellow-700' },
+  overdue: { label: 'Past target date', className: 'bg-red-100 text-red-700' },
+  not_started: { label: 'Not started', className: 'bg-gray-100 text-gray-700' }
+};
+
+const toForm = (goal) => ({
+  name: goal.name,
+  targetAmount: String(goal.targetAmount),
+  targetDate: goal.targetDate ? goal.targetDate.slice(0, 10) : '',
+  link: goal.account ? 'account' : goal.category ? 'category' : 'none',
+  account: goal.account?._id || '',
+  category: goal.category?._id || '',
+  color: goal.color || EMPTY_FORM.color
+});
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Record money set aside for a goal, and list what was recorded
+const Contributions = ({ goal, currency, onChanged }) => {
+  const [entry, setEntry] = useState({ amount: '', date: today(), note: '' });
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(entry.amount);
+    if (!amount) {
+      setError('Enter an amount (negative to take money out)');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      onChanged(await goalsApi.addContribution(goal._id, { ...entry, amount, note: entry.note || undefined }));
+      setEntry({ amount: '', date: today(), note: '' });
+      setError('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not add the contribution'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async (contribution) => {
+    try {
+      onChanged(await goalsApi.removeContribution(goal._id, contribution._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not remove the contribution'));
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t pt-4 space-y-3">
+      <form onSubmit={handleAdd} className="grid grid-cols-12 gap-2">
+        <input
+          type="number"
+          value={entry.amount}
+          onChange={(e) => setEntry(prev => ({ ...prev, amount: e.target.value }))}
+          step="0.01"
+          placeholder="Amount"
+          className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <input
+          type="date"
+          value={entry.date}
+          onChange={(e) => setEntry(prev => ({ ...prev, date: e.target.value }))}
+          className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <input
+          type="text"
+          value={entry.note}
+          onChange={(e) => setEntry(prev => ({ ...prev, note: e.target.value }))}
+          placeholder="Note"
+          maxLength={200}
+          className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={working}
+          className="col-span-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          Add
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {goal.contributions.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {[...goal.contributions].reverse().map(contribution => (
+            <li key={contribution._id} className="flex items-center justify-between">
+              <span className="text-gray-600">
+                {format(new Date(contribution.date), 'MMM dd, yyyy')}
+                {contribution.note && ` · ${contribution.note}`}
+              </span>
+              <span className="flex items-center space-x-2">
+                <span className={contribution.amount >= 0 ? 'text-green-600' : 'text-red-600'}>
+                  {formatMoney(contribution.amount, currency)}
+                </span>
+                <button
+                  onClick={() => handleRemove(contribution)}
+                  className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                  title="Remove"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Savings goals with their progress, pace and projected completion
+// `highlightId` is a goal to scroll to, e.g. from a notification
+const GoalManager = ({ accounts, categories, currency = DEFAULT_CURRENCY, highlightId, onHighlighted }) => {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingGoal, setEditingGoal] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [openId, setOpenId] = useState(null);
+  const highlighted = useHighlight('goal', highlightId, !loading, onHighlighted);
+
+  const loadGoals = () => goalsApi.list()
+    .then(setGoals)
+    .catch(err => setError(getErrorMessage(err, 'Could not load goals')))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadGoals();
+  }, []);
+
+  // Progress moves with transactions in linked accounts and categories
+  useRealtimeEvent(['goal.created', 'goal.updated', 'goal.deleted', 'sync.required'], () => {
+    loadGoals();
+  });
+
+  const replaceGoal = (goal) => setGoals(prev => prev.map(g => (g._id === goal._id ? goal : g)));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.name.trim()) newErrors.name = 'Goal name is required';
+    if (!(parseFloat(formData.targetAmount) > 0)) newErrors.targetAmount = 'Please enter a valid target amount';
+    if (formData.link === 'account' && !formData.account) newErrors.account = 'Choose an account';
+    if (formData.link === 'category' && !formData.category) newErrors.category = 'Choose a category';
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const goal = {
+      name: formData.name.trim(),
+      targetAmount: parseFloat(formData.targetAmount),
+      targetDate: formData.targetDate || '',
+      account: formData.link === 'account' ? formData.account : '',
+      category: formData.link === 'category' ? formData.category : '',
+      color: formData.color
+    };
+
+    try {
+      if (editingGoal) {
+        replaceGoal(await goalsApi.update(editingGoal._id, goal));
+      } else {
+        const created = await goalsApi.create(goal);
+        setGoals(prev => [...prev, created]);
+      }
+      handleCancel();
+    } catch (err) {
+      setErrors({ submit: getErrorMessage(err, 'Could not save the goal') });
+    }
+  };
+
+  const handleEdit = (goal) => {
+    setEditingGoal(goal);
+    setFormData(toForm(goal));
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingGoal(null);
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.name}"?`)) return;
+    try {
+      await goalsApi.remove(goal._id);
+      setGoals(prev => prev.filter(g => g._id !== goal._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete the goal'));
+    }
+  };
+
+  const linkLabel = (goal) => {
+    if (goal.account) return `Tracks the ${goal.account.name} balance`;
+    if (goal.category) return `Counts ${goal.category.name} transactions`;
+    return 'Contributions recorded by hand';
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Savings Goals</h2>
+          <p className="text-gray-600">Track what you are saving towards</p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Goal</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      {showForm && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingGoal ? 'Edit Goal' : 'Create New Goal'}
+          </h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  maxLength={50}
+                  placeholder="e.g. Emergency fund"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.name ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+              </div>
+              <div>
+                <label htmlFor="targetAmount" className="block text-sm font-medium text-gray-700 mb-2">
+                  Target Amount ({currency}) *
+                </label>
+                <input
+                  type="number"
+                  id="targetAmount"
+                  name="targetAmount"
+                  value={formData.targetAmount}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.targetAmount ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.targetAmount && <p className="mt-1 text-sm text-red-600">{errors.targetAmount}</p>}
+              </div>
+              <div>
+                <label htmlFor="targetDate" className="block text-sm font-medium text-gray-700 mb-2">
+                  Target Date (optional)
+                </label>
+                <input
+                  type="date"
+                  id="targetDate"
+                  name="targetDate"
+                  value={formData.targetDate}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="link" className="block text-sm font-medium text-gray-700 mb-2">Progress Comes From</label>
+                <select
+                  id="link"
+                  name="link"
+                  value={formData.link}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="none">Contributions I record</option>
+                  {accounts.length > 0 && <option value="account">An account's balance</option>}
+                  <option value="category">Transactions in a category</option>
+                </select>
+              </div>
+              {formData.link === 'account' && (
+                <div>
+                  <label htmlFor="account" className="block text-sm font-medium text-gray-700 mb-2">Account *</label>
+                  <select
+                    id="account"
+                    name="account"
+                    value={formData.account}
+                    onChange={handleChange}
+                    className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors.account ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  >
+                    <option value="">Choose an account</option>
+                    {accounts.map(account => (
+                      <option key={account._id} value={account._id}>{account.name}</option>
+                    ))}
+                  </select>
+                  {errors.account && <p className="mt-1 text-sm text-red-600">{errors.account}</p>}
+                </div>
+              )}
+              {formData.link === 'category' && (
+                <div>
+                  <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">Category *</label>
+                  <select
+                    id="category"
+                    name="category"
+                    value={formData.category}
+                    onChange={handleChange}
+                    className={`block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors.category ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  >
+                    <option value="">Choose a category</option>
+                    {categories.map(category => (
+                      <option key={category._id} value={category._id}>
+                        {category.name} ({category.type})
+                      </option>
+                    ))}
+                  </select>
+                  {errors.category && <p className="mt-1 text-sm text-red-600">{errors.category}</p>}
+                </div>
+              )}
+              <div>
+                <label htmlFor="color" className="block text-sm font-medium text-gray-700 mb-2">Color</label>
+                <input
+                  type="color"
+                  id="color"
+                  name="color"
+                  value={formData.color}
+                  onChange={handleChange}
+                  className="w-12 h-10 rounded-lg border border-gray-300 cursor-pointer"
+                />
+              </div>
+            </div>
+
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
+            <div className="flex space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+              >
+                <PiggyBank className="h-4 w-4" />
+                <span>{editingGoal ? 'Update Goal' : 'Create Goal'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : goals.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {goals.map(goal => {
+            const { progress } = goal;
+            const status = STATUS_STYLES[progress.status] || STATUS_STYLES.not_started;
+            return (
+              <div
+                key={goal._id}
+                id={highlightElementId('goal', goal._id)}
+                className={`bg-white p-6 rounded-xl shadow-sm border transition-shadow ${highlighted === goal._id ? HIGHLIGHT_CLASSES : ''}`}
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex items-center space-x-3">
+                    <div className="w-3 h-10 rounded-full" style={{ backgroundColor: goal.color }} />
+                    <div>
+                      <p className="font-semibold text-gray-900 flex items-center space-x-2">
+                        <span>{goal.name}</span>
+                        {goal.achievedAt && <Trophy className="h-4 w-4 text-yellow-500" />}
+                      </p>
+                      <p className="text-sm text-gray-600">{linkLabel(goal)}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                    <button
+                      onClick={() => handleEdit(goal)}
+                      className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                      title="Edit"
+                    >
+                      <Edit2 className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(goal)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="mt-4">
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="font-medium text-gray-900">
+                      {formatMoney(progress.saved, currency)} of {formatMoney(goal.targetAmount, currency)}
+                    </span>
+                    <span className="text-gray-600">{progress.percentage.toFixed(1)}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-3">
+                    <div
+                      className="h-3 rounded-full transition-all duration-300"
+                      style={{ width: `${Math.max(0, progress.percentage)}%`, backgroundColor: goal.color }}
+                    />
+                  </div>
+                </div>
+
+                <dl className="mt-4 grid grid-cols-2 gap-3 text-sm">
+                  <div>
+                    <dt className="text-gray-500">Saving per month</dt>
+                    <dd className="font-medium text-gray-900">{formatMoney(progress.monthlyPace, currency)}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Target date</dt>
+                    <dd className="font-medium text-gray-900">
+                      {goal.targetDate ? format(new Date(goal.targetDate), 'MMM dd, yyyy') : 'None'}
+                    </dd>
+                  </div>
+                  {progress.status !== 'achieved' && (
+                    <div>
+                      <dt className="text-gray-500">Projected completion</dt>
+                      <dd className="font-medium text-gray-900">
+                        {progress.projectedDate ? format(new Date(progress.projectedDate), 'MMM yyyy') : 'Not yet known'}
+                      </dd>
+                    </div>
+                  )}
+                  {progress.requiredMonthly !== null && (
+                    <div>
+                      <dt className="text-gray-500">Needed per month</dt>
+                      <dd className="font-medium text-gray-900">{formatMoney(progress.requiredMonthly, currency)}</dd>
+                    </div>
+                  )}
+                </dl>
+
+                <button
+                  onClick={() => setOpenId(openId === goal._id ? null : goal._id)}
+                  className="mt-4 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  {openId === goal._id ? 'Hide contributions' : `Contributions (${goal.contributions.length})`}
+                </button>
+                {openId === goal._id && (
+                  <Contributions goal={goal} currency={currency} onChanged={replaceGoal} />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="bg-white p-12 rounded-xl shadow-sm border text-center">
+          <PiggyBank className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No goals yet</h3>
+          <p className="text-gray-600">Set a target to see how long it will take to reach it.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalManager;
@@ -0,0 +1,633 @@
+import React, { useEffect, useState } from 'react';
+import { Upload, FileText, CheckCircle, AlertCircle, ArrowLeft, Trash2 } from 'lucide-react';
+import { importsApi, getErrorMessage } from '../services/api';
+
+const STEPS = {
+  UPLOAD: 'upload',
+  MAPPING: 'mapping',
+  REVIEW: 'review',
+  DONE: 'done'
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY'];
+
+const EMPTY_MAPPING = {
+  columns: { date: '', description: '', amount: '', debit: '', credit: '', notes: '', reference: '' },
+  amountMode: 'single',
+  dateFormat: 'YYYY-MM-DD',
+  hasHeader: true,
+  invertAmounts: false
+};
+
+// Pick the import format from the file extension
+const detectFormat = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  return 'csv';
+};
+
+// Preselect columns whose header looks like the field
+const guessColumns = (columns) => {
+  const find = (...patterns) =>
+    columns.find(column => patterns.some(pattern => pattern.test(column))) || '';
+
+  return {
+    date: find(/date/i),
+    description: find(/desc/i, /payee/i, /narrat/i, /details/i, /memo/i),
+    amount: find(/^amount$/i, /amount/i),
+    debit: find(/debit/i, /withdraw/i, /paid out/i),
+    credit: find(/credit/i, /deposit/i, /paid in/i),
+    notes: '',
+    reference: find(/ref/i, /cheque/i, /check/i)
+  };
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+const ImportWizard = ({ categories, accounts = [], onImported }) => {
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const [file, setFile] = useState(null);
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [mappingId, setMappingId] = useState('');
+  const [qifDateFormat, setQifDateFormat] = useState('MM/DD/YYYY');
+  const [columns, setColumns] = useState([]);
+  const [sample, setSample] = useState([]);
+  const [delimiter, setDelimiter] = useState(',');
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+  const [mappingName, setMappingName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [defaultCategories, setDefaultCategories] = useState({ expense: '', income: '' });
+  const [account, setAccount] = useState('');
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    importsApi.listMappings()
+      .then(setSavedMappings)
+      .catch(err => console.error('Load import mappings error:', err));
+  }, []);
+
+  const showPreview = (data) => {
+    setPreview(data);
+    setSelections(Object.fromEntries(data.rows.map(row => [
+      row.index,
+      { include: !row.error && !row.duplicateOf, category: row.category || '' }
+    ])));
+    setStep(STEPS.REVIEW);
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setError('');
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Choose a file to import');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+    try {
+      const content = await file.text();
+      const format = detectFormat(file.name);
+      const data = await importsApi.preview({
+        format,
+        content,
+        mappingId: format === 'csv' && mappingId ? mappingId : undefined,
+        dateFormat: format === 'qif' ? qifDateFormat : undefined
+      });
+
+      if (data.needsMapping) {
+        setColumns(data.columns);
+        setSample(data.sample);
+        setDelimiter(data.delimiter);
+        setMapping({ ...EMPTY_MAPPING, columns: guessColumns(data.columns) });
+        setStep(STEPS.MAPPING);
+      } else {
+        showPreview(data);
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not read the file'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleColumnChange = (e) => {
+    const { name, value } = e.target;
+    setMapping(prev => ({ ...prev, columns: { ...prev.columns, [name]: value } }));
+  };
+
+  const handleMappingSubmit = async (e) => {
+    e.preventDefault();
+    const { columns: mapped, amountMode } = mapping;
+    if (!mapped.date || !mapped.description) {
+      setError('Choose the date and description columns');
+      return;
+    }
+    if (amountMode === 'single' ? !mapped.amount : !(mapped.debit || mapped.credit)) {
+      setError('Choose the amount column, or the debit and credit columns');
+      return;
+    }
+
+    // Only send the amount columns for the chosen mode
+    const payload = {
+      columns: {
+        ...mapped,
+        amount: amountMode === 'single' ? mapped.amount : '',
+        debit: amountMode === 'split' ? mapped.debit : '',
+        credit: amountMode === 'split' ? mapped.credit : ''
+      },
+      dateFormat: mapping.dateFormat,
+      delimiter,
+      hasHeader: mapping.hasHeader,
+      invertAmounts: amountMode === 'single' && mapping.invertAmounts
+    };
+
+    setWorking(true);
+    setError('');
+    try {
+      if (mappingName.trim()) {
+        const saved = await importsApi.saveMapping({ ...payload, name: mappingName.trim() });
+        setSavedMappings(prev => [...prev.filter(m => m._id !== saved._id), saved]);
+        setMappingId(saved._id);
+      }
+
+      const content = await file.text();
+      showPreview(await importsApi.preview({ format: 'csv', content, mapping: payload }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not apply the mapping'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDeleteMapping = async () => {
+    if (!mappingId || !window.confirm('Delete this saved mapping?')) return;
+    try {
+      await importsApi.removeMapping(mappingId);
+      setSavedMappings(prev => prev.filter(m => m._id !== mappingId));
+      setMappingId('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete the mapping'));
+    }
+  };
+
+  const updateSelection = (index, changes) => {
+    setSelections(prev => ({ ...prev, [index]: { ...prev[index], ...changes } }));
+  };
+
+  const includedRows = preview
+    ? preview.rows.filter(row => !row.error && selections[row.index]?.include)
+    : [];
+  const categoryFor = (row) => selections[row.index]?.category || defaultCategories[row.type];
+  const missingCategory = includedRows.filter(row => !categoryFor(row)).length;
+
+  const handleCommit = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const rows = includedRows.map(row => ({
+        date: row.date,
+        description: row.description,
+        amount: row.amount,
+        type: row.type,
+        category: categoryFor(row),
+        notes: row.notes
+      }));
+      const data = await importsApi.commit(rows, account);
+
+      setResult({
+        created: data.created,
+        // Server-side skips are indexed into the rows we sent
+        failed: data.skipped.map(({ index, reason }) => ({ row: includedRows[index], reason })),
+        excluded: preview.rows.length - includedRows.length
+      });
+      setStep(STEPS.DONE);
+      onImported();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Import failed'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleReset = () => {
+    setStep(STEPS.UPLOAD);
+    setFile(null);
+    setPreview(null);
+    setSelections({});
+    setResult(null);
+    setMappingName('');
+    setError('');
+  };
+
+  const categoryOptions = (type) =>
+    categories.filter(category => category.type === type).map(category => (
+      <option key={category._id} value={category._id}>{category.name}</option>
+    ));
+
+  const columnSelect = (name, label, required = false) => (
+    <div>
+      <label htmlFor={`column-${name}`} className="block text-sm font-medium text-gray-700 mb-2">
+        {label}{required && ' *'}
+      </label>
+      <select
+        id={`column-${name}`}
+        name={name}
+        value={mapping.columns[name]}
+        onChange={handleColumnChange}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        <option value="">Not in file</option>
+        {(mapping.hasHeader ? columns : columns.map((_, i) => String(i))).map((column, i) => (
+          <option key={i} value={column}>
+            {mapping.hasHeader ? column : `Column ${i + 1} (${columns[i]})`}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Import Transactions</h2>
+          <p className="text-gray-600">Bring in bank statements as CSV, OFX/QFX or QIF files</p>
+        </div>
+
+        {step !== STEPS.UPLOAD && step !== STEPS.DONE && (
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center space-x-2"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Start Over</span>
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center space-x-2">
+          <AlertCircle className="h-5 w-5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {step === STEPS.UPLOAD && (
+        <form onSubmit={handleUpload} className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <div>
+            <label htmlFor="import-file" className="block text-sm font-medium text-gray-700 mb-2">
+              Statement File *
+            </label>
+            <input
+              type="file"
+              id="import-file"
+              accept=".csv,.txt,.ofx,.qfx,.qif"
+              onChange={handleFileChange}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+          </div>
+
+          {file && detectFormat(file.name) === 'csv' && (
+            <div>
+              <label htmlFor="mappingId" className="block text-sm font-medium text-gray-700 mb-2">
+                Column Mapping
+              </label>
+              <div className="flex items-center space-x-2">
+                <select
+                  id="mappingId"
+                  value={mappingId}
+                  onChange={(e) => setMappingId(e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Set up columns for this file</option>
+                  {savedMappings.map(saved => (
+                    <option key={saved._id} value={saved._id}>{saved.name}</option>
+                  ))}
+                </select>
+                {mappingId && (
+                  <button
+                    type="button"
+                    onClick={handleDeleteMapping}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Delete mapping"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {file && detectFormat(file.name) === 'qif' && (
+            <div>
+              <label htmlFor="qifDateFormat" className="block text-sm font-medium text-gray-700 mb-2">
+                Date Format
+              </label>
+              <select
+                id="qifDateFormat"
+                value={qifDateFormat}
+                onChange={(e) => setQifDateFormat(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+              </select>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" />
+            <span>{working ? 'Reading...' : 'Continue'}</span>
+          </button>
+        </form>
+      )}
+
+      {step === STEPS.MAPPING && (
+        <form onSubmit={handleMappingSubmit} className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">Match the columns in {file.name}</h3>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={mapping.hasHeader}
+              onChange={(e) => setMapping(prev => ({ ...prev, hasHeader: e.target.checked, columns: EMPTY_MAPPING.columns }))}
+            />
+            <span>First row contains column names</span>
+          </label>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {columnSelect('date', 'Date', true)}
+            {columnSelect('description', 'Description', true)}
+            <div>
+              <label htmlFor="dateFormat" className="block text-sm font-medium text-gray-700 mb-2">
+                Date Format *
+              </label>
+              <select
+                id="dateFormat"
+                value={mapping.dateFormat}
+                onChange={(e) => setMapping(prev => ({ ...prev, dateFormat: e.target.value }))}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex space-x-6 text-sm text-gray-700">
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                checked={mapping.amountMode === 'single'}
+                onChange={() => setMapping(prev => ({ ...prev, amountMode: 'single' }))}
+              />
+              <span>One signed amount column</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                checked={mapping.amountMode === 'split'}
+                onChange={() => setMapping(prev => ({ ...prev, amountMode: 'split' }))}
+              />
+              <span>Separate debit and credit columns</span>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {mapping.amountMode === 'single' ? (
+              <>
+                {columnSelect('amount', 'Amount', true)}
+                <label className="flex items-center space-x-2 text-sm text-gray-700 md:pt-7">
+                  <input
+                    type="checkbox"
+                    checked={mapping.invertAmounts}
+                    onChange={(e) => setMapping(prev => ({ ...prev, invertAmounts: e.target.checked }))}
+                  />
+                  <span>Spending is shown as positive</span>
+                </label>
+              </>
+            ) : (
+              <>
+                {columnSelect('debit', 'Debit (money out)')}
+                {columnSelect('credit', 'Credit (money in)')}
+              </>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {columnSelect('notes', 'Notes')}
+            {columnSelect('reference', 'Reference')}
+            <div>
+              <label htmlFor="mappingName" className="block text-sm font-medium text-gray-700 mb-2">
+                Save Mapping As
+              </label>
+              <input
+                type="text"
+                id="mappingName"
+                value={mappingName}
+                onChange={(e) => setMappingName(e.target.value)}
+                placeholder="e.g. My Bank checking"
+                maxLength={50}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          {sample.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs text-gray-600 border">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {columns.map((column, i) => (
+                      <th key={i} className="px-2 py-1 text-left font-medium">
+                        {mapping.hasHeader ? column : `Column ${i + 1}`}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {(mapping.hasHeader ? sample : [columns, ...sample]).map((row, i) => (
+                    <tr key={i} className="border-t">
+                      {row.map((cell, j) => <td key={j} className="px-2 py-1 whitespace-nowrap">{cell}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <FileText className="h-4 w-4" />
+            <span>{working ? 'Reading...' : 'Preview Transactions'}</span>
+          </button>
+        </form>
+      )}
+
+      {step === STEPS.REVIEW && preview && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+            <span>{preview.summary.total} rows</span>
+            {preview.summary.duplicates > 0 && (
+              <span className="text-yellow-700">{preview.summary.duplicates} possible duplicates (unchecked)</span>
+            )}
+            {preview.summary.invalid > 0 && (
+              <span className="text-red-600">{preview.summary.invalid} unreadable</span>
+            )}
+            {preview.summary.uncategorized > 0 && (
+              <span>{preview.summary.uncategorized} without a suggested category</span>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {['expense', 'income'].map(type => (
+              <div key={type}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Default {type} category
+                </label>
+                <select
+                  value={defaultCategories[type]}
+                  onChange={(e) => setDefaultCategories(prev => ({ ...prev, [type]: e.target.value }))}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">None</option>
+                  {categoryOptions(type)}
+                </select>
+              </div>
+            ))}
+            {accounts.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Account
+                </label>
+                <select
+                  value={account}
+                  onChange={(e) => setAccount(e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">No account</option>
+                  {accounts.map(a => (
+                    <option key={a._id} value={a._id}>{a.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left font-medium">Date</th>
+                  <th className="px-3 py-2 text-left font-medium">Description</th>
+                  <th className="px-3 py-2 text-right font-medium">Amount</th>
+                  <th className="px-3 py-2 text-left font-medium">Category</th>
+                  <th className="px-3 py-2 text-left font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => {
+                  const selection = selections[row.index] || {};
+                  return (
+                    <tr key={row.index} className={`border-t ${row.error ? 'bg-red-50' : row.duplicateOf ? 'bg-yellow-50' : ''}`}>
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={!!selection.include}
+                          disabled={!!row.error}
+                          onChange={(e) => updateSelection(row.index, { include: e.target.checked })}
+                        />
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">{row.date ? formatDate(row.date) : '—'}</td>
+                      <td className="px-3 py-2">{row.description || '—'}</td>
+                      <td className={`px-3 py-2 text-right whitespace-nowrap ${row.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                        {row.type === 'income' ? '+' : '-'}{isNaN(row.amount) ? '—' : row.amount.toFixed(2)}
+                      </td>
+                      <td className="px-3 py-2">
+                        {!row.error && (
+                          <select
+                            value={selection.category || ''}
+                            onChange={(e) => updateSelection(row.index, { category: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                          >
+                            <option value="">
+                              {defaultCategories[row.type] ? 'Default' : 'Choose...'}
+                            </option>
+                            {categoryOptions(row.type)}
+                          </select>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        {row.error && <span className="text-red-600">{row.error}</span>}
+                        {row.duplicateOf && <span className="text-yellow-700">Possible duplicate</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {missingCategory > 0 && (
+            <p className="text-sm text-red-600">
+              {missingCategory} selected rows need a category. Choose one per row or set a default.
+            </p>
+          )}
+
+          <button
+            onClick={handleCommit}
+            disabled={working || includedRows.length === 0 || missingCategory > 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" />
+            <span>{working ? 'Importing...' : `Import ${includedRows.length} Transactions`}</span>
+          </button>
+        </div>
+      )}
+
+      {step === STEPS.DONE && result && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+          <div className="flex items-start space-x-3">
+            <CheckCircle className="h-6 w-6 text-green-600" />
+            <div className="text-sm text-gray-700 space-y-1">
+              <p className="text-lg font-semibold text-gray-900">Import finished</p>
+              <p>{result.created} transactions created.</p>
+              <p>
+                {result.excluded + result.failed.length} rows skipped
+                {result.excluded > 0 && ` (${result.excluded} left out during review)`}.
+              </p>
+              {result.failed.map(({ row, reason }, i) => (
+                <p key={i} className="text-red-600">
+                  {row ? `${row.description}: ` : ''}{reason}
+                </p>
+              ))}
+            </div>
+          </div>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Import Another File
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Upload, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { useFinance } from '../contexts/FinanceContext';
+import { readLocalData, hasLocalData, importLocalData, clearLocalData } from '../services/localImport';
+
+const LocalDataImport = () => {
+  const { categories, loading, refresh } = useFinance();
+  const [visible, setVisible] = useState(hasLocalData);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  if (!visible) return null;
+
+  const { transactions, budgets } = readLocalData();
+
+  const handleImport = async () => {
+    setImporting(true);
+    const result = await importLocalData(categories);
+    setImporting(false);
+    setReport(result);
+    refresh();
+  };
+
+  const handleDiscard = () => {
+    if (window.confirm('Delete the data saved in this browser? This cannot be undone.')) {
+      clearLocalData();
+      setVisible(false);
+    }
+  };
+
+  if (report) {
+    const hasErrors = report.errors.length > 0;
+    // Only what wasn't imported is left in the browser
+    const canRetry = hasLocalData();
+    return (
+      <div className={`border px-4 py-3 rounded-lg mb-6 ${
+        hasErrors ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'
+      }`}>
+        <div className="flex justify-between items-start">
+          <div className="flex items-start space-x-3">
+            {hasErrors
+              ? <AlertCircle className="h-5 w-5 mt-0.5" />
+              : <CheckCircle className="h-5 w-5 mt-0.5" />}
+            <div className="text-sm space-y-1">
+              <p className="font-semibold">Import finished</p>
+              <p>
+                {report.transactionsImported} transactions and {report.budgetsImported} budgets imported
+                {report.categoriesCreated > 0 && `, ${report.categoriesCreated} categories created`}.
+              </p>
+              {(report.transactionsSkipped > 0 || report.budgetsSkipped > 0) && (
+                <p>
+                  Skipped {report.transactionsSkipped} transactions and {report.budgetsSkipped} budgets.
+                </p>
+              )}
+              {report.errors.map((error, index) => (
+                <p key={index}>{error}</p>
+              ))}
+              {canRetry && (
+                <p>
+                  What wasn't imported is still saved in this browser.{' '}
+                  <button onClick={() => setReport(null)} className="font-medium underline hover:opacity-75">
+                    Try again
+                  </button>
+                </p>
+              )}
+            </div>
+          </div>
+          <button onClick={() => setVisible(false)} className="p-1 hover:opacity-75">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-lg mb-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div className="flex items-start space-x-3">
+          <Upload className="h-5 w-5 mt-0.5" />
+          <div className="text-sm">
+            <p className="font-semibold">Data found in this browser</p>
+            <p>
+              {transactions.length} transactions and {budgets.length} budgets were saved locally
+              by an earlier version. Import them into your account to sync them across devices.
+            </p>
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleDiscard}
+            disabled={importing}
+            className="px-3 py-2 text-sm border border-blue-300 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+          >
+            Discard
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={importing || loading}
+            className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocalDataImport;
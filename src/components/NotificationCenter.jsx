@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Bell, CheckCheck, AlertTriangle, AlertCircle, Info, ChevronRight } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useNotifications } from '../contexts/NotificationContext';
+
+const PRIORITY_STYLES = {
+  urgent: { icon: AlertCircle, color: 'text-red-600', bg: 'bg-red-50', border: 'border-l-red-500' },
+  high: { icon: AlertTriangle, color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-l-orange-500' },
+  medium: { icon: Info, color: 'text-blue-600', bg: 'bg-blue-50', border: 'border-l-blue-500' },
+  low: { icon: Info, color: 'text-gray-500', bg: 'bg-gray-50', border: 'border-l-gray-300' }
+};
+
+// Work out where a notification points from the ids in its data
+const getNotificationLink = (notification) => {
+  const data = notification.data || {};
+  if (data.budgetId) return { type: 'budget', id: data.budgetId };
+  if (data.transactionId) return { type: 'transaction', id: data.transactionId };
+  if (data.goalId) return { type: 'goal', id: data.goalId };
+  if (data.billId) return { type: 'bill', id: data.billId };
+  if (data.reason === 'login_locked') return { type: 'security' };
+  return null;
+};
+
+const NotificationCenter = ({ onNavigate }) => {
+  const {
+    notifications,
+    pagination,
+    unreadCount,
+    loading,
+    error,
+    loadPage,
+    markRead,
+    markAllRead
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    if (open) loadPage(1);
+  }, [open, loadPage]);
+
+  // Close when clicking anywhere outside the panel
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleSelect = (notification) => {
+    if (!notification.isRead) markRead(notification._id);
+
+    const link = getNotificationLink(notification);
+    if (link) {
+      onNavigate(link);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+        aria-label="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-red-600 text-white text-xs font-semibold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-lg border z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            <button
+              onClick={markAllRead}
+              disabled={unreadCount === 0}
+              className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              <CheckCheck className="h-4 w-4" />
+              <span>Mark all read</span>
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {error && <p className="px-4 py-3 text-sm text-red-600">{error}</p>}
+
+            {notifications.length === 0 && !loading && !error && (
+              <p className="px-4 py-8 text-center text-gray-500">You're all caught up</p>
+            )}
+
+            {notifications.map(notification => {
+              const style = PRIORITY_STYLES[notification.priority] || PRIORITY_STYLES.medium;
+              const Icon = style.icon;
+              const link = getNotificationLink(notification);
+
+              return (
+                <button
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-l-4 flex items-start space-x-3 hover:bg-gray-50 transition-colors ${style.border} ${
+                    notification.isRead ? '' : style.bg
+                  }`}
+                >
+                  <Icon className={`h-5 w-5 mt-0.5 flex-shrink-0 ${style.color}`} />
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm text-gray-900 ${notification.isRead ? '' : 'font-semibold'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="text-sm text-gray-600">{notification.message}</p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                  {link && <ChevronRight className="h-4 w-4 mt-0.5 text-gray-400 flex-shrink-0" />}
+                </button>
+              );
+            })}
+
+            {loading && (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+              </div>
+            )}
+
+            {pagination?.hasNext && !loading && (
+              <button
+                onClick={() => loadPage(pagination.current + 1)}
+                className="w-full py-3 text-sm text-blue-600 hover:bg-gray-50"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -1,13 +1,35 @@
-import React, { useState, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { format, startOfYear, endOfYear, startOfMonth, endOfMonth, isWithinInterval, eachMonthOfInterval, subMonths } from 'date-fns';
 import { Calendar, TrendingUp, TrendingDown, Download, Filter } from 'lucide-react';
 import { LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-
-const Reports = ({ transactions, categories, budgets }) => {
+import { reportsApi, getErrorMessage } from '../services/api';
+import { amountColor, amountSign, categoryLabel, categoryLines } from '../utils/transactions';
+import { DEFAULT_CURRENCY, baseAmountOf, formatMoney, isForeign } from '../utils/currency';
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'pdf', label: 'PDF statement' },
+  { value: 'json', label: 'JSON' }
+];
+
+// Totals and charts are in the user's base currency (`currency`)
+// `onLoadTransactionsFrom(date)` loads the older transactions a period needs
+const Reports = ({ transactions, categories, budgets, currency = DEFAULT_CURRENCY, onLoadTransactionsFrom }) => {
   const [selectedPeriod, setSelectedPeriod] = useState('year');
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [selectedMonth, setSelectedMonth] = useState(new Date());
   const [chartType, setChartType] = useState('line');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  // The year, or the 12 months up to the selected one
+  useEffect(() => {
+    onLoadTransactionsFrom?.(selectedPeriod === 'year'
+      ? startOfYear(new Date(selectedYear, 0, 1))
+      : startOfMonth(subMonths(selectedMonth, 11)));
+  }, [selectedPeriod, selectedYear, selectedMonth, onLoadTransactionsFrom]);
 
   // Filter transactions based on selected period
   const filteredTransactions = useMemo(() => {
@@ -47,11 +69,11 @@ const Reports = ({ transactions, categories, budgets }) => {
 
         const income = monthTransactions
           .filter(t => t.type === 'income')
-          .reduce((sum, t) => sum + t.amount, 0);
+          .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
         const expenses = monthTransactions
           .filter(t => t.type === 'expense')
-          .reduce((sum, t) => sum + t.amount, 0);
+          .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
         return {
           month: format(month, 'MMM'),
@@ -78,11 +100,11 @@ const Reports = ({ transactions, categories, budgets }) => {
 
         const income = monthTransactions
           .filter(t => t.type === 'income')
-          .reduce((sum, t) => sum + t.amount, 0);
+          .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
         const expenses = monthTransactions
           .filter(t => t.type === 'expense')
-          .reduce((sum, t) => sum + t.amount, 0);
+          .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
         return {
           month: format(month, 'MMM yy'),
@@ -98,15 +120,16 @@ const Reports = ({ transactions, categories, budgets }) => {
   const categoryData = useMemo(() => {
     const expensesByCategory = filteredTransactions
       .filter(t => t.type === 'expense')
-      .reduce((acc, t) => {
-        const category = categories.find(c => c.id === t.categoryId);
+      .flatMap(categoryLines)
+      .reduce((acc, line) => {
+        const category = categories.find(c => c._id === line.categoryId);
         const categoryName = category?.name || 'Uncategorized';
         const categoryColor = category?.color || '#64748b';
         
         if (!acc[categoryName]) {
           acc[categoryName] = { amount: 0, color: categoryColor };
         }
-        acc[categoryName].amount += t.amount;
+        acc[categoryName].amount += line.amount;
         return acc;
       }, {});
 
@@ -121,11 +144,11 @@ const Reports = ({ transactions, categories, budgets }) => {
   const incomeVsExpenses = useMemo(() => {
     const income = filteredTransactions
       .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
     const expenses = filteredTransactions
       .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .reduce((sum, t) => sum + baseAmountOf(t), 0);
 
     return [
       { name: 'Income', value: income, color: '#10b981' },
@@ -146,10 +169,12 @@ const Reports = ({ transactions, categories, budgets }) => {
 
       return budgets.map(budget => {
         const spent = currentMonthTransactions
-          .filter(t => t.type === 'expense' && t.categoryId === budget.categoryId)
-          .reduce((sum, t) => sum + t.amount, 0);
+          .filter(t => t.type === 'expense')
+          .flatMap(categoryLines)
+          .filter(line => line.categoryId === budget.category?._id)
+          .reduce((sum, line) => sum + line.amount, 0);
 
-        const category = categories.find(c => c.id === budget.categoryId);
+        const category = categories.find(c => c._id === budget.category?._id);
         
         return {
           category: category?.name || 'Unknown',
@@ -162,32 +187,34 @@ const Reports = ({ transactions, categories, budgets }) => {
     return [];
   }, [budgets, transactions, categories, selectedMonth, selectedPeriod]);
 
-  const exportData = () => {
-    const csvContent = [
-      ['Date', 'Type', 'Category', 'Description', 'Amount'].join(','),
-      ...filteredTransactions.map(t => {
-        const category = categories.find(c => c.id === t.categoryId);
-        return [
-          format(new Date(t.date), 'yyyy-MM-dd'),
-          t.type,
-          category?.name || 'Uncategorized',
-          `"${t.description}"`,
-          t.amount
-        ].join(',');
-      })
-    ].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `financial-report-${selectedPeriod}-${selectedPeriod === 'year' ? selectedYear : format(selectedMonth, 'yyyy-MM')}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+  const exportData = async () => {
+    const start = selectedPeriod === 'year' ? startOfYear(new Date(selectedYear, 0, 1)) : startOfMonth(selectedMonth);
+    const end = selectedPeriod === 'year' ? endOfYear(new Date(selectedYear, 0, 1)) : endOfMonth(selectedMonth);
+
+    setExporting(true);
+    setExportError('');
+    try {
+      const blob = await reportsApi.exportTransactions({
+        format: exportFormat,
+        startDate: start.toISOString(),
+        endDate: end.toISOString()
+      });
+
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `financial-report-${selectedPeriod}-${selectedPeriod === 'year' ? selectedYear : format(selectedMonth, 'yyyy-MM')}.${exportFormat}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      setExportError(getErrorMessage(error, 'Export failed'));
+    } finally {
+      setExporting(false);
+    }
   };
 
-  const totalIncome = filteredTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-  const totalExpenses = filteredTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+  const totalIncome = filteredTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + baseAmountOf(t), 0);
+  const totalExpenses = filteredTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + baseAmountOf(t), 0);
   const netBalance = totalIncome - totalExpenses;
 
   const renderChart = (data, type) => {
@@ -203,7 +230,7 @@ const Reports = ({ transactions, categories, budgets }) => {
             <CartesianGrid strokeDasharray="3 3" />
             <XAxis dataKey="month" />
             <YAxis />
-            <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+            <Tooltip formatter={(value) => formatMoney(value, currency)} />
             <Legend />
             <Line type="monotone" dataKey="income" stroke="#10b981" strokeWidth={3} name="Income" />
             <Line type="monotone" dataKey="expenses" stroke="#ef4444" strokeWidth={3} name="Expenses" />
@@ -216,7 +243,7 @@ const Reports = ({ transactions, categories, budgets }) => {
             <CartesianGrid strokeDasharray="3 3" />
             <XAxis dataKey="month" />
             <YAxis />
-            <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+            <Tooltip formatter={(value) => formatMoney(value, currency)} />
             <Legend />
             <Area type="monotone" dataKey="income" stackId="1" stroke="#10b981" fill="#10b981" fillOpacity={0.6} name="Income" />
             <Area type="monotone" dataKey="expenses" stackId="2" stroke="#ef4444" fill="#ef4444" fillOpacity={0.6} name="Expenses" />
@@ -228,7 +255,7 @@ const Reports = ({ transactions, categories, budgets }) => {
             <CartesianGrid strokeDasharray="3 3" />
             <XAxis dataKey="month" />
             <YAxis />
-            <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+            <Tooltip formatter={(value) => formatMoney(value, currency)} />
             <Legend />
             <Bar dataKey="income" fill="#10b981" name="Income" />
             <Bar dataKey="expenses" fill="#ef4444" name="Expenses" />
@@ -248,13 +275,28 @@ const Reports = ({ transactions, categories, budgets }) => {
           <p className="text-gray-600">Analyze your financial patterns and trends</p>
         </div>
         
-        <button
-          onClick={exportData}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
-        >
-          <Download className="h-4 w-4" />
-          <span>Export Data</span>
-        </button>
+        <div className="flex flex-col items-end gap-2">
+          <div className="flex items-center space-x-2">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {EXPORT_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={exportData}
+              disabled={exporting}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4" />
+              <span>{exporting ? 'Exporting...' : 'Export Data'}</span>
+            </button>
+          </div>
+          {exportError && <p className="text-sm text-red-600">{exportError}</p>}
+        </div>
       </div>
 
       {/* Filters */}
@@ -328,7 +370,7 @@ const Reports = ({ transactions, categories, budgets }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Income</p>
-              <p className="text-2xl font-bold text-green-600">₹{totalIncome.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-green-600">{formatMoney(totalIncome, currency)}</p>
             </div>
             <div className="bg-green-100 p-3 rounded-full">
               <TrendingUp className="h-6 w-6 text-green-600" />
@@ -340,7 +382,7 @@ const Reports = ({ transactions, categories, budgets }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Expenses</p>
-              <p className="text-2xl font-bold text-red-600">₹{totalExpenses.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-red-600">{formatMoney(totalExpenses, currency)}</p>
             </div>
             <div className="bg-red-100 p-3 rounded-full">
               <TrendingDown className="h-6 w-6 text-red-600" />
@@ -353,7 +395,7 @@ const Reports = ({ transactions, categories, budgets }) => {
             <div>
               <p className="text-sm font-medium text-gray-600">Net Balance</p>
               <p className={`text-2xl font-bold ${netBalance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                ₹{netBalance.toFixed(2)}
+                {formatMoney(netBalance, currency)}
               </p>
             </div>
             <div className={`p-3 rounded-full ${netBalance >= 0 ? 'bg-green-100' : 'bg-red-100'}`}>
@@ -397,7 +439,7 @@ const Reports = ({ transactions, categories, budgets }) => {
                       <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
                   </Pie>
-                  <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+                  <Tooltip formatter={(value) => formatMoney(value, currency)} />
                 </PieChart>
               </ResponsiveContainer>
             </div>
@@ -417,7 +459,7 @@ const Reports = ({ transactions, categories, budgets }) => {
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis type="number" />
                 <YAxis dataKey="name" type="category" />
-                <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+                <Tooltip formatter={(value) => formatMoney(value, currency)} />
                 <Bar dataKey="value" fill={(entry) => entry.color}>
                   {incomeVsExpenses.map((entry, index) => (
                     <Cell key={`cell-${index}`} fill={entry.color} />
@@ -438,7 +480,7 @@ const Reports = ({ transactions, categories, budgets }) => {
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="category" />
                   <YAxis />
-                  <Tooltip formatter={(value) => `₹${value.toFixed(2)}`} />
+                  <Tooltip formatter={(value) => formatMoney(value, currency)} />
                   <Legend />
                   <Bar dataKey="budgeted" fill="#3b82f6" name="Budgeted" />
                   <Bar dataKey="actual" fill="#ef4444" name="Actual" />
@@ -468,9 +510,9 @@ const Reports = ({ transactions, categories, budgets }) => {
                 {filteredTransactions
                   .sort((a, b) => new Date(b.date) - new Date(a.date))
                   .map(transaction => {
-                    const category = categories.find(c => c.id === transaction.categoryId);
+                    const category = categories.find(c => c._id === transaction.category?._id);
                     return (
-                      <tr key={transaction.id} className="border-b hover:bg-gray-50">
+                      <tr key={transaction._id} className="border-b hover:bg-gray-50">
                         <td className="py-2">{format(new Date(transaction.date), 'MMM dd, yyyy')}</td>
                         <td className="py-2">{transaction.description}</td>
                         <td className="py-2">
@@ -479,22 +521,27 @@ const Reports = ({ transactions, categories, budgets }) => {
                               className="w-3 h-3 rounded-full"
                               style={{ backgroundColor: category?.color || '#64748b' }}
                             />
-                            <span>{category?.name || 'Uncategorized'}</span>
+                            <span>{categoryLabel(transaction, category)}</span>
                           </div>
                         </td>
                         <td className="py-2">
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                             transaction.type === 'income' 
                               ? 'bg-green-100 text-green-700' 
-                              : 'bg-red-100 text-red-700'
+                              : transaction.type === 'transfer'
+                                ? 'bg-blue-100 text-blue-700'
+                                : 'bg-red-100 text-red-700'
                           }`}>
                             {transaction.type}
                           </span>
                         </td>
-                        <td className={`py-2 text-right font-semibold ${
-                          transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
-                        }`}>
-                          {transaction.type === 'income' ? '+' : '-'}₹{transaction.amount.toFixed(2)}
+                        <td className={`py-2 text-right font-semibold ${amountColor(transaction)}`}>
+                          {amountSign(transaction)}{formatMoney(transaction.amount, transaction.currency || currency)}
+                          {isForeign(transaction, currency) && transaction.baseAmount != null && (
+                            <span className="block text-xs font-normal text-gray-500">
+                              ≈ {formatMoney(baseAmountOf(transaction), currency)}
+                            </span>
+                          )}
                         </td>
                       </tr>
                     );
@@ -0,0 +1,624 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Edit2, Trash2, Wand2, Play, Power, AlertCircle } from 'lucide-react';
+import { rulesApi, getErrorMessage } from '../services/api';
+
+const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'wallet', label: 'Wallet' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  priority: 100,
+  stopProcessing: false,
+  description: '',
+  notes: '',
+  location: '',
+  type: '',
+  amountMin: '',
+  amountMax: '',
+  paymentMethod: '',
+  tags: '',
+  category: '',
+  addTags: '',
+  actionNotes: ''
+};
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+const toForm = (rule) => ({
+  name: rule.name,
+  priority: rule.priority,
+  stopProcessing: rule.stopProcessing,
+  description: rule.conditions?.description || '',
+  notes: rule.conditions?.notes || '',
+  location: rule.conditions?.location || '',
+  type: rule.conditions?.type || '',
+  amountMin: rule.conditions?.amountMin ?? '',
+  amountMax: rule.conditions?.amountMax ?? '',
+  paymentMethod: rule.conditions?.paymentMethod || '',
+  tags: (rule.conditions?.tags || []).join(', '),
+  category: rule.actions?.category?._id || rule.actions?.category || '',
+  addTags: (rule.actions?.addTags || []).join(', '),
+  actionNotes: rule.actions?.notes || ''
+});
+
+const toRule = (form) => ({
+  name: form.name.trim(),
+  priority: parseInt(form.priority, 10) || 0,
+  stopProcessing: form.stopProcessing,
+  conditions: {
+    description: form.description,
+    notes: form.notes,
+    location: form.location,
+    type: form.type,
+    amountMin: form.amountMin === '' ? null : parseFloat(form.amountMin),
+    amountMax: form.amountMax === '' ? null : parseFloat(form.amountMax),
+    paymentMethod: form.paymentMethod,
+    tags: splitTags(form.tags)
+  },
+  actions: {
+    category: form.category,
+    addTags: splitTags(form.addTags),
+    notes: form.actionNotes
+  }
+});
+
+// One-line description of what a rule looks for
+const describeConditions = (conditions = {}) => {
+  const parts = [];
+  if (conditions.type) parts.push(conditions.type);
+  if (conditions.description) parts.push(`description ~ /${conditions.description}/`);
+  if (conditions.notes) parts.push(`notes ~ /${conditions.notes}/`);
+  if (conditions.location) parts.push(`location ~ /${conditions.location}/`);
+  if (conditions.amountMin !== undefined && conditions.amountMin !== null) parts.push(`amount ≥ ${conditions.amountMin}`);
+  if (conditions.amountMax !== undefined && conditions.amountMax !== null) parts.push(`amount ≤ ${conditions.amountMax}`);
+  if (conditions.paymentMethod) parts.push(`paid by ${conditions.paymentMethod.replace('_', ' ')}`);
+  if (conditions.tags?.length) parts.push(`tagged ${conditions.tags.join(', ')}`);
+  return parts.join(' · ');
+};
+
+const RuleManager = ({ categories }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    rulesApi.list()
+      .then(setRules)
+      .catch(err => setError(getErrorMessage(err, 'Could not load rules')))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+    setPreview(null);
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Rule name is required';
+    }
+
+    ['description', 'notes', 'location'].forEach(field => {
+      if (!formData[field]) return;
+      try {
+        new RegExp(formData[field], 'i');
+      } catch {
+        newErrors[field] = 'Not a valid pattern';
+      }
+    });
+
+    if (formData.amountMin !== '' && formData.amountMax !== '' &&
+        parseFloat(formData.amountMin) > parseFloat(formData.amountMax)) {
+      newErrors.amountMax = 'Must not be less than the minimum';
+    }
+
+    const rule = toRule(formData);
+    const { conditions, actions } = rule;
+    const hasCondition = conditions.description || conditions.notes || conditions.location ||
+      conditions.type || conditions.paymentMethod || conditions.tags.length > 0 ||
+      conditions.amountMin !== null || conditions.amountMax !== null;
+    if (!hasCondition) {
+      newErrors.submit = 'Add at least one condition';
+    } else if (!actions.category && actions.addTags.length === 0 && !actions.notes) {
+      newErrors.submit = 'Add at least one action';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setWorking(true);
+    try {
+      if (editingRule) {
+        const updated = await rulesApi.update(editingRule._id, toRule(formData));
+        setRules(prev => prev.map(r => (r._id === updated._id ? updated : r))
+          .sort((a, b) => a.priority - b.priority));
+      } else {
+        const created = await rulesApi.create(toRule(formData));
+        setRules(prev => [...prev, created].sort((a, b) => a.priority - b.priority));
+      }
+      handleCancel();
+    } catch (err) {
+      setErrors({ submit: getErrorMessage(err, 'Could not save rule') });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!validateForm()) return;
+
+    setWorking(true);
+    try {
+      setPreview(await rulesApi.test(toRule(formData)));
+    } catch (err) {
+      setErrors({ submit: getErrorMessage(err, 'Could not test rule') });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData(toForm(rule));
+    setErrors({});
+    setPreview(null);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setFormData(EMPTY_FORM);
+    setShowForm(false);
+    setEditingRule(null);
+    setErrors({});
+    setPreview(null);
+  };
+
+  const handleToggle = async (rule) => {
+    setError('');
+    try {
+      const updated = await rulesApi.update(rule._id, { isActive: !rule.isActive });
+      setRules(prev => prev.map(r => (r._id === updated._id ? updated : r)));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not update rule'));
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    setError('');
+    try {
+      await rulesApi.remove(rule._id);
+      setRules(prev => prev.filter(r => r._id !== rule._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete rule'));
+    }
+  };
+
+  const categoryOptions = categories.filter(c => !formData.type || c.type === formData.type);
+  const inputClass = (field) => `block w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Rules</h2>
+          <p className="text-gray-600">Categorize and tag new transactions automatically</p>
+        </div>
+
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Rule</span>
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm flex items-center space-x-2">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Rule Form */}
+      {showForm && (
+        <div className="bg-white p-6 rounded-xl shadow-sm border">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingRule ? 'Edit Rule' : 'Create New Rule'}
+          </h3>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
+                  Rule Name *
+                </label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="e.g., Rides"
+                  className={inputClass('name')}
+                />
+                {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-2">
+                  Priority
+                </label>
+                <input
+                  type="number"
+                  id="priority"
+                  name="priority"
+                  min="0"
+                  value={formData.priority}
+                  onChange={handleChange}
+                  className={inputClass('priority')}
+                />
+                <p className="mt-1 text-xs text-gray-500">Lower numbers run first</p>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-1">When a transaction matches all of</h4>
+              <p className="text-xs text-gray-500 mb-3">Text fields are case-insensitive patterns, e.g. uber|ola</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {['description', 'notes', 'location'].map(field => (
+                  <div key={field}>
+                    <label htmlFor={field} className="block text-sm font-medium text-gray-700 mb-2 capitalize">
+                      {field}
+                    </label>
+                    <input
+                      type="text"
+                      id={field}
+                      name={field}
+                      value={formData[field]}
+                      onChange={handleChange}
+                      className={`${inputClass(field)} font-mono text-sm`}
+                    />
+                    {errors[field] && <p className="mt-1 text-sm text-red-600">{errors[field]}</p>}
+                  </div>
+                ))}
+
+                <div>
+                  <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-2">
+                    Type
+                  </label>
+                  <select
+                    id="type"
+                    name="type"
+                    value={formData.type}
+                    onChange={handleChange}
+                    className={inputClass('type')}
+                  >
+                    <option value="">Any</option>
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="amountMin" className="block text-sm font-medium text-gray-700 mb-2">
+                    Amount from
+                  </label>
+                  <input
+                    type="number"
+                    id="amountMin"
+                    name="amountMin"
+                    min="0"
+                    step="0.01"
+                    value={formData.amountMin}
+                    onChange={handleChange}
+                    className={inputClass('amountMin')}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="amountMax" className="block text-sm font-medium text-gray-700 mb-2">
+                    Amount up to
+                  </label>
+                  <input
+                    type="number"
+                    id="amountMax"
+                    name="amountMax"
+                    min="0"
+                    step="0.01"
+                    value={formData.amountMax}
+                    onChange={handleChange}
+                    className={inputClass('amountMax')}
+                  />
+                  {errors.amountMax && <p className="mt-1 text-sm text-red-600">{errors.amountMax}</p>}
+                </div>
+
+                <div>
+                  <label htmlFor="paymentMethod" className="block text-sm font-medium text-gray-700 mb-2">
+                    Payment Method
+                  </label>
+                  <select
+                    id="paymentMethod"
+                    name="paymentMethod"
+                    value={formData.paymentMethod}
+                    onChange={handleChange}
+                    className={inputClass('paymentMethod')}
+                  >
+                    <option value="">Any</option>
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="md:col-span-2">
+                  <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-2">
+                    Has tags
+                  </label>
+                  <input
+                    type="text"
+                    id="tags"
+                    name="tags"
+                    value={formData.tags}
+                    onChange={handleChange}
+                    placeholder="Comma separated"
+                    className={inputClass('tags')}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-1">Then</h4>
+              <p className="text-xs text-gray-500 mb-3">Values you enter on a transaction are never overwritten</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
+                    Set category
+                  </label>
+                  <select
+                    id="category"
+                    name="category"
+                    value={formData.category}
+                    onChange={handleChange}
+                    className={inputClass('category')}
+                  >
+                    <option value="">Don't change</option>
+                    {categoryOptions.map(category => (
+                      <option key={category._id} value={category._id}>
+                        {category.name}{formData.type ? '' : ` (${category.type})`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="addTags" className="block text-sm font-medium text-gray-700 mb-2">
+                    Add tags
+                  </label>
+                  <input
+                    type="text"
+                    id="addTags"
+                    name="addTags"
+                    value={formData.addTags}
+                    onChange={handleChange}
+                    placeholder="Comma separated"
+                    className={inputClass('addTags')}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="actionNotes" className="block text-sm font-medium text-gray-700 mb-2">
+                    Set notes
+                  </label>
+                  <input
+                    type="text"
+                    id="actionNotes"
+                    name="actionNotes"
+                    value={formData.actionNotes}
+                    onChange={handleChange}
+                    className={inputClass('actionNotes')}
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center space-x-2 mt-4 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="stopProcessing"
+                  checked={formData.stopProcessing}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <span>Stop here — don't run lower-priority rules after this one matches</span>
+              </label>
+            </div>
+
+            {errors.submit && <p className="text-sm text-red-600">{errors.submit}</p>}
+
+            {/* Dry run */}
+            {preview && (
+              <div className="border border-blue-200 bg-blue-50 rounded-lg p-4">
+                <p className="text-sm font-medium text-blue-900 mb-3">
+                  Matches {preview.matched} of your last {preview.tested} transactions
+                  {preview.matched > preview.sample.length && ` (showing ${preview.sample.length})`}
+                </p>
+                {preview.sample.length > 0 && (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-600">
+                          <th className="py-1 pr-4 font-medium">Date</th>
+                          <th className="py-1 pr-4 font-medium">Description</th>
+                          <th className="py-1 pr-4 font-medium text-right">Amount</th>
+                          <th className="py-1 pr-4 font-medium">Category</th>
+                          <th className="py-1 font-medium">Tags</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {preview.sample.map(({ transaction, changes }) => {
+                          const current = transaction.category;
+                          const changesCategory = changes.category && changes.category._id !== current?._id;
+                          return (
+                            <tr key={transaction._id} className="border-t border-blue-100">
+                              <td className="py-1 pr-4 whitespace-nowrap">{new Date(transaction.date).toLocaleDateString()}</td>
+                              <td className="py-1 pr-4">{transaction.description}</td>
+                              <td className="py-1 pr-4 text-right">{transaction.amount.toFixed(2)}</td>
+                              <td className="py-1 pr-4 whitespace-nowrap">
+                                {changesCategory
+                                  ? <span>{current?.name || 'None'} → <strong>{changes.category.name}</strong></span>
+                                  : current?.name || 'None'}
+                              </td>
+                              <td className="py-1">{(changes.tags || transaction.tags || []).join(', ')}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-3 pt-2">
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={working}
+                className="px-4 py-2 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 transition-colors flex items-center space-x-2 disabled:opacity-50"
+              >
+                <Play className="h-4 w-4" />
+                <span>Preview Matches</span>
+              </button>
+              <button
+                type="submit"
+                disabled={working}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+              >
+                <Wand2 className="h-4 w-4" />
+                <span>{editingRule ? 'Update Rule' : 'Create Rule'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Rules List */}
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <div className="flex items-center space-x-2 mb-4">
+          <div className="bg-purple-100 p-2 rounded-lg">
+            <Wand2 className="h-5 w-5 text-purple-600" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Your Rules</h3>
+            <p className="text-sm text-gray-600">Run in priority order on new and imported transactions</p>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {loading ? (
+            <p className="text-gray-500 text-center py-8">Loading rules...</p>
+          ) : rules.length > 0 ? (
+            rules.map((rule) => (
+              <div
+                key={rule._id}
+                className={`flex items-center justify-between p-3 rounded-lg transition-colors ${
+                  rule.isActive ? 'bg-gray-50 hover:bg-gray-100' : 'bg-gray-50 opacity-60'
+                }`}
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs font-mono text-gray-500">#{rule.priority}</span>
+                    <span className="font-medium text-gray-900">{rule.name}</span>
+                    {rule.actions?.category && (
+                      <span
+                        className="text-xs px-2 py-0.5 rounded-full text-white"
+                        style={{ backgroundColor: rule.actions.category.color }}
+                      >
+                        {rule.actions.category.name}
+                      </span>
+                    )}
+                    {rule.stopProcessing && <span className="text-xs text-gray-500">stops</span>}
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">{describeConditions(rule.conditions)}</p>
+                  <p className="text-xs text-gray-500">
+                    Matched {rule.matchCount} time{rule.matchCount === 1 ? '' : 's'}
+                    {rule.lastMatchedAt && `, last on ${new Date(rule.lastMatchedAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+
+                <div className="flex space-x-1 flex-shrink-0">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    title={rule.isActive ? 'Turn off' : 'Turn on'}
+                    className={`p-2 transition-colors ${rule.isActive ? 'text-green-600 hover:text-gray-400' : 'text-gray-400 hover:text-green-600'}`}
+                  >
+                    <Power className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleEdit(rule)}
+                    className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
+                  >
+                    <Edit2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))
+          ) : (
+            <p className="text-gray-500 text-center py-8">No rules yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RuleManager;
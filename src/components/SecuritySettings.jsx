@@ -0,0 +1,18 @@
+import React from 'react';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionManager from './SessionManager';
+
+// The Security tab: sign-in protection and signed-in devices
+const SecuritySettings = () => (
+  <div className="space-y-6">
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900">Security</h2>
+      <p className="text-gray-600">Protect how you sign in and see where you are signed in</p>
+    </div>
+
+    <TwoFactorSettings />
+    <SessionManager />
+  </div>
+);
+
+export default SecuritySettings;
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { formatDistanceToNow, format } from 'date-fns';
+import { Monitor, LogOut, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { sessionsApi, getErrorMessage } from '../services/api';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
+import { describeDevice } from '../utils/devices';
+
+// The devices signed in to this account, with sign-out for each or all
+const SessionManager = () => {
+  const { logout, logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+
+  const loadSessions = () => sessionsApi.list()
+    .then(setSessions)
+    .catch(err => setError(getErrorMessage(err, 'Could not load your devices')))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  useRealtimeEvent('sync.required', () => {
+    loadSessions();
+  });
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (window.confirm('Log out of this device?')) logout();
+      return;
+    }
+
+    setRevokingId(session._id);
+    try {
+      await sessionsApi.revoke(session._id);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not log out that device'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    const result = await logoutEverywhere();
+    if (!result.success) setError(result.error);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Signed-in devices</h3>
+          <p className="text-sm text-gray-500">Devices signed in to your account</p>
+        </div>
+        <button
+          onClick={handleLogoutEverywhere}
+          className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+        >
+          <LogOut className="h-4 w-4" />
+          <span>Log out everywhere</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <ShieldCheck className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+            <p>No signed-in devices</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map(session => (
+              <li key={session._id} className="flex items-center justify-between p-4">
+                <div className="flex items-start space-x-3">
+                  <Monitor className="h-5 w-5 text-gray-400 mt-0.5" />
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <p className="font-medium text-gray-900">{describeDevice(session.userAgent)}</p>
+                      {session.current && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">
+                          This device
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500">
+                      {session.ip || 'Unknown IP'}
+                      {' · '}Signed in {format(new Date(session.createdAt), 'MMM d, yyyy')}
+                      {' · '}Last used {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId === session._id}
+                  className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+                >
+                  {revokingId === session._id ? 'Logging out...' : 'Log out'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionManager;
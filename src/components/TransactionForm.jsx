@@ -1,23 +1,263 @@
-import React, { useState } from 'react';
-import { ArrowLeft, Save, DollarSign } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Save, DollarSign, Repeat, Paperclip, X, FileText, ScanLine, Sparkles, ArrowLeftRight, Split, Plus } from 'lucide-react';
+import { transactionsApi, getErrorMessage } from '../services/api';
+import { CURRENCIES, DEFAULT_CURRENCY, currencySymbol, formatMoney } from '../utils/currency';
 
-const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
+const RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const MAX_RECEIPT_SIZE = 5 * 1024 * 1024;
+
+// How sure the receipt scan was about a prefilled field
+const ConfidenceBadge = ({ confidence }) => {
+  if (confidence === undefined) return null;
+  const percent = Math.round(confidence * 100);
+  const style = confidence >= 0.8
+    ? 'bg-green-100 text-green-700'
+    : confidence >= 0.5 ? 'bg-yellow-100 text-yellow-700' : 'bg-red-100 text-red-700';
+  return (
+    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${style}`} title="Filled from the receipt; check it">
+      Scanned {percent}%
+    </span>
+  );
+};
+
+const emptySplit = () => ({ category: '', amount: '', note: '' });
+
+// Lines of a transaction spread over several categories. The amounts have to
+// add up to the transaction total.
+const SplitEditor = ({ lines, categories, total, currency, error, onChange }) => {
+  const allocated = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const remaining = Math.round(((parseFloat(total) || 0) - allocated) * 100) / 100;
+
+  const updateLine = (index, field, value) =>
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+
+  return (
+    <div className="space-y-2">
+      {lines.map((line, index) => (
+        <div key={index} className="grid grid-cols-12 gap-2">
+          <select
+            value={line.category}
+            onChange={(e) => updateLine(index, 'category', e.target.value)}
+            className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Category</option>
+            {categories.map(category => (
+              <option key={category._id} value={category._id}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            value={line.amount}
+            onChange={(e) => updateLine(index, 'amount', e.target.value)}
+            step="0.01"
+            min="0"
+            placeholder="0.00"
+            className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="text"
+            value={line.note}
+            onChange={(e) => updateLine(index, 'note', e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={200}
+            className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(lines.filter((_, i) => i !== index))}
+            disabled={lines.length <= 2}
+            className="col-span-1 p-2 text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:hover:text-gray-400 transition-colors"
+            title="Remove line"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => onChange([...lines, { ...emptySplit(), amount: remaining > 0 ? String(remaining) : '' }])}
+          className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add line</span>
+        </button>
+        <span className={`text-sm ${remaining === 0 ? 'text-green-600' : 'text-gray-600'}`}>
+          {remaining === 0 ? 'Fully split' : `${formatMoney(remaining, currency)} ${remaining > 0 ? 'left to split' : 'over the total'}`}
+        </span>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Amount input with the currency's symbol in front
+const MoneyInput = ({ id, currency, hasError, ...props }) => {
+  const symbol = currencySymbol(currency);
+  return (
+    <div className="relative">
+      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+        <span className="text-gray-500">{symbol}</span>
+      </div>
+      <input
+        type="number"
+        id={id}
+        name={id}
+        step="0.01"
+        min="0"
+        placeholder="0.00"
+        className={`block w-full ${symbol.length > 1 ? 'pl-14' : 'pl-8'} pr-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+          hasError ? 'border-red-500' : 'border-gray-300'
+        }`}
+        {...props}
+      />
+    </div>
+  );
+};
+
+// `currency` is the user's base currency, used for transactions outside an
+// account unless another one is picked
+const TransactionForm = ({ categories, accounts = [], currency = DEFAULT_CURRENCY, onAddTransaction, onAddTransfer, onBack }) => {
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
+    // What arrives, for transfers between accounts in different currencies
+    toAmount: '',
+    currency,
     description: '',
-    categoryId: '',
-    date: new Date().toISOString().split('T')[0]
+    category: '',
+    account: '',
+    toAccount: '',
+    date: new Date().toISOString().split('T')[0],
+    isRecurring: false,
+    frequency: 'monthly',
+    endDate: ''
   });
+  const isTransfer = formData.type === 'transfer';
+  // A transaction in an account is in the account's currency
+  const fromAccount = accounts.find(account => account._id === formData.account);
+  const toAccount = accounts.find(account => account._id === formData.toAccount);
+  const amountCurrency = fromAccount?.currency || formData.currency;
+  const needsToAmount = isTransfer && fromAccount && toAccount && fromAccount.currency !== toAccount.currency;
 
   const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [receipt, setReceipt] = useState(null);
+  const [receiptPreview, setReceiptPreview] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [scan, setScan] = useState(null);
+  // Fields filled from the receipt scan -> confidence; editing a field clears it
+  const [scannedFields, setScannedFields] = useState({});
+  const [touched, setTouched] = useState({});
+  const [suggestion, setSuggestion] = useState(null);
+  // Split lines, or null while the whole amount goes to one category
+  const [splits, setSplits] = useState(null);
+
+  // Show a local preview of image receipts before upload
+  useEffect(() => {
+    if (!receipt || !receipt.type.startsWith('image/')) {
+      setReceiptPreview('');
+      return undefined;
+    }
+    const url = URL.createObjectURL(receipt);
+    setReceiptPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [receipt]);
+
+  // Suggest a category from past transactions as the description is typed
+  useEffect(() => {
+    const description = formData.description.trim();
+    if (description.length < 3 || formData.type === 'transfer') {
+      setSuggestion(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      transactionsApi.suggestCategory(description, formData.type, { signal: controller.signal })
+        .then(data => setSuggestion(data.suggestion))
+        .catch(error => {
+          if (error.name !== 'CanceledError') setSuggestion(null);
+        });
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [formData.description, formData.type]);
+
+  const applySuggestion = () => {
+    setFormData(prev => ({ ...prev, category: suggestion.category._id }));
+    setTouched(prev => ({ ...prev, category: true }));
+    setScannedFields(prev => ({ ...prev, category: undefined }));
+    setErrors(prev => ({ ...prev, category: '' }));
+  };
+
+  const handleReceiptChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!RECEIPT_TYPES.includes(file.type)) {
+      setErrors(prev => ({ ...prev, receipt: 'Receipt must be a JPEG, PNG, WebP or PDF file' }));
+      return;
+    }
+    if (file.size > MAX_RECEIPT_SIZE) {
+      setErrors(prev => ({ ...prev, receipt: 'Receipt must be smaller than 5 MB' }));
+      return;
+    }
+
+    setErrors(prev => ({ ...prev, receipt: '' }));
+    setReceipt(file);
+    scanReceipt(file);
+  };
+
+  // Prefill the fields the user hasn't filled in from the receipt
+  const scanReceipt = async (file) => {
+    setScanning(true);
+    setScan(null);
+    try {
+      const { draft, confidence, textFound } = await transactionsApi.scanReceipt(file);
+      setScan({ tax: draft.tax, taxConfidence: confidence.tax, textFound });
+
+      const prefill = {};
+      const filled = {};
+      const offer = (field, value) => {
+        if (value === null || value === undefined || value === '' || touched[field]) return;
+        prefill[field] = value;
+        filled[field] = confidence[field];
+      };
+      offer('description', draft.description);
+      offer('amount', draft.amount !== null ? String(draft.amount) : null);
+      offer('date', draft.date);
+      if (formData.type === 'expense') offer('category', draft.category);
+
+      setFormData(prev => ({ ...prev, ...prefill }));
+      setScannedFields(filled);
+    } catch (error) {
+      setScan({ error: getErrorMessage(error, 'Could not read the receipt') });
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const removeReceipt = () => {
+    setReceipt(null);
+    setScan(null);
+    setScannedFields({});
+  };
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
+    setTouched(prev => ({ ...prev, [name]: true }));
+    setScannedFields(prev => ({ ...prev, [name]: undefined }));
     
     // Clear error when user starts typing
     if (errors[name]) {
@@ -28,6 +268,28 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
     }
   };
 
+  const handleTypeChange = (type) => {
+    setFormData(prev => ({ ...prev, type, category: '' }));
+    setScannedFields(prev => ({ ...prev, category: undefined }));
+    setSplits(null);
+    // Transfers carry no receipt and don't repeat
+    if (type === 'transfer') {
+      removeReceipt();
+      setFormData(prev => ({ ...prev, isRecurring: false }));
+    }
+  };
+
+  // Start splitting with the chosen category (if any) as the first line
+  const startSplitting = () => {
+    setSplits([{ ...emptySplit(), category: formData.category, amount: formData.amount }, emptySplit()]);
+    setErrors(prev => ({ ...prev, category: '', splits: '' }));
+  };
+
+  const handleSplitsChange = (lines) => {
+    setSplits(lines);
+    if (errors.splits) setErrors(prev => ({ ...prev, splits: '' }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -39,36 +301,88 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
       newErrors.description = 'Please enter a description';
     }
 
-    if (!formData.categoryId) {
-      newErrors.categoryId = 'Please select a category';
-    }
-
     if (!formData.date) {
       newErrors.date = 'Please select a date';
     }
 
+    if (isTransfer) {
+      if (!formData.account) newErrors.account = 'Please choose the account the money leaves';
+      if (!formData.toAccount) newErrors.toAccount = 'Please choose the account the money goes to';
+      else if (formData.toAccount === formData.account) newErrors.toAccount = 'Choose two different accounts';
+      if (needsToAmount && !(parseFloat(formData.toAmount) > 0)) {
+        newErrors.toAmount = `Please enter the amount that arrives in ${toAccount.currency}`;
+      }
+    }
+
+    if (splits) {
+      const allocated = splits.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+      if (splits.some(line => !line.category || !(parseFloat(line.amount) > 0))) {
+        newErrors.splits = 'Every line needs a category and an amount';
+      } else if (Math.abs(allocated - parseFloat(formData.amount)) >= 0.005) {
+        newErrors.splits = 'The lines must add up to the amount';
+      }
+    }
+
+    if (formData.isRecurring && formData.endDate && formData.endDate < formData.date) {
+      newErrors.endDate = 'End date must be after the first date';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (validateForm()) {
-      onAddTransaction({
-        ...formData,
-        amount: parseFloat(formData.amount),
-        categoryId: parseInt(formData.categoryId)
-      });
+      setSubmitting(true);
+      const { isRecurring, frequency, endDate, toAccount: toAccountId, toAmount, ...transaction } = formData;
+      const result = isTransfer
+        ? await onAddTransfer({
+          fromAccount: formData.account,
+          toAccount: toAccountId,
+          amount: parseFloat(formData.amount),
+          toAmount: needsToAmount ? parseFloat(toAmount) : undefined,
+          description: formData.description,
+          date: formData.date
+        })
+        : await onAddTransaction({
+          ...transaction,
+          currency: amountCurrency,
+          category: splits ? '' : transaction.category,
+          splits: splits
+            ? splits.map(line => ({ category: line.category, amount: parseFloat(line.amount), note: line.note || undefined }))
+            : undefined,
+          amount: parseFloat(formData.amount),
+          isRecurring,
+          recurringDetails: isRecurring ? { frequency, endDate: endDate || undefined } : undefined
+        }, receipt);
+      setSubmitting(false);
+
+      if (!result.success) {
+        setErrors({ submit: result.error });
+        return;
+      }
       
       // Reset form
-      setFormData({
+      setFormData(prev => ({
         type: 'expense',
         amount: '',
+        toAmount: '',
+        currency: prev.currency,
         description: '',
-        categoryId: '',
-        date: new Date().toISOString().split('T')[0]
-      });
+        category: '',
+        // Entries often come in runs from the same account
+        account: prev.account,
+        toAccount: '',
+        date: new Date().toISOString().split('T')[0],
+        isRecurring: false,
+        frequency: 'monthly',
+        endDate: ''
+      }));
+      removeReceipt();
+      setSplits(null);
+      setTouched({});
       
       // Show success message or redirect
       onBack();
@@ -89,7 +403,7 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
           </button>
           <div>
             <h2 className="text-2xl font-bold text-gray-900">Add Transaction</h2>
-            <p className="text-gray-600">Record a new income or expense</p>
+            <p className="text-gray-600">Record a new income, expense or transfer</p>
           </div>
         </div>
 
@@ -102,7 +416,7 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
             <div className="flex space-x-4">
               <button
                 type="button"
-                onClick={() => setFormData(prev => ({ ...prev, type: 'expense', categoryId: '' }))}
+                onClick={() => handleTypeChange('expense')}
                 className={`flex-1 p-4 rounded-lg border-2 transition-all duration-200 ${
                   formData.type === 'expense'
                     ? 'border-red-500 bg-red-50 text-red-700'
@@ -116,7 +430,7 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
               </button>
               <button
                 type="button"
-                onClick={() => setFormData(prev => ({ ...prev, type: 'income', categoryId: '' }))}
+                onClick={() => handleTypeChange('income')}
                 className={`flex-1 p-4 rounded-lg border-2 transition-all duration-200 ${
                   formData.type === 'income'
                     ? 'border-green-500 bg-green-50 text-green-700'
@@ -128,31 +442,123 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
                   <span className="font-medium">Income</span>
                 </div>
               </button>
+              {accounts.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => handleTypeChange('transfer')}
+                  className={`flex-1 p-4 rounded-lg border-2 transition-all duration-200 ${
+                    isTransfer
+                      ? 'border-blue-500 bg-blue-50 text-blue-700'
+                      : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <div className="flex items-center justify-center space-x-2">
+                    <ArrowLeftRight className="h-5 w-5" />
+                    <span className="font-medium">Transfer</span>
+                  </div>
+                </button>
+              )}
             </div>
           </div>
 
+          {/* Receipt */}
+          {!isTransfer && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Receipt (optional)
+              </label>
+              {receipt ? (
+                <div className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    {receiptPreview ? (
+                      <img src={receiptPreview} alt="Receipt preview" className="h-16 w-16 object-cover rounded" />
+                    ) : (
+                      <FileText className="h-8 w-8 text-gray-400" />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{receipt.name}</p>
+                      <p className="text-xs text-gray-500">{(receipt.size / 1024).toFixed(0)} KB</p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={removeReceipt}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ) : (
+                <label className="flex items-center justify-center space-x-2 px-3 py-3 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:border-gray-400 cursor-pointer transition-colors">
+                  <Paperclip className="h-4 w-4" />
+                  <span>Attach a photo or PDF</span>
+                  <input
+                    type="file"
+                    accept={RECEIPT_TYPES.join(',')}
+                    onChange={handleReceiptChange}
+                    className="hidden"
+                  />
+                </label>
+              )}
+              {scanning && (
+                <p className="mt-2 text-sm text-gray-600 flex items-center space-x-2">
+                  <ScanLine className="h-4 w-4 animate-pulse" />
+                  <span>Reading receipt...</span>
+                </p>
+              )}
+              {scan?.error && <p className="mt-2 text-sm text-yellow-700">{scan.error}</p>}
+              {scan && !scan.error && (
+                <p className="mt-2 text-sm text-gray-600">
+                  {!scan.textFound
+                    ? 'No text could be read from this receipt.'
+                    : Object.values(scannedFields).some(value => value !== undefined)
+                      ? 'Fields marked "Scanned" were filled from the receipt. Please check them.'
+                      : 'Nothing new was found on the receipt.'}
+                  {scan.tax !== null && scan.tax !== undefined && (
+                    <span className="ml-1">
+                      Tax on receipt: {formatMoney(scan.tax, amountCurrency)} ({Math.round(scan.taxConfidence * 100)}% sure).
+                    </span>
+                  )}
+                </p>
+              )}
+              {errors.receipt && <p className="mt-1 text-sm text-red-600">{errors.receipt}</p>}
+            </div>
+          )}
+
           {/* Amount */}
           <div>
             <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
               Amount *
+              <ConfidenceBadge confidence={scannedFields.amount} />
             </label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <span className="text-gray-500">₹</span>
+            <div className="flex space-x-2">
+              <div className="flex-1">
+                <MoneyInput
+                  id="amount"
+                  currency={amountCurrency}
+                  value={formData.amount}
+                  onChange={handleChange}
+                  hasError={Boolean(errors.amount)}
+                />
               </div>
-              <input
-                type="number"
-                id="amount"
-                name="amount"
-                value={formData.amount}
-                onChange={handleChange}
-                step="0.01"
-                min="0"
-                placeholder="0.00"
-                className={`block w-full pl-8 pr-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
-                  errors.amount ? 'border-red-500' : 'border-gray-300'
-                }`}
-              />
+              {fromAccount ? (
+                <span className="px-3 py-3 text-gray-600" title="Transactions in an account use its currency">
+                  {fromAccount.currency}
+                </span>
+              ) : (
+                <select
+                  id="currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  aria-label="Currency"
+                  className="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
+                >
+                  {[...new Set([currency, ...CURRENCIES])].map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              )}
             </div>
             {errors.amount && <p className="mt-1 text-sm text-red-600">{errors.amount}</p>}
           </div>
@@ -161,6 +567,7 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
           <div>
             <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
               Description *
+              <ConfidenceBadge confidence={scannedFields.description} />
             </label>
             <input
               type="text"
@@ -177,33 +584,144 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
           </div>
 
           {/* Category */}
-          <div>
-            <label htmlFor="categoryId" className="block text-sm font-medium text-gray-700 mb-2">
-              Category *
-            </label>
-            <select
-              id="categoryId"
-              name="categoryId"
-              value={formData.categoryId}
-              onChange={handleChange}
-              className={`block w-full px-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
-                errors.categoryId ? 'border-red-500' : 'border-gray-300'
-              }`}
-            >
-              <option value="">Select a category</option>
-              {availableCategories.map(category => (
-                <option key={category.id} value={category.id}>
-                  {category.name}
-                </option>
-              ))}
-            </select>
-            {errors.categoryId && <p className="mt-1 text-sm text-red-600">{errors.categoryId}</p>}
-          </div>
+          {!isTransfer && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="category" className="block text-sm font-medium text-gray-700">
+                  Category
+                  <ConfidenceBadge confidence={scannedFields.category} />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => (splits ? setSplits(null) : startSplitting())}
+                  className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  <Split className="h-4 w-4" />
+                  <span>{splits ? 'Use one category' : 'Split across categories'}</span>
+                </button>
+              </div>
+              {splits ? (
+                <SplitEditor
+                  lines={splits}
+                  categories={availableCategories}
+                  total={formData.amount}
+                  currency={amountCurrency}
+                  error={errors.splits}
+                  onChange={handleSplitsChange}
+                />
+              ) : (
+                <>
+                  <select
+                    id="category"
+                    name="category"
+                    value={formData.category}
+                    onChange={handleChange}
+                    className={`block w-full px-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                      errors.category ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  >
+                    <option value="">Let my rules choose</option>
+                    {availableCategories.map(category => (
+                      <option key={category._id} value={category._id}>
+                        {category.name}
+                      </option>
+                    ))}
+                  </select>
+                  {suggestion && suggestion.category._id !== formData.category && (
+                    <button
+                      type="button"
+                      onClick={applySuggestion}
+                      className="mt-2 inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium bg-blue-50 text-blue-700 hover:bg-blue-100 transition-colors"
+                      title="Based on your past transactions"
+                    >
+                      <Sparkles className="h-3 w-3" />
+                      <span>Suggested: {suggestion.category.name} ({Math.round(suggestion.confidence * 100)}%)</span>
+                    </button>
+                  )}
+                  {errors.category
+                    ? <p className="mt-1 text-sm text-red-600">{errors.category}</p>
+                    : !formData.category && (
+                      <p className="mt-1 text-xs text-gray-500">Leave empty to have a matching rule pick the category</p>
+                    )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Account */}
+          {accounts.length > 0 && (
+            <div>
+              <label htmlFor="account" className="block text-sm font-medium text-gray-700 mb-2">
+                {isTransfer ? 'From Account *' : 'Account'}
+              </label>
+              <select
+                id="account"
+                name="account"
+                value={formData.account}
+                onChange={handleChange}
+                className={`block w-full px-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  errors.account ? 'border-red-500' : 'border-gray-300'
+                }`}
+              >
+                <option value="">{isTransfer ? 'Choose an account' : 'No account'}</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
+              {errors.account && <p className="mt-1 text-sm text-red-600">{errors.account}</p>}
+            </div>
+          )}
+
+          {isTransfer && (
+            <div>
+              <label htmlFor="toAccount" className="block text-sm font-medium text-gray-700 mb-2">
+                To Account *
+              </label>
+              <select
+                id="toAccount"
+                name="toAccount"
+                value={formData.toAccount}
+                onChange={handleChange}
+                className={`block w-full px-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  errors.toAccount ? 'border-red-500' : 'border-gray-300'
+                }`}
+              >
+                <option value="">Choose an account</option>
+                {accounts.filter(account => account._id !== formData.account).map(account => (
+                  <option key={account._id} value={account._id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
+              {errors.toAccount
+                ? <p className="mt-1 text-sm text-red-600">{errors.toAccount}</p>
+                : <p className="mt-1 text-xs text-gray-500">Transfers move money between your accounts and don't count as income or spending</p>}
+            </div>
+          )}
+
+          {needsToAmount && (
+            <div>
+              <label htmlFor="toAmount" className="block text-sm font-medium text-gray-700 mb-2">
+                Amount Received ({toAccount.currency}) *
+              </label>
+              <MoneyInput
+                id="toAmount"
+                currency={toAccount.currency}
+                value={formData.toAmount}
+                onChange={handleChange}
+                hasError={Boolean(errors.toAmount)}
+              />
+              {errors.toAmount && <p className="mt-1 text-sm text-red-600">{errors.toAmount}</p>}
+            </div>
+          )}
 
           {/* Date */}
           <div>
             <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-2">
               Date *
+              <ConfidenceBadge confidence={scannedFields.date} />
             </label>
             <input
               type="date"
@@ -218,6 +736,68 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
             {errors.date && <p className="mt-1 text-sm text-red-600">{errors.date}</p>}
           </div>
 
+          {/* Recurring */}
+          {!isTransfer && (
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+              <label className="flex items-center space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  name="isRecurring"
+                  checked={formData.isRecurring}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <Repeat className="h-4 w-4 text-gray-500" />
+                <span className="text-sm font-medium text-gray-700">Repeat this transaction</span>
+              </label>
+
+              {formData.isRecurring && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-2">
+                      Frequency
+                    </label>
+                    <select
+                      id="frequency"
+                      name="frequency"
+                      value={formData.frequency}
+                      onChange={handleChange}
+                      className="block w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
+                    >
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="monthly">Monthly</option>
+                      <option value="yearly">Yearly</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-2">
+                      End Date (optional)
+                    </label>
+                    <input
+                      type="date"
+                      id="endDate"
+                      name="endDate"
+                      value={formData.endDate}
+                      min={formData.date}
+                      onChange={handleChange}
+                      className={`block w-full px-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                        errors.endDate ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.endDate && <p className="mt-1 text-sm text-red-600">{errors.endDate}</p>}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {errors.submit && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              {errors.submit}
+            </div>
+          )}
+
           {/* Submit Button */}
           <div className="flex space-x-4 pt-6">
             <button
@@ -229,10 +809,11 @@ const TransactionForm = ({ categories, onAddTransaction, onBack }) => {
             </button>
             <button
               type="submit"
-              className="flex-1 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2"
+              disabled={submitting}
+              className="flex-1 bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2"
             >
               <Save className="h-4 w-4" />
-              <span>Add Transaction</span>
+              <span>{isTransfer ? 'Add Transfer' : 'Add Transaction'}</span>
             </button>
           </div>
         </form>
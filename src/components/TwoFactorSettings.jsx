@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { ShieldCheck, ShieldOff, KeyRound, Copy, Download } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { twoFactorApi, getErrorMessage } from '../services/api';
+
+const MODES = {
+  IDLE: 'idle',
+  SETUP: 'setup',
+  RECOVERY_CODES: 'recovery-codes',
+  DISABLE: 'disable',
+  REGENERATE: 'regenerate'
+};
+
+const EMPTY_REAUTH = { password: '', code: '' };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Turning TOTP two-factor authentication on and off, and recovery codes
+const TwoFactorSettings = () => {
+  const { user, mergeUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(MODES.IDLE);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [reauth, setReauth] = useState(EMPTY_REAUTH);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadStatus = () => twoFactorApi.status()
+    .then(setStatus)
+    .catch(err => setError(getErrorMessage(err, 'Could not load two-factor settings')));
+
+  useEffect(() => {
+    loadStatus();
+  }, [user?.twoFactorEnabled]);
+
+  const showMode = (next) => {
+    setMode(next);
+    setCode('');
+    setReauth(EMPTY_REAUTH);
+    setError('');
+    setMessage('');
+  };
+
+  // Runs an action with the busy flag set and its error shown
+  const run = async (action, fallback) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(getErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setEnrollment(await twoFactorApi.setup());
+    showMode(MODES.SETUP);
+  }, 'Could not start the setup');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await twoFactorApi.enable(code.trim());
+      setEnrollment(null);
+      setRecoveryCodes(codes);
+      showMode(MODES.RECOVERY_CODES);
+      mergeUser({ twoFactorEnabled: true });
+    }, 'Could not turn on two-factor authentication');
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await twoFactorApi.disable(reauth);
+      showMode(MODES.IDLE);
+      setMessage(result);
+      mergeUser({ twoFactorEnabled: false });
+    }, 'Could not turn off two-factor authentication');
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await twoFactorApi.regenerateRecoveryCodes(reauth);
+      setRecoveryCodes(codes);
+      showMode(MODES.RECOVERY_CODES);
+    }, 'Could not create new recovery codes');
+  };
+
+  const handleRecoveryCodesDone = () => {
+    setRecoveryCodes([]);
+    showMode(MODES.IDLE);
+    loadStatus();
+  };
+
+  const handleCopyCodes = () => {
+    navigator.clipboard.writeText(recoveryCodes.join('\n'))
+      .then(() => setMessage('Recovery codes copied'))
+      .catch(() => setError('Could not copy the codes; write them down instead'));
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`Recovery codes for ${user.email}\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'finance-tracker-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderReauthForm = (onSubmit, submitLabel, submitClass) => (
+    <form onSubmit={onSubmit} className="space-y-4 max-w-sm">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+        <input
+          type="password"
+          value={reauth.password}
+          onChange={(e) => setReauth(prev => ({ ...prev, password: e.target.value }))}
+          autoComplete="current-password"
+          className={inputClass}
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Authentication or recovery code</label>
+        <input
+          type="text"
+          value={reauth.code}
+          onChange={(e) => setReauth(prev => ({ ...prev, code: e.target.value }))}
+          autoComplete="one-time-code"
+          className={inputClass}
+          required
+        />
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={busy}
+          className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 transition-colors ${submitClass}`}
+        >
+          {busy ? 'Please wait...' : submitLabel}
+        </button>
+        <button
+          type="button"
+          onClick={() => showMode(MODES.IDLE)}
+          className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderBody = () => {
+    switch (mode) {
+      case MODES.SETUP:
+        return (
+          <div className="flex flex-col md:flex-row gap-6">
+            <img
+              src={enrollment.qrCode}
+              alt="QR code for your authenticator app"
+              className="w-48 h-48 border border-gray-200 rounded-lg"
+            />
+            <form onSubmit={handleEnable} className="space-y-4 flex-1">
+              <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
+                <li>Scan the QR code with an authenticator app.</li>
+                <li>Enter the 6-digit code the app shows.</li>
+              </ol>
+              <p className="text-sm text-gray-500">
+                Can't scan it? Enter this key instead:{' '}
+                <code className="font-mono text-gray-800 break-all">{enrollment.secret}</code>
+              </p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                placeholder="123456"
+                className={`${inputClass} max-w-xs tracking-widest`}
+                required
+              />
+              <div className="flex space-x-3">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  {busy ? 'Checking...' : 'Turn on'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEnrollment(null);
+                    showMode(MODES.IDLE);
+                  }}
+                  className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        );
+      case MODES.RECOVERY_CODES:
+        return (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Keep these recovery codes somewhere safe. Each one signs you in once if you lose your
+              device. They won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 max-w-md p-4 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm">
+              {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={handleCopyCodes}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                <Copy className="h-4 w-4" />
+                <span>Copy</span>
+              </button>
+              <button
+                onClick={handleDownloadCodes}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                <Download className="h-4 w-4" />
+                <span>Download</span>
+              </button>
+              <button
+                onClick={handleRecoveryCodesDone}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                I've saved them
+              </button>
+            </div>
+          </div>
+        );
+      case MODES.DISABLE:
+        return renderReauthForm(handleDisable, 'Turn off', 'bg-red-600 hover:bg-red-700');
+      case MODES.REGENERATE:
+        return renderReauthForm(handleRegenerate, 'Create new codes', 'bg-blue-600 hover:bg-blue-700');
+      default:
+        if (!status) return null;
+        return status.enabled ? (
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              {status.enabledAt && `On since ${format(new Date(status.enabledAt), 'MMM d, yyyy')}. `}
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => showMode(MODES.REGENERATE)}
+                className="flex items-center space-x-2 px-3 py-2 text-sm bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span>New recovery codes</span>
+              </button>
+              <button
+                onClick={() => showMode(MODES.DISABLE)}
+                className="flex items-center space-x-2 px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+              >
+                <ShieldOff className="h-4 w-4" />
+                <span>Turn off</span>
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              Ask for a code from an authenticator app as well as your password when signing in.
+            </p>
+            <button
+              onClick={handleStartSetup}
+              disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors whitespace-nowrap"
+            >
+              Set up
+            </button>
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center space-x-3">
+        <ShieldCheck className={`h-6 w-6 ${status?.enabled ? 'text-green-600' : 'text-gray-400'}`} />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+          <p className="text-sm text-gray-500">{status?.enabled ? 'On' : 'Off'}</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+          {message}
+        </div>
+      )}
+
+      {renderBody()}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
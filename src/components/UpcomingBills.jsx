@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { Receipt, CheckCircle } from 'lucide-react';
+import { billsApi, getErrorMessage } from '../services/api';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+import { BILL_STATUS_STYLES, askPayment, billAmount, dueLabel } from '../utils/bills';
+
+// Dashboard card with the bills due in the next month, overdue ones first
+const UpcomingBills = ({ currency = DEFAULT_CURRENCY, days = 30 }) => {
+  const [bills, setBills] = useState([]);
+  const [error, setError] = useState('');
+  const [payingId, setPayingId] = useState(null);
+
+  const loadBills = useCallback(() => billsApi.upcoming(days)
+    .then(setBills)
+    .catch(err => setError(getErrorMessage(err, 'Could not load bills'))), [days]);
+
+  useEffect(() => {
+    loadBills();
+  }, [loadBills]);
+
+  useRealtimeEvent(['bill.created', 'bill.updated', 'bill.deleted', 'sync.required'], () => {
+    loadBills();
+  });
+
+  const handlePay = async (bill) => {
+    const payment = askPayment(bill);
+    if (!payment) return;
+
+    setPayingId(bill._id);
+    try {
+      await billsApi.pay(bill._id, payment);
+      setError('');
+      await loadBills();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not mark the bill paid'));
+    } finally {
+      setPayingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Upcoming Bills</h3>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {bills.length > 0 ? (
+        <div className="space-y-3">
+          {bills.map(bill => (
+            <div key={bill._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center space-x-3">
+                <div
+                  className="w-3 h-3 rounded-full"
+                  style={{ backgroundColor: bill.category?.color || '#64748b' }}
+                />
+                <div>
+                  <p className="font-medium text-gray-900">{bill.payee}</p>
+                  <p className="text-sm text-gray-600">
+                    {format(new Date(bill.nextDueDate), 'MMM dd')}
+                    {bill.autopay && ' • Autopay'}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <div className="text-right">
+                  <p className="font-semibold text-gray-900">{billAmount(bill, currency)}</p>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BILL_STATUS_STYLES[bill.status]}`}>
+                    {dueLabel(bill)}
+                  </span>
+                </div>
+                <button
+                  onClick={() => handlePay(bill)}
+                  disabled={payingId === bill._id}
+                  className="p-1 text-gray-400 hover:text-green-600 disabled:opacity-50 transition-colors"
+                  title="Mark paid"
+                >
+                  <CheckCircle className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <Receipt className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+          <p>No bills due in the next {days} days</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpcomingBills;
@@ -1,10 +1,79 @@
 import React, { useState } from 'react';
 import { DollarSign } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
 import LoginForm from './LoginForm';
 import RegisterForm from './RegisterForm';
+import ForgotPasswordForm from './ForgotPasswordForm';
+import ResetPasswordForm from './ResetPasswordForm';
+import UnlockAccount from './UnlockAccount';
 
-const AuthPage = () => {
-  const [isLogin, setIsLogin] = useState(true);
+const VIEWS = {
+  LOGIN: 'login',
+  REGISTER: 'register',
+  FORGOT_PASSWORD: 'forgot-password',
+  RESET_PASSWORD: 'reset-password',
+  UNLOCK_ACCOUNT: 'unlock-account'
+};
+
+// The view each emailed link opens
+const LINK_VIEWS = {
+  '/reset-password': VIEWS.RESET_PASSWORD,
+  '/unlock-account': VIEWS.UNLOCK_ACCOUNT
+};
+
+// Sign-in forms, and the pages emailed links open ({ path, token }), which
+// work signed in or not. `onLeaveLink` is called when the link's page is done.
+const AuthPage = ({ link = null, onLeaveLink }) => {
+  const { user, logout } = useAuth();
+  const [view, setView] = useState(() => (link && LINK_VIEWS[link.path]) || VIEWS.LOGIN);
+  const [notice, setNotice] = useState('');
+
+  const showView = (next) => {
+    if (link) onLeaveLink();
+    setNotice('');
+    setView(next);
+  };
+
+  const renderForm = () => {
+    switch (view) {
+      case VIEWS.REGISTER:
+        return <RegisterForm onToggleForm={() => showView(VIEWS.LOGIN)} />;
+      case VIEWS.FORGOT_PASSWORD:
+        return <ForgotPasswordForm onBack={() => showView(VIEWS.LOGIN)} />;
+      case VIEWS.RESET_PASSWORD:
+        return (
+          <ResetPasswordForm
+            token={link.token}
+            onDone={async (message) => {
+              // The reset ended every session, this one included
+              if (user) await logout();
+              showView(VIEWS.LOGIN);
+              setNotice(message);
+            }}
+            onRequestNewLink={() => showView(VIEWS.FORGOT_PASSWORD)}
+          />
+        );
+      case VIEWS.UNLOCK_ACCOUNT:
+        return (
+          <UnlockAccount
+            token={link.token}
+            onDone={(message) => {
+              showView(VIEWS.LOGIN);
+              setNotice(message);
+            }}
+            onBack={() => showView(VIEWS.LOGIN)}
+          />
+        );
+      default:
+        return (
+          <LoginForm
+            notice={notice}
+            onToggleForm={() => showView(VIEWS.REGISTER)}
+            onForgotPassword={() => showView(VIEWS.FORGOT_PASSWORD)}
+          />
+        );
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
@@ -54,11 +123,7 @@ const AuthPage = () => {
 
         {/* Right side - Auth Forms */}
         <div className="flex items-center justify-center">
-          {isLogin ? (
-            <LoginForm onToggleForm={() => setIsLogin(false)} />
-          ) : (
-            <RegisterForm onToggleForm={() => setIsLogin(true)} />
-          )}
+          {renderForm()}
         </div>
       </div>
     </div>
@@ -1,15 +1,19 @@
 import React, { useState } from 'react';
-import { Eye, EyeOff, Mail, Lock, LogIn } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, LogIn, ShieldCheck, ArrowLeft } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 
-const LoginForm = ({ onToggleForm }) => {
-  const { login, loading, error, clearError } = useAuth();
+const LoginForm = ({ notice, onToggleForm, onForgotPassword }) => {
+  const { login, error, clearError } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
-    password: ''
+    password: '',
+    twoFactorCode: ''
   });
   const [showPassword, setShowPassword] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -40,6 +44,10 @@ const LoginForm = ({ onToggleForm }) => {
     if (!formData.password) {
       errors.password = 'Password is required';
     }
+
+    if (twoFactorStep && !formData.twoFactorCode.trim()) {
+      errors.twoFactorCode = 'Enter the code from your app or a recovery code';
+    }
     
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
@@ -50,21 +58,42 @@ const LoginForm = ({ onToggleForm }) => {
     
     if (!validateForm()) return;
     
-    const result = await login(formData.email, formData.password);
+    setSubmitting(true);
+    const result = await login(
+      formData.email,
+      formData.password,
+      twoFactorStep ? formData.twoFactorCode.trim() : undefined
+    );
+    setSubmitting(false);
+
+    // Other errors are handled by context
     if (!result.success) {
-      // Error is handled by context
+      setTwoFactorStep(!!result.twoFactorRequired);
     }
   };
 
+  const handleBackToPassword = () => {
+    setTwoFactorStep(false);
+    setFormData(prev => ({ ...prev, twoFactorCode: '' }));
+    setFormErrors({});
+    if (error) clearError();
+  };
+
   return (
     <div className="w-full max-w-md mx-auto">
       <div className="bg-white rounded-xl shadow-lg p-8">
         <div className="text-center mb-8">
           <div className="bg-blue-600 p-3 rounded-full w-16 h-16 mx-auto mb-4">
-            <LogIn className="h-10 w-10 text-white" />
+            {twoFactorStep
+              ? <ShieldCheck className="h-10 w-10 text-white" />
+              : <LogIn className="h-10 w-10 text-white" />}
           </div>
-          <h2 className="text-2xl font-bold text-gray-900">Welcome Back</h2>
-          <p className="text-gray-600">Sign in to your account</p>
+          <h2 className="text-2xl font-bold text-gray-900">
+            {twoFactorStep ? 'Two-Step Verification' : 'Welcome Back'}
+          </h2>
+          <p className="text-gray-600">
+            {twoFactorStep ? 'Enter the 6-digit code from your authenticator app' : 'Sign in to your account'}
+          </p>
         </div>
 
         {error && (
@@ -73,100 +102,132 @@ const LoginForm = ({ onToggleForm }) => {
           </div>
         )}
 
+        {notice && !error && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg mb-6">
+            {notice}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-              Email Address
-            </label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <Mail className="h-5 w-5 text-gray-400" />
-              </div>
+          {twoFactorStep ? (
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Authentication Code
+              </label>
               <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
+                type="text"
+                id="twoFactorCode"
+                name="twoFactorCode"
+                value={formData.twoFactorCode}
                 onChange={handleChange}
-                className={`block w-full pl-10 pr-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
-                  formErrors.email ? 'border-red-500' : 'border-gray-300'
+                autoComplete="one-time-code"
+                autoFocus
+                className={`block w-full px-3 py-3 border rounded-lg text-center tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  formErrors.twoFactorCode ? 'border-red-500' : 'border-gray-300'
                 }`}
-                placeholder="Enter your email"
+                placeholder="123456"
               />
+              {formErrors.twoFactorCode && <p className="mt-1 text-sm text-red-600">{formErrors.twoFactorCode}</p>}
+              <p className="mt-2 text-sm text-gray-500">
+                Lost your device? Enter one of your recovery codes instead.
+              </p>
             </div>
-            {formErrors.email && <p className="mt-1 text-sm text-red-600">{formErrors.email}</p>}
-          </div>
+          ) : (
+            <>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={`block w-full pl-10 pr-3 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                      formErrors.email ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {formErrors.email && <p className="mt-1 text-sm text-red-600">{formErrors.email}</p>}
+              </div>
 
-          <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <Lock className="h-5 w-5 text-gray-400" />
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <button
+                    type="button"
+                    onClick={onForgotPassword}
+                    className="text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`block w-full pl-10 pr-10 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                      formErrors.password ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+                {formErrors.password && <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>}
               </div>
-              <input
-                type={showPassword ? 'text' : 'password'}
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                className={`block w-full pl-10 pr-10 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
-                  formErrors.password ? 'border-red-500' : 'border-gray-300'
-                }`}
-                placeholder="Enter your password"
-              />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="absolute inset-y-0 right-0 pr-3 flex items-center"
-              >
-                {showPassword ? (
-                  <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                ) : (
-                  <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                )}
-              </button>
-            </div>
-            {formErrors.password && <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>}
-          </div>
+            </>
+          )}
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={submitting}
             className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
           >
-            {loading ? (
+            {submitting ? (
               <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
             ) : (
               <>
                 <LogIn className="h-5 w-5" />
-                <span>Sign In</span>
+                <span>{twoFactorStep ? 'Verify' : 'Sign In'}</span>
               </>
             )}
           </button>
-        </form>
 
-        {/* Demo Credentials */}
-        <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-          <h4 className="text-sm font-semibold text-blue-800 mb-2">Demo Credentials</h4>
-          <div className="text-sm text-blue-700 space-y-1">
-            <p><strong>Email:</strong> demo@example.com</p>
-            <p><strong>Password:</strong> demo123</p>
-          </div>
-          <button
-            type="button"
-            onClick={() => {
-              setFormData({
-                email: 'demo@example.com',
-                password: 'demo123'
-              });
-            }}
-            className="mt-2 text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors"
-          >
-            Use Demo Credentials
-          </button>
-        </div>
+          {twoFactorStep && (
+            <button
+              type="button"
+              onClick={handleBackToPassword}
+              className="w-full flex items-center justify-center space-x-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to sign in</span>
+            </button>
+          )}
+        </form>
 
         <div className="mt-6 text-center">
           <p className="text-gray-600">
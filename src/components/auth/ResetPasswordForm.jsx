@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Eye, EyeOff, Lock, KeyRound } from 'lucide-react';
+import { authApi, getErrorMessage } from '../../services/api';
+
+// Second step of a password reset, opened from the emailed link
+const ResetPasswordForm = ({ token, onDone, onRequestNewLink }) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [formErrors, setFormErrors] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (formErrors[name]) {
+      setFormErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+    if (error) setError('');
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!formData.password) {
+      errors.password = 'Password is required';
+    } else if (formData.password.length < 6) {
+      errors.password = 'Password must be at least 6 characters';
+    }
+
+    if (!formData.confirmPassword) {
+      errors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setLoading(true);
+    try {
+      onDone(await authApi.resetPassword(token, formData.password));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not reset your password'));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <div className="bg-white rounded-xl shadow-lg p-8">
+        <div className="text-center mb-8">
+          <div className="bg-blue-600 p-3 rounded-full w-16 h-16 mx-auto mb-4">
+            <KeyRound className="h-10 w-10 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900">Choose a New Password</h2>
+          <p className="text-gray-600">You'll be signed out everywhere else</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {['password', 'confirmPassword'].map(field => (
+            <div key={field}>
+              <label htmlFor={field} className="block text-sm font-medium text-gray-700 mb-2">
+                {field === 'password' ? 'New Password' : 'Confirm New Password'}
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  id={field}
+                  name={field}
+                  value={formData[field]}
+                  onChange={handleChange}
+                  className={`block w-full pl-10 pr-10 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                    formErrors[field] ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                  placeholder={field === 'password' ? 'Enter a new password' : 'Enter it again'}
+                />
+                {field === 'password' && (
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                )}
+              </div>
+              {formErrors[field] && <p className="mt-1 text-sm text-red-600">{formErrors[field]}</p>}
+            </div>
+          ))}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+          >
+            {loading ? (
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+            ) : (
+              <span>Reset Password</span>
+            )}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <p className="text-gray-600">
+            Link expired?{' '}
+            <button
+              onClick={onRequestNewLink}
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Send a new one
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
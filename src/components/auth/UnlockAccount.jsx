@@ -0,0 +1,50 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Unlock, AlertCircle } from 'lucide-react';
+import { authApi, getErrorMessage } from '../../services/api';
+
+// Opened from the link emailed when failed sign-ins lock an account
+const UnlockAccount = ({ token, onDone, onBack }) => {
+  const [error, setError] = useState('');
+  // Tokens work once, so don't send it again when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+
+    authApi.unlockAccount(token)
+      .then(onDone)
+      .catch(err => setError(getErrorMessage(err, 'Could not unlock your account')));
+  }, [token, onDone]);
+
+  return (
+    <div className="w-full max-w-md mx-auto">
+      <div className="bg-white rounded-xl shadow-lg p-8 text-center">
+        {!error ? (
+          <div className="flex flex-col items-center py-8 space-y-4">
+            <Unlock className="h-10 w-10 text-blue-600" />
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <>
+            <div className="bg-red-600 p-3 rounded-full w-16 h-16 mx-auto mb-4">
+              <AlertCircle className="h-10 w-10 text-white" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Link Not Valid</h2>
+            <p className="text-gray-600 mb-6">
+              {error}. The lock lifts by itself after a while; you can sign in again then.
+            </p>
+            <button
+              onClick={onBack}
+              className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Back to sign in
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MailCheck, AlertCircle } from 'lucide-react';
+import { authApi, getErrorMessage } from '../../services/api';
+
+// Opened from the link in the verification email, signed in or not
+const VerifyEmailPage = ({ token, onVerified, onContinue }) => {
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Tokens work once, so don't send it again when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+
+    authApi.verifyEmail(token)
+      .then(result => {
+        setStatus('verified');
+        setMessage(result);
+        onVerified();
+      })
+      .catch(error => {
+        setStatus('failed');
+        setMessage(getErrorMessage(error, 'Could not confirm your email address'));
+      });
+  }, [token, onVerified]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md mx-auto bg-white rounded-xl shadow-lg p-8 text-center">
+        {status === 'verifying' ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <>
+            <div className={`p-3 rounded-full w-16 h-16 mx-auto mb-4 ${status === 'verified' ? 'bg-green-600' : 'bg-red-600'}`}>
+              {status === 'verified'
+                ? <MailCheck className="h-10 w-10 text-white" />
+                : <AlertCircle className="h-10 w-10 text-white" />}
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">
+              {status === 'verified' ? 'Email Confirmed' : 'Link Not Valid'}
+            </h2>
+            <p className="text-gray-600 mb-6">
+              {message}
+              {status === 'failed' && '. Sign in and use "Resend email" to get a new link.'}
+            </p>
+            <button
+              onClick={onContinue}
+              className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Continue
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -1,11 +1,30 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import axios from 'axios';
 
 const AuthContext = createContext();
 
+// The access token is short-lived; the refresh token renews it and is
+// replaced by a new one each time
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } else {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
 const initialState = {
   user: null,
-  token: localStorage.getItem('token'),
+  token: localStorage.getItem(TOKEN_KEY),
   isAuthenticated: false,
   loading: true,
   error: null
@@ -14,7 +33,7 @@ const initialState = {
 const authReducer = (state, action) => {
   switch (action.type) {
     case 'AUTH_SUCCESS':
-      localStorage.setItem('token', action.payload.token);
+      storeTokens(action.payload);
       return {
         ...state,
         user: action.payload.user,
@@ -23,8 +42,22 @@ const authReducer = (state, action) => {
         loading: false,
         error: null
       };
+    case 'USER_LOADED':
+      return {
+        ...state,
+        user: action.payload,
+        isAuthenticated: true,
+        loading: false,
+        error: null
+      };
+    case 'TOKEN_REFRESHED':
+      storeTokens(action.payload);
+      return {
+        ...state,
+        token: action.payload.token
+      };
     case 'AUTH_FAIL':
-      localStorage.removeItem('token');
+      clearTokens();
       return {
         ...state,
         user: null,
@@ -34,7 +67,7 @@ const authReducer = (state, action) => {
         error: action.payload
       };
     case 'LOGOUT':
-      localStorage.removeItem('token');
+      clearTokens();
       return {
         ...state,
         user: null,
@@ -43,6 +76,11 @@ const authReducer = (state, action) => {
         loading: false,
         error: null
       };
+    case 'USER_UPDATED':
+      return {
+        ...state,
+        user: state.user && { ...state.user, ...action.payload }
+      };
     case 'CLEAR_ERROR':
       return {
         ...state,
@@ -62,6 +100,34 @@ const authReducer = (state, action) => {
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 axios.defaults.baseURL = API_URL;
 
+let pendingRefresh = null;
+
+// Swap the stored refresh token for new tokens. Requests that fail together
+// share one refresh, since each refresh token only works once.
+const renewTokens = () => {
+  if (pendingRefresh) return pendingRefresh;
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  pendingRefresh = (async () => {
+    if (!refreshToken) throw new Error('No refresh token');
+    try {
+      const response = await axios.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+      return response.data;
+    } catch (error) {
+      // Another tab refreshed first and stored the new tokens
+      const stored = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (stored && stored !== refreshToken) {
+        return { token: localStorage.getItem(TOKEN_KEY), refreshToken: stored };
+      }
+      throw error;
+    }
+  })().finally(() => {
+    pendingRefresh = null;
+  });
+
+  return pendingRefresh;
+};
+
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
@@ -74,19 +140,52 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
+  // Get a new access token; signs the user out when the session is over.
+  // Returns the token, or null.
+  const refreshSession = useCallback(async () => {
+    try {
+      const tokens = await renewTokens();
+      axios.defaults.headers.common['Authorization'] = `Bearer ${tokens.token}`;
+      dispatch({ type: 'TOKEN_REFRESHED', payload: tokens });
+      return tokens.token;
+    } catch (error) {
+      console.error('Refresh session error:', error);
+      dispatch({ type: 'AUTH_FAIL', payload: 'Your session has expired. Please sign in again.' });
+      return null;
+    }
+  }, []);
+
+  // Retry requests rejected for an expired access token once, with a new one
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const { config, response } = error;
+        if (
+          response?.status !== 401 || !config || config.skipAuthRefresh || config.retriedAfterRefresh ||
+          !localStorage.getItem(REFRESH_TOKEN_KEY)
+        ) {
+          throw error;
+        }
+
+        const token = await refreshSession();
+        if (!token) throw error;
+
+        config.retriedAfterRefresh = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession]);
+
   // Load user on app start
   useEffect(() => {
     const loadUser = async () => {
       if (state.token) {
         try {
           const response = await axios.get('/auth/me');
-          dispatch({
-            type: 'AUTH_SUCCESS',
-            payload: {
-              user: response.data.user,
-              token: state.token
-            }
-          });
+          dispatch({ type: 'USER_LOADED', payload: response.data.user });
         } catch (error) {
           console.error('Load user error:', error);
           dispatch({ type: 'AUTH_FAIL', payload: 'Session expired' });
@@ -99,49 +198,24 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, []);
 
-  const login = async (email, password) => {
+  // Accounts with 2FA answer the first attempt with `twoFactorRequired`; call
+  // again with the code. Doesn't set `loading`, as the spinner would unmount
+  // the form and lose the credentials between the two steps.
+  const login = async (email, password, twoFactorCode) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
-      
-      // Demo user functionality
-      if (email === 'demo@example.com' && password === 'demo123') {
-        const demoUser = {
-          id: 'demo-user',
-          name: 'Demo User',
-          email: 'demo@example.com',
-          preferences: {
-            currency: 'INR',
-            dateFormat: 'DD/MM/YYYY',
-            notifications: {
-              email: true,
-              budgetAlerts: true,
-              billReminders: true,
-              monthlyReports: true
-            },
-            theme: 'light'
-          }
-        };
-        
-        const demoToken = 'demo-token-' + Date.now();
-        
-        dispatch({
-          type: 'AUTH_SUCCESS',
-          payload: {
-            user: demoUser,
-            token: demoToken
-          }
-        });
-        
-        return { success: true };
+      dispatch({ type: 'CLEAR_ERROR' });
+
+      const response = await axios.post('/auth/login', { email, password, ...(twoFactorCode && { twoFactorCode }) });
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true };
       }
-      
-      const response = await axios.post('/auth/login', { email, password });
-      
+
       dispatch({
         type: 'AUTH_SUCCESS',
         payload: {
           user: response.data.user,
-          token: response.data.token
+          token: response.data.token,
+          refreshToken: response.data.refreshToken
         }
       });
       
@@ -149,7 +223,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       dispatch({ type: 'AUTH_FAIL', payload: message });
-      return { success: false, error: message };
+      return { success: false, error: message, twoFactorRequired: !!error.response?.data?.twoFactorRequired };
     }
   };
 
@@ -162,7 +236,8 @@ export const AuthProvider = ({ children }) => {
         type: 'AUTH_SUCCESS',
         payload: {
           user: response.data.user,
-          token: response.data.token
+          token: response.data.token,
+          refreshToken: response.data.refreshToken
         }
       });
       
@@ -174,17 +249,47 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Revoke this device's session on the server, then forget the tokens
+  // even if that fails
   const logout = async () => {
     try {
       await axios.post('/auth/logout');
-      console.warn('Backend server not available. Running in demo mode.');
+    } catch (error) {
       console.error('Logout error:', error);
-      setUser(null);
     } finally {
       dispatch({ type: 'LOGOUT' });
     }
   };
 
+  // Sign out every device, this one included
+  const logoutEverywhere = async () => {
+    try {
+      await axios.post('/auth/logout-all');
+      dispatch({ type: 'LOGOUT' });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Could not sign out your devices' };
+    }
+  };
+
+  // Save name or preferences; changing the base currency reconverts the
+  // user's transactions on the server
+  const updateProfile = async (updates) => {
+    try {
+      const response = await axios.put('/auth/profile', updates);
+      dispatch({ type: 'USER_UPDATED', payload: response.data.user });
+      return { success: true, data: response.data.user };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Could not update your profile' };
+    }
+  };
+
+  // Apply a change to the user made elsewhere, e.g. confirming the email
+  // address from another tab
+  const mergeUser = (updates) => {
+    dispatch({ type: 'USER_UPDATED', payload: updates });
+  };
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -194,6 +299,10 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutEverywhere,
+    refreshSession,
+    updateProfile,
+    mergeUser,
     clearError
   };
 
@@ -0,0 +1,396 @@
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { useRealtimeEvent } from './RealtimeContext';
+import { transactionsApi, budgetsApi, categoriesApi, accountsApi, getErrorMessage } from '../services/api';
+
+const FinanceContext = createContext();
+
+// Transactions are loaded for this many months, the current one included;
+// views that show older periods load them with loadTransactionsFrom()
+const RECENT_MONTHS = 12;
+
+const recentMonthsStart = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() - (RECENT_MONTHS - 1), 1);
+};
+
+const initialState = {
+  transactions: [],
+  budgets: [],
+  categories: [],
+  accounts: [],
+  // Balance of transactions that aren't in any account
+  unassigned: { balance: 0, transactionCount: 0 },
+  loading: false,
+  error: null
+};
+
+// Insert or replace by _id; the same change can arrive both from our own
+// request and from the event stream
+const upsert = (items, item) =>
+  items.some(existing => existing._id === item._id)
+    ? items.map(existing => (existing._id === item._id ? item : existing))
+    : [item, ...items];
+
+// Keep embedded (populated) category documents in step with the category list
+const withCategory = (items, category) =>
+  items.map(item =>
+    item.category?._id === category._id
+      ? { ...item, category: { ...item.category, ...category } }
+      : item
+  );
+
+const financeReducer = (state, action) => {
+  switch (action.type) {
+    case 'LOAD_START':
+      return {
+        ...state,
+        loading: true,
+        error: null
+      };
+    case 'LOAD_SUCCESS':
+      return {
+        ...state,
+        ...action.payload,
+        loading: false,
+        error: null
+      };
+    case 'LOAD_FAIL':
+      return {
+        ...state,
+        loading: false,
+        error: action.payload
+      };
+    case 'RESET':
+      return initialState;
+    case 'OLDER_TRANSACTIONS_LOADED': {
+      const loaded = new Set(state.transactions.map(t => t._id));
+      return {
+        ...state,
+        transactions: [...state.transactions, ...action.payload.filter(t => !loaded.has(t._id))]
+      };
+    }
+    case 'BUDGETS_LOADED':
+      return {
+        ...state,
+        budgets: action.payload
+      };
+    case 'ACCOUNTS_LOADED':
+      return {
+        ...state,
+        accounts: action.payload.accounts,
+        unassigned: action.payload.unassigned
+      };
+    case 'ITEM_ADDED':
+      return {
+        ...state,
+        [action.collection]: upsert(state[action.collection], action.payload)
+      };
+    case 'ITEM_UPDATED': {
+      const next = {
+        ...state,
+        [action.collection]: upsert(state[action.collection], action.payload)
+      };
+      if (action.collection === 'categories') {
+        next.transactions = withCategory(state.transactions, action.payload);
+        next.budgets = withCategory(state.budgets, action.payload);
+      }
+      return next;
+    }
+    case 'ITEM_DELETED':
+      return {
+        ...state,
+        [action.collection]: state[action.collection].filter(item => item._id !== action.payload)
+      };
+    case 'SET_ERROR':
+      return {
+        ...state,
+        error: action.payload
+      };
+    case 'CLEAR_ERROR':
+      return {
+        ...state,
+        error: null
+      };
+    default:
+      return state;
+  }
+};
+
+export const FinanceProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [state, dispatch] = useReducer(financeReducer, initialState);
+  // Start of the period whose transactions are loaded
+  const transactionsFrom = useRef(null);
+
+  // A background refresh keeps the current data on screen while it reloads.
+  // It reloads the period already loaded, not the whole history.
+  const refresh = useCallback(async ({ background = false } = {}) => {
+    try {
+      if (!background) dispatch({ type: 'LOAD_START' });
+
+      if (!transactionsFrom.current) transactionsFrom.current = recentMonthsStart();
+      const [categories, budgets, transactions, { accounts, unassigned }] = await Promise.all([
+        categoriesApi.list(),
+        budgetsApi.list(),
+        transactionsApi.listAll({ startDate: transactionsFrom.current.toISOString() }),
+        accountsApi.list()
+      ]);
+
+      dispatch({
+        type: 'LOAD_SUCCESS',
+        payload: { categories, budgets, transactions, accounts, unassigned }
+      });
+    } catch (error) {
+      console.error('Load finance data error:', error);
+      dispatch({ type: 'LOAD_FAIL', payload: getErrorMessage(error, 'Failed to load your data') });
+    }
+  }, []);
+
+  // Load transactions back to `date` when they aren't loaded yet, for views
+  // of older periods
+  const loadTransactionsFrom = useCallback(async (date) => {
+    const loadedFrom = transactionsFrom.current;
+    if (!loadedFrom || date >= loadedFrom) return;
+
+    transactionsFrom.current = date;
+    try {
+      const older = await transactionsApi.listAll({
+        startDate: date.toISOString(),
+        endDate: new Date(loadedFrom.getTime() - 1).toISOString()
+      });
+      dispatch({ type: 'OLDER_TRANSACTIONS_LOADED', payload: older });
+    } catch (error) {
+      console.error('Load older transactions error:', error);
+      // Let the view ask again
+      if (transactionsFrom.current === date) transactionsFrom.current = loadedFrom;
+      dispatch({ type: 'SET_ERROR', payload: getErrorMessage(error, 'Failed to load older transactions') });
+    }
+  }, []);
+
+  // Reload whenever a different user signs in
+  useEffect(() => {
+    transactionsFrom.current = null;
+    if (user) {
+      refresh();
+    } else {
+      dispatch({ type: 'RESET' });
+    }
+  }, [user?.id, refresh]);
+
+  // Merge changes made in the user's other sessions
+  useRealtimeEvent(
+    [
+      'transaction.created', 'transaction.updated', 'transaction.deleted',
+      'budget.created', 'budget.updated', 'budget.deleted',
+      'category.created', 'category.updated', 'category.deleted',
+      'account.created', 'account.updated', 'account.deleted'
+    ],
+    (data, event) => {
+      const [kind, change] = event.split('.');
+      const collection = {
+        transaction: 'transactions', budget: 'budgets', category: 'categories', account: 'accounts'
+      }[kind];
+
+      if (change === 'deleted') {
+        dispatch({ type: 'ITEM_DELETED', collection, payload: data._id });
+      } else if ((kind === 'category' && data.isActive === false) || (kind === 'account' && data.isArchived)) {
+        dispatch({ type: 'ITEM_DELETED', collection, payload: data._id });
+      } else {
+        dispatch({ type: 'ITEM_UPDATED', collection, payload: data });
+      }
+
+      // Balances are worked out on the server
+      if (kind === 'transaction') reloadAccounts();
+    }
+  );
+
+  // Bulk changes and missed events: reload everything
+  useRealtimeEvent(['sync.required', 'reconnected'], () => {
+    refresh({ background: true });
+  });
+
+  // Budget spending is kept on the server, so re-read it after transactions change
+  const reloadBudgets = async () => {
+    try {
+      dispatch({ type: 'BUDGETS_LOADED', payload: await budgetsApi.list() });
+    } catch (error) {
+      console.error('Reload budgets error:', error);
+    }
+  };
+
+  const reloadAccounts = async () => {
+    try {
+      dispatch({ type: 'ACCOUNTS_LOADED', payload: await accountsApi.list() });
+    } catch (error) {
+      console.error('Reload accounts error:', error);
+    }
+  };
+
+  // Wrap an API mutation so callers get { success, data | error } like AuthContext
+  const mutate = async (request, onSuccess, fallback) => {
+    try {
+      const data = await request();
+      onSuccess(data);
+      return { success: true, data };
+    } catch (error) {
+      const message = getErrorMessage(error, fallback);
+      dispatch({ type: 'SET_ERROR', payload: message });
+      return { success: false, error: message };
+    }
+  };
+
+  const addTransaction = (transaction, receipt) => mutate(
+    () => transactionsApi.create(transaction, receipt),
+    (created) => {
+      dispatch({ type: 'ITEM_ADDED', collection: 'transactions', payload: created });
+      reloadBudgets();
+      reloadAccounts();
+    },
+    'Failed to add transaction'
+  );
+
+  // Transfers are two linked transactions; both legs are added together
+  const addTransfer = (transfer) => mutate(
+    () => transactionsApi.createTransfer(transfer),
+    (legs) => {
+      legs.forEach(leg => dispatch({ type: 'ITEM_ADDED', collection: 'transactions', payload: leg }));
+      reloadAccounts();
+    },
+    'Failed to add transfer'
+  );
+
+  const updateTransaction = (id, updates, receipt) => updates.type === 'transfer' ? mutate(
+    () => transactionsApi.updateTransfer(id, updates),
+    (legs) => {
+      legs.forEach(leg => dispatch({ type: 'ITEM_UPDATED', collection: 'transactions', payload: leg }));
+      reloadAccounts();
+    },
+    'Failed to update transfer'
+  ) : mutate(
+    () => transactionsApi.update(id, updates, receipt),
+    (updated) => {
+      dispatch({ type: 'ITEM_UPDATED', collection: 'transactions', payload: updated });
+      reloadBudgets();
+      reloadAccounts();
+    },
+    'Failed to update transaction'
+  );
+
+  const deleteTransaction = (id) => mutate(
+    () => transactionsApi.remove(id),
+    (deleted) => {
+      deleted.forEach(deletedId => dispatch({ type: 'ITEM_DELETED', collection: 'transactions', payload: deletedId }));
+      reloadBudgets();
+      reloadAccounts();
+    },
+    'Failed to delete transaction'
+  );
+
+  const addBudget = (budget) => mutate(
+    () => budgetsApi.create(budget),
+    (created) => dispatch({ type: 'ITEM_ADDED', collection: 'budgets', payload: created }),
+    'Failed to add budget'
+  );
+
+  const updateBudget = (id, updates) => mutate(
+    () => budgetsApi.update(id, updates),
+    (updated) => dispatch({ type: 'ITEM_UPDATED', collection: 'budgets', payload: updated }),
+    'Failed to update budget'
+  );
+
+  const deleteBudget = (id) => mutate(
+    () => budgetsApi.remove(id),
+    () => dispatch({ type: 'ITEM_DELETED', collection: 'budgets', payload: id }),
+    'Failed to delete budget'
+  );
+
+  const recomputeBudgets = () => mutate(
+    () => budgetsApi.recompute(),
+    (budgets) => dispatch({ type: 'BUDGETS_LOADED', payload: budgets }),
+    'Failed to recalculate budgets'
+  );
+
+  const addCategory = (category) => mutate(
+    () => categoriesApi.create(category),
+    (created) => dispatch({ type: 'ITEM_ADDED', collection: 'categories', payload: created }),
+    'Failed to add category'
+  );
+
+  const updateCategory = (id, updates) => mutate(
+    () => categoriesApi.update(id, updates),
+    (updated) => dispatch({ type: 'ITEM_UPDATED', collection: 'categories', payload: updated }),
+    'Failed to update category'
+  );
+
+  // The server soft-deletes categories that still have transactions, either way
+  // they stop being selectable
+  const deleteCategory = (id) => mutate(
+    () => categoriesApi.remove(id),
+    () => dispatch({ type: 'ITEM_DELETED', collection: 'categories', payload: id }),
+    'Failed to delete category'
+  );
+
+  const addAccount = (account) => mutate(
+    () => accountsApi.create(account),
+    (created) => dispatch({ type: 'ITEM_ADDED', collection: 'accounts', payload: created }),
+    'Failed to add account'
+  );
+
+  // Archiving an account takes it out of the list like deleting does
+  const updateAccount = (id, updates) => mutate(
+    () => accountsApi.update(id, updates),
+    (updated) => dispatch(updated.isArchived
+      ? { type: 'ITEM_DELETED', collection: 'accounts', payload: id }
+      : { type: 'ITEM_UPDATED', collection: 'accounts', payload: updated }),
+    'Failed to update account'
+  );
+
+  const deleteAccount = (id) => mutate(
+    () => accountsApi.remove(id),
+    () => dispatch({ type: 'ITEM_DELETED', collection: 'accounts', payload: id }),
+    'Failed to delete account'
+  );
+
+  const clearError = () => {
+    dispatch({ type: 'CLEAR_ERROR' });
+  };
+
+  const value = {
+    ...state,
+    refresh,
+    loadTransactionsFrom,
+    addTransaction,
+    addTransfer,
+    updateTransaction,
+    deleteTransaction,
+    addBudget,
+    updateBudget,
+    deleteBudget,
+    recomputeBudgets,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    reloadAccounts,
+    clearError
+  };
+
+  return (
+    <FinanceContext.Provider value={value}>
+      {children}
+    </FinanceContext.Provider>
+  );
+};
+
+export const useFinance = () => {
+  const context = useContext(FinanceContext);
+  if (!context) {
+    throw new Error('useFinance must be used within a FinanceProvider');
+  }
+  return context;
+};
+
+export default FinanceContext;
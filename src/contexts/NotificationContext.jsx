@@ -0,0 +1,180 @@
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useRealtimeEvent } from './RealtimeContext';
+import { notificationsApi, getErrorMessage } from '../services/api';
+
+const NotificationContext = createContext();
+
+// How often the unread count is refreshed while the app is open
+const POLL_INTERVAL = 60 * 1000;
+const PAGE_SIZE = 10;
+
+const initialState = {
+  notifications: [],
+  pagination: null,
+  unreadCount: 0,
+  loading: false,
+  error: null
+};
+
+const notificationReducer = (state, action) => {
+  switch (action.type) {
+    case 'LOAD_START':
+      return {
+        ...state,
+        loading: true,
+        error: null
+      };
+    case 'LOAD_SUCCESS':
+      return {
+        ...state,
+        notifications: action.payload.pagination.current > 1
+          ? [...state.notifications, ...action.payload.notifications]
+          : action.payload.notifications,
+        pagination: action.payload.pagination,
+        loading: false
+      };
+    case 'LOAD_FAIL':
+      return {
+        ...state,
+        loading: false,
+        error: action.payload
+      };
+    case 'NOTIFICATION_RECEIVED': {
+      // A notification can arrive twice (e.g. after a reconnect); count it once
+      if (state.notifications.some(n => n._id === action.payload._id)) return state;
+      return {
+        ...state,
+        notifications: [action.payload, ...state.notifications],
+        unreadCount: action.payload.isRead ? state.unreadCount : state.unreadCount + 1
+      };
+    }
+    case 'SET_UNREAD_COUNT':
+      return {
+        ...state,
+        unreadCount: action.payload
+      };
+    case 'MARK_READ': {
+      const wasUnread = state.notifications.some(n => n._id === action.payload && !n.isRead);
+      return {
+        ...state,
+        notifications: state.notifications.map(n =>
+          n._id === action.payload ? { ...n, isRead: true } : n
+        ),
+        unreadCount: wasUnread ? Math.max(0, state.unreadCount - 1) : state.unreadCount
+      };
+    }
+    case 'MARK_ALL_READ':
+      return {
+        ...state,
+        notifications: state.notifications.map(n => ({ ...n, isRead: true })),
+        unreadCount: 0
+      };
+    case 'RESET':
+      return initialState;
+    default:
+      return state;
+  }
+};
+
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [state, dispatch] = useReducer(notificationReducer, initialState);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      dispatch({ type: 'SET_UNREAD_COUNT', payload: await notificationsApi.unreadCount() });
+    } catch (error) {
+      console.error('Load unread count error:', error);
+    }
+  }, []);
+
+  const loadPage = useCallback(async (page = 1) => {
+    try {
+      dispatch({ type: 'LOAD_START' });
+      const data = await notificationsApi.list({ page, limit: PAGE_SIZE });
+      dispatch({ type: 'LOAD_SUCCESS', payload: data });
+    } catch (error) {
+      dispatch({ type: 'LOAD_FAIL', payload: getErrorMessage(error, 'Failed to load notifications') });
+    }
+  }, []);
+
+  // Poll the unread count, and refresh it whenever the tab comes back into view
+  useEffect(() => {
+    if (!user) {
+      dispatch({ type: 'RESET' });
+      return;
+    }
+
+    refreshCount();
+    const interval = setInterval(refreshCount, POLL_INTERVAL);
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refreshCount();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [user?.id, refreshCount]);
+
+  useRealtimeEvent('notification.created', (notification) => {
+    dispatch({ type: 'NOTIFICATION_RECEIVED', payload: notification });
+  });
+
+  // Reads from the user's other sessions
+  // The notification may not be in the loaded page, so re-read the count
+  useRealtimeEvent('notification.read', ({ _id }) => {
+    dispatch({ type: 'MARK_READ', payload: _id });
+    refreshCount();
+  });
+
+  useRealtimeEvent('notification.read_all', () => {
+    dispatch({ type: 'MARK_ALL_READ' });
+  });
+
+  useRealtimeEvent('reconnected', refreshCount);
+
+  const markRead = async (id) => {
+    try {
+      await notificationsApi.markRead(id);
+      dispatch({ type: 'MARK_READ', payload: id });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationsApi.markAllRead();
+      dispatch({ type: 'MARK_ALL_READ' });
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+    }
+  };
+
+  const value = {
+    ...state,
+    refreshCount,
+    loadPage,
+    markRead,
+    markAllRead
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
+
+export default NotificationContext;
@@ -0,0 +1,128 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext();
+
+const MIN_RETRY_DELAY = 5 * 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+// Split a chunk of an SSE stream into complete events; returns the leftover text
+const parseEvents = (buffer, onEvent) => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+
+  blocks.forEach(block => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    if (data.length === 0) return;
+
+    try {
+      onEvent(event, JSON.parse(data.join('\n')));
+    } catch (error) {
+      console.error('Realtime event parse error:', error);
+    }
+  });
+
+  return rest;
+};
+
+// Keeps one event stream open per signed-in session. EventSource can't send
+// an Authorization header, so the stream is read with fetch instead.
+export const RealtimeProvider = ({ children }) => {
+  const { token, isAuthenticated, refreshSession } = useAuth();
+  const listeners = useRef(new Map());
+
+  const emit = useCallback((event, data) => {
+    (listeners.current.get(event) || []).forEach(listener => listener(data));
+  }, []);
+
+  const subscribe = useCallback((event, listener) => {
+    if (!listeners.current.has(event)) listeners.current.set(event, new Set());
+    listeners.current.get(event).add(listener);
+    return () => listeners.current.get(event)?.delete(listener);
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated || !token) return;
+
+    const controller = new AbortController();
+    let retryDelay = MIN_RETRY_DELAY;
+    let retryTimer = null;
+    let connectedBefore = false;
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${axios.defaults.baseURL}/events`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal
+        });
+        // An expired access token: a new one changes `token`, which reconnects
+        if (response.status === 401) await refreshSession();
+        if (!response.ok) throw new Error(`Event stream responded ${response.status}`);
+
+        // Anything may have changed while we were disconnected
+        if (connectedBefore) emit('reconnected', {});
+        connectedBefore = true;
+        retryDelay = MIN_RETRY_DELAY;
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer = parseEvents(buffer + decoder.decode(value, { stream: true }), emit);
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn('Realtime connection lost:', error.message);
+      }
+
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [token, isAuthenticated, emit, refreshSession]);
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+// Call `handler` for each of the named server events while mounted
+export const useRealtimeEvent = (events, handler) => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtimeEvent must be used within a RealtimeProvider');
+  }
+
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const { subscribe } = context;
+  const eventKey = [].concat(events).join(',');
+
+  useEffect(() => {
+    const unsubscribers = eventKey.split(',').map(event =>
+      subscribe(event, (data) => handlerRef.current(data, event))
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [eventKey, subscribe]);
+};
+
+export default RealtimeContext;
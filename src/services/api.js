@@ -0,0 +1,502 @@
+import axios from 'axios';
+
+// Base URL and the Authorization header are configured by AuthContext,
+// so every call here runs as the signed-in user.
+
+// Extract a user-facing message from an axios error
+export const getErrorMessage = (error, fallback = 'Something went wrong') => {
+  const data = error.response?.data;
+  if (data?.errors?.length) {
+    return data.errors[0].msg || data.message || fallback;
+  }
+  return data?.message || fallback;
+};
+
+// Multipart body for requests that carry a file. Nested fields use bracket
+// names (recurringDetails[frequency]) which the server expands back.
+const toFormData = (data, formData = new FormData(), prefix = '') => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object' && !(value instanceof Blob)) {
+      toFormData(value, formData, name);
+    } else {
+      formData.append(name, value);
+    }
+  });
+  return formData;
+};
+
+// Account recovery and email verification; sign-in itself lives in AuthContext
+export const authApi = {
+  // Same answer whether or not the email is registered
+  forgotPassword: async (email) => {
+    const response = await axios.post('/auth/forgot-password', { email });
+    return response.data.message;
+  },
+
+  resetPassword: async (token, password) => {
+    const response = await axios.post(`/auth/reset-password/${encodeURIComponent(token)}`, { password });
+    return response.data.message;
+  },
+
+  // Works signed in or out, as the link may be opened anywhere
+  verifyEmail: async (token) => {
+    const response = await axios.post(`/auth/verify-email/${encodeURIComponent(token)}`);
+    return response.data.message;
+  },
+
+  // Rejected with 429 when asked again within a minute
+  resendVerification: async () => {
+    const response = await axios.post('/auth/resend-verification');
+    return response.data.message;
+  },
+
+  // From the link emailed when repeated failed sign-ins lock an account
+  unlockAccount: async (token) => {
+    const response = await axios.post(`/auth/unlock/${encodeURIComponent(token)}`);
+    return response.data.message;
+  }
+};
+
+// TOTP two-factor authentication. Turning it off and replacing recovery
+// codes need the password and a current code.
+export const twoFactorApi = {
+  status: async () => {
+    const response = await axios.get('/auth/2fa');
+    return response.data;
+  },
+
+  // { secret, otpauthUrl, qrCode } where qrCode is an image data URL
+  setup: async () => {
+    const response = await axios.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Resolves to the recovery codes, which are only shown this once
+  enable: async (code) => {
+    const response = await axios.post('/auth/2fa/enable', { code });
+    return response.data.recoveryCodes;
+  },
+
+  disable: async ({ password, code }) => {
+    const response = await axios.post('/auth/2fa/disable', { password, code });
+    return response.data.message;
+  },
+
+  regenerateRecoveryCodes: async ({ password, code }) => {
+    const response = await axios.post('/auth/2fa/recovery-codes', { password, code });
+    return response.data.recoveryCodes;
+  }
+};
+
+// Signed-in devices. Signing out this device or all of them goes through
+// useAuth, which also forgets the local tokens.
+export const sessionsApi = {
+  list: async () => {
+    const response = await axios.get('/auth/sessions');
+    return response.data.sessions;
+  },
+
+  revoke: async (id) => {
+    const response = await axios.delete(`/auth/sessions/${id}`);
+    return response.data.message;
+  }
+};
+
+export const transactionsApi = {
+  list: async (params = {}) => {
+    const response = await axios.get('/transactions', { params });
+    return response.data;
+  },
+
+  // Walk every page of GET /transactions and return the combined list
+  listAll: async (params = {}) => {
+    const transactions = [];
+    let page = 1;
+    let hasNext = true;
+
+    while (hasNext) {
+      const data = await transactionsApi.list({ ...params, page, limit: 100 });
+      transactions.push(...data.transactions);
+      hasNext = data.pagination.hasNext;
+      page += 1;
+    }
+
+    return transactions;
+  },
+
+  get: async (id) => {
+    const response = await axios.get(`/transactions/${id}`);
+    return response.data.transaction;
+  },
+
+  // Pass a File as `receipt` to attach it
+  create: async (transaction, receipt) => {
+    const body = receipt ? toFormData({ ...transaction, receipt }) : transaction;
+    const response = await axios.post('/transactions', body);
+    return response.data.transaction;
+  },
+
+  // Insert up to 1000 transactions at once; returns { created, skipped }
+  bulkCreate: async (transactions) => {
+    const response = await axios.post('/transactions/bulk', { transactions });
+    return response.data;
+  },
+
+  // Pass a File as `receipt` to replace the attached receipt
+  update: async (id, updates, receipt) => {
+    // Accept a populated transaction as well as a plain update; the server
+    // manages `receipt` itself
+    const fields = { ...updates, category: updates.category?._id || updates.category };
+    delete fields.receipt;
+    const body = receipt ? toFormData({ ...fields, receipt }) : fields;
+    const response = await axios.put(`/transactions/${id}`, body);
+    return response.data.transaction;
+  },
+
+  // Move money between two accounts; returns both legs, [out, in]
+  createTransfer: async (transfer) => {
+    const response = await axios.post('/transactions/transfers', transfer);
+    return response.data.transactions;
+  },
+
+  // Update a transfer through either leg; returns both legs, [out, in]
+  updateTransfer: async (id, updates) => {
+    const { amount, date, description, notes, fromAccount, toAccount } = updates;
+    const response = await axios.put(`/transactions/${id}`, {
+      type: 'transfer', amount, date, description, notes, fromAccount, toAccount
+    });
+    return response.data.transactions;
+  },
+
+  // Returns the ids removed: both legs when `id` is part of a transfer
+  remove: async (id) => {
+    const response = await axios.delete(`/transactions/${id}`);
+    return response.data.deleted || [id];
+  },
+
+  // The receipt file (or its thumbnail) as a Blob; needs the auth header,
+  // so it can't be linked to directly
+  getReceipt: async (id, { thumbnail = false } = {}) => {
+    const response = await axios.get(`/transactions/${id}/receipt${thumbnail ? '/thumbnail' : ''}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  removeReceipt: async (id) => {
+    const response = await axios.delete(`/transactions/${id}/receipt`);
+    return response.data.transaction;
+  },
+
+  // Read a receipt file on the server; returns { draft, confidence, textFound }
+  scanReceipt: async (receipt) => {
+    const response = await axios.post('/transactions/scan-receipt', toFormData({ receipt }));
+    return response.data;
+  },
+
+  // Category learned from past transactions; returns { suggestion, alternatives }
+  suggestCategory: async (description, type, { signal } = {}) => {
+    const response = await axios.get('/transactions/suggest-category', { params: { description, type }, signal });
+    return response.data;
+  },
+
+  suggestionAccuracy: async () => {
+    const response = await axios.get('/transactions/suggest-category/accuracy');
+    return response.data.accuracy;
+  }
+};
+
+export const budgetsApi = {
+  list: async (params = {}) => {
+    const response = await axios.get('/budgets', { params });
+    return response.data.budgets;
+  },
+
+  create: async (budget) => {
+    const response = await axios.post('/budgets', budget);
+    return response.data.budget;
+  },
+
+  // Create up to 100 budgets at once; returns { created, skipped }
+  bulkCreate: async (budgets) => {
+    const response = await axios.post('/budgets/bulk', { budgets });
+    return response.data;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/budgets/${id}`, updates);
+    return response.data.budget;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/budgets/${id}`);
+  },
+
+  // Recalculate spent for every budget from the stored transactions
+  recompute: async () => {
+    const response = await axios.post('/budgets/recompute');
+    return response.data.budgets;
+  }
+};
+
+export const categoriesApi = {
+  list: async (params = {}) => {
+    const response = await axios.get('/categories', { params });
+    return response.data.categories;
+  },
+
+  create: async (category) => {
+    const response = await axios.post('/categories', category);
+    return response.data.category;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/categories/${id}`, updates);
+    return response.data.category;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/categories/${id}`);
+  }
+};
+
+export const notificationsApi = {
+  list: async (params = {}) => {
+    const response = await axios.get('/notifications', { params });
+    return response.data;
+  },
+
+  unreadCount: async () => {
+    const response = await axios.get('/notifications/unread-count');
+    return response.data.count;
+  },
+
+  markRead: async (id) => {
+    const response = await axios.put(`/notifications/${id}/read`);
+    return response.data.notification;
+  },
+
+  markAllRead: async () => {
+    await axios.put('/notifications/read-all');
+  }
+};
+
+export const accountsApi = {
+  // Returns { accounts (with balance), unassigned: { balance, transactionCount } }
+  list: async ({ includeArchived = false } = {}) => {
+    const response = await axios.get('/accounts', { params: includeArchived ? { includeArchived: true } : {} });
+    return response.data;
+  },
+
+  create: async (account) => {
+    const response = await axios.post('/accounts', account);
+    return response.data.account;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/accounts/${id}`, updates);
+    return response.data.account;
+  },
+
+  // Archived instead when transactions still use the account
+  remove: async (id) => {
+    await axios.delete(`/accounts/${id}`);
+  },
+
+  // Transactions newest first with the running balance after each
+  ledger: async (id, params = {}) => {
+    const response = await axios.get(`/accounts/${id}/ledger`, { params });
+    return response.data;
+  },
+
+  // Returns { reconciled, recordedBalance, difference, ... }
+  reconcile: async (id, { statementBalance, statementDate }) => {
+    const response = await axios.post(`/accounts/${id}/reconcile`, { statementBalance, statementDate });
+    return response.data;
+  }
+};
+
+export const goalsApi = {
+  // Each goal comes with its `progress`
+  list: async ({ includeArchived = false } = {}) => {
+    const response = await axios.get('/goals', { params: includeArchived ? { includeArchived: true } : {} });
+    return response.data.goals;
+  },
+
+  create: async (goal) => {
+    const response = await axios.post('/goals', goal);
+    return response.data.goal;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/goals/${id}`, updates);
+    return response.data.goal;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/goals/${id}`);
+  },
+
+  // Negative amounts take money out; returns the updated goal
+  addContribution: async (id, { amount, date, note }) => {
+    const response = await axios.post(`/goals/${id}/contributions`, { amount, date, note });
+    return response.data.goal;
+  },
+
+  removeContribution: async (id, contributionId) => {
+    const response = await axios.delete(`/goals/${id}/contributions/${contributionId}`);
+    return response.data.goal;
+  }
+};
+
+export const billsApi = {
+  // Each bill comes with `daysUntilDue` and `status`
+  list: async ({ includeInactive = false } = {}) => {
+    const response = await axios.get('/bills', { params: includeInactive ? { includeInactive: true } : {} });
+    return response.data.bills;
+  },
+
+  // Active bills due within `days`, overdue ones included
+  upcoming: async (days = 30) => {
+    const response = await axios.get('/bills/upcoming', { params: { days } });
+    return response.data.bills;
+  },
+
+  create: async (bill) => {
+    const response = await axios.post('/bills', bill);
+    return response.data.bill;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/bills/${id}`, updates);
+    return response.data.bill;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/bills/${id}`);
+  },
+
+  // Records the expense; returns { bill, transaction }
+  pay: async (id, payment = {}) => {
+    const response = await axios.post(`/bills/${id}/pay`, payment);
+    return response.data;
+  }
+};
+
+export const ratesApi = {
+  // Returns { rates, baseCurrency, pagination }
+  list: async (params = {}) => {
+    const response = await axios.get('/exchange-rates', { params });
+    return response.data;
+  },
+
+  // Replaces the rate for the same currencies and day
+  save: async ({ from, to, rate, date }) => {
+    const response = await axios.post('/exchange-rates', { from, to, rate, date });
+    return response.data.rate;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/exchange-rates/${id}`);
+  },
+
+  // CSV text with date, from, to and rate columns; returns { imported, skipped }
+  importCsv: async (content, dateFormat) => {
+    const response = await axios.post('/exchange-rates/import', { content, dateFormat });
+    return response.data;
+  }
+};
+
+export const rulesApi = {
+  list: async () => {
+    const response = await axios.get('/rules');
+    return response.data.rules;
+  },
+
+  create: async (rule) => {
+    const response = await axios.post('/rules', rule);
+    return response.data.rule;
+  },
+
+  update: async (id, updates) => {
+    const response = await axios.put(`/rules/${id}`, updates);
+    return response.data.rule;
+  },
+
+  remove: async (id) => {
+    await axios.delete(`/rules/${id}`);
+  },
+
+  // Dry-run a saved rule ({ ruleId }) or an unsaved { conditions, actions }
+  // against past transactions; returns { matched, tested, sample }
+  test: async (rule) => {
+    const response = await axios.post('/rules/test', rule);
+    return response.data;
+  }
+};
+
+export const importsApi = {
+  // Parse a statement file. CSV without a mapping returns its columns
+  // ({ needsMapping: true, columns, sample }) instead of rows.
+  preview: async ({ format, content, mapping, mappingId, dateFormat }) => {
+    const response = await axios.post('/imports/preview', { format, content, mapping, mappingId, dateFormat });
+    return response.data;
+  },
+
+  // Create the reviewed rows, optionally all in one account; returns { created, skipped }
+  commit: async (rows, account) => {
+    const response = await axios.post('/imports/commit', { rows, account: account || undefined });
+    return response.data;
+  },
+
+  listMappings: async () => {
+    const response = await axios.get('/imports/mappings');
+    return response.data.mappings;
+  },
+
+  saveMapping: async (mapping) => {
+    const response = await axios.post('/imports/mappings', mapping);
+    return response.data.mapping;
+  },
+
+  removeMapping: async (id) => {
+    await axios.delete(`/imports/mappings/${id}`);
+  }
+};
+
+export const reportsApi = {
+  // Download transactions as a file; takes the GET /transactions filters
+  // plus `format` (csv, json, xlsx or pdf) and returns a Blob
+  exportTransactions: async (params = {}) => {
+    try {
+      const response = await axios.get('/reports/export', { params, responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      // Error bodies arrive as a Blob too; turn them back into JSON
+      if (error.response?.data instanceof Blob) {
+        try {
+          error.response.data = JSON.parse(await error.response.data.text());
+        } catch {
+          error.response.data = {};
+        }
+      }
+      throw error;
+    }
+  }
+};
+
+export const usersApi = {
+  // Download the account archive as a Blob
+  backup: async () => {
+    const response = await axios.get('/users/backup', { responseType: 'blob' });
+    return response.data;
+  },
+
+  // mode is 'merge' or 'replace'; returns the restore summary
+  restore: async (backup, mode) => {
+    const response = await axios.post('/users/restore', { backup, mode });
+    return response.data.summary;
+  }
+};
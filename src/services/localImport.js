@@ -0,0 +1,216 @@
+import { transactionsApi, budgetsApi, categoriesApi, getErrorMessage } from './api';
+import { getPeriodRange } from '../utils/dates';
+
+// Keys written by the localStorage-only version of the app
+export const LOCAL_KEYS = {
+  transactions: 'financeTracker_transactions',
+  budgets: 'financeTracker_budgets',
+  categories: 'financeTracker_categories'
+};
+
+// Categories the old app started with when nothing was saved yet
+const LEGACY_DEFAULT_CATEGORIES = [
+  { id: 1, name: 'Food & Dining', type: 'expense', color: '#ef4444' },
+  { id: 2, name: 'Transportation', type: 'expense', color: '#f97316' },
+  { id: 3, name: 'Shopping', type: 'expense', color: '#eab308' },
+  { id: 4, name: 'Entertainment', type: 'expense', color: '#22c55e' },
+  { id: 5, name: 'Bills & Utilities', type: 'expense', color: '#3b82f6' },
+  { id: 6, name: 'Healthcare', type: 'expense', color: '#8b5cf6' },
+  { id: 7, name: 'Salary', type: 'income', color: '#10b981' },
+  { id: 8, name: 'Freelance', type: 'income', color: '#06b6d4' },
+  { id: 9, name: 'Investment', type: 'income', color: '#8b5cf6' }
+];
+
+const BULK_CHUNK_SIZE = 500;
+const BUDGET_CHUNK_SIZE = 100;
+
+const readKey = (key) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+};
+
+export const readLocalData = () => {
+  const categories = readKey(LOCAL_KEYS.categories);
+  return {
+    transactions: readKey(LOCAL_KEYS.transactions),
+    budgets: readKey(LOCAL_KEYS.budgets),
+    categories: categories.length > 0 ? categories : LEGACY_DEFAULT_CATEGORIES
+  };
+};
+
+// Only transactions and budgets are worth importing on their own
+export const hasLocalData = () => {
+  const { transactions, budgets } = readLocalData();
+  return transactions.length > 0 || budgets.length > 0;
+};
+
+export const clearLocalData = () => {
+  Object.values(LOCAL_KEYS).forEach(key => localStorage.removeItem(key));
+};
+
+// Keep only what is still to be imported, so trying again after a failure
+// doesn't upload anything twice
+const saveRemaining = (key, items) => {
+  if (items.length > 0) {
+    localStorage.setItem(key, JSON.stringify(items));
+  } else {
+    localStorage.removeItem(key);
+  }
+};
+
+// Upload `pending` ([{ local, item }]) in chunks with `upload(items)`, which
+// resolves with { created, skipped }. Each accepted chunk is removed from
+// localStorage under `key` right away, as are the `unusable` local items.
+// Returns the created and skipped counts.
+const uploadInChunks = async ({ key, localItems, pending, unusable, chunkSize, upload, label, report }) => {
+  const uploaded = new Set(unusable);
+  let created = 0;
+  let skipped = 0;
+
+  if (unusable.size > 0) saveRemaining(key, localItems.filter(local => !uploaded.has(local)));
+
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    const chunk = pending.slice(i, i + chunkSize);
+    try {
+      const result = await upload(chunk.map(entry => entry.item));
+      created += result.created;
+      skipped += result.skipped.length;
+      chunk.forEach(entry => uploaded.add(entry.local));
+      saveRemaining(key, localItems.filter(local => !uploaded.has(local)));
+    } catch (error) {
+      skipped += chunk.length;
+      report.errors.push(getErrorMessage(error, `Failed to upload ${label}`));
+    }
+  }
+
+  return { created, skipped };
+};
+
+const categoryKey = (name, type) => `${type}:${name.trim().toLowerCase()}`;
+
+// Map each local numeric category id to a server category, creating the
+// ones the account doesn't have yet. `failedIds` are the local ids whose
+// category could not be created, so their items can be tried again.
+const mapCategories = async (localCategories, serverCategories, report) => {
+  const byName = new Map(serverCategories.map(c => [categoryKey(c.name, c.type), c._id]));
+  const idMap = new Map();
+  const failedIds = new Set();
+
+  for (const local of localCategories) {
+    if (!local?.name || !['income', 'expense'].includes(local.type)) continue;
+
+    const key = categoryKey(local.name, local.type);
+    if (!byName.has(key)) {
+      try {
+        const created = await categoriesApi.create({
+          name: local.name.trim(),
+          type: local.type,
+          color: local.color || '#64748b'
+        });
+        byName.set(key, created._id);
+        report.categoriesCreated += 1;
+      } catch (error) {
+        report.errors.push(`Category "${local.name}": ${getErrorMessage(error, 'could not be created')}`);
+        failedIds.add(local.id);
+        continue;
+      }
+    }
+    idMap.set(local.id, byName.get(key));
+  }
+
+  return { idMap, failedIds };
+};
+
+/**
+ * Upload everything the old app kept in localStorage into the signed-in account.
+ * What the server accepts is removed from localStorage as it goes; what is
+ * left after a failure can be imported again. Resolves with a report of what
+ * was imported or skipped.
+ */
+export const importLocalData = async (serverCategories) => {
+  const local = readLocalData();
+  const report = {
+    categoriesCreated: 0,
+    transactionsImported: 0,
+    transactionsSkipped: 0,
+    budgetsImported: 0,
+    budgetsSkipped: 0,
+    errors: []
+  };
+
+  const { idMap, failedIds } = await mapCategories(local.categories, serverCategories, report);
+
+  // Items whose category can't be used are dropped, unless creating the
+  // category failed and may work next time
+  const unusable = (items) => new Set(items.filter(item =>
+    !idMap.has(item.categoryId) && !failedIds.has(item.categoryId)
+  ));
+
+  const transactions = [];
+  local.transactions.forEach(t => {
+    const category = idMap.get(t.categoryId);
+    if (!category) {
+      report.transactionsSkipped += 1;
+      return;
+    }
+    transactions.push({
+      local: t,
+      item: {
+        type: t.type,
+        amount: t.amount,
+        description: t.description,
+        category,
+        date: t.date
+      }
+    });
+  });
+
+  const transactionResult = await uploadInChunks({
+    key: LOCAL_KEYS.transactions,
+    localItems: local.transactions,
+    pending: transactions,
+    unusable: unusable(local.transactions),
+    chunkSize: BULK_CHUNK_SIZE,
+    upload: transactionsApi.bulkCreate,
+    label: 'transactions',
+    report
+  });
+  report.transactionsImported += transactionResult.created;
+  report.transactionsSkipped += transactionResult.skipped;
+
+  const budgets = [];
+  local.budgets.forEach(b => {
+    const category = idMap.get(b.categoryId);
+    if (!category) {
+      report.budgetsSkipped += 1;
+      return;
+    }
+    const period = b.period || 'monthly';
+    budgets.push({
+      local: b,
+      item: { category, amount: b.amount, period, ...getPeriodRange(period) }
+    });
+  });
+
+  const budgetResult = await uploadInChunks({
+    key: LOCAL_KEYS.budgets,
+    localItems: local.budgets,
+    pending: budgets,
+    unusable: unusable(local.budgets),
+    chunkSize: BUDGET_CHUNK_SIZE,
+    upload: budgetsApi.bulkCreate,
+    label: 'budgets',
+    report
+  });
+  report.budgetsImported += budgetResult.created;
+  report.budgetsSkipped += budgetResult.skipped;
+
+  // The categories were only needed to read the rest
+  if (!hasLocalData()) clearLocalData();
+
+  return report;
+};
@@ -0,0 +1,36 @@
+import { DEFAULT_CURRENCY, formatMoney } from './currency';
+
+export const BILL_FREQUENCIES = [
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'half_yearly', label: 'Every 6 months' },
+  { value: 'yearly', label: 'Yearly' }
+];
+
+export const BILL_STATUS_STYLES = {
+  overdue: 'bg-red-100 text-red-700',
+  due_soon: 'bg-yellow-100 text-yellow-700',
+  upcoming: 'bg-gray-100 text-gray-700'
+};
+
+// "Due today", "Due in 3 days", "5 days overdue"
+export const dueLabel = (bill) => {
+  const days = bill.daysUntilDue;
+  if (days === 0) return 'Due today';
+  if (days < 0) return `${-days} day${days === -1 ? '' : 's'} overdue`;
+  return `Due in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+// A bill's amount in its account's currency, "~" when it is an estimate
+export const billAmount = (bill, baseCurrency = DEFAULT_CURRENCY) =>
+  `${bill.isEstimate ? '~' : ''}${formatMoney(bill.amount, bill.account?.currency || baseCurrency)}`;
+
+// Ask what was actually paid when the bill's amount is only an estimate.
+// Returns the payment to send, or null when the user cancels.
+export const askPayment = (bill) => {
+  if (!bill.isEstimate) return {};
+  const answer = window.prompt(`How much did you pay ${bill.payee}?`, String(bill.amount));
+  if (answer === null) return null;
+  const amount = parseFloat(answer);
+  return amount > 0 ? { amount } : null;
+};
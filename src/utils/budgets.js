@@ -0,0 +1,16 @@
+// Display fields for a budget, based on the spending tracked by the server
+export const summarizeBudget = (budget, categories) => {
+  const category = categories.find(c => c._id === budget.category?._id) || budget.category;
+  const spent = budget.spent || 0;
+  const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
+
+  return {
+    ...budget,
+    spent,
+    remaining: budget.amount - spent,
+    percentage,
+    categoryName: category?.name || 'Unknown',
+    categoryColor: category?.color || '#64748b',
+    status: budget.status === 'exceeded' ? 'over' : budget.status === 'good' ? 'good' : 'warning'
+  };
+};
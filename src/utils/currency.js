@@ -0,0 +1,34 @@
+// Money formatting and conversion helpers. Reports, budgets and totals are in
+// the user's base currency; each transaction keeps its own currency.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Offered in currency pickers; any 3-letter code can still be typed
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'AUD', 'CAD', 'CHF', 'CNY', 'JPY', 'SGD'];
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+};
+
+// The symbol shown before amount inputs, e.g. "₹" or "$"
+export const currencySymbol = (currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency })
+      .formatToParts(0)
+      .find(part => part.type === 'currency')?.value || currency;
+  } catch {
+    return currency;
+  }
+};
+
+// A transaction's amount in the base currency. The server stores it for
+// transactions in another currency; without a rate the amount is used as is.
+export const baseAmountOf = (transaction) => transaction.baseAmount ?? transaction.amount;
+
+// Whether a transaction is in another currency than the base one
+export const isForeign = (transaction, baseCurrency) =>
+  Boolean(transaction.currency) && transaction.currency !== baseCurrency;
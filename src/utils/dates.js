@@ -0,0 +1,13 @@
+import { startOfMonth, endOfMonth, startOfWeek, endOfWeek, startOfYear, endOfYear } from 'date-fns';
+
+// Date range the server stores for a budget with the given period
+export const getPeriodRange = (period, date = new Date()) => {
+  switch (period) {
+    case 'weekly':
+      return { startDate: startOfWeek(date), endDate: endOfWeek(date) };
+    case 'yearly':
+      return { startDate: startOfYear(date), endDate: endOfYear(date) };
+    default:
+      return { startDate: startOfMonth(date), endDate: endOfMonth(date) };
+  }
+};
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+const HIGHLIGHT_MS = 3000;
+
+// Classes for an item that a notification link points to
+export const HIGHLIGHT_CLASSES = 'ring-2 ring-blue-500 ring-offset-2';
+
+// DOM id of the element that shows an item, e.g. 'budget-<id>'
+export const highlightElementId = (type, id) => `${type}-${id}`;
+
+/**
+ * Scroll to the element showing item `id` once `ready` (its list has
+ * loaded), then call `onDone` so the same link can be followed again.
+ * `onDone` should be memoized, or the effect runs on every render.
+ * Returns the id for as long as the item should look highlighted.
+ */
+export const useHighlight = (type, id, ready, onDone) => {
+  const [highlighted, setHighlighted] = useState(null);
+
+  useEffect(() => {
+    if (!id || !ready) return;
+    document.getElementById(highlightElementId(type, id))
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlighted(id);
+    onDone?.();
+  }, [type, id, ready, onDone]);
+
+  useEffect(() => {
+    if (!highlighted) return undefined;
+    const timer = setTimeout(() => setHighlighted(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlighted]);
+
+  return highlighted;
+};
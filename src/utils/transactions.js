@@ -0,0 +1,31 @@
+import { baseAmountOf } from './currency';
+
+// Display helpers shared by the transaction lists. A transfer is two linked
+// transactions, one leaving an account and one arriving in another.
+
+export const isOutgoing = (transaction) =>
+  transaction.type === 'expense' || (transaction.type === 'transfer' && transaction.transfer?.direction === 'out');
+
+// Text colour for a transaction's amount
+export const amountColor = (transaction) =>
+  transaction.type === 'transfer' ? 'text-blue-600' : isOutgoing(transaction) ? 'text-red-600' : 'text-green-600';
+
+export const amountSign = (transaction) => (isOutgoing(transaction) ? '-' : '+');
+
+// What to show in the category column
+export const categoryLabel = (transaction, category = transaction.category) => {
+  if (transaction.type === 'transfer') return isOutgoing(transaction) ? 'Transfer out' : 'Transfer in';
+  if (transaction.splits?.length) return `Split across ${transaction.splits.length} categories`;
+  return category?.name || 'Uncategorized';
+};
+
+// A transaction's amount in the base currency by category as
+// [{ categoryId, amount }]: one entry per split line, or the whole amount
+// when it isn't split
+export const categoryLines = (transaction) => {
+  const amount = baseAmountOf(transaction);
+  const scale = amount / transaction.amount;
+  return transaction.splits?.length
+    ? transaction.splits.map(split => ({ categoryId: split.category?._id || split.category, amount: split.amount * scale }))
+    : [{ categoryId: transaction.category?._id || transaction.category, amount }];
+};